@@ -0,0 +1,164 @@
+// achievements.js - Declarative achievements unlocked by gameplay events
+// The game reports what happens through handle(type, event):
+//   'rescue'          { bonus }                        a newt was rescued
+//   'near-miss'       { stealth }                      a car passed within the near-miss box
+//   'level-complete'  { level, flashlightTurnedOff }   a level's quota was met
+//   'wave-start'      { wave }                         an endless wave began
+// Each definition listens to one event type. `when` filters the events that count, and
+// `count` unlocks after that many of them, either within one run or over all runs.
+// Adding an achievement is adding an entry here; nothing else needs to change.
+
+export const ACHIEVEMENTS = [
+    {
+        id: 'golden-glow',
+        title: 'Golden Glow',
+        description: 'Rescue your first bonus newt',
+        icon: 'fa-star',
+        on: 'rescue',
+        when: event => event.bonus
+    },
+    {
+        id: 'close-shaves',
+        title: 'Close Shaves',
+        description: 'Have 10 near-misses in one run',
+        icon: 'fa-wind',
+        on: 'near-miss',
+        count: { target: 10, scope: 'run' }
+    },
+    {
+        id: 'ghost-rider',
+        title: 'Ghost Rider',
+        description: 'Survive a stealth car at close range',
+        icon: 'fa-ghost',
+        on: 'near-miss',
+        when: event => event.stealth
+    },
+    {
+        id: 'wave-five',
+        title: 'Riding the Wave',
+        description: 'Reach endless wave 5',
+        icon: 'fa-water',
+        on: 'wave-start',
+        when: event => event.wave >= 5
+    },
+    {
+        id: 'steady-beam',
+        title: 'Steady Beam',
+        description: 'Finish level 3 without switching the flashlight off',
+        icon: 'fa-lightbulb',
+        on: 'level-complete',
+        when: event => event.level === 3 && !event.flashlightTurnedOff
+    },
+    {
+        id: 'newt-guardian',
+        title: 'Newt Guardian',
+        description: 'Rescue 100 newts in total',
+        icon: 'fa-shield-alt',
+        on: 'rescue',
+        count: { target: 100, scope: 'lifetime' }
+    }
+];
+
+export class AchievementManager {
+    constructor({
+        definitions = ACHIEVEMENTS,
+        storage = globalThis.localStorage,
+        storageKey = 'newtRescueAchievements',
+        now = () => Date.now()
+    } = {}) {
+        this.definitions = definitions;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.now = now;
+        this.onUnlockCallback = null;
+
+        // unlocked: id -> unlock time; progress: id -> lifetime count
+        const saved = this.load();
+        this.unlocked = saved.unlocked;
+        this.progress = saved.progress;
+        this.runProgress = {};
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            if (saved && typeof saved === 'object') {
+                return { unlocked: { ...saved.unlocked }, progress: { ...saved.progress } };
+            }
+        } catch {
+            // Fall through to a fresh record
+        }
+        return { unlocked: {}, progress: {} };
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ unlocked: this.unlocked, progress: this.progress }));
+        } catch (error) {
+            console.warn('Could not save achievements:', error);
+        }
+    }
+
+    // callback(definition) for each new unlock
+    onUnlock(callback) {
+        this.onUnlockCallback = callback;
+    }
+
+    // Per-run counts start over
+    startRun() {
+        this.runProgress = {};
+    }
+
+    isUnlocked(id) {
+        return id in this.unlocked;
+    }
+
+    // Returns the definitions this event unlocked
+    handle(type, event = {}) {
+        const unlocked = [];
+        let changed = false;
+
+        for (const definition of this.definitions) {
+            if (definition.on !== type || this.isUnlocked(definition.id)) continue;
+            if (definition.when && !definition.when(event)) continue;
+
+            if (definition.count) {
+                const counts = definition.count.scope === 'lifetime' ? this.progress : this.runProgress;
+                counts[definition.id] = (counts[definition.id] || 0) + 1;
+                changed = changed || definition.count.scope === 'lifetime';
+                if (counts[definition.id] < definition.count.target) continue;
+            }
+
+            this.unlocked[definition.id] = this.now();
+            unlocked.push(definition);
+            changed = true;
+        }
+
+        if (changed) this.save();
+        if (this.onUnlockCallback) unlocked.forEach(definition => this.onUnlockCallback(definition));
+        return unlocked;
+    }
+
+    // Every achievement with its state, for the trophy room:
+    // { id, title, description, icon, unlocked, unlockedAt, progress, target }
+    // Only lifetime counts carry over between runs, so only they show partial progress.
+    getAll() {
+        return this.definitions.map(definition => {
+            const unlockedAt = this.unlocked[definition.id] ?? null;
+            const target = definition.count ? definition.count.target : 1;
+            const lifetime = definition.count && definition.count.scope === 'lifetime';
+            let progress = lifetime ? Math.min(this.progress[definition.id] || 0, target) : 0;
+            if (unlockedAt !== null) progress = target;
+            return {
+                id: definition.id,
+                title: definition.title,
+                description: definition.description,
+                icon: definition.icon,
+                unlocked: unlockedAt !== null,
+                unlockedAt,
+                progress,
+                target
+            };
+        });
+    }
+}
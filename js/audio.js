@@ -1,33 +1,50 @@
 // audio.js - Procedural audio using Web Audio API oscillators
+
+// Soundtrack levels at the default settings (music 1, master 0.5)
+const BACKGROUND_TRACK_VOLUME = 0.12;
+const VIDEO_MUSIC_VOLUME = 0.15;
+const DEFAULT_MASTER_VOLUME = 0.5;
+
 export class AudioManager {
     constructor() {
         this.audioContext = null;
         this.isInitialized = false;
         
-        // Master volume
+        // Volumes (0-1): master scales everything; effects and ambience have their own buses
         this.masterGain = null;
+        this.sfxGain = null;
+        this.ambienceGain = null;
+        this.masterVolume = DEFAULT_MASTER_VOLUME;
+        this.musicVolume = 1;
+        this.sfxVolume = 1;
+        this.ambienceVolume = 1;
         
         // Ambient nodes
         this.ambientNodes = [];
+        this.stormWind = null;
         this.cricketInterval = null;
 
         // Background soundtrack
         this.backgroundTrack = new Audio('assets/background_track.mp3');
         this.backgroundTrack.loop = true;
-        this.backgroundTrack.volume = 0.12;
 
         // Intro video music
         this.videoMusic = new Audio('assets/video_music.mp3');
         this.videoMusic.loop = true;
-        this.videoMusic.volume = 0.15;
+        this.updateMusicVolume();
         
         // Low battery warning
         this.lowBatteryOscillator = null;
         this.lowBatteryGain = null;
         this.isLowBatteryPlaying = false;
+
+        // Pause menu suspends the whole graph instead of tearing it down
+        this.isSuspended = false;
+        this.wasTrackPlaying = false;
         
-        // Footstep state
+        // Footstep and breathing state
         this.lastFootstepTime = 0;
+        this.lastBreathTime = 0;
         this.footstepInterval = 400; // ms between footsteps
     }
     
@@ -39,41 +56,91 @@ export class AudioManager {
         
         // Master gain
         this.masterGain = this.audioContext.createGain();
-        this.masterGain.gain.value = 0.5;
+        this.masterGain.gain.value = this.masterVolume;
         this.masterGain.connect(this.audioContext.destination);
+
+        this.sfxGain = this.audioContext.createGain();
+        this.sfxGain.gain.value = this.sfxVolume;
+        this.sfxGain.connect(this.masterGain);
+
+        this.ambienceGain = this.audioContext.createGain();
+        this.ambienceGain.gain.value = this.ambienceVolume;
+        this.ambienceGain.connect(this.masterGain);
         
         this.isInitialized = true;
     }
     
-    startAmbient(level = 1) {
+    setMasterVolume(volume) {
+        this.masterVolume = Math.max(0, Math.min(1, volume));
+        if (this.masterGain) {
+            this.masterGain.gain.value = this.masterVolume;
+        }
+        this.updateMusicVolume();
+    }
+
+    setMusicVolume(volume) {
+        this.musicVolume = Math.max(0, Math.min(1, volume));
+        this.updateMusicVolume();
+    }
+
+    setSfxVolume(volume) {
+        this.sfxVolume = Math.max(0, Math.min(1, volume));
+        if (this.sfxGain) {
+            this.sfxGain.gain.value = this.sfxVolume;
+        }
+    }
+
+    setAmbienceVolume(volume) {
+        this.ambienceVolume = Math.max(0, Math.min(1, volume));
+        if (this.ambienceGain) {
+            this.ambienceGain.gain.value = this.ambienceVolume;
+        }
+    }
+
+    // The soundtracks are media elements outside the Web Audio graph, so master applies here
+    updateMusicVolume() {
+        const level = this.musicVolume * this.masterVolume / DEFAULT_MASTER_VOLUME;
+        this.backgroundTrack.volume = Math.min(1, BACKGROUND_TRACK_VOLUME * level);
+        this.videoMusic.volume = Math.min(1, VIDEO_MUSIC_VOLUME * level);
+    }
+
+    // ambience comes from the level definition's "audio" block
+    startAmbient(ambience = {}) {
         if (!this.isInitialized) return;
-        console.log("AudioManager.startAmbient() - level:", level);
+        console.log("AudioManager.startAmbient() - ambience:", ambience);
 
-        if (this.backgroundTrack.paused) {
+        if (this.isSuspended) {
+            // Picked up again by resume()
+            this.wasTrackPlaying = true;
+        } else if (this.backgroundTrack.paused) {
             this.backgroundTrack.play().catch(() => {});
         }
 
-        // Wind - low frequency filtered noise (all levels, louder in storm)
-        this.createWindSound(level === 3 ? 0.12 : 0.05);
+        // Wind - low frequency filtered noise (louder in storm)
+        if (ambience.wind > 0) {
+            this.createWindSound(ambience.wind);
+        }
 
-        // Cricket chirps (more frequent in clear night, fewer at dusk, none in storm)
-        if (level <= 2) {
-            this.startCrickets(level === 1);
+        // Cricket chirps (more frequent in clear night, fewer at dusk)
+        if (ambience.crickets) {
+            this.startCrickets(ambience.crickets === 'clear');
         }
 
-        // Level 1: Frog croaking (Pacific tree frogs - realistic for SF area)
-        if (level === 1) {
+        // Frog croaking (Pacific tree frogs - realistic for SF area)
+        if (ambience.frogs) {
             this.startFrogCroaking();
         }
 
-        // Level 2: Dusk ambient - owl hoots and distant coyotes
-        if (level === 2) {
+        // Dusk ambient - owl hoots and distant coyotes
+        if (ambience.owls) {
             this.startDuskAmbient();
         }
 
-        // Level 3: Rain and storm
-        if (level === 3) {
+        // Rain and storm
+        if (ambience.rain) {
             this.createRainSound();
+        }
+        if (ambience.storm) {
             this.createStormWind();
         }
     }
@@ -92,6 +159,7 @@ export class AudioManager {
         if (!this.isInitialized) return;
         // Pacific tree frog "ribbit" - the iconic sound near Lexington Reservoir
         this.frogInterval = setInterval(() => {
+            if (this.isSuspended) return;
             if (Math.random() < 0.4) {
                 this.playFrogCroak();
             }
@@ -139,7 +207,7 @@ export class AudioManager {
         gain1.connect(filter);
         osc2.connect(gain2);
         gain2.connect(filter);
-        filter.connect(this.masterGain);
+        filter.connect(this.ambienceGain);
         
         osc1.start(now);
         osc1.stop(now + 0.15);
@@ -151,6 +219,7 @@ export class AudioManager {
         if (!this.isInitialized) return;
         // Occasional owl hoot
         this.owlInterval = setInterval(() => {
+            if (this.isSuspended) return;
             if (Math.random() < 0.08) {
                 this.playOwlHoot();
             }
@@ -189,7 +258,7 @@ export class AudioManager {
         
         osc.connect(gain);
         gain.connect(filter);
-        filter.connect(this.masterGain);
+        filter.connect(this.ambienceGain);
         
         osc.start(now);
         osc.stop(now + 2.0);
@@ -228,11 +297,31 @@ export class AudioManager {
         
         windNoise.connect(bandPass);
         bandPass.connect(windGain);
-        windGain.connect(this.masterGain);
+        windGain.connect(this.ambienceGain);
         
         windNoise.start();
         lfo.start();
         this.ambientNodes.push(windNoise, lfo);
+        this.stormWind = { gain: windGain, filter: bandPass };
+    }
+
+    // The storm wind rises over the warning second and howls through the gust
+    playGustWarning(duration) {
+        if (!this.isInitialized || !this.stormWind) return;
+        const now = this.audioContext.currentTime;
+        const { gain, filter } = this.stormWind;
+
+        gain.gain.cancelScheduledValues(now);
+        gain.gain.setValueAtTime(0.1, now);
+        gain.gain.linearRampToValueAtTime(0.3, now + 1);
+        gain.gain.setValueAtTime(0.3, now + 1 + duration * 0.6);
+        gain.gain.linearRampToValueAtTime(0.1, now + 1 + duration);
+
+        filter.frequency.cancelScheduledValues(now);
+        filter.frequency.setValueAtTime(400, now);
+        filter.frequency.exponentialRampToValueAtTime(900, now + 1);
+        filter.frequency.setValueAtTime(900, now + 1 + duration * 0.6);
+        filter.frequency.exponentialRampToValueAtTime(400, now + 1 + duration);
     }
     
     createRainSound() {
@@ -268,13 +357,14 @@ export class AudioManager {
         rainNoise.connect(highPass);
         highPass.connect(bandPass);
         bandPass.connect(rainGain);
-        rainGain.connect(this.masterGain);
+        rainGain.connect(this.ambienceGain);
         
         rainNoise.start();
         this.ambientNodes.push(rainNoise);
         
         // Add occasional thunder rumble
         this.thunderInterval = setInterval(() => {
+            if (this.isSuspended) return;
             if (Math.random() < 0.1) { // 10% chance every few seconds
                 this.playThunder();
             }
@@ -310,7 +400,7 @@ export class AudioManager {
         
         thunderSource.connect(lowPass);
         lowPass.connect(thunderGain);
-        thunderGain.connect(this.masterGain);
+        thunderGain.connect(this.ambienceGain);
         
         thunderSource.start(now);
     }
@@ -319,7 +409,7 @@ export class AudioManager {
         // Create noise using oscillator modulation
         const noiseGain = this.audioContext.createGain();
         noiseGain.gain.value = volume;
-        noiseGain.connect(this.masterGain);
+        noiseGain.connect(this.ambienceGain);
         
         // Low frequency oscillator for wind effect
         const windOsc = this.audioContext.createOscillator();
@@ -357,6 +447,7 @@ export class AudioManager {
         const interval = isClearNight ? 400 : 800; // More frequent in clear night
         
         this.cricketInterval = setInterval(() => {
+            if (this.isSuspended) return;
             if (Math.random() < chirpChance) {
                 this.playCricketChirp();
             }
@@ -382,7 +473,7 @@ export class AudioManager {
         gain.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
         
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.ambienceGain);
         
         osc.start(now);
         osc.stop(now + 0.1);
@@ -399,7 +490,7 @@ export class AudioManager {
             gain2.gain.exponentialRampToValueAtTime(0.001, now + 0.12);
             
             osc2.connect(gain2);
-            gain2.connect(this.masterGain);
+            gain2.connect(this.ambienceGain);
             
             osc2.start(now + 0.06);
             osc2.stop(now + 0.15);
@@ -422,7 +513,7 @@ export class AudioManager {
         gain.gain.exponentialRampToValueAtTime(0.01, now + 0.2);
         
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         osc.start(now);
         osc.stop(now + 0.25);
@@ -444,7 +535,7 @@ export class AudioManager {
         oscGain.gain.exponentialRampToValueAtTime(0.01, now + 0.15);
         
         osc.connect(oscGain);
-        oscGain.connect(this.masterGain);
+        oscGain.connect(this.sfxGain);
         
         osc.start(now);
         osc.stop(now + 0.2);
@@ -470,7 +561,7 @@ export class AudioManager {
         
         noiseSource.connect(filter);
         filter.connect(noiseGain);
-        noiseGain.connect(this.masterGain);
+        noiseGain.connect(this.sfxGain);
         
         noiseSource.start(now);
     }
@@ -496,13 +587,40 @@ export class AudioManager {
             gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.15);
             
             osc.connect(gain);
-            gain.connect(this.masterGain);
+            gain.connect(this.sfxGain);
             
             osc.start(startTime);
             osc.stop(startTime + 0.2);
         });
     }
     
+    // Carry mode: a newt let go on the wrong side of the road
+    playMisdropSound() {
+        if (!this.isInitialized) return;
+
+        const now = this.audioContext.currentTime;
+
+        // Two falling notes, the rescue arpeggio's sad answer
+        [392.00, 261.63].forEach((freq, i) => {
+            const osc = this.audioContext.createOscillator();
+            osc.type = 'triangle';
+            osc.frequency.value = freq;
+
+            const gain = this.audioContext.createGain();
+            const startTime = now + i * 0.14;
+
+            gain.gain.setValueAtTime(0, startTime);
+            gain.gain.linearRampToValueAtTime(0.18, startTime + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.25);
+
+            osc.connect(gain);
+            gain.connect(this.sfxGain);
+
+            osc.start(startTime);
+            osc.stop(startTime + 0.3);
+        });
+    }
+
     playCarEngine(car) {
         if (!this.isInitialized || car.isStealth) return null;
         
@@ -578,7 +696,7 @@ export class AudioManager {
         
         osc.connect(filter);
         filter.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         osc.start();
         modOsc.start();
@@ -655,7 +773,7 @@ export class AudioManager {
         
         noiseSource.connect(filter);
         filter.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         noiseSource.start(now);
         
@@ -669,7 +787,7 @@ export class AudioManager {
         heartGain.gain.exponentialRampToValueAtTime(0.01, now + 0.15);
         
         heartOsc.connect(heartGain);
-        heartGain.connect(this.masterGain);
+        heartGain.connect(this.sfxGain);
         
         heartOsc.start(now);
         heartOsc.stop(now + 0.2);
@@ -700,7 +818,7 @@ export class AudioManager {
         lfoGain.connect(this.lowBatteryGain.gain);
         
         this.lowBatteryOscillator.connect(this.lowBatteryGain);
-        this.lowBatteryGain.connect(this.masterGain);
+        this.lowBatteryGain.connect(this.sfxGain);
         
         this.lowBatteryOscillator.start();
         lfo.start();
@@ -745,7 +863,7 @@ export class AudioManager {
         
         osc.connect(filter);
         filter.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         osc.start(now);
         osc.stop(now + 1);
@@ -772,7 +890,7 @@ export class AudioManager {
         gain.gain.value = 0.5;
         
         noiseSource.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         noiseSource.start(now);
     }
@@ -801,7 +919,7 @@ export class AudioManager {
         
         osc.connect(filter);
         filter.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         osc.start(now);
         osc.stop(now + 2.1);
@@ -837,7 +955,7 @@ export class AudioManager {
         
         noiseSource.connect(filter);
         filter.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         noiseSource.start(now);
     }
@@ -897,7 +1015,7 @@ export class AudioManager {
         growlFilter.connect(growlGain);
         noiseSource.connect(growlGain);
         growlGain.connect(envGain);
-        envGain.connect(this.masterGain);
+        envGain.connect(this.sfxGain);
         
         growlOsc.start(now);
         lfo.start(now);
@@ -937,7 +1055,7 @@ export class AudioManager {
         
         noiseSource.connect(filter);
         filter.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         noiseSource.start(now);
     }
@@ -977,7 +1095,7 @@ export class AudioManager {
         
         noiseSource.connect(filter);
         filter.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         noiseSource.start(audioNow);
         
@@ -1003,14 +1121,19 @@ export class AudioManager {
         gain.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
         
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         osc.start(now);
         osc.stop(now + 0.06);
     }
     
+    // Safe to call every tick: breaths come faster and louder as intensity (0-1) rises
     playBreathing(intensity = 0.5) {
         if (!this.isInitialized) return;
+
+        const interval = 1100 - intensity * 500;
+        if (performance.now() - this.lastBreathTime < interval) return;
+        this.lastBreathTime = performance.now();
         
         const now = this.audioContext.currentTime;
         
@@ -1035,17 +1158,45 @@ export class AudioManager {
         filter.Q.value = 2;
         
         const gain = this.audioContext.createGain();
-        gain.gain.value = 0.02 * intensity;
+        gain.gain.value = 0.06 * intensity;
         
         noiseSource.connect(filter);
         filter.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         
         noiseSource.start(now);
     }
     
+    // Freeze ambient, engine and warning sounds in place (pause menu)
+    suspend() {
+        if (this.isSuspended) return;
+        this.isSuspended = true;
+
+        this.wasTrackPlaying = !this.backgroundTrack.paused;
+        this.backgroundTrack.pause();
+
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend().catch(() => {});
+        }
+    }
+
+    resume() {
+        if (!this.isSuspended) return;
+        this.isSuspended = false;
+
+        if (this.wasTrackPlaying) {
+            this.backgroundTrack.play().catch(() => {});
+        }
+        this.wasTrackPlaying = false;
+
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+        }
+    }
+
     stopAmbient() {
         this.backgroundTrack.pause();
+        this.wasTrackPlaying = false;
 
         // Stop ambient oscillators
         this.ambientNodes.forEach(node => {
@@ -1080,6 +1231,7 @@ export class AudioManager {
         }
         
         this.stopLowBatteryWarning();
+        this.stormWind = null;
     }
     
     reset() {
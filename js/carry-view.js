@@ -0,0 +1,77 @@
+// carry-view.js - First-person bucket showing the newts carried in carry mode
+// The bucket hangs at the bottom right of the view as a child of the camera, with one small
+// newt per carried newt peeking over the rim. It is purely cosmetic: what is carried lives in
+// NewtManager.carried, and the bucket only mirrors it after each tick.
+import * as THREE from 'three';
+import { NEWT_RULES } from './newts.js';
+
+const BUCKET_POSITION = new THREE.Vector3(0.34, -0.4, -0.7);
+const NEWT_SCALE = 0.32;
+
+export class CarryView {
+    // newtManager builds the little newts, so they match the ones on the road
+    constructor(camera, newtManager) {
+        this.newtManager = newtManager;
+        this.swayTime = 0;
+
+        this.group = new THREE.Group();
+        this.group.position.copy(BUCKET_POSITION);
+        this.group.visible = false;
+        camera.add(this.group);
+
+        const metal = new THREE.MeshStandardMaterial({
+            color: 0x8a9399,
+            roughness: 0.45,
+            metalness: 0.6,
+            side: THREE.DoubleSide
+        });
+        const wall = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.11, 0.2, 14, 1, true), metal);
+        const base = new THREE.Mesh(new THREE.CircleGeometry(0.11, 14), metal);
+        base.rotation.x = -Math.PI / 2;
+        base.position.y = -0.1;
+        const handle = new THREE.Mesh(new THREE.TorusGeometry(0.15, 0.006, 4, 16, Math.PI), metal);
+        handle.position.y = 0.1;
+        this.group.add(wall, base, handle);
+
+        // One newt per carry slot, spread round the rim and facing out
+        this.newts = [];
+        for (let i = 0; i < NEWT_RULES.carryLimit; i++) {
+            const mesh = newtManager.createNewtMesh();
+            const angle = (i / NEWT_RULES.carryLimit) * Math.PI * 2 + 0.4;
+            mesh.scale.setScalar(NEWT_SCALE);
+            mesh.position.set(Math.cos(angle) * 0.07, 0.05, Math.sin(angle) * 0.07);
+            mesh.rotation.set(0, -angle, 0.7);
+            mesh.visible = false;
+            this.group.add(mesh);
+            this.newts.push(mesh);
+        }
+    }
+
+    // Hidden outside carry mode
+    setEnabled(enabled) {
+        this.group.visible = enabled;
+    }
+
+    // carried: NewtManager.getCarried(); bonus newts keep their dark colouring
+    show(carried) {
+        this.newts.forEach((mesh, i) => {
+            const newt = carried[i];
+            mesh.visible = !!newt;
+            if (newt && mesh.userData.isBonus !== newt.isBonus) {
+                mesh.userData.isBonus = newt.isBonus;
+                // Resetting the colours also resets the rotation
+                const yaw = mesh.rotation.y;
+                this.newtManager.resetNewtAppearance(mesh);
+                mesh.rotation.set(0, yaw, 0.7);
+            }
+        });
+    }
+
+    // The bucket swings with the player's stride
+    update(deltaTime, isMoving) {
+        if (!this.group.visible) return;
+        this.swayTime += deltaTime * (isMoving ? 1 : 0.3);
+        this.group.rotation.z = Math.sin(this.swayTime * 4.5) * 0.08;
+        this.group.position.y = BUCKET_POSITION.y + Math.abs(Math.sin(this.swayTime * 4.5)) * 0.02;
+    }
+}
@@ -1,5 +1,9 @@
 // cars.js - Car traffic with normal and stealth variants, collision detection
 import * as THREE from 'three';
+import { random } from './random.js';
+import { TransformInterpolator } from './interpolation.js';
+import { presetForLevel } from './quality.js';
+import { canEnterClosure } from './roadworks.js';
 
 // Vehicle types
 const VEHICLE_TYPES = {
@@ -11,15 +15,42 @@ const VEHICLE_TYPES = {
     MOTORCYCLE: 'motorcycle'
 };
 
+// Fallback mix when a level does not specify its own traffic
+const DEFAULT_TRAFFIC_MIX = {
+    [VEHICLE_TYPES.CAR]: 0.30,
+    [VEHICLE_TYPES.SEDAN]: 0.20,
+    [VEHICLE_TYPES.SUV]: 0.20,
+    [VEHICLE_TYPES.TRUCK]: 0.15,
+    [VEHICLE_TYPES.SEMI]: 0.07,
+    [VEHICLE_TYPES.MOTORCYCLE]: 0.08
+};
+
+// Spawn decisions come from the seeded traffic stream; paint colors stay cosmetic
+const traffic = random.stream('traffic');
+
+// Oriented footprint of a vehicle on the XZ plane. min/max hold the enclosing
+// axis-aligned bounds so cheap rejection still works before the SAT test.
+function createCarBox() {
+    return {
+        minX: 0, maxX: 0, minZ: 0, maxZ: 0,
+        x: 0, z: 0, cos: 1, sin: 0, halfWidth: 0, halfLength: 0
+    };
+}
+
 export class CarManager {
     constructor(scene, roadCurve = null, options = {}) {
         this.scene = scene;
         this.roadCurve = roadCurve;
         this.isLowEnd = !!options.isLowEnd;
         this.enableDynamicLights = options.enableDynamicLights !== false;
+        // Headless: simulation only (see createHeadless), no meshes, materials or glows
+        this.headless = !!options.headless;
 
         this.cars = [];
 
+        // Cars move in fixed simulation steps; meshes are blended between steps for rendering
+        this.transforms = new TransformInterpolator();
+
         // Spawn settings
         this.baseSpawnInterval = 4; // seconds
         this.spawnTimer = 0;
@@ -40,15 +71,23 @@ export class CarManager {
         // Difficulty multiplier (for endless mode)
         this.difficultyMultiplier = 1;
 
+        // Vehicle type weights (replaced per level)
+        this.trafficMix = { ...DEFAULT_TRAFFIC_MIX };
+
+        // Roadworks lane closure (see roadworks.js): directions take turns on the open lane
+        this.laneClosure = null;
+        this.closureTime = 0;
+
         // Shared materials to reduce draw calls
-        this.sharedMaterials = this.createSharedMaterials();
+        this.sharedMaterials = this.headless ? null : this.createSharedMaterials();
 
         this.qualityLevel = this.isLowEnd ? 1 : 3;
         this.maxCars = this.isLowEnd ? 7 : 14;
+        this.showDynamicHeadlights = this.enableDynamicLights && !this.isLowEnd;
 
         // Car object pool
         this.carPool = new Map();
-        this.initPool();
+        if (!this.headless) this.initPool();
 
         this._tmpNormal = new THREE.Vector3();
         this._tmpLaneOffset = new THREE.Vector3();
@@ -57,18 +96,24 @@ export class CarManager {
         this._tmpTangent = new THREE.Vector3();
 
         // Scratch collision boxes (avoid per-frame allocations)
-        this._carBox = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
-        this._carBox2 = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
+        this._carBox = createCarBox();
+        this._carBox2 = createCarBox();
         this._newtBox = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
 
         // Cached curve length (getLength() is expensive — do not call per frame)
         this._curveLength = roadCurve ? roadCurve.getLength() : 0;
 
         // Shared glow texture + points cloud for head/taillight halos
-        this._glowTexture = this.createGlowTexture();
+        this._glowTexture = this.headless ? null : this.createGlowTexture();
         this.lightGlows = null;
         this.lightGlowPositions = null;
-        this.initLightGlows();
+        if (!this.headless) this.initLightGlows();
+    }
+
+    // Simulation-only traffic for tests and headless re-simulation (no DOM): cars are
+    // bare transforms in an unrendered scene
+    static createHeadless(roadCurve) {
+        return new CarManager(new THREE.Scene(), roadCurve, { headless: true, enableDynamicLights: false });
     }
 
     createGlowTexture() {
@@ -151,22 +196,23 @@ export class CarManager {
         this._curveLength = roadCurve ? roadCurve.getLength() : 0;
     }
 
+    // closure: RoadworksManager.getLaneClosure(), or null to open both lanes
+    setLaneClosure(closure) {
+        this.laneClosure = closure;
+        this.closureTime = 0;
+    }
+
     setDifficultyMultiplier(mult) {
         this.difficultyMultiplier = mult;
     }
 
     setQualityLevel(level) {
+        const preset = presetForLevel(level);
         this.qualityLevel = Math.max(0, Math.min(3, level | 0));
+        this.maxCars = this.isLowEnd ? preset.lowEndMaxCars : preset.maxCars;
 
-        if (this.qualityLevel <= 1) {
-            this.maxCars = this.isLowEnd ? 6 : 8;
-        } else if (this.qualityLevel === 2) {
-            this.maxCars = this.isLowEnd ? 8 : 11;
-        } else {
-            this.maxCars = this.isLowEnd ? 9 : 14;
-        }
-
-        const showDynamicHeadlights = this.enableDynamicLights && this.qualityLevel >= 2;
+        const showDynamicHeadlights = this.enableDynamicLights && preset.carHeadlights;
+        this.showDynamicHeadlights = showDynamicHeadlights;
         if (this.carPool) {
             this.carPool.forEach(pool => {
                 pool.meshes.forEach(mesh => {
@@ -220,6 +266,7 @@ export class CarManager {
     }
 
     releaseToPool(car) {
+        this.transforms.untrack(car.mesh);
         car.mesh.visible = false;
         const pool = this.carPool.get(car.vehicleType);
         if (pool) {
@@ -229,17 +276,30 @@ export class CarManager {
         }
     }
 
+    // Relative spawn weights keyed by vehicle type (from the level definition).
+    // Types the mix leaves out never spawn; unknown keys are ignored.
+    setTrafficMix(mix) {
+        this.trafficMix = {};
+        Object.values(VEHICLE_TYPES).forEach(type => {
+            this.trafficMix[type] = mix ? Math.max(0, Number(mix[type]) || 0) : DEFAULT_TRAFFIC_MIX[type];
+        });
+    }
+
     getRandomVehicleType() {
-        const rand = Math.random();
-        if (rand < 0.30) return VEHICLE_TYPES.CAR;
-        if (rand < 0.50) return VEHICLE_TYPES.SEDAN;
-        if (rand < 0.70) return VEHICLE_TYPES.SUV;
-        if (rand < 0.85) return VEHICLE_TYPES.TRUCK;
-        if (rand < 0.92) return VEHICLE_TYPES.SEMI;
-        return VEHICLE_TYPES.MOTORCYCLE;
+        const mix = this.trafficMix || DEFAULT_TRAFFIC_MIX;
+        let total = 0;
+        for (const type in mix) total += mix[type];
+
+        let rand = traffic.next() * total;
+        for (const type in mix) {
+            rand -= mix[type];
+            if (rand < 0) return type;
+        }
+        return VEHICLE_TYPES.CAR;
     }
 
     createVehicleMesh(isStealth, vehicleType) {
+        if (this.headless) return new THREE.Group();
         switch (vehicleType) {
             case VEHICLE_TYPES.MOTORCYCLE:
                 return this.createMotorcycleMesh(isStealth);
@@ -373,7 +433,7 @@ export class CarManager {
         mR.position.set(-0.95, yLight, frontZ - 0.02);
         group.add(mR);
 
-        if (!isStealth && this.enableDynamicLights && this.qualityLevel >= 2) {
+        if (!isStealth && this.showDynamicHeadlights) {
             const light = new THREE.SpotLight(0xf5f8ff, 2.5, 25, 0.5, 0.6);
             light.position.set(0, yLight, frontZ);
             light.target.position.set(0, 0, frontZ + 20);
@@ -945,7 +1005,7 @@ export class CarManager {
             headlight.position.set(0, 0.72, 1.22);
             group.add(headlight);
 
-            if (this.enableDynamicLights && this.qualityLevel >= 2) {
+            if (this.showDynamicHeadlights) {
                 const light = new THREE.SpotLight(0xffffee, 1.5, 25, 0.4, 0.5);
                 light.position.set(0, 0.72, 1.22);
                 light.target.position.set(0, 0, 15);
@@ -1034,7 +1094,7 @@ export class CarManager {
         group.add(rightHeadlight);
 
         // Only add a single SpotLight on high quality (not one per headlight)
-        if (this.enableDynamicLights && this.qualityLevel >= 2) {
+        if (this.showDynamicHeadlights) {
             const light = new THREE.SpotLight(0xffffee, 2.5, 25, 0.5, 0.6);
             light.position.set(0, yPos, zPos);
             light.target.position.set(0, 0, zPos + 20);
@@ -1068,14 +1128,14 @@ export class CarManager {
             stealthChance += (elapsedMinutes - 2) * this.stealthChanceIncrease;
         }
         stealthChance *= this.difficultyMultiplier;
-        const isStealth = Math.random() < stealthChance;
+        const isStealth = traffic.next() < stealthChance;
 
         // Get random vehicle type
         const vehicleType = this.getRandomVehicleType();
         const mesh = this.acquireFromPool(vehicleType, isStealth);
 
         // Random lane (-3 or 3 for two-lane road)
-        const lane = Math.random() > 0.5 ? 3 : -3;
+        const lane = traffic.next() > 0.5 ? 3 : -3;
 
         // Direction based on lane
         const direction = lane > 0 ? 1 : -1;
@@ -1117,14 +1177,17 @@ export class CarManager {
             mesh: mesh,
             lane: lane,
             direction: direction,
-            speed: baseSpeed + Math.random() * 6,
+            speed: baseSpeed + traffic.next() * 6,
             isStealth: isStealth,
             hasTriggeredNearMiss: false,
             vehicleType: vehicleType,
             curveT: startT,
-            targetPosition: finalPosition.clone()
+            targetPosition: finalPosition.clone(),
+            limitT: null,           // furthest curveT allowed this step (lane closure)
+            closureGranted: false
         };
 
+        this.transforms.track(mesh);
         this.cars.push(car);
     }
 
@@ -1143,6 +1206,11 @@ export class CarManager {
         // Update cooldown
         this.lastNearMiss += deltaTime;
 
+        if (this.laneClosure && this.roadCurve) {
+            this.closureTime += deltaTime;
+            this.holdForLaneClosure(this._curveLength || (this._curveLength = this.roadCurve.getLength()));
+        }
+
         // Update each car
         for (let i = this.cars.length - 1; i >= 0; i--) {
             const car = this.cars[i];
@@ -1153,8 +1221,12 @@ export class CarManager {
                 const moveDistance = car.speed * deltaTime;
                 const tDelta = moveDistance / curveLength;
 
-                // Update curve position
-                car.curveT += car.direction * tDelta;
+                // Update curve position, stopping short of a red signal or the car ahead
+                let nextT = car.curveT + car.direction * tDelta;
+                if (this.laneClosure && car.limitT !== null && car.direction * (nextT - car.limitT) > 0) {
+                    nextT = car.direction * (car.curveT - car.limitT) > 0 ? car.curveT : car.limitT;
+                }
+                car.curveT = nextT;
 
                 // Check if car reached end of road
                 if (car.curveT > 1 || car.curveT < 0) {
@@ -1169,11 +1241,10 @@ export class CarManager {
 
                 // Calculate lane offset
                 this._tmpNormal.set(-tangent.z, 0, tangent.x).normalize();
-                this._tmpLaneOffset.copy(this._tmpNormal).multiplyScalar(car.lane);
+                this._tmpLaneOffset.copy(this._tmpNormal).multiplyScalar(this.getLaneOffset(car));
                 this._tmpTargetPos.copy(curvePoint).add(this._tmpLaneOffset);
 
-                // Smooth movement
-                car.mesh.position.lerp(this._tmpTargetPos, 0.3);
+                car.mesh.position.copy(this._tmpTargetPos);
 
                 // Smooth rotation
                 const targetAngle = Math.atan2(tangent.x, tangent.z) + (car.direction > 0 ? 0 : Math.PI);
@@ -1195,7 +1266,58 @@ export class CarManager {
                 }
             }
         }
+    }
+
+    // Sets each car's limitT for this step: cars wait at the stop line until they can cross
+    // the closure on their green, and queue behind the car ahead in the same direction
+    holdForLaneClosure(curveLength) {
+        const closure = this.laneClosure;
+        const stopGap = closure.rules.stopGap / curveLength;
+        const queueGap = closure.rules.queueGap / curveLength;
 
+        for (const car of this.cars) {
+            const d = car.direction;
+            const entry = d > 0 ? closure.start : closure.end;
+            const exit = d > 0 ? closure.end : closure.start;
+            car.limitT = null;
+
+            if (!car.closureGranted && d * (entry - car.curveT) > 0) {
+                const distanceToExit = d * (exit - car.curveT) * curveLength;
+                if (canEnterClosure(d, this.closureTime, distanceToExit, car.speed, closure.rules)) {
+                    car.closureGranted = true;
+                } else {
+                    car.limitT = entry - d * stopGap;
+                }
+            }
+
+            let ahead = null;
+            for (const other of this.cars) {
+                if (other === car || other.direction !== d || d * (other.curveT - car.curveT) <= 0) continue;
+                if (!ahead || d * (other.curveT - ahead.curveT) < 0) ahead = other;
+            }
+            if (ahead) {
+                const behind = ahead.curveT - d * queueGap;
+                if (car.limitT === null || d * (behind - car.limitT) < 0) car.limitT = behind;
+            }
+        }
+    }
+
+    // Lateral offset from the centre line: cars in a closed lane ease across to the open one
+    // over the closure's tapers
+    getLaneOffset(car) {
+        const closure = this.laneClosure;
+        if (!closure || car.lane !== closure.closedLane) return car.lane;
+
+        const across = Math.max(0, Math.min(1,
+            (car.curveT - closure.start) / closure.taper,
+            (closure.end - car.curveT) / closure.taper));
+        const eased = across * across * (3 - 2 * across);
+        return car.lane * (1 - 2 * eased);
+    }
+
+    // Render step: blend cars between simulation steps and move their light halos along
+    interpolate(alpha) {
+        this.transforms.apply(alpha);
         this.updateLightGlows();
     }
 
@@ -1251,9 +1373,10 @@ export class CarManager {
 
     // ─── COLLISION DETECTION ───────────────────────────────────────
 
-    // Writes a car's bounds into `out` (no allocation in hot loops).
+    // Writes a car's oriented bounds into `out` (no allocation in hot loops).
     fillCarBox(car, out) {
         const pos = car.mesh.position;
+        const yaw = car.mesh.rotation ? car.mesh.rotation.y : 0;
 
         let halfWidth = 1;
         let halfLength = 2;
@@ -1272,22 +1395,34 @@ export class CarManager {
             halfLength = 2.1;
         }
 
-        out.minX = pos.x - halfWidth;
-        out.maxX = pos.x + halfWidth;
-        out.minZ = pos.z - halfLength;
-        out.maxZ = pos.z + halfLength;
+        // Local +Z (forward) maps to (sin, cos) and local +X (right) to (cos, -sin)
+        const cos = Math.cos(yaw);
+        const sin = Math.sin(yaw);
+        const extentX = Math.abs(cos) * halfWidth + Math.abs(sin) * halfLength;
+        const extentZ = Math.abs(sin) * halfWidth + Math.abs(cos) * halfLength;
+
+        out.x = pos.x;
+        out.z = pos.z;
+        out.cos = cos;
+        out.sin = sin;
+        out.halfWidth = halfWidth;
+        out.halfLength = halfLength;
+        out.minX = pos.x - extentX;
+        out.maxX = pos.x + extentX;
+        out.minZ = pos.z - extentZ;
+        out.maxZ = pos.z + extentZ;
         return out;
     }
 
     _scratchCarBox() {
-        if (!this._carBox) this._carBox = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
+        if (!this._carBox) this._carBox = createCarBox();
         return this._carBox;
     }
 
     checkCollision(playerBox) {
         const carBox = this._scratchCarBox();
         for (const car of this.cars) {
-            if (this.boxesIntersect(playerBox, this.fillCarBox(car, carBox))) {
+            if (this.boxIntersectsCar(playerBox, this.fillCarBox(car, carBox))) {
                 return { collision: true, isStealth: car.isStealth };
             }
         }
@@ -1303,8 +1438,8 @@ export class CarManager {
 
             this.fillCarBox(car, carBox);
 
-            if (this.boxesIntersect(playerNearMissBox, carBox) &&
-                !this.boxesIntersect(playerCollisionBox, carBox)) {
+            if (this.boxIntersectsCar(playerNearMissBox, carBox) &&
+                !this.boxIntersectsCar(playerCollisionBox, carBox)) {
                 car.hasTriggeredNearMiss = true;
                 this.lastNearMiss = 0;
                 return { nearMiss: true, isStealth: car.isStealth };
@@ -1314,9 +1449,7 @@ export class CarManager {
     }
 
     getCarBoundingBox(car) {
-        return this.fillCarBox(car, {
-            minX: 0, maxX: 0, minZ: 0, maxZ: 0
-        });
+        return this.fillCarBox(car, createCarBox());
     }
 
     boxesIntersect(box1, box2) {
@@ -1324,6 +1457,30 @@ export class CarManager {
             box1.maxZ < box2.minZ || box1.minZ > box2.maxZ);
     }
 
+    // Separating-axis test between an axis-aligned box and an oriented car box.
+    // The world axes are covered by the car's enclosing bounds; the car's own
+    // right and forward axes are checked after that. Touching counts as a hit.
+    boxIntersectsCar(box, carBox) {
+        if (!this.boxesIntersect(box, carBox)) return false;
+
+        const extentX = (box.maxX - box.minX) / 2;
+        const extentZ = (box.maxZ - box.minZ) / 2;
+        const dx = box.minX + extentX - carBox.x;
+        const dz = box.minZ + extentZ - carBox.z;
+        const cos = carBox.cos;
+        const sin = carBox.sin;
+
+        // Car right axis (cos, -sin)
+        const rightDist = Math.abs(dx * cos - dz * sin);
+        if (rightDist > extentX * Math.abs(cos) + extentZ * Math.abs(sin) + carBox.halfWidth) return false;
+
+        // Car forward axis (sin, cos)
+        const forwardDist = Math.abs(dx * sin + dz * cos);
+        if (forwardDist > extentX * Math.abs(sin) + extentZ * Math.abs(cos) + carBox.halfLength) return false;
+
+        return true;
+    }
+
     getCars() {
         return this.cars;
     }
@@ -1343,7 +1500,7 @@ export class CarManager {
                 newtBox.minZ = newtPos.z - 0.3;
                 newtBox.maxZ = newtPos.z + 0.3;
 
-                if (this.boxesIntersect(carBox, newtBox)) {
+                if (this.boxIntersectsCar(newtBox, carBox)) {
                     crushedNewts.push(newt);
                 }
             }
@@ -1359,6 +1516,7 @@ export class CarManager {
         this.cars = [];
         this.spawnTimer = 0;
         this.lastNearMiss = 0;
+        this.closureTime = 0;
         if (this.lightGlows) {
             this.lightGlows.geometry.setDrawRange(0, 0);
         }
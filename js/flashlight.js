@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { presetForLevel } from './quality.js';
+
+// Sprinting shakes the light and works it harder
+const SPRINT_DRAIN_MULTIPLIER = 1.5;
 
 const _direction = new THREE.Vector3();
 const _flashlightDir = new THREE.Vector3();
@@ -26,6 +30,8 @@ export class Flashlight {
         this.isOn = true;
 
         this.externalDrainMultiplier = 1;
+        this.isSprinting = false;
+        this.windWobble = 0;
 
         this.rescuePulseTimer = 0;
         this.bonusBrightnessTimer = 0;
@@ -34,6 +40,7 @@ export class Flashlight {
         this.targetIntensity = this.maxIntensity;
         this.currentColorTemp = 0;
         this.qualityLevel = isMobile ? 1 : 3;
+        this.quality = presetForLevel(this.qualityLevel);
 
         this.init();
     }
@@ -113,13 +120,20 @@ export class Flashlight {
         this.drainMultiplier = 1 + elapsedMinutes * 0.2;
 
         if (this.isOn && this.battery > 0) {
-            this.battery -= this.baseDrainRate * this.drainMultiplier * this.externalDrainMultiplier * deltaTime;
+            const sprintDrain = this.isSprinting ? SPRINT_DRAIN_MULTIPLIER : 1;
+            this.battery -= this.baseDrainRate * this.drainMultiplier * this.externalDrainMultiplier * sprintDrain * deltaTime;
             if (this.battery < 0) this.battery = 0;
         }
 
         this.camera.getWorldDirection(_direction);
         this.target.position.copy(this.camera.position).add(_direction.multiplyScalar(10));
 
+        // Gusts knock the beam about; only the light moves, not what counts as lit
+        if (this.windWobble > 0) {
+            this.target.position.x += (Math.sin(elapsedTime * 11) + Math.sin(elapsedTime * 17.3) * 0.5) * 0.3 * this.windWobble;
+            this.target.position.y += Math.sin(elapsedTime * 13.7) * 0.2 * this.windWobble;
+        }
+
         this.targetIntensity = 0;
         if (this.isOn && this.battery > 0) {
             this.targetIntensity = (this.battery / 100) * this.maxIntensity;
@@ -189,9 +203,8 @@ export class Flashlight {
 
         if (this.outerGlow.visible) {
             const glowBase = this.isMobile ? 3 : 5;
-            const glowScale = this.qualityLevel <= 1 ? 0.45 : (this.qualityLevel === 2 ? 0.75 : 1);
             this.outerGlow.intensity = this.isOn && this.battery > 0
-                ? (this.battery / 100) * glowBase * (this.currentIntensity / this.maxIntensity) * glowScale
+                ? (this.battery / 100) * glowBase * (this.currentIntensity / this.maxIntensity) * this.quality.flashlightGlow
                 : 0;
             this.outerGlow.color.copy(this.spotlight.color);
         }
@@ -200,28 +213,30 @@ export class Flashlight {
             const baseOpacity = this.isOn && this.battery > 0
                 ? 0.035 * (this.battery / 100) * (this.currentIntensity / this.maxIntensity)
                 : 0;
-            this.coneMaterial.opacity = this.qualityLevel <= 1 ? 0 : baseOpacity;
+            this.coneMaterial.opacity = this.quality.flashlightCone ? baseOpacity : 0;
             this.coneMaterial.color.copy(this.spotlight.color);
-            this.volumetricCone.visible = this.qualityLevel > 1 && baseOpacity > 0.001;
+            this.volumetricCone.visible = this.quality.flashlightCone && baseOpacity > 0.001;
         }
     }
 
     setQualityLevel(level) {
+        const preset = presetForLevel(level);
         this.qualityLevel = Math.max(0, Math.min(3, level | 0));
+        this.quality = preset;
 
-        const shadowEnabled = !this.isMobile && this.qualityLevel >= 2;
+        const shadowEnabled = !this.isMobile && preset.flashlightShadows;
         this.spotlight.castShadow = shadowEnabled;
 
-        const shadowSize = this.qualityLevel <= 1 ? 256 : 512;
+        const shadowSize = preset.shadowMapSize;
         this.spotlight.shadow.mapSize.width = shadowSize;
         this.spotlight.shadow.mapSize.height = shadowSize;
 
-        this.outerGlow.distance = this.qualityLevel <= 1
+        this.outerGlow.distance = preset.flashlightGlow === 0
             ? (this.isMobile ? 24 : 20)
             : (this.isMobile ? 35 : 30);
 
-        // Disable fill and outer glow on lowest quality for major perf win
-        if (this.qualityLevel <= 1) {
+        // Disable fill and outer glow on the lowest preset for major perf win
+        if (preset.flashlightGlow === 0) {
             this.fillLight.intensity = 0;
             this.outerGlow.intensity = 0;
             this.fillLight.visible = false;
@@ -232,7 +247,7 @@ export class Flashlight {
         }
 
         if (this.volumetricCone) {
-            this.volumetricCone.visible = this.qualityLevel > 1;
+            this.volumetricCone.visible = preset.flashlightCone;
         }
     }
 
@@ -288,6 +303,15 @@ export class Flashlight {
         this.externalDrainMultiplier = mult;
     }
 
+    setSprinting(isSprinting) {
+        this.isSprinting = isSprinting;
+    }
+
+    // amount: 0-1 strength of the gust blowing now
+    setWindWobble(amount) {
+        this.windWobble = amount;
+    }
+
     pulseOnRescue() {
         this.rescuePulseTimer = 0.35;
     }
@@ -299,6 +323,8 @@ export class Flashlight {
     reset() {
         this.battery = 100;
         this.drainMultiplier = 1;
+        this.isSprinting = false;
+        this.windWobble = 0;
         this.isFlickering = false;
         this.flickerTimer = 0;
         this.isOn = true;
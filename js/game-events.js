@@ -0,0 +1,79 @@
+// game-events.js - Typed event bus for gameplay events
+// Game.update() reports what happened; audio, UI, haptics, stats and achievements subscribe
+// (see Game.subscribeToGameEvents) so new features can react without editing the main loop.
+// Every event is declared here with the payload fields it must carry; emitting or subscribing
+// to an undeclared event, or emitting without a declared field, throws, so typos fail loudly.
+
+export const GAME_EVENTS = {
+    'newt:rescued': ['position', 'bonus'],        // position: THREE.Vector3 of the newt
+    'newt:crushed': ['position'],
+    'newt:pickedUp': ['position', 'bonus'],       // carry mode: into the bucket
+    'newt:misdropped': ['position'],              // carry mode: let go on the wrong side
+    'car:nearMiss': ['stealth'],
+    'player:died': ['reason', 'score', 'rescued', 'time', 'level', 'wave'], // live runs only
+    'level:started': ['level', 'wave'],           // wave is 0 on a defined level
+    'level:completed': ['level', 'flashlightTurnedOff'],
+    'battery:low': ['battery'],                   // crossed into the low-battery range
+    'battery:recovered': ['battery'],             // back out of it
+    'wind:gustWarning': ['strength', 'duration']  // a strong gust hits in WIND_RULES.warningTime
+};
+
+export class EventBus {
+    constructor(events = GAME_EVENTS) {
+        this.events = events;
+        this.handlers = new Map(); // event type -> handlers in subscription order
+    }
+
+    checkType(type) {
+        if (!Object.hasOwn(this.events, type)) {
+            throw new Error(`Unknown game event: ${type}`);
+        }
+    }
+
+    // Returns a function that removes the handler again
+    on(type, handler) {
+        this.checkType(type);
+        if (!this.handlers.has(type)) this.handlers.set(type, []);
+        this.handlers.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    once(type, handler) {
+        const unsubscribe = this.on(type, payload => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+
+    // Handlers run synchronously in subscription order; one that throws is logged and the
+    // rest still run, so a broken effect cannot stop the game loop
+    emit(type, payload = {}) {
+        this.checkType(type);
+        const missing = this.events[type].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            throw new Error(`Game event ${type} is missing ${missing.join(', ')}`);
+        }
+
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+        for (const handler of [...handlers]) {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in ${type} handler:`, error);
+            }
+        }
+    }
+
+    clear() {
+        this.handlers.clear();
+    }
+}
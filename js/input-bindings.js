@@ -0,0 +1,338 @@
+// input-bindings.js - Remappable keyboard and gamepad bindings
+// Player input goes through named actions instead of fixed keys and axes. Axis actions count
+// right, forward and up as positive; button actions are pressed or not. The keyboard has one
+// profile and every controller gets its own, keyed by the browser's gamepad id, so a pad with
+// an unusual axis layout can be fixed once without touching the others. Keys are stored as
+// KeyboardEvent.code (the physical key), so WASD sits under ZQSD on an AZERTY keyboard.
+
+export const INPUT_ACTIONS = {
+    moveX: { type: 'axis', label: 'Move', negativeLabel: 'Left', positiveLabel: 'Right' },
+    moveY: { type: 'axis', label: 'Move', negativeLabel: 'Back', positiveLabel: 'Forward' },
+    lookX: { type: 'axis', label: 'Look', negativeLabel: 'Left', positiveLabel: 'Right' },
+    lookY: { type: 'axis', label: 'Look', negativeLabel: 'Down', positiveLabel: 'Up' },
+    toggleFlashlight: { type: 'button', label: 'Flashlight' },
+    pause: { type: 'button', label: 'Pause' },
+    sprint: { type: 'button', label: 'Sprint' },
+    drop: { type: 'button', label: 'Release Newt' }
+};
+
+// Escape releases the pointer lock (and so pauses) in every browser; O opens the settings
+export const RESERVED_KEYS = ['Escape', 'KeyO'];
+
+// Keyboard: axes take key lists per direction, buttons a key list. The mouse looks around,
+// so the look keys start unbound.
+export const KEYBOARD_PRESETS = {
+    default: {
+        moveX: { negative: ['KeyA', 'ArrowLeft'], positive: ['KeyD', 'ArrowRight'] },
+        moveY: { negative: ['KeyS', 'ArrowDown'], positive: ['KeyW', 'ArrowUp'] },
+        lookX: { negative: [], positive: [] },
+        lookY: { negative: [], positive: [] },
+        toggleFlashlight: ['KeyF'],
+        pause: ['KeyP'],
+        sprint: ['ShiftLeft', 'ShiftRight'],
+        drop: ['KeyE']
+    },
+    // Mouse in the left hand: IJKL mirror WASD and H mirrors F
+    leftHanded: {
+        moveX: { negative: ['KeyJ', 'ArrowLeft'], positive: ['KeyL', 'ArrowRight'] },
+        moveY: { negative: ['KeyK', 'ArrowDown'], positive: ['KeyI', 'ArrowUp'] },
+        lookX: { negative: [], positive: [] },
+        lookY: { negative: [], positive: [] },
+        toggleFlashlight: ['KeyH'],
+        pause: ['KeyP'],
+        sprint: ['ShiftRight', 'ShiftLeft'],
+        drop: ['KeyU']
+    }
+};
+
+// Gamepad: axes take { axis, invert } (invert flips the stick's sign), buttons an index;
+// null leaves an action unbound. Defaults follow the browser's standard mapping, where the
+// left stick (axes 0/1) moves, the right stick (2/3) looks and pushing a stick up reads -1.
+export const GAMEPAD_PRESETS = {
+    default: {
+        moveX: { axis: 0, invert: false },
+        moveY: { axis: 1, invert: true },
+        lookX: { axis: 2, invert: false },
+        lookY: { axis: 3, invert: true },
+        toggleFlashlight: 0, // A / Cross
+        pause: 9,            // Start / Options
+        sprint: 10,          // Left stick press
+        drop: 1              // B / Circle
+    },
+    // Sticks swapped: the right stick moves, the left one looks
+    leftHanded: {
+        moveX: { axis: 2, invert: false },
+        moveY: { axis: 3, invert: true },
+        lookX: { axis: 0, invert: false },
+        lookY: { axis: 1, invert: true },
+        toggleFlashlight: 0,
+        pause: 9,
+        sprint: 11,          // Right stick press
+        drop: 1
+    }
+};
+
+export const DEFAULT_KEYBOARD_BINDINGS = KEYBOARD_PRESETS.default;
+export const DEFAULT_GAMEPAD_BINDINGS = GAMEPAD_PRESETS.default;
+
+const STANDARD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS',
+    'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'
+];
+const STANDARD_AXIS_NAMES = ['Left Stick X', 'Left Stick Y', 'Right Stick X', 'Right Stick Y'];
+
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt',
+    AltRight: 'Right Alt',
+    Space: 'Space',
+    Enter: 'Enter',
+    Tab: 'Tab',
+    Backspace: 'Backspace'
+};
+
+function isKeyList(value) {
+    return Array.isArray(value) && value.every(code => typeof code === 'string' && !RESERVED_KEYS.includes(code));
+}
+
+function isIndex(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function copyKeyboardBinding(binding) {
+    return Array.isArray(binding)
+        ? [...binding]
+        : { negative: [...binding.negative], positive: [...binding.positive] };
+}
+
+function copyGamepadBinding(binding) {
+    return binding && typeof binding === 'object' ? { ...binding } : binding;
+}
+
+// A full keyboard profile: saved bindings that fit their action, defaults for the rest
+export function sanitizeKeyboardBindings(saved, defaults = DEFAULT_KEYBOARD_BINDINGS) {
+    const profile = {};
+    for (const [action, { type }] of Object.entries(INPUT_ACTIONS)) {
+        const value = saved && typeof saved === 'object' ? saved[action] : undefined;
+        const valid = type === 'axis'
+            ? value && isKeyList(value.negative) && isKeyList(value.positive)
+            : isKeyList(value);
+        profile[action] = copyKeyboardBinding(valid ? value : defaults[action]);
+    }
+    return profile;
+}
+
+export function sanitizeGamepadBindings(saved, defaults = DEFAULT_GAMEPAD_BINDINGS) {
+    const profile = {};
+    for (const [action, { type }] of Object.entries(INPUT_ACTIONS)) {
+        const value = saved && typeof saved === 'object' ? saved[action] : undefined;
+        const valid = value === null || (type === 'axis'
+            ? value && isIndex(value.axis) && typeof value.invert === 'boolean'
+            : isIndex(value));
+        profile[action] = copyGamepadBinding(valid ? value : defaults[action]);
+    }
+    return profile;
+}
+
+// -1..1 from the held keys of an axis binding (opposite keys cancel out)
+export function readKeyboardAxis(binding, keysDown) {
+    const held = code => keysDown.has(code);
+    return Number(binding.positive.some(held)) - Number(binding.negative.some(held));
+}
+
+export function readGamepadAxis(binding, gamepad, deadZone = 0) {
+    if (!binding) return 0;
+    const value = gamepad.axes[binding.axis] ?? 0;
+    if (Math.abs(value) < deadZone) return 0;
+    return binding.invert ? -value : value;
+}
+
+export function isGamepadButtonPressed(button, gamepad) {
+    return button !== null && Boolean(gamepad.buttons[button]?.pressed);
+}
+
+// What the controller looks like now, to compare against while waiting for a new binding
+export function snapshotGamepad(gamepad) {
+    return {
+        axes: Array.from(gamepad.axes),
+        buttons: Array.from(gamepad.buttons, button => button.pressed)
+    };
+}
+
+// The binding the player is giving since `baseline`, or null while they have not moved
+// anything yet. Axis actions take the first stick pushed past `threshold` (in the direction
+// the player was asked to push, which becomes positive); button actions the first new press.
+export function detectGamepadInput(type, baseline, gamepad, threshold = 0.5) {
+    if (type === 'axis') {
+        for (let axis = 0; axis < gamepad.axes.length; axis++) {
+            const change = gamepad.axes[axis] - (baseline.axes[axis] ?? 0);
+            if (Math.abs(change) > threshold) return { axis, invert: change < 0 };
+        }
+        return null;
+    }
+    for (let button = 0; button < gamepad.buttons.length; button++) {
+        if (gamepad.buttons[button].pressed && !baseline.buttons[button]) return button;
+    }
+    return null;
+}
+
+// layout: navigator.keyboard.getLayoutMap() where supported, so an AZERTY player sees Z for KeyW
+export function keyLabel(code, layout = null) {
+    const mapped = layout?.get(code);
+    if (mapped && mapped.trim() !== '') return mapped.toUpperCase();
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+export function gamepadBindingLabel(binding, standard = true) {
+    if (binding === null) return 'Unbound';
+    if (typeof binding === 'number') {
+        return (standard && STANDARD_BUTTON_NAMES[binding]) || `Button ${binding}`;
+    }
+    const name = (standard && STANDARD_AXIS_NAMES[binding.axis]) || `Axis ${binding.axis}`;
+    return binding.invert ? `${name} (inverted)` : name;
+}
+
+export class InputBindings {
+    constructor({
+        storage = globalThis.localStorage,
+        storageKey = 'newtRescueBindings'
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.onChangeCallback = null;
+
+        const saved = this.load();
+        this.keyboard = sanitizeKeyboardBindings(saved.keyboard);
+        this.gamepads = {};
+        if (saved.gamepads && typeof saved.gamepads === 'object') {
+            for (const [id, profile] of Object.entries(saved.gamepads)) {
+                this.gamepads[id] = sanitizeGamepadBindings(profile);
+            }
+        }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch {
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                keyboard: this.keyboard,
+                gamepads: this.gamepads
+            }));
+        } catch (error) {
+            console.warn('Could not save input bindings:', error);
+        }
+    }
+
+    // callback() after any binding changes
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    changed() {
+        this.save();
+        if (this.onChangeCallback) this.onChangeCallback();
+    }
+
+    getKeyboard() {
+        return this.keyboard;
+    }
+
+    // A controller nobody has rebound uses the standard-mapping defaults
+    getGamepad(id) {
+        return this.gamepads[id] || DEFAULT_GAMEPAD_BINDINGS;
+    }
+
+    checkAction(action) {
+        if (!Object.hasOwn(INPUT_ACTIONS, action)) {
+            throw new Error(`Unknown input action: ${action}`);
+        }
+        return INPUT_ACTIONS[action];
+    }
+
+    // Makes `code` the first key of an action (or of one direction of an axis action) and
+    // takes it away from wherever else it was bound, so one key never does two things
+    bindKey(action, code, direction = null) {
+        const { type } = this.checkAction(action);
+        if (RESERVED_KEYS.includes(code)) {
+            throw new Error(`Reserved key: ${code}`);
+        }
+        if (type === 'axis' && direction !== 'negative' && direction !== 'positive') {
+            throw new Error(`Axis action ${action} needs a direction`);
+        }
+
+        for (const binding of Object.values(this.keyboard)) {
+            const lists = Array.isArray(binding) ? [binding] : [binding.negative, binding.positive];
+            lists.forEach(list => {
+                const index = list.indexOf(code);
+                if (index !== -1) list.splice(index, 1);
+            });
+        }
+
+        const list = type === 'axis' ? this.keyboard[action][direction] : this.keyboard[action];
+        if (list.length > 0) {
+            list[0] = code;
+        } else {
+            list.push(code);
+        }
+        this.changed();
+    }
+
+    // binding: { axis, invert } for axis actions, a button index for the rest. A stick axis
+    // or button already used by another action of the same kind is unbound there.
+    bindGamepad(id, action, binding) {
+        const { type } = this.checkAction(action);
+        const valid = type === 'axis'
+            ? binding && isIndex(binding.axis) && typeof binding.invert === 'boolean'
+            : isIndex(binding);
+        if (!valid) {
+            throw new Error(`Invalid gamepad binding for ${action}`);
+        }
+
+        const profile = sanitizeGamepadBindings(this.getGamepad(id));
+        for (const [other, { type: otherType }] of Object.entries(INPUT_ACTIONS)) {
+            const current = profile[other];
+            if (otherType !== type || current === null) continue;
+            const clash = type === 'axis' ? current.axis === binding.axis : current === binding;
+            if (clash) profile[other] = null;
+        }
+        profile[action] = copyGamepadBinding(binding);
+
+        this.gamepads[id] = profile;
+        this.changed();
+    }
+
+    useKeyboardPreset(name) {
+        this.keyboard = sanitizeKeyboardBindings(KEYBOARD_PRESETS[name]);
+        this.changed();
+    }
+
+    useGamepadPreset(id, name) {
+        this.gamepads[id] = sanitizeGamepadBindings(GAMEPAD_PRESETS[name]);
+        this.changed();
+    }
+
+    reset() {
+        this.keyboard = sanitizeKeyboardBindings(DEFAULT_KEYBOARD_BINDINGS);
+        this.gamepads = {};
+        this.changed();
+    }
+}
@@ -0,0 +1,94 @@
+// interpolation.js - Render-time blending of simulated transforms
+// The simulation moves meshes in fixed steps; before rendering, each tracked object
+// is shown between its previous and current simulated transform, then put back
+// before the next step so the simulation never sees the blended values.
+
+function lerpAngle(from, to, alpha) {
+    let diff = to - from;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    return from + diff * alpha;
+}
+
+export class TransformInterpolator {
+    constructor() {
+        this.entries = new Map();
+        this.isBlended = false;
+    }
+
+    // rotation: false leaves yaw alone (the camera's look direction follows input directly)
+    track(object, { rotation = true } = {}) {
+        const position = object.position;
+        const yaw = rotation ? object.rotation.y : 0;
+        this.entries.set(object, {
+            rotation,
+            prev: position.clone(),
+            sim: position.clone(),
+            shown: position.clone(),
+            prevYaw: yaw,
+            simYaw: yaw,
+            shownYaw: yaw
+        });
+    }
+
+    untrack(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+        if (this.isBlended) this.restoreEntry(object, entry);
+        this.entries.delete(object);
+    }
+
+    clear() {
+        this.restore();
+        this.entries.clear();
+    }
+
+    // Before each simulation step: remember where objects started
+    storePrevious() {
+        this.entries.forEach((entry, object) => {
+            entry.prev.copy(object.position);
+            if (entry.rotation) entry.prevYaw = object.rotation.y;
+        });
+    }
+
+    // After the frame's steps: show each object alpha of the way through its last step
+    apply(alpha) {
+        this.entries.forEach((entry, object) => {
+            entry.sim.copy(object.position);
+            object.position.lerpVectors(entry.prev, entry.sim, alpha);
+            entry.shown.copy(object.position);
+
+            if (entry.rotation) {
+                entry.simYaw = object.rotation.y;
+                object.rotation.y = lerpAngle(entry.prevYaw, entry.simYaw, alpha);
+                entry.shownYaw = object.rotation.y;
+            }
+        });
+        this.isBlended = true;
+    }
+
+    // Before the next frame's steps: put simulated transforms back
+    restore() {
+        if (!this.isBlended) return;
+        this.entries.forEach((entry, object) => this.restoreEntry(object, entry));
+        this.isBlended = false;
+    }
+
+    // Objects moved outside the simulation since apply() (resets, teleports)
+    // keep their new transform and stop blending from the old one
+    restoreEntry(object, entry) {
+        if (object.position.equals(entry.shown)) {
+            object.position.copy(entry.sim);
+        } else {
+            entry.prev.copy(object.position);
+        }
+
+        if (entry.rotation) {
+            if (object.rotation.y === entry.shownYaw) {
+                object.rotation.y = entry.simYaw;
+            } else {
+                entry.prevYaw = object.rotation.y;
+            }
+        }
+    }
+}
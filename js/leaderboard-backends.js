@@ -0,0 +1,324 @@
+// leaderboard-backends.js - Storage backends behind LeaderboardManager
+// Every backend implements the same async methods and throws on failure:
+//   fetchTopScores(limit, board)               -> best entry per player on the board, highest first
+//   submitScore(entry)                         -> { stored, entry, pending } (stored is false and entry
+//                                                 is the kept row when the player's all-time best for
+//                                                 the entry's mode is already at least as high;
+//                                                 pending is true when the run only reaches the boards
+//                                                 once its proof has been verified)
+//   getPlayerRank(score, playerId, board)      -> 1-based rank among other players' best scores
+//   fetchNeighbours(score, playerId, board)    -> { above, below }: the other players' entries just
+//                                                 above the score and at or below it (or null)
+// playerId is optional; when given, that player's own best is left out of the comparison.
+// SupabaseBackend only ranks on a single mode's board (board.mode 'campaign' or 'endless').
+// A board is { mode: 'all' | 'campaign' | 'endless', since: ISO timestamp or null for all time }.
+// Entries look like { player_id, player_name, score, time_survived, death_reason, mode,
+// level_reached, wave_reached, created_at }. Every submission is kept as a run, so period
+// boards still list a player whose all-time best is older.
+// Players are told apart by player_id, never by name. A submission carries the profile's
+// secret player_token instead (js/profile.js) and the backend stores its hash, so the
+// public ID read off the board cannot be used to submit as someone else. Rows from before
+// profiles, and submissions without a token, get legacyPlayerId(name). Submitted entries may also carry run_proof, the
+// summary and input log of the run (js/run-summary.js); a backend that checks it answers with
+// HTTP 422 when the run does not verify.
+
+export const ALL_TIME_BOARD = { mode: 'all', since: null };
+
+export function legacyPlayerId(playerName) {
+    return `legacy:${playerName}`;
+}
+
+export function playerKey(entry) {
+    return entry.player_id || legacyPlayerId(entry.player_name);
+}
+
+// Public player_id for a profile's secret token: hex SHA-256 (the Supabase function computes the same)
+export async function playerIdFromToken(token, playerName) {
+    if (!token) return legacyPlayerId(playerName);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function matchesBoard(entry, board = ALL_TIME_BOARD) {
+    if (board.mode !== 'all' && (entry.mode || 'campaign') !== board.mode) return false;
+    return !board.since || Date.parse(entry.created_at) >= Date.parse(board.since);
+}
+
+// Keeps each player's highest entry, sorted best first
+export function bestScorePerPlayer(entries) {
+    const best = new Map();
+    for (const entry of entries) {
+        const key = playerKey(entry);
+        const existing = best.get(key);
+        if (!existing || entry.score > existing.score) {
+            best.set(key, entry);
+        }
+    }
+    return Array.from(best.values()).sort((a, b) => b.score - a.score);
+}
+
+function otherPlayers(entries, playerId, board) {
+    return bestScorePerPlayer(entries.filter(entry => matchesBoard(entry, board)))
+        .filter(entry => playerKey(entry) !== playerId);
+}
+
+// Rank a score would take: one more than the number of players strictly ahead
+export function rankForScore(entries, score, playerId = null, board = ALL_TIME_BOARD) {
+    return otherPlayers(entries, playerId, board).filter(entry => entry.score > score).length + 1;
+}
+
+export function neighboursOfScore(entries, score, playerId = null, board = ALL_TIME_BOARD) {
+    const others = otherPlayers(entries, playerId, board);
+    const belowIndex = others.findIndex(entry => entry.score <= score);
+    const aboveIndex = (belowIndex === -1 ? others.length : belowIndex) - 1;
+    return {
+        above: aboveIndex >= 0 ? others[aboveIndex] : null,
+        below: belowIndex >= 0 ? others[belowIndex] : null
+    };
+}
+
+// Adds a run (with its player_id) to a list of runs; stored tells whether it beat the
+// player's best for its mode
+export function addRun(entries, entry) {
+    const key = playerKey(entry);
+    const best = bestScorePerPlayer(entries.filter(e =>
+        playerKey(e) === key && (e.mode || 'campaign') === entry.mode
+    ))[0];
+    const stored = !best || entry.score > best.score;
+    return { entries: [...entries, entry], stored, entry: stored ? entry : best };
+}
+
+async function readJson(response, action) {
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        const error = new Error(`${action} failed: HTTP ${response.status}${detail ? `, ${detail}` : ''}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response.json();
+}
+
+// Supabase PostgREST tables (production). `table` holds each player's best per mode and
+// `runsTable` every submitted run. Submissions go through the submit_best_score function
+// (supabase/migrations), which logs the run and upserts the best row in one statement,
+// only overwriting it when the new score is higher. Since proofs are verified offline
+// (server/verify-pending.mjs), that function only queues the run: it answers pending and
+// the boards show verified runs (and the scores kept from before verification).
+export class SupabaseBackend {
+    constructor({ url, anonKey, table, runsTable = `${table}_runs`, submitFunction = 'submit_best_score' }) {
+        this.url = url;
+        this.anonKey = anonKey;
+        this.table = table;
+        this.runsTable = runsTable;
+        this.submitFunction = submitFunction;
+    }
+
+    request(path, options = {}) {
+        return fetch(`${this.url}/rest/v1/${path}`, {
+            ...options,
+            headers: {
+                'apikey': this.anonKey,
+                'Authorization': `Bearer ${this.anonKey}`,
+                'Content-Type': 'application/json',
+                ...options.headers
+            }
+        });
+    }
+
+    async fetchTopScores(limit, board = ALL_TIME_BOARD) {
+        // Period boards read the run log; several rows per player there (and one per mode in
+        // the best table), so over-fetch and deduplicate
+        const fetchLimit = Math.max(limit * 10, 50);
+        const table = board.since ? this.runsTable : this.table;
+        const response = await this.request(`${table}?select=*${this.boardFilter(board)}&order=score.desc&limit=${fetchLimit}`);
+        return bestScorePerPlayer(await readJson(response, 'Fetching scores')).slice(0, limit);
+    }
+
+    async submitScore(entry) {
+        const response = await this.request(`rpc/${this.submitFunction}`, {
+            method: 'POST',
+            body: JSON.stringify({
+                p_player_name: entry.player_name,
+                p_player_token: entry.player_token || null,
+                p_score: entry.score,
+                p_time_survived: entry.time_survived,
+                p_death_reason: entry.death_reason,
+                p_mode: entry.mode,
+                p_level_reached: entry.level_reached,
+                p_wave_reached: entry.wave_reached,
+                p_run_summary: entry.run_proof ? entry.run_proof.summary : null,
+                p_run_inputs: entry.run_proof ? entry.run_proof.inputs : null
+            })
+        });
+        const result = await readJson(response, 'Submitting score');
+        if (!result || typeof result.stored !== 'boolean') {
+            throw new Error('Submitting score failed: unexpected response');
+        }
+        return { stored: result.stored, entry: result.entry, pending: result.pending === true };
+    }
+
+    // Counts the players ahead without downloading their rows (total comes back in Content-Range).
+    // Only offered per mode: the best table has one row per player per mode, so a count across
+    // modes would count players with both campaign and endless bests twice.
+    async getPlayerRank(score, playerId = null, board = ALL_TIME_BOARD) {
+        this.requireSingleMode(board);
+        const response = await this.request(`${this.table}?select=player_id&${this.scoreFilter('gt', score, playerId, board)}`, {
+            method: 'HEAD',
+            headers: { 'Prefer': 'count=exact' }
+        });
+        if (!response.ok) {
+            throw new Error(`Counting ranks failed: HTTP ${response.status}`);
+        }
+
+        const ahead = Number.parseInt((response.headers.get('Content-Range') || '').split('/')[1], 10);
+        if (!Number.isInteger(ahead)) {
+            throw new Error('Counting ranks failed: no count in response');
+        }
+        return ahead + 1;
+    }
+
+    async fetchNeighbours(score, playerId = null, board = ALL_TIME_BOARD) {
+        this.requireSingleMode(board);
+        const [above, below] = await Promise.all([
+            this.request(`${this.table}?select=*&${this.scoreFilter('gt', score, playerId, board)}&order=score.asc&limit=1`)
+                .then(response => readJson(response, 'Fetching neighbours')),
+            this.request(`${this.table}?select=*&${this.scoreFilter('lte', score, playerId, board)}&order=score.desc&limit=1`)
+                .then(response => readJson(response, 'Fetching neighbours'))
+        ]);
+        return { above: above[0] || null, below: below[0] || null };
+    }
+
+    requireSingleMode(board) {
+        if (board.mode === 'all') {
+            throw new Error('Ranks are only available on a single mode\'s board');
+        }
+    }
+
+    // Rank lookups always use the all-time best table, so only the mode applies
+    scoreFilter(operator, score, playerId, board) {
+        let filter = `score=${operator}.${encodeURIComponent(score)}${this.boardFilter({ mode: board.mode, since: null })}`;
+        if (playerId) filter += `&player_id=neq.${encodeURIComponent(playerId)}`;
+        return filter;
+    }
+
+    boardFilter(board) {
+        let filter = board.mode !== 'all' ? `&mode=eq.${encodeURIComponent(board.mode)}` : '';
+        if (board.since) filter += `&created_at=gte.${encodeURIComponent(board.since)}`;
+        return filter;
+    }
+}
+
+// Generic JSON API (see server/leaderboard-server.mjs for the reference implementation):
+//   GET  /scores?limit=N&mode=M&since=ISO            -> [entry, ...]
+//   POST /scores                                     -> { stored, entry }
+//   GET  /rank?score=S&player=ID&mode=M              -> { rank }
+//   GET  /neighbours?score=S&player=ID&mode=M        -> { above, below }
+// mode defaults to all and since to all time.
+export class RestBackend {
+    constructor({ baseUrl }) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    async fetchTopScores(limit, board = ALL_TIME_BOARD) {
+        const params = new URLSearchParams({ limit: String(limit), mode: board.mode });
+        if (board.since) params.set('since', board.since);
+        const response = await fetch(`${this.baseUrl}/scores?${params}`);
+        return readJson(response, 'Fetching scores');
+    }
+
+    async submitScore(entry) {
+        const response = await fetch(`${this.baseUrl}/scores`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        });
+        return readJson(response, 'Submitting score');
+    }
+
+    async getPlayerRank(score, playerId = null, board = ALL_TIME_BOARD) {
+        const response = await fetch(`${this.baseUrl}/rank?${this.scoreQuery(score, playerId, board)}`);
+        const result = await readJson(response, 'Fetching rank');
+        return result.rank;
+    }
+
+    async fetchNeighbours(score, playerId = null, board = ALL_TIME_BOARD) {
+        const response = await fetch(`${this.baseUrl}/neighbours?${this.scoreQuery(score, playerId, board)}`);
+        return readJson(response, 'Fetching neighbours');
+    }
+
+    scoreQuery(score, playerId, board) {
+        const params = new URLSearchParams({ score: String(score), mode: board.mode });
+        if (playerId) params.set('player', playerId);
+        return params.toString();
+    }
+}
+
+// Browser-only leaderboard kept in localStorage (offline play, no shared table)
+export class LocalBackend {
+    constructor({ storageKey = 'newtRescueLocalLeaderboard', storage = globalThis.localStorage, maxRuns = 500 } = {}) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.maxRuns = maxRuns;
+    }
+
+    readEntries() {
+        try {
+            const entries = JSON.parse(this.storage.getItem(this.storageKey));
+            return Array.isArray(entries) ? entries : [];
+        } catch {
+            return [];
+        }
+    }
+
+    async fetchTopScores(limit, board = ALL_TIME_BOARD) {
+        return bestScorePerPlayer(this.readEntries().filter(entry => matchesBoard(entry, board))).slice(0, limit);
+    }
+
+    async submitScore(entry) {
+        // Nothing here re-checks the proof, so the input log is not worth the storage
+        const { run_proof: _proof, player_token: token, ...run } = entry;
+        run.player_id = await playerIdFromToken(token, run.player_name);
+        const result = addRun(this.readEntries(), run);
+        this.storage.setItem(this.storageKey, JSON.stringify(this.trimRuns(result.entries)));
+        return { stored: result.stored, entry: result.entry };
+    }
+
+    // Drops the oldest runs past maxRuns, but never a player's best for a mode
+    trimRuns(entries) {
+        if (entries.length <= this.maxRuns) return entries;
+
+        const bests = new Set(['campaign', 'endless'].flatMap(mode =>
+            bestScorePerPlayer(entries.filter(entry => matchesBoard(entry, { mode, since: null })))
+        ));
+        let excess = entries.length - this.maxRuns;
+        return entries.filter(entry => {
+            if (excess > 0 && !bests.has(entry)) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+
+    async getPlayerRank(score, playerId = null, board = ALL_TIME_BOARD) {
+        return rankForScore(this.readEntries(), score, playerId, board);
+    }
+
+    async fetchNeighbours(score, playerId = null, board = ALL_TIME_BOARD) {
+        return neighboursOfScore(this.readEntries(), score, playerId, board);
+    }
+}
+
+// config: { backend: 'supabase' | 'rest' | 'local', supabase: {...}, rest: {...}, local: {...} }
+export function createLeaderboardBackend(config) {
+    switch (config.backend) {
+        case 'supabase':
+            return new SupabaseBackend(config.supabase);
+        case 'rest':
+            return new RestBackend(config.rest);
+        case 'local':
+            return new LocalBackend(config.local);
+        default:
+            throw new Error(`Unknown leaderboard backend "${config.backend}"`);
+    }
+}
@@ -0,0 +1,109 @@
+// level-data.js - Loads and validates the JSON level definitions in levels/
+// levels/index.json lists the level files in play order; each file describes the
+// road, sky and fog, lighting, props, weather, audio ambience, quota and traffic mix, plus
+// an optional roadworks site and newt behaviour overrides.
+
+import { validateNewtBehaviour } from './newt-behaviour.js';
+
+const LEVEL_MANIFEST_URL = 'levels/index.json';
+
+// Dotted paths every level file must provide
+const REQUIRED_FIELDS = [
+    'id',
+    'road.controlPoints',
+    'road.width',
+    'road.bounds',
+    'road.dangerZones',
+    'sky.background',
+    'sky.fog.color',
+    'sky.fog.density',
+    'lighting.ambient',
+    'lighting.hemisphere',
+    'terrain.grass',
+    'props.trees',
+    'weather',
+    'audio',
+    'newtsToAdvance',
+    'traffic'
+];
+
+// [from, to] with 0 <= from < to <= 1
+function isCurveRange(range) {
+    return Array.isArray(range) && range.length === 2 &&
+        range.every(Number.isFinite) && range[0] >= 0 && range[0] < range[1] && range[1] <= 1;
+}
+
+// The optional roadworks block (see roadworks.js); every part of the site is optional
+function validateRoadworks(roadworks, source) {
+    const { closure, trench, excavator } = roadworks;
+    if (closure && (!isCurveRange(closure.t) || Math.abs(closure.closedLane) !== 3)) {
+        throw new Error(`${source}: "roadworks.closure" needs a "t" range and a "closedLane" of 3 or -3`);
+    }
+    if (trench && (!isCurveRange(trench.t) || !Array.isArray(trench.lateral) ||
+        trench.lateral.length !== 2 || !(trench.lateral[0] < trench.lateral[1]))) {
+        throw new Error(`${source}: "roadworks.trench" needs "t" and "lateral" ranges`);
+    }
+    if (excavator && (!isCurveRange(excavator.t) || !Number.isFinite(excavator.lateral))) {
+        throw new Error(`${source}: "roadworks.excavator" needs a "t" range and a "lateral" offset`);
+    }
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+export function validateLevelDefinition(definition, source = 'level') {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`${source}: level definition must be an object`);
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+        if (getPath(definition, field) === undefined) {
+            throw new Error(`${source}: missing "${field}"`);
+        }
+    }
+
+    const points = definition.road.controlPoints;
+    if (!Array.isArray(points) || points.length < 2 ||
+        points.some(point => !Array.isArray(point) || point.length !== 2)) {
+        throw new Error(`${source}: "road.controlPoints" needs at least two [x, z] pairs`);
+    }
+
+    if (!Number.isInteger(definition.newtsToAdvance) || definition.newtsToAdvance < 1) {
+        throw new Error(`${source}: "newtsToAdvance" must be a positive integer`);
+    }
+
+    if (definition.roadworks) validateRoadworks(definition.roadworks, source);
+
+    if (definition.newtBehaviour !== undefined) {
+        try {
+            validateNewtBehaviour(definition.newtBehaviour);
+        } catch (error) {
+            throw new Error(`${source}: ${error.message}`);
+        }
+    }
+
+    return definition;
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+// Resolves to the parsed definitions in play order (index 0 = level 1)
+export async function loadLevelDefinitions(manifestUrl = LEVEL_MANIFEST_URL) {
+    const manifest = await fetchJson(manifestUrl);
+    if (!manifest || !Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+        throw new Error(`${manifestUrl}: "levels" must list at least one level file`);
+    }
+
+    const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+    return Promise.all(manifest.levels.map(async (file) => {
+        const url = baseUrl + file;
+        return validateLevelDefinition(await fetchJson(url), url);
+    }));
+}
@@ -1,8 +1,14 @@
-// levels.js - Level management and scene generation for 3 levels
-// All 3 levels share the same Alma Bridge Road curve (Lexington Reservoir area)
+// levels.js - Level management and scene generation from JSON level definitions
+// Definitions live in levels/*.json (see js/level-data.js). The shipped levels share
+// the Alma Bridge Road curve (Lexington Reservoir area):
 // Level 1: Clear night  |  Level 2: Just after sunset  |  Level 3: Rain & wind storm
 import * as THREE from 'three';
 import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { random } from './random.js';
+import { presetForLevel } from './quality.js';
+
+// Level construction draws from the seeded scenery stream; rain respawns and splashes stay cosmetic
+const scenery = random.stream('scenery');
 
 export class LevelManager {
     constructor(scene, camera, renderer, isMobile = false) {
@@ -12,6 +18,10 @@ export class LevelManager {
         this.isMobile = isMobile;
         this.currentLevel = 1;
 
+        // Parsed level JSON (index 0 = level 1) and the one currently built
+        this.levelDefinitions = [];
+        this.levelDefinition = null;
+
         this.levelObjects = [];
         this.roadCurve = null;
         this.dangerZones = null;
@@ -38,6 +48,12 @@ export class LevelManager {
         this.windDirection = new THREE.Vector3(1, 0, 0.3);
         this.windTime = 0;
 
+        // Seeded gusts (wind.js): the push this tick and how hard a gust is blowing (0-1)
+        this.windForce = new THREE.Vector3();
+        this.gustAmount = 0;
+        this.swayingTrees = [];
+        this._swayMatrix = new THREE.Matrix4();
+
         this.splashParticles = [];
         this.puddlePositions = [];
 
@@ -57,25 +73,17 @@ export class LevelManager {
     }
 
     setQualityLevel(level) {
-        this.qualityLevel = Math.max(1, Math.min(3, level | 0));
-
-        if (this.qualityLevel === 1) {
-            this.rainUpdateInterval = 5;
-            this.rainActiveFraction = 0.45;
-        } else if (this.qualityLevel === 2) {
-            this.rainUpdateInterval = 4;
-            this.rainActiveFraction = 0.7;
-        } else {
-            this.rainUpdateInterval = 3;
-            this.rainActiveFraction = 1;
-        }
+        const preset = presetForLevel(level);
+        this.qualityLevel = preset.level;
+        this.rainUpdateInterval = preset.rainUpdateInterval;
+        this.rainActiveFraction = preset.rainFraction;
 
         this.applyRainQuality();
     }
 
+    // Scenery counts follow the preset's density; takes effect on the next level load
     getScaledCount(count) {
-        const scale = this.qualityLevel <= 1 ? 0.5 : (this.qualityLevel === 2 ? 0.7 : 1);
-        return Math.max(1, Math.round(count * scale));
+        return Math.max(1, Math.round(count * presetForLevel(this.qualityLevel).density));
     }
 
     applyRainQuality() {
@@ -85,6 +93,39 @@ export class LevelManager {
         this.rainGeometry.setDrawRange(0, activeVertices);
     }
     
+    setLevelDefinitions(definitions) {
+        this.levelDefinitions = definitions;
+    }
+
+    getLevelCount() {
+        return this.levelDefinitions.length;
+    }
+
+    // Levels past the last definition (endless waves) reuse the final scene
+    getLevelDefinition(levelNum) {
+        const count = this.levelDefinitions.length;
+        if (count === 0) return null;
+        return this.levelDefinitions[Math.min(Math.max(levelNum, 1), count) - 1];
+    }
+
+    getAudioAmbience() {
+        return this.levelDefinition ? this.levelDefinition.audio : {};
+    }
+
+    getTrafficMix() {
+        return this.levelDefinition ? this.levelDefinition.traffic : null;
+    }
+
+    // Optional construction site (see roadworks.js)
+    getRoadworks() {
+        return this.levelDefinition ? this.levelDefinition.roadworks || null : null;
+    }
+
+    // Optional newt behaviour overrides (see newt-behaviour.js)
+    getNewtBehaviour() {
+        return this.levelDefinition ? this.levelDefinition.newtBehaviour || null : null;
+    }
+
     loadLevel(levelNum) {
         const previousBackground = this.scene.background && this.scene.background.isColor
             ? this.scene.background.clone()
@@ -94,17 +135,19 @@ export class LevelManager {
             ? this.scene.fog.density
             : 0;
 
+        const definition = this.getLevelDefinition(levelNum);
+        if (!definition) {
+            throw new Error(`No level definition for level ${levelNum}`);
+        }
+
+        // Same seed and level always build the same scenery
+        random.beginLevel(levelNum);
+
         this.currentLevel = levelNum;
-        document.body.dataset.level = String(levelNum);
+        this.levelDefinition = definition;
+        document.body.dataset.level = String(definition.id);
         this.clearLevel();
-        
-        if (levelNum === 1) {
-            this.createLevel1();
-        } else if (levelNum === 2) {
-            this.createLevel2();
-        } else if (levelNum === 3) {
-            this.createLevel3();
-        }
+        this.buildLevel(definition);
 
         this.targetFogDensity = this.scene.fog && this.scene.fog.isFogExp2
             ? this.scene.fog.density
@@ -148,36 +191,84 @@ export class LevelManager {
     }
     
     clearLevel() {
+        const stats = { objects: 0, geometries: 0, materials: 0, textures: 0 };
+        const seen = new Set();
+
         this.levelObjects.forEach(obj => {
-            if (obj.geometry) obj.geometry.dispose();
-            if (obj.material) {
-                if (Array.isArray(obj.material)) {
-                    obj.material.forEach(m => m.dispose());
-                } else {
-                    obj.material.dispose();
-                }
-            }
-            this.scene.remove(obj);
+            this.disposeObject(obj, stats, seen);
+            if (obj.parent) obj.parent.remove(obj);
+            stats.objects++;
         });
         this.levelObjects = [];
 
-        this._levelTextures.forEach(tex => tex.dispose());
+        this._levelTextures.forEach(tex => this.disposeResource(tex, 'textures', stats, seen));
         this._levelTextures = [];
-        
+
+        // Per-level particle systems live outside levelObjects
         if (this.rain) {
+            this.disposeObject(this.rain, stats, seen);
             this.scene.remove(this.rain);
+            stats.objects++;
             this.rain = null;
         }
-        
-        this.splashParticles.forEach(splash => this.scene.remove(splash));
+        this.rainGeometry = null;
+        this.rainVelocities = null;
+        this.rainFrameCounter = 0;
+
+        this.splashParticles.forEach(splash => {
+            this.disposeObject(splash, stats, seen);
+            this.scene.remove(splash);
+            stats.objects++;
+        });
         this.splashParticles = [];
+        this.puddlePositions = [];
         this.westernToads = [];
         this.moths = [];
         this.mothBodies = null;
         this.mothLeftWings = null;
         this.mothRightWings = null;
         this._stormWater = null;
+        this.weatherTransition = null;
         this.windStrength = 0;
+        this.windForce.set(0, 0, 0);
+        this.gustAmount = 0;
+        this.swayingTrees = [];
+
+        this.lastTeardown = stats;
+        return stats;
+    }
+
+    // Dispose every geometry, material and texture under root (shared resources once)
+    disposeObject(root, stats, seen) {
+        const visit = (node) => {
+            if (node.geometry) this.disposeResource(node.geometry, 'geometries', stats, seen);
+            if (node.material) {
+                const materials = Array.isArray(node.material) ? node.material : [node.material];
+                materials.forEach(mat => {
+                    if (seen.has(mat)) return;
+                    Object.keys(mat).forEach(key => {
+                        const value = mat[key];
+                        if (value && value.isTexture) this.disposeResource(value, 'textures', stats, seen);
+                    });
+                    this.disposeResource(mat, 'materials', stats, seen);
+                });
+            }
+            // Lights own shadow render targets
+            if (node.isLight && node.dispose) node.dispose();
+        };
+
+        if (root.traverse) {
+            root.traverse(visit);
+        } else {
+            visit(root);
+        }
+    }
+
+    disposeResource(resource, kind, stats, seen) {
+        if (!resource || seen.has(resource)) return;
+        seen.add(resource);
+        if (resource.dispose) resource.dispose();
+        stats[kind]++;
     }
 
     updateWeather(deltaTime) {
@@ -205,33 +296,20 @@ export class LevelManager {
             return;
         }
 
-        if (this.scene.fog && this.scene.fog.isFogExp2 && this.targetFogDensity > 0) {
-            const variation = this.currentLevel === 3
-                ? Math.sin(this.weatherTime * 0.22) * 0.04
-                : Math.sin(this.weatherTime * 0.08) * 0.015;
+        if (this.scene.fog && this.scene.fog.isFogExp2 && this.targetFogDensity > 0 && this.levelDefinition) {
+            const fog = this.levelDefinition.sky.fog;
+            const variation = Math.sin(this.weatherTime * (fog.variationSpeed || 0)) * (fog.variation || 0);
             this.scene.fog.density = this.targetFogDensity * (1 + variation);
         }
     }
     
-    // ==================== ALMA BRIDGE ROAD CURVE (same for all 3 levels) ====================
-    createAlmaBridgeRoadCurve() {
-        const roadLength = 300;
-        // S-curves matching Alma Bridge Rd near Lexington Reservoir from the map
-        const curvePoints = [
-            new THREE.Vector3(-15, 0, -roadLength / 2),
-            new THREE.Vector3(-8,  0, -roadLength / 2 + 30),
-            new THREE.Vector3(2,   0, -roadLength / 2 + 60),
-            new THREE.Vector3(10,  0, -roadLength / 2 + 90),
-            new THREE.Vector3(6,   0, -roadLength / 2 + 120),
-            new THREE.Vector3(-2,  0, -roadLength / 2 + 150),
-            new THREE.Vector3(-8,  0, -roadLength / 2 + 180),
-            new THREE.Vector3(-4,  0, -roadLength / 2 + 210),
-            new THREE.Vector3(5,   0, -roadLength / 2 + 240),
-            new THREE.Vector3(12,  0, -roadLength / 2 + 270),
-            new THREE.Vector3(8,   0, roadLength / 2),
-        ];
+    // ==================== ROAD CURVE ====================
+    // Control points are [x, z] pairs; the shipped levels trace the S-curves of
+    // Alma Bridge Rd near Lexington Reservoir from the map
+    createRoadCurve(controlPoints, tension = 0.4) {
+        const curvePoints = controlPoints.map(([x, z]) => new THREE.Vector3(x, 0, z));
         this.roadCurve = new THREE.CatmullRomCurve3(curvePoints);
-        this.roadCurve.tension = 0.4;
+        this.roadCurve.tension = tension;
         return this.roadCurve;
     }
     
@@ -285,9 +363,9 @@ export class LevelManager {
 
         // Aggregate speckle
         for (let i = 0; i < 2600; i++) {
-            const g = base + (Math.random() * 28 - 10);
-            ctx.fillStyle = `rgba(${g | 0},${g | 0},${(g + 3) | 0},${0.35 + Math.random() * 0.4})`;
-            ctx.fillRect(Math.random() * 256, Math.random() * 512, 1.5, 1.5);
+            const g = base + (scenery.next() * 28 - 10);
+            ctx.fillStyle = `rgba(${g | 0},${g | 0},${(g + 3) | 0},${0.35 + scenery.next() * 0.4})`;
+            ctx.fillRect(scenery.next() * 256, scenery.next() * 512, 1.5, 1.5);
         }
 
         // Darker tire-polished wheel tracks (lanes at ±3m, wheels ~±0.8m apart)
@@ -301,11 +379,11 @@ export class LevelManager {
         ctx.lineWidth = 1.2;
         for (let i = 0; i < 5; i++) {
             ctx.beginPath();
-            let x = Math.random() * 256;
-            ctx.moveTo(x, Math.random() * 512);
+            let x = scenery.next() * 256;
+            ctx.moveTo(x, scenery.next() * 512);
             for (let s = 0; s < 6; s++) {
-                x += (Math.random() - 0.5) * 30;
-                ctx.lineTo(x, Math.random() * 512);
+                x += (scenery.next() - 0.5) * 30;
+                ctx.lineTo(x, scenery.next() * 512);
             }
             ctx.stroke();
         }
@@ -361,11 +439,11 @@ export class LevelManager {
 
         // Mottled patches
         for (let i = 0; i < 900; i++) {
-            const g = 14 + Math.random() * 22;
-            ctx.fillStyle = `rgba(${(g * 0.5) | 0},${g | 0},${(g * 0.45) | 0},${0.25 + Math.random() * 0.5})`;
-            const r = 2 + Math.random() * 7;
+            const g = 14 + scenery.next() * 22;
+            ctx.fillStyle = `rgba(${(g * 0.5) | 0},${g | 0},${(g * 0.45) | 0},${0.25 + scenery.next() * 0.5})`;
+            const r = 2 + scenery.next() * 7;
             ctx.beginPath();
-            ctx.arc(Math.random() * 256, Math.random() * 256, r, 0, Math.PI * 2);
+            ctx.arc(scenery.next() * 256, scenery.next() * 256, r, 0, Math.PI * 2);
             ctx.fill();
         }
 
@@ -373,11 +451,11 @@ export class LevelManager {
         ctx.strokeStyle = 'rgba(30,52,26,0.5)';
         ctx.lineWidth = 1;
         for (let i = 0; i < 700; i++) {
-            const x = Math.random() * 256;
-            const y = Math.random() * 256;
+            const x = scenery.next() * 256;
+            const y = scenery.next() * 256;
             ctx.beginPath();
             ctx.moveTo(x, y);
-            ctx.lineTo(x + (Math.random() - 0.5) * 3, y - 2 - Math.random() * 4);
+            ctx.lineTo(x + (scenery.next() - 0.5) * 3, y - 2 - scenery.next() * 4);
             ctx.stroke();
         }
 
@@ -401,17 +479,17 @@ export class LevelManager {
         ctx.fillRect(0, 0, 256, 256);
 
         // Layered sediment bands
-        for (let y = 0; y < 256; y += 8 + Math.random() * 18) {
-            const g = 45 + Math.random() * 30;
+        for (let y = 0; y < 256; y += 8 + scenery.next() * 18) {
+            const g = 45 + scenery.next() * 30;
             ctx.fillStyle = `rgba(${g | 0},${(g * 0.95) | 0},${(g * 0.88) | 0},0.6)`;
-            ctx.fillRect(0, y, 256, 4 + Math.random() * 10);
+            ctx.fillRect(0, y, 256, 4 + scenery.next() * 10);
         }
 
         // Noise + vertical striations
         for (let i = 0; i < 1200; i++) {
-            const g = 35 + Math.random() * 45;
-            ctx.fillStyle = `rgba(${g | 0},${g | 0},${g | 0},${0.2 + Math.random() * 0.35})`;
-            ctx.fillRect(Math.random() * 256, Math.random() * 256, 2, 2 + Math.random() * 8);
+            const g = 35 + scenery.next() * 45;
+            ctx.fillStyle = `rgba(${g | 0},${g | 0},${g | 0},${0.2 + scenery.next() * 0.35})`;
+            ctx.fillRect(scenery.next() * 256, scenery.next() * 256, 2, 2 + scenery.next() * 8);
         }
 
         const texture = new THREE.CanvasTexture(canvas);
@@ -658,9 +736,10 @@ export class LevelManager {
     }
     
     // ==================== SHARED ROAD CREATION ====================
-    createRoad(wetness = 0) {
-        const roadWidth = 12;
-        this.createAlmaBridgeRoadCurve();
+    createRoad(road) {
+        const roadWidth = road.width;
+        const wetness = road.wetness || 0;
+        this.createRoadCurve(road.controlPoints, road.tension);
         this.precomputeRoadData();
 
         const roadGeometry = this.createRibbonGeometry(this.roadCurve, roadWidth, 250);
@@ -679,24 +758,18 @@ export class LevelManager {
             ? new THREE.MeshPhysicalMaterial(roadOptions)
             : new THREE.MeshStandardMaterial(roadOptions);
 
-        const road = new THREE.Mesh(roadGeometry, roadMaterial);
-        road.position.y = 0.01;
-        road.receiveShadow = !this.isMobile;
-        this.scene.add(road);
-        this.levelObjects.push(road);
+        const roadMesh = new THREE.Mesh(roadGeometry, roadMaterial);
+        roadMesh.position.y = 0.01;
+        roadMesh.receiveShadow = !this.isMobile;
+        this.scene.add(roadMesh);
+        this.levelObjects.push(roadMesh);
 
         this.createRoadReflectors(roadWidth);
         this.createDelineatorPosts(roadWidth);
         this.createRoadsideDecals();
 
-        const roadLength = 300;
-        this.roadBounds = {
-            minX: -40,
-            maxX: 35,
-            minZ: -roadLength / 2 + 10,
-            maxZ: roadLength / 2 - 10
-        };
-        this.dangerZones = { forest: -12, cliff: 14 };
+        this.roadBounds = { ...road.bounds };
+        this.dangerZones = { ...road.dangerZones };
     }
 
     // A few shared, low-poly roadside props provide scale and navigation cues.
@@ -873,7 +946,7 @@ export class LevelManager {
 
     // Two low-cost instanced layers break up the empty cliff side and give the
     // fog silhouettes at multiple depths to work against.
-    createEnvironmentLayers() {
+    createEnvironmentLayers(terrain) {
         const rockCount = this.getScaledCount(22);
         const rockGeo = new THREE.DodecahedronGeometry(1, 0);
         const rockMat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.96, metalness: 0.02 });
@@ -888,14 +961,14 @@ export class LevelManager {
 
         for (let i = 0; i < rockCount; i++) {
             const data = this.getRoadDataAtT((i + 0.5) / rockCount);
-            pos.copy(data.point).addScaledVector(data.normal, 10 + Math.random() * 8);
-            pos.y = 0.25 + Math.random() * 0.35;
-            euler.set(Math.random() * 0.35, Math.random() * Math.PI, Math.random() * 0.25);
+            pos.copy(data.point).addScaledVector(data.normal, 10 + scenery.next() * 8);
+            pos.y = 0.25 + scenery.next() * 0.35;
+            euler.set(scenery.next() * 0.35, scenery.next() * Math.PI, scenery.next() * 0.25);
             quat.setFromEuler(euler);
-            scale.set(0.7 + Math.random() * 1.4, 0.45 + Math.random() * 0.8, 0.8 + Math.random() * 1.8);
+            scale.set(0.7 + scenery.next() * 1.4, 0.45 + scenery.next() * 0.8, 0.8 + scenery.next() * 1.8);
             matrix.compose(pos, quat, scale);
             rocks.setMatrixAt(i, matrix);
-            const shade = 0.045 + Math.random() * 0.035;
+            const shade = 0.045 + scenery.next() * 0.035;
             color.setRGB(shade, shade * 0.95, shade * 0.9);
             rocks.setColorAt(i, color);
         }
@@ -905,18 +978,18 @@ export class LevelManager {
         const ridgeCount = this.getScaledCount(12);
         const ridgeGeo = new THREE.ConeGeometry(1, 1, 6);
         const ridgeMat = new THREE.MeshStandardMaterial({
-            color: this.currentLevel === 2 ? 0x100912 : 0x05080c,
+            color: terrain.ridges,
             roughness: 1,
             flatShading: true
         });
         const ridges = new THREE.InstancedMesh(ridgeGeo, ridgeMat, ridgeCount);
         for (let i = 0; i < ridgeCount; i++) {
             const data = this.getRoadDataAtT((i + 0.5) / ridgeCount);
-            pos.copy(data.point).addScaledVector(data.normal, 50 + Math.random() * 35);
-            const height = 14 + Math.random() * 18;
+            pos.copy(data.point).addScaledVector(data.normal, 50 + scenery.next() * 35);
+            const height = 14 + scenery.next() * 18;
             pos.y = -10 + height * 0.5;
             quat.identity();
-            scale.set(8 + Math.random() * 10, height, 8 + Math.random() * 9);
+            scale.set(8 + scenery.next() * 10, height, 8 + scenery.next() * 9);
             matrix.compose(pos, quat, scale);
             ridges.setMatrixAt(i, matrix);
         }
@@ -927,7 +1000,7 @@ export class LevelManager {
         const silhouetteCount = this.getScaledCount(18);
         const silhouetteGeo = new THREE.ConeGeometry(1, 1, 5);
         const silhouetteMat = new THREE.MeshBasicMaterial({
-            color: this.currentLevel === 2 ? 0x1b1020 : 0x080d16,
+            color: terrain.silhouettes,
             fog: true
         });
         const silhouettes = new THREE.InstancedMesh(silhouetteGeo, silhouetteMat, silhouetteCount);
@@ -963,11 +1036,11 @@ export class LevelManager {
         const color = new THREE.Color();
 
         for (let i = 0; i < count; i++) {
-            const x = side * (20 + Math.random() * 35);
-            const z = (Math.random() - 0.5) * 280;
-            const height = 5 + Math.random() * 10;
+            const x = side * (20 + scenery.next() * 35);
+            const z = (scenery.next() - 0.5) * 280;
+            const height = 5 + scenery.next() * 10;
             const trunkH = height * 0.4;
-            const radius = 2 + Math.random() * 3;
+            const radius = 2 + scenery.next() * 3;
 
             position.set(x, trunkH / 2, z);
             quaternion.identity();
@@ -988,7 +1061,7 @@ export class LevelManager {
             foliageTopMesh.setMatrixAt(i, matrix);
 
             // Slight per-tree color variance (coastal redwood / douglas fir range)
-            const g = 0.55 + Math.random() * 0.7;
+            const g = 0.55 + scenery.next() * 0.7;
             color.setRGB(0.04 * g, 0.10 * g, 0.045 * g);
             foliageMesh.setColorAt(i, color);
             color.multiplyScalar(1.15);
@@ -1001,6 +1074,13 @@ export class LevelManager {
         if (foliageTopMesh.instanceColor) foliageTopMesh.instanceColor.needsUpdate = true;
         this.scene.add(trunkMesh, foliageMesh, foliageTopMesh);
         this.levelObjects.push(trunkMesh, foliageMesh, foliageTopMesh);
+
+        // Whole meshes lean with the wind (a shear keeps the roots planted); canopies more than trunks
+        this.swayingTrees.push(
+            { mesh: trunkMesh, lean: 0.4 },
+            { mesh: foliageMesh, lean: 1 },
+            { mesh: foliageTopMesh, lean: 1.2 }
+        );
     }
 
     // All ferns rendered as ONE instanced mesh (was ~200 separate meshes).
@@ -1023,14 +1103,14 @@ export class LevelManager {
 
         let idx = 0;
         for (let i = 0; i < count; i++) {
-            const x = -(15 + Math.random() * 30);
-            const z = (Math.random() - 0.5) * 260;
-            const fernScale = 0.5 + Math.random() * 0.3;
-            const g = 0.8 + Math.random() * 0.5;
+            const x = -(15 + scenery.next() * 30);
+            const z = (scenery.next() - 0.5) * 260;
+            const fernScale = 0.5 + scenery.next() * 0.3;
+            const g = 0.8 + scenery.next() * 0.5;
 
             for (let f = 0; f < frondsPerFern; f++) {
                 position.set(x, 0, z);
-                euler.set(-0.35 - Math.random() * 0.35, (f / frondsPerFern) * Math.PI * 2 + Math.random() * 0.4, 0, 'YXZ');
+                euler.set(-0.35 - scenery.next() * 0.35, (f / frondsPerFern) * Math.PI * 2 + scenery.next() * 0.4, 0, 'YXZ');
                 quaternion.setFromEuler(euler);
                 scale.setScalar(fernScale);
                 matrix.compose(position, quaternion, scale);
@@ -1070,15 +1150,15 @@ export class LevelManager {
         this.levelObjects.push(this.mothBodies, this.mothLeftWings, this.mothRightWings);
 
         for (let i = 0; i < count; i++) {
-            const x = (Math.random() - 0.5) * 20;
-            const y = 1.5 + Math.random() * 2;
-            const z = (Math.random() - 0.5) * 260;
+            const x = (scenery.next() - 0.5) * 20;
+            const y = 1.5 + scenery.next() * 2;
+            const z = (scenery.next() - 0.5) * 260;
             this.moths.push({
                 index: i,
                 basePos: new THREE.Vector3(x, y, z),
-                phase: Math.random() * Math.PI * 2,
-                speed: 2 + Math.random() * 3,
-                radius: 0.3 + Math.random() * 0.5
+                phase: scenery.next() * Math.PI * 2,
+                speed: 2 + scenery.next() * 3,
+                radius: 0.3 + scenery.next() * 0.5
             });
         }
         this.updateMoths(0);
@@ -1125,10 +1205,10 @@ export class LevelManager {
             stripe.position.set(0, 0.12, -0.01);
             toadGroup.add(stripe);
 
-            const side = Math.random() > 0.5 ? -1 : 1;
-            const startX = side * (7 + Math.random() * 3);
-            const startZ = (Math.random() - 0.5) * 240;
-            const direction = Math.random() * Math.PI * 2;
+            const side = scenery.next() > 0.5 ? -1 : 1;
+            const startX = side * (7 + scenery.next() * 3);
+            const startZ = (scenery.next() - 0.5) * 240;
+            const direction = scenery.next() * Math.PI * 2;
 
             toadGroup.position.set(startX, 0, startZ);
             toadGroup.rotation.y = direction;
@@ -1137,41 +1217,69 @@ export class LevelManager {
 
             this.westernToads.push({
                 group: toadGroup,
-                speed: 0.3 + Math.random() * 0.4,
-                hopFreq: 2 + Math.random() * 2,
+                speed: 0.3 + scenery.next() * 0.4,
+                hopFreq: 2 + scenery.next() * 2,
                 direction: direction,
-                phase: Math.random() * Math.PI * 2,
+                phase: scenery.next() * Math.PI * 2,
                 minZ: -120,
                 maxZ: 120
             });
         }
     }
 
-    // ==================== LEVEL 1: CLEAR NIGHT ====================
-    createLevel1() {
-        this.scene.background = new THREE.Color(0x070714);
-        this.scene.fog = new THREE.FogExp2(0x070714, this.isMobile ? 0.012 : 0.008);
+    // ==================== LEVEL BUILDER ====================
+    buildLevel(definition) {
+        const { sky, lighting, terrain, props, weather } = definition;
+
+        this.scene.background = new THREE.Color(sky.background);
+        this.scene.fog = new THREE.FogExp2(
+            sky.fog.color,
+            this.isMobile ? sky.fog.mobileDensity : sky.fog.density
+        );
 
-        this.createRoad(0);
-        this.createGrass(0x0a1a0a);
+        this.createRoad(definition.road);
+        this.createGrass(terrain.grass);
         this.createCliff();
-        this.createEnvironmentLayers();
-        this.createTrees(100, -1);
-        this.createUnderbrush(50);
-        this.createWesternToads(6);
-        this.createMoths(15);
-        this.placeRoadSigns();
-        this.createStars();
-        this.createMoonlight(0.3);
-
-        const ambient = new THREE.AmbientLight(0x1a1a2e, 0.45);
+        this.createEnvironmentLayers(terrain);
+        this.createTrees(props.trees.count, props.trees.side);
+        this.createUnderbrush(props.underbrush);
+        // getScaledCount never returns 0, so absent props must be skipped here
+        if (props.toads > 0) this.createWesternToads(props.toads);
+        if (props.moths > 0) this.createMoths(props.moths);
+        if (props.roadSigns) this.placeRoadSigns();
+        if (props.puddles) this.createPuddles();
+
+        if (sky.stars === 'clear') {
+            this.createStars();
+        } else if (sky.stars === 'dusk') {
+            this.createDuskSky();
+        }
+
+        if (weather.rain) this.createRain();
+        this.createMoonlight(lighting.moonlight);
+        if (props.stormReservoir) this.createStormReservoir();
+
+        const ambient = new THREE.AmbientLight(lighting.ambient.color, lighting.ambient.intensity);
         this.scene.add(ambient);
         this.levelObjects.push(ambient);
 
         // Cool sky glow vs warm ground bounce for subtle color depth
-        const hemi = new THREE.HemisphereLight(0x25304d, 0x0c100c, 0.4);
+        const hemi = new THREE.HemisphereLight(
+            lighting.hemisphere.sky,
+            lighting.hemisphere.ground,
+            lighting.hemisphere.intensity
+        );
         this.scene.add(hemi);
         this.levelObjects.push(hemi);
+
+        (lighting.directional || []).forEach(({ color, intensity, position }) => {
+            const light = new THREE.DirectionalLight(color, intensity);
+            light.position.set(position[0], position[1], position[2]);
+            this.scene.add(light);
+            this.levelObjects.push(light);
+        });
+
+        this.windStrength = weather.wind || 0;
     }
 
     createStars() {
@@ -1179,9 +1287,9 @@ export class LevelManager {
         const starGeo = new THREE.BufferGeometry();
         const positions = new Float32Array(starCount * 3);
         for (let i = 0; i < starCount; i++) {
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI * 0.4;
-            const r = 200 + Math.random() * 100;
+            const theta = scenery.next() * Math.PI * 2;
+            const phi = scenery.next() * Math.PI * 0.4;
+            const r = 200 + scenery.next() * 100;
             positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
             positions[i * 3 + 1] = r * Math.cos(phi);
             positions[i * 3 + 2] = r * Math.sin(phi) * Math.sin(theta);
@@ -1194,37 +1302,6 @@ export class LevelManager {
         this.levelObjects.push(stars);
     }
     
-    // ==================== LEVEL 2: JUST AFTER SUNSET ====================
-    createLevel2() {
-        this.scene.background = new THREE.Color(0x0d0714);
-        this.scene.fog = new THREE.FogExp2(0x160b1b, this.isMobile ? 0.017 : 0.012);
-
-        this.createRoad(0);
-        this.createGrass(0x0d1a0d);
-        this.createCliff();
-        this.createEnvironmentLayers();
-        this.createTrees(120, -1);
-        this.createUnderbrush(60);
-        this.createWesternToads(10);
-        this.createMoths(25);
-        this.placeRoadSigns();
-        this.createDuskSky();
-        this.createMoonlight(0.15);
-
-        const ambient = new THREE.AmbientLight(0x1a1020, 0.35);
-        this.scene.add(ambient);
-        this.levelObjects.push(ambient);
-
-        const hemi = new THREE.HemisphereLight(0x33203a, 0x0d0f0c, 0.35);
-        this.scene.add(hemi);
-        this.levelObjects.push(hemi);
-
-        const horizonLight = new THREE.DirectionalLight(0xff6633, 0.35);
-        horizonLight.position.set(-50, 5, 0);
-        this.scene.add(horizonLight);
-        this.levelObjects.push(horizonLight);
-    }
-
     createDuskSky() {
         // Painted gradient: ember horizon fading to deep dusk blue
         const canvas = document.createElement('canvas');
@@ -1255,9 +1332,9 @@ export class LevelManager {
         const starGeo = new THREE.BufferGeometry();
         const positions = new Float32Array(starCount * 3);
         for (let i = 0; i < starCount; i++) {
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI * 0.3;
-            const r = 200 + Math.random() * 100;
+            const theta = scenery.next() * Math.PI * 2;
+            const phi = scenery.next() * Math.PI * 0.3;
+            const r = 200 + scenery.next() * 100;
             positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
             positions[i * 3 + 1] = r * Math.cos(phi);
             positions[i * 3 + 2] = r * Math.sin(phi) * Math.sin(theta);
@@ -1270,33 +1347,6 @@ export class LevelManager {
         this.levelObjects.push(stars);
     }
     
-    // ==================== LEVEL 3: RAIN & WIND STORM ====================
-    createLevel3() {
-        this.scene.background = new THREE.Color(0x040409);
-        this.scene.fog = new THREE.FogExp2(0x080b12, this.isMobile ? 0.035 : 0.025);
-
-        this.createRoad(1);
-        this.createGrass(0x0d260d);
-        this.createCliff();
-        this.createEnvironmentLayers();
-        this.createTrees(180, -1);
-        this.createUnderbrush(40);
-        this.placeRoadSigns();
-        this.createPuddles();
-        this.createRain();
-        this.createMoonlight(0.12);
-        this.createStormReservoir();
-
-        const ambient = new THREE.AmbientLight(0x111122, 0.3);
-        this.scene.add(ambient);
-        this.levelObjects.push(ambient);
-
-        const hemi = new THREE.HemisphereLight(0x1d2740, 0x0a0d0a, 0.3);
-        this.scene.add(hemi);
-        this.levelObjects.push(hemi);
-        this.windStrength = 1.0;
-    }
-
     createStormReservoir() {
         const water = new THREE.Mesh(
             new THREE.PlaneGeometry(120, 300, 20, 20),
@@ -1332,8 +1382,8 @@ export class LevelManager {
         const scale = new THREE.Vector3();
 
         for (let i = 0; i < puddleCount; i++) {
-            pos.set((Math.random() - 0.5) * 12, 0.02, (Math.random() - 0.5) * 280);
-            scale.set((0.5 + Math.random()) * (0.5 + Math.random() * 1), 1, (0.5 + Math.random()) * (0.6 + Math.random() * 0.4));
+            pos.set((scenery.next() - 0.5) * 12, 0.02, (scenery.next() - 0.5) * 280);
+            scale.set((0.5 + scenery.next()) * (0.5 + scenery.next() * 1), 1, (0.5 + scenery.next()) * (0.6 + scenery.next() * 0.4));
             matrix.compose(pos, quat, scale);
             mesh.setMatrixAt(i, matrix);
         }
@@ -1349,16 +1399,16 @@ export class LevelManager {
         this.rainVelocities = new Float32Array(rainCount);
         for (let i = 0; i < rainCount; i++) {
             const offset = i * 6;
-            const x = (Math.random() - 0.5) * 120;
-            const y = Math.random() * 50;
-            const z = (Math.random() - 0.5) * 120;
+            const x = (scenery.next() - 0.5) * 120;
+            const y = scenery.next() * 50;
+            const z = (scenery.next() - 0.5) * 120;
             positions[offset] = x;
             positions[offset + 1] = y;
             positions[offset + 2] = z;
             positions[offset + 3] = x - 0.12;
             positions[offset + 4] = y + 0.75;
             positions[offset + 5] = z;
-            this.rainVelocities[i] = 0.5 + Math.random() * 0.5;
+            this.rainVelocities[i] = 0.5 + scenery.next() * 0.5;
         }
         this.rainGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         this.rain = new THREE.LineSegments(this.rainGeometry, new THREE.LineBasicMaterial({
@@ -1381,16 +1431,38 @@ export class LevelManager {
     }
     
     // ==================== UPDATE METHODS ====================
+    // force: this tick's push from wind.js; gustAmount: 0-1 strength of the current gust
+    setWind(force, gustAmount) {
+        this.windForce.copy(force);
+        this.gustAmount = gustAmount;
+    }
+
+    updateTreeSway(elapsedTime) {
+        if (this.swayingTrees.length === 0) return;
+
+        // Lean downwind, plus a flutter that quickens while a gust blows
+        const flutter = Math.sin(elapsedTime * (1.3 + this.gustAmount * 3)) * (0.006 * this.windStrength + 0.02 * this.gustAmount);
+        const leanX = this.windForce.x * 0.012 + flutter;
+        const leanZ = this.windForce.z * 0.012 + flutter * 0.3;
+
+        for (const { mesh, lean } of this.swayingTrees) {
+            mesh.matrixAutoUpdate = false;
+            mesh.matrix.copy(this._swayMatrix.makeShear(0, 0, leanX * lean, leanZ * lean, 0, 0));
+            mesh.matrixWorldNeedsUpdate = true;
+        }
+    }
+
     updateRain(deltaTime, cameraPosition) {
-        if (!this.rain || !this.rainGeometry || this.currentLevel !== 3) return;
+        if (!this.rain || !this.rainGeometry) return;
 
         const positions = this.rainGeometry.attributes.position.array;
         const count = this.rainVelocities.length;
 
         this.windTime += deltaTime;
         const windGust = Math.sin(this.windTime * 0.5) * 0.5 + 0.5;
-        const windX = (2 + windGust * 4) * this.windStrength;
-        const windZ = Math.sin(this.windTime * 0.3) * 1.5 * this.windStrength;
+        // Gusts drive the rain harder than they push the player
+        const windX = (2 + windGust * 4) * this.windStrength + this.windForce.x * 3;
+        const windZ = Math.sin(this.windTime * 0.3) * 1.5 * this.windStrength + this.windForce.z * 3;
 
         // Sliced updates: each frame advances 1/interval of the particles by
         // interval * dt, keeping perceived speed identical while spreading cost.
@@ -1436,7 +1508,7 @@ export class LevelManager {
     }
     
     createSplashParticle(x, z) {
-        if (this.currentLevel !== 3) return;
+        if (!this.rain) return;
         const maxSplashes = this.isMobile ? 30 : 60;
         if (this.splashParticles.length >= maxSplashes) {
             const old = this.splashParticles.shift();
@@ -1459,9 +1531,15 @@ export class LevelManager {
         this.splashParticles.push(splash);
     }
     
+    removeSplash(splash) {
+        this.scene.remove(splash);
+        splash.geometry.dispose();
+        splash.material.dispose();
+    }
+
     updateSplashes(deltaTime, cameraPosition) {
-        if (this.currentLevel !== 3) {
-            this.splashParticles.forEach(s => this.scene.remove(s));
+        if (!this.rain) {
+            this.splashParticles.forEach(s => this.removeSplash(s));
             this.splashParticles = [];
             return;
         }
@@ -1478,7 +1556,7 @@ export class LevelManager {
             splash.scale.set(scale, scale, scale);
             splash.material.opacity = 0.8 * (1 - progress);
             if (splash.userData.life >= splash.userData.maxLife) {
-                this.scene.remove(splash);
+                this.removeSplash(splash);
                 this.splashParticles.splice(i, 1);
             }
         }
@@ -1610,5 +1688,5 @@ export class LevelManager {
     }
     
     getCurrentLevel() { return this.currentLevel; }
-    getWindStrength() { return this.currentLevel === 3 ? this.windStrength : 0; }
+    getWindStrength() { return this.levelDefinition && this.levelDefinition.weather.wind > 0 ? this.windStrength : 0; }
 }
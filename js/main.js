@@ -3,17 +3,42 @@ import * as THREE from 'three';
 import { LevelManager } from './levels.js';
 import { Player } from './player.js';
 import { Flashlight } from './flashlight.js';
-import { NewtManager } from './newts.js';
+import { NewtManager, NEWT_RULES } from './newts.js';
+import { CarryView } from './carry-view.js';
 import { CarManager } from './cars.js';
 import { AudioManager } from './audio.js';
 import { UIManager } from './ui.js';
 import { LeaderboardManager } from './leaderboard.js';
+import { ScoreQueue } from './score-queue.js';
+import { PlayerProfile } from './profile.js';
+import { AchievementManager } from './achievements.js';
+import { EventBus } from './game-events.js';
+import { StateMachine } from './state-machine.js';
+import { Settings } from './settings.js';
+import { InputBindings, INPUT_ACTIONS, RESERVED_KEYS, snapshotGamepad, detectGamepadInput } from './input-bindings.js';
+import { QUALITY_PRESETS, MIN_QUALITY_LEVEL, MAX_QUALITY_LEVEL, presetForLevel } from './quality.js';
 import { PredatorManager } from './predators.js';
+import { Wind } from './wind.js';
+import { RoadworksManager } from './roadworks.js';
+import { loadLevelDefinitions } from './level-data.js';
+import { random, randomSeed } from './random.js';
+import { FixedTimestep } from './timestep.js';
+import { TransformInterpolator } from './interpolation.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import { createRunProof } from './run-summary.js';
+
+// Simulation steps a replay seek may run per rendered frame
+const REPLAY_SEEK_STEPS_PER_FRAME = 900;
+
+// Predator ambushes roll on the seeded danger stream
+const danger = random.stream('danger');
 
 class Game {
-    constructor() {
-        // Game state
-        this.state = 'menu'; // 'menu', 'playing', 'gameover', 'loading'
+    constructor(levelDefinitions) {
+        // Game state: 'menu', 'playing', 'paused', 'loading', 'falling', 'attacked', 'gameover'
+        // (allowed changes are listed in state-machine.js)
+        this.stateMachine = new StateMachine();
+        this.stateMachine.onExit('attacked', () => this.predatorManager.removePredator());
         this.isMobile = false;
         this.isVisibilityPaused = false;
 
@@ -21,16 +46,31 @@ class Game {
         this.currentLevel = 1;
         this.levelScore = 0; // Score within current level
         this.totalScore = 0; // Total across levels
-        this.newtsForNextLevel = 3;
+        this.runStartScore = 0; // totalScore when the current run began
+        this.newtsForNextLevel = 3; // Replaced by the level definition's quota
+        this.levelDefinitions = levelDefinitions;
+        this.runSeed = null; // Seed every simulation stream is derived from
+        this.rescueMode = 'instant'; // from the settings when a run starts, or from the replay
 
-        // Timing
+        // Timing: gameplay runs in fixed 60 Hz steps, rendering blends between them
         this.clock = null;
         this.elapsedTime = 0;
         this.lastTime = 0;
+        this.timestep = new FixedTimestep();
+
+        // Replays: every live run is recorded; replayPlayer is set while watching one
+        this.recorder = null;
+        this.lastReplay = null;
+        this.lastRunProof = null;
+        this.replayPlayer = null;
+        this.replayPaused = false;
+        this.replaySpeed = 1;
+        this.replaySeekTarget = null;
 
         // Adaptive rendering starts at full fidelity and only steps down after
         // sustained slow frames. Hysteresis prevents visible quality thrashing.
         this.qualityLevel = 3;
+        this.qualityPreset = 'auto';
         this.resolutionScale = 1;
         this.frameTimeAverage = 1000 / 60;
         this.qualitySampleFrames = 0;
@@ -40,6 +80,8 @@ class Game {
 
         // High score
         this.highScore = parseInt(localStorage.getItem('newtRescueHighScore')) || 0;
+        this.standingRequest = 0;
+        this.leaderboardRequest = 0;
 
         // Car engine sounds
         this.carEngineSounds = new Map();
@@ -49,6 +91,7 @@ class Game {
 
         // Initialize systems
         this.initSystems();
+        this.subscribeToGameEvents();
         this.setupEventListeners();
 
         // Expose handle for debugging/profiling
@@ -86,11 +129,14 @@ class Game {
 
         // Create level manager
         this.levelManager = new LevelManager(this.scene, this.camera, this.renderer, this.isMobile);
+        this.levelManager.setLevelDefinitions(this.levelDefinitions);
 
         // Load level 1
+        this.chooseRunSeed();
         const levelData = this.levelManager.loadLevel(1);
         this.roadCurve = levelData.roadCurve;
         this.roadBounds = levelData.roadBounds;
+        this.newtsForNextLevel = this.levelManager.getLevelDefinition(1).newtsToAdvance;
 
         // Create player with mobile flag
         this.player = new Player(
@@ -100,6 +146,10 @@ class Game {
             this.isMobile
         );
 
+        // Camera position is simulated with the player; look direction follows input directly
+        this.cameraTransforms = new TransformInterpolator();
+        this.cameraTransforms.track(this.camera, { rotation: false });
+
         // Create flashlight (brighter on mobile)
         this.flashlight = new Flashlight(
             this.camera,
@@ -115,6 +165,13 @@ class Game {
             this.isMobile
         );
         this.newtManager.prewarmPool(15);
+        this.newtManager.onPickup(newt => this.events.emit('newt:pickedUp', {
+            position: newt.mesh.position,
+            bonus: newt.isBonus
+        }));
+
+        // Carry mode's bucket of newts at the bottom of the view
+        this.carryView = new CarryView(this.camera, this.newtManager);
 
         this.carManager = new CarManager(this.scene, this.roadCurve, {
             isLowEnd: this.isMobile,
@@ -123,15 +180,55 @@ class Game {
             // and the shared glow cloud retain the visible headlight effect.
             enableDynamicLights: false
         });
+        this.carManager.setTrafficMix(this.levelManager.getTrafficMix());
+        this.interpolators = [this.cameraTransforms, this.newtManager.transforms, this.carManager.transforms];
         this.audioManager = new AudioManager();
         this.leaderboard = new LeaderboardManager();
+        this.profile = new PlayerProfile();
+        this.achievements = new AchievementManager();
+        this.flashlightTurnedOffThisLevel = false;
+        this.batteryLow = false;
+
+        // Gameplay events; effects, stats and achievements subscribe in subscribeToGameEvents()
+        this.events = new EventBus();
+        // Items queued before profiles existed have no playerId and go in under their name
+        this.scoreQueue = new ScoreQueue(item => this.leaderboard.submitScore(
+            item.playerId ? { id: item.playerId, name: item.playerName } : item.playerName,
+            item.score,
+            item.timeSurvived,
+            item.deathReason,
+            item.run
+        ));
         this.predatorManager = new PredatorManager(this.scene, this.camera);
         this.predatorManager.prewarmPool();
 
+        // Trench, excavator and lane closure on levels with roadworks
+        this.roadworks = new RoadworksManager(this.scene);
+
+        // Seeded gusts on windy levels; strong ones are announced a moment before they hit
+        this.wind = new Wind(random.stream('wind'));
+        this.wind.onGustWarning(gust => this.events.emit('wind:gustWarning', {
+            strength: gust.strength,
+            duration: gust.end - gust.start
+        }));
+
         this.applyQualitySettings();
 
-        // Setup flashlight toggle callbacks
+        // Stored settings apply now and again whenever one changes
+        this.settings = new Settings();
+        this.settings.onChange((key, value) => this.applySetting(key, value));
+        this.applySettings();
+
+        // Keyboard and controller bindings; the player reads them on every key and poll
+        this.inputBindings = new InputBindings();
+        this.inputBindings.onChange(() => this.showBindings());
+        this.player.setInputBindings(this.inputBindings);
+        this.bindingCapture = null;
+        this.keyboardLayout = null;
+
+        // Setup flashlight toggle and newt release callbacks
         this.setupFlashlightToggle();
+        this.setupDropControls();
 
         // Show start screen
         this.ui.showStartScreen();
@@ -151,7 +248,8 @@ class Game {
     }
 
     getTargetPixelRatio() {
-        return Math.min(window.devicePixelRatio || 1, this.maxPixelRatio) * this.resolutionScale;
+        const presetCap = presetForLevel(this.qualityLevel).pixelRatio;
+        return Math.min(window.devicePixelRatio || 1, this.maxPixelRatio, presetCap) * this.resolutionScale;
     }
 
     applyQualitySettings() {
@@ -162,8 +260,67 @@ class Game {
         this.renderer.setPixelRatio(this.getTargetPixelRatio());
     }
 
+    // Pushes every stored setting into the systems it configures
+    applySettings() {
+        const values = this.settings.getAll();
+        Object.keys(values).forEach(key => this.applySetting(key, values[key]));
+    }
+
+    applySetting(key, value) {
+        switch (key) {
+            case 'masterVolume':
+                this.audioManager.setMasterVolume(value);
+                break;
+            case 'musicVolume':
+                this.audioManager.setMusicVolume(value);
+                break;
+            case 'sfxVolume':
+                this.audioManager.setSfxVolume(value);
+                break;
+            case 'ambienceVolume':
+                this.audioManager.setAmbienceVolume(value);
+                break;
+            case 'mouseSensitivity':
+            case 'touchSensitivity':
+            case 'gamepadSensitivity':
+                this.player.setLookSensitivity({
+                    mouse: this.settings.get('mouseSensitivity'),
+                    touch: this.settings.get('touchSensitivity'),
+                    gamepad: this.settings.get('gamepadSensitivity')
+                });
+                break;
+            case 'invertY':
+                this.player.setInvertY(value);
+                break;
+            case 'fov':
+                this.camera.fov = value;
+                this.camera.updateProjectionMatrix();
+                break;
+            case 'quality':
+                this.setQualityPreset(value);
+                break;
+            case 'haptics':
+                this.ui.setHapticsEnabled(value);
+                break;
+        }
+    }
+
+    // 'auto' leaves quality to updateAdaptiveQuality; a named preset pins it at full resolution
+    setQualityPreset(preset) {
+        this.qualityPreset = preset;
+        if (preset === 'auto') {
+            this.qualitySampleFrames = 0;
+            return;
+        }
+
+        this.qualityLevel = QUALITY_PRESETS[preset].level;
+        this.resolutionScale = 1;
+        this.applyQualitySettings();
+    }
+
     updateAdaptiveQuality(frameTimeMs, nowMs) {
-        if (this.state !== 'playing') return;
+        // Replays apply the quality the run was recorded at
+        if (this.state !== 'playing' || this.replayPlayer || this.qualityPreset !== 'auto') return;
 
         this.frameTimeAverage = this.frameTimeAverage * 0.95 + frameTimeMs * 0.05;
         this.qualitySampleFrames++;
@@ -176,12 +333,12 @@ class Game {
             if (this.resolutionScale > 0.65) {
                 this.resolutionScale = Math.max(0.65, this.resolutionScale - 0.125);
                 changed = true;
-            } else if (this.qualityLevel > 1) {
+            } else if (this.qualityLevel > MIN_QUALITY_LEVEL) {
                 this.qualityLevel--;
                 changed = true;
             }
         } else if (this.frameTimeAverage < 17) {
-            if (this.qualityLevel < 3) {
+            if (this.qualityLevel < MAX_QUALITY_LEVEL) {
                 this.qualityLevel++;
                 changed = true;
             } else if (this.resolutionScale < 1) {
@@ -194,6 +351,7 @@ class Game {
         if (changed) {
             this.lastQualityChange = nowMs;
             this.applyQualitySettings();
+            this.ui.showQualityIndicator(presetForLevel(this.qualityLevel).label, this.resolutionScale);
         }
     }
 
@@ -206,9 +364,35 @@ class Game {
     }
 
     toggleFlashlight() {
-        if (this.state !== 'playing') return;
+        if (this.state !== 'playing' || this.replayPlayer) return;
+        this.player.queueFlashlightToggle();
+    }
+
+    setupDropControls() {
+        // Desktop: E key (or its rebinding) and the gamepad's B button
+        this.player.setDropCallback(() => this.requestDrop());
+
+        // Mobile: button
+        this.ui.onDrop(() => this.requestDrop());
+    }
+
+    // Like the flashlight, a release is applied on the next tick so recordings capture it
+    requestDrop() {
+        if (this.state !== 'playing' || this.replayPlayer || this.rescueMode !== 'carry') return;
+        this.player.queueDrop();
+    }
+
+    // Fixed for the whole run: it changes how the score is earned
+    setRescueMode(mode) {
+        this.rescueMode = mode;
+        this.newtManager.setRescueMode(mode);
+        this.carryView.setEnabled(mode === 'carry');
+        this.ui.setCarryMode(mode === 'carry', NEWT_RULES.carryLimit);
+    }
 
+    applyFlashlightToggle() {
         const isOn = this.flashlight.toggle();
+        if (!isOn) this.flashlightTurnedOffThisLevel = true;
 
         // Update mobile button appearance
         this.ui.updateFlashlightButton(isOn);
@@ -219,6 +403,15 @@ class Game {
         }
     }
 
+    get state() {
+        return this.stateMachine.state;
+    }
+
+    // Assigning is a transition: one the current state does not allow is refused
+    set state(next) {
+        this.stateMachine.transition(next);
+    }
+
     setupEventListeners() {
         // Start button - now shows video first
         this.ui.onStartClick(() => this.showIntroVideo());
@@ -235,13 +428,110 @@ class Game {
         // Leaderboard buttons
         this.ui.onViewLeaderboard(() => this.showLeaderboard());
         this.ui.onCloseLeaderboard(() => this.ui.hideLeaderboard());
+        this.ui.onLeaderboardBoardChange(board => this.loadLeaderboardBoard(board));
         this.ui.onSubmitScore(() => this.submitScore());
+        this.ui.onRetryScores(() => this.scoreQueue.flush({ force: true }));
+
+        // Profile screen
+        this.ui.setPlayerName(this.profile.editableName);
+        this.profile.onChange(snapshot => {
+            this.ui.renderProfile(snapshot);
+            this.ui.setPlayerName(this.profile.editableName);
+        });
+        this.ui.onOpenProfile(() => this.ui.showProfile(this.profile.getSnapshot()));
+        this.ui.onCloseProfile(() => this.ui.hideProfile());
+        this.ui.onSaveProfile(() => {
+            const result = this.profile.setDisplayName(this.ui.getProfileName());
+            this.ui.setProfileStatus(result.success ? 'Name saved' : result.error, !result.success);
+        });
+
+        // Trophy room and unlock toasts
+        this.achievements.onUnlock(achievement => this.ui.showAchievementToast(achievement));
+        this.ui.onOpenAchievements(() => this.ui.showAchievements(this.achievements.getAll()));
+        this.ui.onCloseAchievements(() => this.ui.hideAchievements());
+
+        // Scores that failed to submit earlier are retried now and whenever we come back online
+        this.scoreQueue.onChange(items => this.ui.renderScoreQueue(items));
+        this.ui.renderScoreQueue(this.scoreQueue.items);
+        this.scoreQueue.start();
+
+        // Pause menu
+        this.ui.onPauseClick(() => this.pauseGame());
+        this.ui.onResumeClick(() => this.resumeGame());
+        this.ui.onPauseRestartClick(() => this.restartLevel());
+        this.ui.onQuitClick(() => this.quitToTitle());
+        this.ui.setSettingsValues(this.settings.getAll());
+        this.ui.onSettingChange((key, value) => this.settings.set(key, value));
+        this.ui.onResetSettings(() => {
+            this.settings.reset();
+            this.ui.setSettingsValues(this.settings.getAll());
+            this.cancelBindingCapture();
+            this.inputBindings.reset();
+        });
+
+        // Binding lists name keys as the player's keyboard layout prints them, where supported
+        this.showBindings();
+        navigator.keyboard?.getLayoutMap?.().then(layout => {
+            this.keyboardLayout = layout;
+            this.showBindings();
+        }).catch(() => {});
+        window.addEventListener('gamepadconnected', () => this.showBindings());
+        window.addEventListener('gamepaddisconnected', () => this.showBindings());
+        this.ui.onRebind(request => this.captureBinding(request));
+        this.ui.onBindingPreset((device, preset) => {
+            this.cancelBindingCapture();
+            if (device === 'keyboard') {
+                this.inputBindings.useKeyboardPreset(preset);
+                return;
+            }
+            const gamepad = this.player.getGamepad();
+            if (gamepad) this.inputBindings.useGamepadPreset(gamepad.id, preset);
+        });
+        this.ui.setSeedSetting(localStorage.getItem('newtRescueSeed') || '');
+        this.ui.onSeedChange((seed) => {
+            if (seed) {
+                localStorage.setItem('newtRescueSeed', seed);
+            } else {
+                localStorage.removeItem('newtRescueSeed');
+            }
+        });
+        // Replays
+        this.ui.onSaveReplay(() => {
+            if (this.lastReplay) this.ui.downloadReplay(this.lastReplay);
+        });
+        this.ui.onReplayFileSelected((text) => this.loadReplayFile(text));
+        this.ui.onReplayPlayPause(() => this.toggleReplayPause());
+        this.ui.onReplaySeek((tick) => this.seekReplay(tick));
+        this.ui.onReplaySpeedChange((speed) => { this.replaySpeed = speed; });
+        this.ui.onReplayExit(() => this.exitReplay());
+
+        // O opens settings mid-run (pausing first) and closes them again
+        this.player.setSettingsToggleCallback(() => {
+            if (this.replayPlayer) return;
+            if (this.ui.isSettingsVisible()) {
+                this.ui.hideSettings();
+                return;
+            }
+            this.pauseGame();
+            if (this.state === 'paused') this.ui.showSettings();
+        });
+
+        // Not from the settings screen: the pause button may be the one being rebound
+        this.player.setPauseToggleCallback(() => {
+            if (this.ui.isSettingsVisible()) return;
+            if (this.state === 'paused') {
+                this.resumeGame();
+            } else {
+                this.pauseGame();
+            }
+        });
 
         // Pointer lock change (desktop only)
         if (!this.isMobile) {
             document.addEventListener('pointerlockchange', () => {
                 if (!this.player.isLocked() && this.state === 'playing') {
-                    // Player pressed ESC - pause or show menu
+                    // Player pressed ESC
+                    this.pauseGame();
                 }
             });
         }
@@ -252,12 +542,193 @@ class Game {
             if (this.isVisibilityPaused) {
                 this.audioManager.stopAmbient();
                 this.audioManager.stopLowBatteryWarning();
-            } else if (this.state === 'playing') {
-                this.audioManager.startAmbient(this.currentLevel);
+                this.batteryLow = false; // reported again on the next tick if still low
+            } else if (this.state === 'playing' || this.state === 'paused') {
+                this.audioManager.startAmbient(this.levelManager.getAudioAmbience());
             }
         });
     }
 
+    showBindings() {
+        const gamepad = this.player.getGamepad();
+        this.ui.showBindings(
+            this.inputBindings.getKeyboard(),
+            gamepad ? this.inputBindings.getGamepad(gamepad.id) : null,
+            { layout: this.keyboardLayout, gamepadName: gamepad?.id, standard: gamepad?.mapping === 'standard' }
+        );
+    }
+
+    // Waits for the key, button or stick the player picks for an action. Escape, closing the
+    // settings or starting another capture cancels; the lists are redrawn either way.
+    captureBinding({ device, action, direction }) {
+        this.cancelBindingCapture();
+
+        const finish = () => {
+            window.removeEventListener('keydown', onKeyDown, true);
+            cancelAnimationFrame(frame);
+            this.bindingCapture = null;
+            this.showBindings();
+        };
+        let frame = 0;
+
+        // Runs before the player's own key handler, which never sees the key
+        const onKeyDown = (e) => {
+            if (!this.ui.isSettingsVisible()) {
+                finish();
+                return;
+            }
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (e.code === 'Escape') {
+                finish();
+            } else if (device === 'keyboard' && !RESERVED_KEYS.includes(e.code)) {
+                this.inputBindings.bindKey(action, e.code, direction);
+                finish();
+            }
+        };
+        window.addEventListener('keydown', onKeyDown, true);
+
+        if (device === 'gamepad') {
+            const gamepad = this.player.getGamepad();
+            if (!gamepad) {
+                finish();
+                return;
+            }
+            // Sticks and triggers are compared against how they rest now
+            const baseline = snapshotGamepad(gamepad);
+            const poll = () => {
+                const current = this.player.getGamepad();
+                if (!current || !this.ui.isSettingsVisible()) {
+                    finish();
+                    return;
+                }
+                const binding = detectGamepadInput(INPUT_ACTIONS[action].type, baseline, current);
+                if (binding === null) {
+                    frame = requestAnimationFrame(poll);
+                    return;
+                }
+                this.inputBindings.bindGamepad(current.id, action, binding);
+                finish();
+            };
+            frame = requestAnimationFrame(poll);
+        }
+
+        this.bindingCapture = { cancel: finish };
+    }
+
+    cancelBindingCapture() {
+        if (this.bindingCapture) this.bindingCapture.cancel();
+    }
+
+    pauseGame() {
+        if (this.replayPlayer) {
+            this.toggleReplayPause();
+            return;
+        }
+        if (!this.stateMachine.is('playing')) return;
+        this.stateMachine.transition('paused');
+
+        this.audioManager.suspend();
+        this.player.unlock();
+        this.ui.showPauseScreen();
+    }
+
+    resumeGame() {
+        if (!this.stateMachine.is('paused')) return;
+
+        this.ui.hidePauseScreen();
+        this.audioManager.resume();
+
+        // Re-lock pointer (desktop only) - the Resume click is the user gesture
+        if (!this.isMobile) {
+            this.player.lock();
+        }
+
+        this.stateMachine.transition('playing');
+    }
+
+    async restartLevel() {
+        if (!this.stateMachine.is('paused')) return;
+        this.stateMachine.transition('loading');
+
+        this.ui.hidePauseScreen();
+        this.audioManager.resume();
+        this.audioManager.stopAmbient();
+        this.stopCarEngineSounds();
+
+        // Replay the current level from zero; earlier levels keep their score
+        this.levelScore = 0;
+        this.applyLevelData(this.levelManager.loadLevel(this.currentLevel));
+
+        await this.startGameWithLoading();
+    }
+
+    quitToTitle() {
+        if (!this.stateMachine.is('paused')) return;
+
+        this.ui.hidePauseScreen();
+        this.audioManager.resume();
+        this.stopCarEngineSounds();
+        this.resetToFirstLevel();
+
+        this.ui.hideGameScreen();
+        this.ui.showStartScreen();
+        this.stateMachine.transition('menu');
+    }
+
+    stopCarEngineSounds() {
+        this.carEngineSounds.forEach((sound) => {
+            this.audioManager.stopCarEngine(sound);
+        });
+        this.carEngineSounds.clear();
+    }
+
+    applyLevelData(levelData) {
+        this.roadCurve = levelData.roadCurve;
+        this.roadBounds = levelData.roadBounds;
+
+        // Update player bounds
+        this.player.roadBounds = this.roadBounds;
+
+        // Update managers with new road curve and traffic
+        this.newtManager.setRoadCurve(this.roadCurve);
+        this.carManager.setRoadCurve(this.roadCurve);
+        this.carManager.setTrafficMix(this.levelManager.getTrafficMix());
+        this.newtManager.setBehaviour(this.levelManager.getNewtBehaviour());
+
+        this.roadworks.setSite(this.levelManager.getRoadworks(), this.roadCurve);
+        this.carManager.setLaneClosure(this.roadworks.getLaneClosure());
+    }
+
+    // A ?seed= URL parameter wins over the settings seed; otherwise each run gets a fresh one
+    chooseRunSeed() {
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        random.setSeed(urlSeed || localStorage.getItem('newtRescueSeed') || randomSeed());
+        this.runSeed = random.seed;
+        this.ui.updateRunSeed(this.runSeed);
+    }
+
+    // Endless waves speed up traffic and newts and drain the battery faster (wave 0 = normal)
+    setEndlessDifficulty(wave) {
+        this.carManager.setDifficultyMultiplier(1 + wave * 0.15);
+        this.newtManager.setSpeedMultiplier(1 + wave * 0.1);
+        this.flashlight.setExternalDrainMultiplier(1 + wave * 0.1);
+    }
+
+    // Call after the level's random streams restart, so its gusts replay with the seed
+    resetWind() {
+        this.wind.reset(this.levelManager.getLevelDefinition(this.currentLevel).weather.wind || 0);
+    }
+
+    // Waves past the last defined level (0 while on a defined level)
+    getEndlessWave() {
+        return Math.max(0, this.currentLevel - this.levelManager.getLevelCount());
+    }
+
+    showLevelStart() {
+        this.events.emit('level:started', { level: this.currentLevel, wave: this.getEndlessWave() });
+    }
+
     showIntroVideo() {
         // Show the intro video screen
         this.audioManager.startVideoMusic();
@@ -286,6 +757,45 @@ class Game {
         // Initialize audio context (requires user interaction)
         this.audioManager.init();
 
+        // Record this run's inputs so it can be saved as a replay at game over
+        this.runStartScore = this.totalScore;
+        this.lastReplay = null;
+        this.lastRunProof = null;
+        this.achievements.startRun();
+        this.setRescueMode(this.settings.get('rescueMode'));
+        this.recorder = new ReplayRecorder({
+            seed: this.runSeed,
+            level: this.currentLevel,
+            totalScore: this.totalScore,
+            rescueMode: this.rescueMode
+        });
+
+        this.beginPlay();
+
+        // Show mobile onboarding on first play
+        if (this.isMobile && this.ui.isFirstPlay) {
+            this.ui.showMobileOnboarding();
+            this.ui.markAsPlayed();
+        }
+
+        // Haptic feedback for game start
+        this.ui.hapticMedium();
+
+        // Lock pointer (desktop only) - this MUST happen within user gesture
+        if (!this.isMobile) {
+            this.player.lock();
+        }
+    }
+
+    // Shared by live starts and replays: reset every system and start the current level
+    beginPlay() {
+        // Leaving the previous state cancels its leftover animations and timers
+        if (!this.stateMachine.transition('playing')) return;
+
+        // Play always starts from the level's seeded stream state
+        random.beginLevel(this.currentLevel);
+        this.resetWind();
+
         // Reset all systems
         this.player.reset();
         this.flashlight.reset();
@@ -293,43 +803,30 @@ class Game {
         this.carManager.reset();
         this.audioManager.reset();
         this.predatorManager.reset();
+        this.roadworks.reset();
 
         // Clear car engine sounds
         this.carEngineSounds.clear();
 
         // Reset timing
         this.elapsedTime = 0;
+        this.flashlightTurnedOffThisLevel = false;
+        this.batteryLow = false;
         this.lastTime = performance.now() / 1000;
+        this.timestep.reset();
 
         // Update UI
         this.ui.hideGameOver();
         this.ui.updateBattery(100);
-        this.ui.updateScore(0);
+        this.ui.updateStamina(1, false);
+        this.ui.updateScore(this.totalScore + this.levelScore);
         this.ui.updateTime(0);
-        this.ui.updateLevel(this.currentLevel);
 
-        // Show mobile onboarding on first play
-        if (this.isMobile && this.ui.isFirstPlay) {
-            this.ui.showMobileOnboarding();
-            this.ui.markAsPlayed();
-        }
+        // Start ambient sounds described by the current level definition
+        this.audioManager.startAmbient(this.levelManager.getAudioAmbience());
 
-        // Haptic feedback for game start
-        this.ui.hapticMedium();
-
-        // Start ambient sounds for the current level (crickets in level 1, rain in level 2)
-        this.audioManager.startAmbient(this.currentLevel);
-
-        // Lock pointer (desktop only) - this MUST happen within user gesture
-        if (!this.isMobile) {
-            this.player.lock();
-        }
-
-        // Show level start poster
-        this.ui.showLevelStartMessage(this.currentLevel);
-
-        // Set state
-        this.state = 'playing';
+        // Show level indicator and start poster
+        this.showLevelStart();
     }
 
     async startGame() {
@@ -338,38 +835,34 @@ class Game {
     }
 
     async restartGame() {
+        this.resetToFirstLevel();
+
+        // Show loading screen and then click to start
+        await this.startGameWithLoading();
+    }
+
+    resetToFirstLevel() {
         // Reset to level 1
         this.currentLevel = 1;
         this.levelScore = 0;
         this.totalScore = 0;
-        this.newtsForNextLevel = 3;
+        this.newtsForNextLevel = this.levelManager.getLevelDefinition(1).newtsToAdvance;
 
         // Reset endless mode multipliers
-        this.carManager.setDifficultyMultiplier(1);
-        this.newtManager.setSpeedMultiplier(1);
-        this.flashlight.setExternalDrainMultiplier(1);
+        this.setEndlessDifficulty(0);
 
         // Stop any running ambient sounds from previous session
         this.audioManager.stopAmbient();
 
-        // Reload level 1
-        const levelData = this.levelManager.loadLevel(1);
-        this.roadCurve = levelData.roadCurve;
-        this.roadBounds = levelData.roadBounds;
-
-        // Update player bounds
-        this.player.roadBounds = this.roadBounds;
-
-        // Update managers with new road curve
-        this.newtManager.setRoadCurve(this.roadCurve);
-        this.carManager.setRoadCurve(this.roadCurve);
-
-        // Show loading screen and then click to start
-        await this.startGameWithLoading();
+        // Reload level 1 under the next run's seed
+        this.chooseRunSeed();
+        this.applyLevelData(this.levelManager.loadLevel(1));
     }
 
     async loadNextLevel() {
-        this.state = 'loading';
+        if (!this.stateMachine.transition('loading')) return;
+        // Leaving 'loading' early (a replay seek or exit) abandons this load
+        const loading = this.stateMachine.entry;
         this.currentLevel++;
 
         // Add to total score
@@ -377,39 +870,33 @@ class Game {
         this.levelScore = 0;
 
         // Set newt requirements per level
-        if (this.currentLevel === 2) {
-            this.newtsForNextLevel = 5;
-        } else if (this.currentLevel === 3) {
-            this.newtsForNextLevel = 8;
-        }
+        const wave = this.getEndlessWave();
+        const definition = this.levelManager.getLevelDefinition(this.currentLevel);
+        this.newtsForNextLevel = definition.newtsToAdvance + wave * 3;
+        this.flashlightTurnedOffThisLevel = false;
 
-        // Endless mode: after level 3, continue on same scene with escalating difficulty
-        if (this.currentLevel > 3) {
-            const wave = this.currentLevel - 3;
-            this.newtsForNextLevel = 8 + wave * 3;
-            this.carManager.setDifficultyMultiplier(1 + wave * 0.15);
-            this.newtManager.setSpeedMultiplier(1 + wave * 0.1);
-            this.flashlight.setExternalDrainMultiplier(1 + wave * 0.1);
+        // Endless mode: after the last level, continue on same scene with escalating difficulty
+        if (wave > 0) {
+            this.setEndlessDifficulty(wave);
 
+            random.beginLevel(this.currentLevel);
+            this.resetWind();
             this.newtManager.reset();
             this.carManager.reset();
+            this.roadworks.reset();
 
             // Reset car engine sounds
-            this.carEngineSounds.forEach((sound) => {
-                this.audioManager.stopCarEngine(sound);
-            });
-            this.carEngineSounds.clear();
+            this.stopCarEngineSounds();
 
             // Update UI
-            this.ui.updateLevel(this.currentLevel);
             this.ui.updateScore(this.totalScore);
-            this.ui.showLevelStartMessage(this.currentLevel);
+            this.showLevelStart();
 
-            this.state = 'playing';
+            this.stateMachine.transition('playing');
             return;
         }
 
-        // Normal level transition (level 1->2, 2->3)
+        // Normal level transition (level 1->2, 2->3, ...)
         // Show loading screen
         this.ui.showLoadingScreen(`Loading Level ${this.currentLevel}...`);
 
@@ -417,51 +904,43 @@ class Game {
         this.audioManager.stopAmbient();
 
         // Small delay for loading screen to render
-        await new Promise(resolve => setTimeout(resolve, 100));
+        await this.stateMachine.wait(100);
 
         // Load new level
-        const levelData = this.levelManager.loadLevel(this.currentLevel);
-        this.roadCurve = levelData.roadCurve;
-        this.roadBounds = levelData.roadBounds;
+        this.applyLevelData(this.levelManager.loadLevel(this.currentLevel));
+        this.resetWind();
 
-        // Update player
+        // Reset player and managers
         this.player.reset();
-        this.player.roadBounds = this.roadBounds;
-
-        // Update managers
         this.newtManager.reset();
-        this.newtManager.setRoadCurve(this.roadCurve);
         this.carManager.reset();
-        this.carManager.setRoadCurve(this.roadCurve);
 
         // Reset flashlight
         this.flashlight.reset();
+        this.batteryLow = false;
 
         // Reset car engine sounds
-        this.carEngineSounds.forEach((sound) => {
-            this.audioManager.stopCarEngine(sound);
-        });
-        this.carEngineSounds.clear();
+        this.stopCarEngineSounds();
 
         // Clear predator
         this.predatorManager.reset();
 
         // Compile the new level while its loading overlay is still visible.
         await this.compileSceneShaders();
+        if (!loading.active) return;
 
         // Hide loading screen
         this.ui.hideLoadingScreen();
 
         // Update UI
-        this.ui.updateLevel(this.currentLevel);
         this.ui.updateScore(this.totalScore);
-        this.ui.showLevelStartMessage(this.currentLevel);
+        this.showLevelStart();
 
         // Resume ambient audio for the active level
-        this.audioManager.startAmbient(this.currentLevel);
+        this.audioManager.startAmbient(this.levelManager.getAudioAmbience());
 
         // Set state back to playing
-        this.state = 'playing';
+        this.stateMachine.transition('playing');
     }
 
     async compileSceneShaders() {
@@ -474,28 +953,29 @@ class Game {
     }
 
     gameOver(reason) {
-        this.state = 'gameover';
-
-        // Haptic feedback for game over
-        this.ui.hapticError();
+        if (!this.stateMachine.transition('gameover')) return;
 
-        // Stop audio
-        this.audioManager.stopAmbient();
+        if (this.replayPlayer) {
+            this.finishReplay(reason);
+            return;
+        }
 
-        // Stop car engine sounds
-        this.carEngineSounds.forEach((sound) => {
-            this.audioManager.stopCarEngine(sound);
+        // Calculate final score
+        const finalScore = this.totalScore + this.levelScore;
+        const wave = this.getEndlessWave();
+
+        // Sounds, haptics and lifetime stats
+        this.events.emit('player:died', {
+            reason,
+            score: finalScore,
+            rescued: finalScore - this.runStartScore,
+            time: this.elapsedTime,
+            level: this.currentLevel,
+            wave
         });
-        this.carEngineSounds.clear();
 
-        // Play appropriate sound
-        if (reason === 'car' || reason === 'stealth-car') {
-            this.audioManager.playCarHitSound();
-        }
-        // Falling and predator sounds already played before gameOver is called
-        if (reason !== 'cliff' && reason !== 'mountain-lion' && reason !== 'bear' && reason !== 'trench') {
-            this.audioManager.playGameOverSound();
-        }
+        // Stop car engine sounds
+        this.stopCarEngineSounds();
 
         // Unlock pointer
         this.player.unlock();
@@ -506,21 +986,185 @@ class Game {
         // Clear falling darkness
         this.ui.setFallingDarkness(0);
 
-        // Calculate final score
-        const finalScore = this.totalScore + this.levelScore;
-
         // Update high score
-        if (finalScore > this.highScore) {
+        const isPersonalBest = finalScore > this.highScore;
+        if (isPersonalBest) {
             this.highScore = finalScore;
             localStorage.setItem('newtRescueHighScore', this.highScore);
         }
 
+        // Keep the recording so it can be saved from the game over screen
+        if (this.recorder) {
+            this.lastReplay = this.recorder.finish({
+                reason,
+                score: finalScore,
+                time: this.elapsedTime,
+                level: this.currentLevel
+            });
+            this.recorder = null;
+
+            // Run proof the leaderboard can re-simulate; the input hash builds while the player types a name
+            this.lastRunProof = createRunProof(this.lastReplay).catch(error => {
+                console.warn('Could not build run proof:', error);
+                return null;
+            });
+        }
+        this.ui.setReplayAvailable(!!this.lastReplay);
+
         // Show game over screen
-        this.ui.showGameOver(reason, finalScore, this.elapsedTime, this.highScore, this.currentLevel);
+        this.ui.showGameOver(reason, finalScore, this.elapsedTime, this.highScore, this.currentLevel, wave);
+        this.showGlobalStanding(finalScore, isPersonalBest, wave > 0 ? 'endless' : 'campaign');
+    }
+
+    // Looks up where the run would place; answers for an earlier game over are dropped
+    async showGlobalStanding(score, isPersonalBest, mode) {
+        const request = ++this.standingRequest;
+        this.ui.showStanding(score, { loading: true }, isPersonalBest);
+
+        const standing = await this.leaderboard.getStanding(score, this.profile.player, mode);
+        if (request !== this.standingRequest || this.state !== 'gameover') return;
+
+        this.ui.showStanding(score, standing.success ? standing : { error: standing.error }, isPersonalBest);
+    }
+
+    // ─── REPLAYS ───────────────────────────────────────────────────
+
+    loadReplayFile(text) {
+        try {
+            this.audioManager.init();
+            this.startReplay(JSON.parse(text));
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            this.ui.setReplayLoadError(error.message);
+        }
+    }
+
+    // Plays a recorded run: same seed, same level, recorded inputs instead of live devices
+    startReplay(replay) {
+        if (this.state !== 'menu' && this.state !== 'gameover') return;
+
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.recorder = null;
+        this.replayPaused = false;
+        this.replaySpeed = 1;
+        this.replaySeekTarget = null;
+
+        this.restartReplay();
+        this.ui.showReplayControls(this.replayPlayer.length);
+    }
+
+    restartReplay() {
+        const replay = this.replayPlayer.replay;
+        this.replayPlayer.rewind();
+        this.stopCarEngineSounds();
+        this.audioManager.stopAmbient();
+
+        random.setSeed(replay.seed);
+        this.runSeed = random.seed;
+        this.ui.updateRunSeed(this.runSeed);
+
+        this.currentLevel = replay.level;
+        this.totalScore = replay.totalScore || 0;
+        this.setRescueMode(replay.rescueMode || 'instant');
+        this.levelScore = 0;
+        const wave = this.getEndlessWave();
+        this.newtsForNextLevel = this.levelManager.getLevelDefinition(this.currentLevel).newtsToAdvance + wave * 3;
+        this.setEndlessDifficulty(wave);
+        this.applyLevelData(this.levelManager.loadLevel(this.currentLevel));
+
+        this.ui.hideStartScreen();
+        this.ui.hideGameOver();
+        this.ui.showGameScreen();
+        this.ui.setReplayStatus('');
+        this.beginPlay();
+    }
+
+    finishReplay(reason) {
+        this.audioManager.stopAmbient();
+        this.stopCarEngineSounds();
+        this.audioManager.stopLowBatteryWarning();
+        this.camera.rotation.z = 0;
+        this.ui.setFallingDarkness(0);
+        this.ui.setReplayStatus(reason ? `Run ended: ${reason}` : 'End of recording');
+    }
+
+    toggleReplayPause() {
+        if (!this.replayPlayer) return;
+        this.replayPaused = !this.replayPaused;
+        this.ui.setReplayPaused(this.replayPaused);
+    }
+
+    // The simulation only runs forward, so seeking back restarts and fast-forwards
+    seekReplay(tick) {
+        if (!this.replayPlayer) return;
+        if (tick < this.replayPlayer.tick || this.state === 'gameover') {
+            this.restartReplay();
+        }
+        this.replaySeekTarget = tick;
+        this.audioManager.suspend();
+    }
+
+    advanceReplaySeek() {
+        let budget = REPLAY_SEEK_STEPS_PER_FRAME;
+        while (budget-- > 0 && this.state === 'playing' && this.replayPlayer.tick < this.replaySeekTarget) {
+            this.fixedUpdate(this.timestep.step);
+        }
+
+        // Level loads pause the seek; death animations and the end of the run finish it
+        const reached = this.replayPlayer.tick >= this.replaySeekTarget;
+        if (reached || (this.state !== 'playing' && this.state !== 'loading')) {
+            this.replaySeekTarget = null;
+            this.audioManager.resume();
+        }
+    }
+
+    exitReplay() {
+        if (!this.replayPlayer) return;
+
+        this.replayPlayer = null;
+        this.replaySeekTarget = null;
+        this.ui.hideReplayControls();
+        this.audioManager.resume();
+        this.stopCarEngineSounds();
+        this.resetToFirstLevel();
+
+        this.ui.hideGameScreen();
+        this.ui.showStartScreen();
+        this.stateMachine.transition('menu');
+    }
+
+    // Replays run at their own speed and stand still while paused or seeking
+    getSimulationFrameTime(frameTime) {
+        if (!this.replayPlayer) return frameTime;
+        if (this.replayPaused || this.replaySeekTarget !== null) return 0;
+        return frameTime * this.replaySpeed;
+    }
+
+    // This tick's input: the next recorded frame in a replay, live devices otherwise
+    readTickInput(deltaTime) {
+        if (this.replayPlayer) {
+            const input = this.replayPlayer.next();
+            if (input && input.quality !== this.qualityLevel) {
+                this.qualityLevel = input.quality;
+                this.applyQualitySettings();
+            }
+            return input;
+        }
+
+        const input = this.player.readInput(deltaTime);
+        if (this.recorder) {
+            this.recorder.record(input, this.qualityLevel);
+        }
+        return input;
     }
 
     update(deltaTime) {
         if (this.state === 'loading') return;
+        if (this.state === 'paused') {
+            // World stays frozen; only listen for the gamepad Start button
+            this.player.pollGamepadPause();
+            return;
+        }
         if (this.state !== 'playing') return;
 
         // Update elapsed time
@@ -528,22 +1172,39 @@ class Game {
 
         this.levelManager.updateWeather(deltaTime);
 
-        // Update rain/dust and splashes through level manager
-        this.levelManager.updateRain(deltaTime, this.player.getPosition());
-        this.levelManager.updateSplashes(deltaTime, this.player.getPosition());
+        // Update player from this tick's input
+        const input = this.readTickInput(deltaTime);
+        if (!input) {
+            // Recording ran out before the run ended
+            this.stateMachine.transition('gameover');
+            this.finishReplay(null);
+            return;
+        }
+        if (input.flashlight) {
+            this.applyFlashlightToggle();
+        }
 
-        // Update moths and toads
-        this.levelManager.updateMoths(deltaTime);
-        this.levelManager.updateWesternToads(deltaTime);
+        // Gusts push the player and newts; rain, trees and the flashlight beam show them
+        const wind = this.wind.update(deltaTime);
+        this.player.setWindPush(wind);
+        this.newtManager.setWind(wind);
+        this.levelManager.setWind(wind, this.wind.getGustAmount());
+        this.flashlight.setWindWobble(this.wind.getGustAmount());
 
-        // Update player
-        const isMoving = this.player.update(deltaTime);
+        const isMoving = this.player.update(deltaTime, input);
         this.applyCameraEffects(deltaTime, isMoving);
+        this.carryView.update(deltaTime, isMoving);
+        this.roadworks.update(deltaTime);
+        this.flashlight.setSprinting(this.player.isSprinting);
 
-        // Play footsteps if moving
+        // Footsteps quicken while sprinting; breathing grows louder as stamina runs down
         if (isMoving) {
-            this.audioManager.playFootstep();
+            this.audioManager.playFootstep(this.player.isSprinting);
+        }
+        if (this.player.stamina < 1) {
+            this.audioManager.playBreathing(1 - this.player.stamina);
         }
+        this.ui.updateStamina(this.player.stamina, this.player.winded);
 
         // Check danger zones based on level
         const dangerCheck = this.checkDangerZones();
@@ -555,29 +1216,40 @@ class Game {
         // Update flashlight
         this.flashlight.update(deltaTime, this.elapsedTime);
 
-        // Update newts
+        // Update newts; they freeze as traffic rumbles past
+        this.newtManager.setCars(this.carManager.getCars());
         const rescuedNewts = this.newtManager.update(
             deltaTime,
             this.elapsedTime,
             this.player.getPosition()
         );
 
+        // Carry mode: a newt only counts once let go past the road edge it was heading for
+        if (input.drop && this.rescueMode === 'carry') {
+            const release = this.newtManager.releaseNewt(this.player.getPosition());
+            if (release && release.result === 'rescued') {
+                rescuedNewts.push(release.newt);
+            } else if (release && release.result === 'wrong-side') {
+                this.penalizeRelease(release.newt.mesh.position);
+            }
+        }
+        if (this.rescueMode === 'carry') {
+            const carried = this.newtManager.getCarried();
+            this.carryView.show(carried);
+            this.ui.updateCarried(carried.length);
+        }
+
         // Handle auto-rescued newts
         if (rescuedNewts && rescuedNewts.length > 0) {
             rescuedNewts.forEach((newt) => {
-                this.audioManager.playRescueSound();
-                this.ui.hapticSuccess();
-                this.ui.showRescueFeedback();
-
                 // Recharge battery on rescue
                 this.flashlight.recharge(8); // +8% battery per newt
-                this.ui.showBatteryBoost();
 
-                // Rescue celebration particles
-                if (newt.mesh) {
-                    this.newtManager.createRescueEffect(newt.mesh.position);
-                }
-                this.flashlight.pulseOnRescue();
+                if (newt.mesh && this.recorder) this.recorder.recordRescue(newt.mesh.position);
+                this.events.emit('newt:rescued', {
+                    position: newt.mesh ? newt.mesh.position : null,
+                    bonus: !!newt.mesh?.userData.isBonus
+                });
             });
 
             // Update score
@@ -588,6 +1260,10 @@ class Game {
 
             // Check for level progression
             if (this.levelScore >= this.newtsForNextLevel) {
+                this.events.emit('level:completed', {
+                    level: this.currentLevel,
+                    flashlightTurnedOff: this.flashlightTurnedOffThisLevel
+                });
                 this.loadNextLevel();
                 return;
             }
@@ -599,8 +1275,10 @@ class Game {
         // Check for cars crushing newts
         const crushedNewts = this.carManager.checkNewtCollisions(this.newtManager.getNewts());
         crushedNewts.forEach(newt => {
+            // The mesh goes back to the pool, so keep a copy of where it was
+            const position = newt.mesh.position.clone();
             this.newtManager.crushNewt(newt);
-            this.audioManager.playNewtCrushSound();
+            this.events.emit('newt:crushed', { position });
         });
 
         // Update car engine sounds
@@ -621,9 +1299,7 @@ class Game {
             this.player.getCollisionBox()
         );
         if (nearMissResult) {
-            this.audioManager.playNearMissSound();
-            this.ui.triggerNearMissEffect();
-            this.ui.hapticWarning();
+            this.events.emit('car:nearMiss', { stealth: !!nearMissResult.isStealth });
         }
 
         // Check battery
@@ -632,11 +1308,11 @@ class Game {
             return;
         }
 
-        // Low battery warning
-        if (this.flashlight.isLowBattery()) {
-            this.audioManager.startLowBatteryWarning();
-        } else {
-            this.audioManager.stopLowBatteryWarning();
+        // Low battery warning, reported when the battery crosses in or out of the low range
+        const batteryLow = this.flashlight.isLowBattery();
+        if (batteryLow !== this.batteryLow) {
+            this.batteryLow = batteryLow;
+            this.events.emit(batteryLow ? 'battery:low' : 'battery:recovered', { battery: this.flashlight.getBattery() });
         }
 
         // Update UI
@@ -644,6 +1320,78 @@ class Game {
         this.ui.updateTime(this.elapsedTime);
     }
 
+    // A newt let go on the side it came from costs a point, but never takes the level below zero
+    penalizeRelease(position) {
+        this.levelScore = Math.max(0, this.levelScore - NEWT_RULES.wrongSidePenalty);
+        if (this.recorder) this.recorder.recordPenalty(position);
+        this.ui.updateScore(this.totalScore + this.levelScore);
+        this.events.emit('newt:misdropped', { position });
+    }
+
+    // Everything that reacts to gameplay; the update loop only emits this.events
+    subscribeToGameEvents() {
+        const events = this.events;
+
+        // Audio
+        events.on('newt:rescued', () => this.audioManager.playRescueSound());
+        events.on('newt:crushed', () => this.audioManager.playNewtCrushSound());
+        events.on('newt:pickedUp', () => this.audioManager.playNewtChirp());
+        events.on('newt:misdropped', () => this.audioManager.playMisdropSound());
+        events.on('car:nearMiss', () => this.audioManager.playNearMissSound());
+        events.on('battery:low', () => this.audioManager.startLowBatteryWarning());
+        events.on('battery:recovered', () => this.audioManager.stopLowBatteryWarning());
+        events.on('wind:gustWarning', ({ duration }) => this.audioManager.playGustWarning(duration));
+        events.on('player:died', ({ reason }) => {
+            this.audioManager.stopAmbient();
+            if (reason === 'car' || reason === 'stealth-car') {
+                this.audioManager.playCarHitSound();
+            }
+            // Falling and predator sounds already played before gameOver is called
+            if (reason !== 'cliff' && reason !== 'mountain-lion' && reason !== 'bear' && reason !== 'trench') {
+                this.audioManager.playGameOverSound();
+            }
+        });
+
+        // Visual effects and UI
+        events.on('newt:rescued', ({ position }) => {
+            this.ui.showRescueFeedback();
+            this.ui.showBatteryBoost();
+
+            // Rescue celebration particles
+            if (position) this.newtManager.createRescueEffect(position);
+            this.flashlight.pulseOnRescue();
+        });
+        events.on('newt:misdropped', () => this.ui.showMisdropFeedback());
+        events.on('car:nearMiss', () => this.ui.triggerNearMissEffect());
+        events.on('level:started', ({ level, wave }) => {
+            this.ui.updateLevel(level, wave);
+            this.ui.showLevelStartMessage(level, wave > 0 ? { wave } : this.levelManager.getLevelDefinition(level));
+        });
+
+        // Haptics
+        events.on('newt:rescued', () => this.ui.hapticSuccess());
+        events.on('newt:pickedUp', () => this.ui.hapticLight());
+        events.on('newt:misdropped', () => this.ui.hapticWarning());
+        events.on('car:nearMiss', () => this.ui.hapticWarning());
+        events.on('player:died', () => this.ui.hapticError());
+
+        // Lifetime stats
+        events.on('player:died', ({ rescued, score, reason, wave }) => {
+            this.profile.recordRun({ rescued, score, reason, wave });
+        });
+
+        // Achievements; replays re-run old events, so only live play counts
+        const report = (type, event) => {
+            if (!this.replayPlayer) this.achievements.handle(type, event);
+        };
+        events.on('newt:rescued', ({ bonus }) => report('rescue', { bonus }));
+        events.on('car:nearMiss', ({ stealth }) => report('near-miss', { stealth }));
+        events.on('level:completed', event => report('level-complete', event));
+        events.on('level:started', ({ wave }) => {
+            if (wave > 0) report('wave-start', { wave });
+        });
+    }
+
     applyCameraEffects(deltaTime, isMoving) {
         this.cameraEffectTime += deltaTime;
         const intensity = isMoving ? 1 : 0.25;
@@ -653,7 +1401,9 @@ class Game {
         this.camera.position.y += bob - this.cameraBobOffset;
         this.cameraBobOffset = bob;
 
-        const stormLean = this.currentLevel === 3 ? Math.sin(this.cameraEffectTime * 0.65) * 0.008 : 0;
+        // A steady lean on stormy levels (weather.wind in the level file)
+        const stormy = this.levelManager.getLevelDefinition(this.currentLevel).weather.wind > 0;
+        const stormLean = stormy ? Math.sin(this.cameraEffectTime * 0.65) * 0.008 : 0;
         this.camera.rotation.z = Math.sin(this.cameraEffectTime * 4.5) * 0.003 * intensity + stormLean;
     }
 
@@ -667,6 +1417,12 @@ class Game {
         const toPlayer = this._tmpToPlayer.subVectors(playerPos, roadData.point);
         const lateralDist = toPlayer.dot(roadData.normal);
 
+        // Roadworks: the open trench and the excavator's reach
+        const hazard = this.roadworks.checkPlayer(playerPos, roadData.t, lateralDist);
+        if (hazard) {
+            return { inDanger: true, type: hazard };
+        }
+
         // Check cliff (right side relative to road center)
         if (lateralDist > dangerZones.cliff + 4) {
             return { inDanger: true, type: 'cliff' };
@@ -677,8 +1433,8 @@ class Game {
             const depth = Math.abs(lateralDist - dangerZones.forest);
             const attackChance = Math.min(0.02 + (depth * 0.01), 0.15);
 
-            if (Math.random() < attackChance) {
-                const predator = Math.random() < 0.5 ? 'mountain lion' : 'bear';
+            if (danger.chance(attackChance)) {
+                const predator = danger.chance(0.5) ? 'mountain lion' : 'bear';
                 return { inDanger: true, type: 'predator', predator };
             }
         }
@@ -688,15 +1444,24 @@ class Game {
 
     handleDangerZone(dangerInfo) {
         if (dangerInfo.type === 'cliff') {
-            this.state = 'falling';
+            this.stateMachine.transition('falling');
             this.animateCliffApproach(() => {
                 this.audioManager.playFallingSound();
                 this.animateFalling(() => {
                     this.gameOver('cliff');
                 });
             });
+        } else if (dangerInfo.type === 'trench') {
+            this.stateMachine.transition('falling');
+            this.audioManager.playFallingSound();
+            this.animateTrenchFall(() => this.gameOver('trench'));
+        } else if (dangerInfo.type === 'machinery') {
+            this.stateMachine.transition('attacked');
+            this.ui.triggerMachineryAccident();
+            this.audioManager.playCarHitSound();
+            this.stateMachine.setTimeout(() => this.gameOver('machinery'), 800);
         } else if (dangerInfo.type === 'predator') {
-            this.state = 'attacked';
+            this.stateMachine.transition('attacked');
             const predator = dangerInfo.predator || 'mountain lion';
 
             const playerPos = this.player.getPosition();
@@ -706,7 +1471,7 @@ class Game {
 
             this.predatorManager.animateAttack(playerPos, 1200, () => {
                 this.ui.triggerPredatorAttack(predator);
-                setTimeout(() => {
+                this.stateMachine.setTimeout(() => {
                     this.predatorManager.removePredator();
                     this.gameOver(predator === 'mountain lion' ? 'mountain-lion' : 'bear');
                 }, 500);
@@ -732,14 +1497,40 @@ class Game {
             this.camera.rotation.z = Math.sin(elapsed * 0.015) * 0.05;
 
             if (progress < 1) {
-                requestAnimationFrame(approach);
+                this.stateMachine.requestAnimationFrame(approach);
             } else {
                 this.camera.rotation.x = 0.5;
-                setTimeout(callback, 300);
+                this.stateMachine.setTimeout(callback, 300);
+            }
+        };
+
+        this.stateMachine.requestAnimationFrame(approach);
+    }
+
+    // A short drop into the trench, pitching forward as the ground gives way
+    animateTrenchFall(callback) {
+        this.player.unlock();
+
+        const startY = this.player.getPosition().y;
+        const duration = 700;
+        const startTime = performance.now();
+
+        const drop = () => {
+            const elapsed = performance.now() - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+
+            this.camera.position.y = startY - progress * progress * 2.5;
+            this.camera.rotation.x = -progress * 0.6;
+            this.ui.setFallingDarkness(progress * 0.85);
+
+            if (progress < 1) {
+                this.stateMachine.requestAnimationFrame(drop);
+            } else {
+                this.stateMachine.setTimeout(callback, 400);
             }
         };
 
-        requestAnimationFrame(approach);
+        this.stateMachine.requestAnimationFrame(drop);
     }
 
     animateFalling(callback) {
@@ -759,13 +1550,13 @@ class Game {
             this.ui.setFallingDarkness(progress);
 
             if (progress < 1) {
-                requestAnimationFrame(fall);
+                this.stateMachine.requestAnimationFrame(fall);
             } else {
                 callback();
             }
         };
 
-        requestAnimationFrame(fall);
+        this.stateMachine.requestAnimationFrame(fall);
     }
 
     updateCarEngineSounds() {
@@ -794,11 +1585,18 @@ class Game {
         });
     }
 
-    async showLeaderboard() {
+    showLeaderboard() {
         this.ui.showLeaderboard(null);
+        return this.loadLeaderboardBoard(this.ui.getLeaderboardBoard());
+    }
+
+    // Switching tabs quickly can resolve out of order; only the last board asked for is shown
+    async loadLeaderboardBoard(board) {
         this.ui.showLeaderboardLoading();
+        const request = ++this.leaderboardRequest;
 
-        const result = await this.leaderboard.fetchTopScores(5);
+        const result = await this.leaderboard.fetchTopScores(5, board);
+        if (request !== this.leaderboardRequest) return;
 
         if (result.success) {
             this.ui.renderLeaderboard(result.scores);
@@ -808,10 +1606,9 @@ class Game {
     }
 
     async submitScore() {
-        const playerName = this.ui.getPlayerName();
         const gameData = this.ui.getLastGameData();
 
-        if (!playerName) {
+        if (!this.ui.getPlayerName()) {
             this.ui.setSubmitStatus('Please enter your name', true);
             return;
         }
@@ -821,40 +1618,85 @@ class Game {
             return;
         }
 
-        this.ui.savePlayerName(playerName);
+        // The name box edits the profile's display name, with the same checks as the profile screen
+        const named = this.profile.setDisplayName(this.ui.getPlayerName());
+        if (!named.success) {
+            this.ui.setSubmitStatus(named.error, true);
+            return;
+        }
+
+        const player = this.profile.player;
         this.ui.setSubmitButtonLoading(true);
 
+        const run = {
+            mode: gameData.wave > 0 ? 'endless' : 'campaign',
+            levelReached: gameData.level,
+            waveReached: gameData.wave,
+            proof: await this.lastRunProof
+        };
         const result = await this.leaderboard.submitScore(
-            playerName,
+            player,
             gameData.score,
             gameData.time,
-            gameData.reason
+            gameData.reason,
+            run
         );
 
         this.ui.setSubmitButtonLoading(false);
 
-        if (result.success) {
+        if (result.outcome === 'improved') {
             this.ui.setSubmitStatus('Score submitted successfully!');
             this.ui.disableScoreSubmission();
+        } else if (result.outcome === 'pending') {
+            this.ui.setSubmitStatus('Score submitted! It appears on the leaderboard once the run is verified.');
+            this.ui.disableScoreSubmission();
+        } else if (result.outcome === 'not-improved') {
+            const best = result.data ? result.data.score : null;
+            this.ui.setSubmitStatus(best !== null ? `Your best of ${best} still stands.` : 'Your best score still stands.');
+            this.ui.disableScoreSubmission();
+        } else if (result.outcome === 'rejected') {
+            this.ui.setSubmitStatus('The leaderboard could not verify this run, so the score was not recorded.', true);
+            this.ui.disableScoreSubmission();
         } else {
-            this.ui.setSubmitStatus('Failed to submit: ' + result.error, true);
+            this.scoreQueue.enqueue({
+                playerId: player.id,
+                playerName: player.name,
+                score: gameData.score,
+                timeSurvived: gameData.time,
+                deathReason: gameData.reason,
+                run
+            }, result.error);
+            this.ui.setSubmitStatus('Could not reach the leaderboard. Your score is saved and will be sent automatically.', true);
+            this.ui.markScoreQueued();
         }
     }
 
+    // One fixed simulation step: remember where everything was, then advance it
+    fixedUpdate(step) {
+        this.interpolators.forEach(transforms => transforms.storePrevious());
+        this.update(step);
+    }
+
+    // Per-frame visuals that never feed back into gameplay
+    updateAmbience(frameTime) {
+        if (this.state !== 'playing') return;
+
+        const playerPosition = this.player.getPosition();
+        this.levelManager.updateRain(frameTime, playerPosition);
+        this.levelManager.updateSplashes(frameTime, playerPosition);
+        this.levelManager.updateMoths(frameTime);
+        this.levelManager.updateWesternToads(frameTime);
+        this.levelManager.updateTreeSway(this.elapsedTime);
+    }
+
     animate() {
         requestAnimationFrame(() => this.animate());
 
         const nowMs = performance.now();
         const currentTime = nowMs / 1000;
-        let deltaTime = Math.min(currentTime - this.lastTime, 0.1);
-
-        this.updateAdaptiveQuality(deltaTime * 1000, nowMs);
+        const frameTime = Math.min(currentTime - this.lastTime, 0.1);
 
-        if (this.smoothedDeltaTime === undefined) {
-            this.smoothedDeltaTime = deltaTime;
-        }
-        this.smoothedDeltaTime = this.smoothedDeltaTime * 0.8 + deltaTime * 0.2;
-        deltaTime = this.smoothedDeltaTime;
+        this.updateAdaptiveQuality(frameTime * 1000, nowMs);
 
         this.lastTime = currentTime;
 
@@ -862,7 +1704,23 @@ class Game {
             return;
         }
 
-        this.update(deltaTime);
+        // Simulation only ever sees its own transforms, never the blended ones
+        this.interpolators.forEach(transforms => transforms.restore());
+        if (this.replayPlayer && this.replaySeekTarget !== null) {
+            this.advanceReplaySeek();
+        }
+        const alpha = this.timestep.advance(
+            this.getSimulationFrameTime(frameTime),
+            (step) => this.fixedUpdate(step)
+        );
+        if (this.replayPlayer) {
+            this.ui.updateReplayProgress(this.replayPlayer.tick, this.replayPlayer.length, this.timestep.step);
+        }
+
+        this.cameraTransforms.apply(alpha);
+        this.newtManager.interpolate(alpha);
+        this.carManager.interpolate(alpha);
+        this.updateAmbience(frameTime);
 
         // Render scene
         this.renderer.render(this.scene, this.camera);
@@ -870,6 +1728,25 @@ class Game {
 }
 
 // Start game when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new Game();
+// The game never starts without its levels, so say so on the start screen instead of
+// leaving buttons that do nothing
+function showStartupError(message) {
+    document.querySelectorAll('#start-screen button').forEach(button => {
+        button.disabled = true;
+    });
+    const status = document.getElementById('startup-error');
+    status.textContent = message;
+    status.classList.remove('hidden');
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    let levelDefinitions;
+    try {
+        levelDefinitions = await loadLevelDefinitions();
+    } catch (error) {
+        console.error('Failed to load level definitions:', error);
+        showStartupError('The levels could not be loaded. Check your connection and reload the page.');
+        return;
+    }
+    new Game(levelDefinitions);
 });
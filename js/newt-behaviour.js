@@ -0,0 +1,96 @@
+// newt-behaviour.js - How walking newts react to the flashlight, traffic and each other
+// NewtManager asks these rules each tick: a newt held in the beam too long freezes or turns
+// back, a car passing close rattles it into freezing, and some spawns are small migration
+// groups walking single file behind a leader. A level's optional "newtBehaviour" block
+// overrides any of the values below; 0 turns a behaviour off. Everything that decides is
+// driven by simulation state and the seeded newt stream, so replays meet the same newts.
+
+export const NEWT_BEHAVIOUR = {
+    lightTolerance: 2.5,      // seconds held in the beam before a newt reacts (0: never)
+    lightRecovery: 1,         // seconds of exposure that fade per second out of the beam
+    lightFreezeTime: 2,       // seconds a dazzled newt freezes...
+    turnBackChance: 0.35,     // ...unless it turns back for where it came from instead
+    vibrationRadius: 5,       // metres; a car this close freezes a newt (0: never)
+    vibrationFreezeTime: 1.5,
+    groupChance: 0,           // share of spawns that are a migration group (0: never)
+    maxGroupSize: 4,          // newts in a group, leader included
+    followDistance: 0.6,      // metres each follower keeps behind the newt ahead
+    catchUp: 1.25             // speed multiplier while a follower closes a gap
+};
+
+// The level's overrides on top of the defaults
+export function resolveNewtBehaviour(overrides = null) {
+    return { ...NEWT_BEHAVIOUR, ...overrides };
+}
+
+// Throws when a level's newtBehaviour block has an unknown or out-of-range value
+export function validateNewtBehaviour(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('"newtBehaviour" must be an object');
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+        if (!Object.hasOwn(NEWT_BEHAVIOUR, key)) {
+            throw new Error(`Unknown newt behaviour: ${key}`);
+        }
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`"newtBehaviour.${key}" must be a number of at least 0`);
+        }
+    }
+    const rules = resolveNewtBehaviour(overrides);
+    if (rules.turnBackChance > 1 || rules.groupChance > 1) {
+        throw new Error('"newtBehaviour" chances must be between 0 and 1');
+    }
+    if (!Number.isInteger(rules.maxGroupSize) || rules.maxGroupSize < 1) {
+        throw new Error('"newtBehaviour.maxGroupSize" must be a positive integer');
+    }
+    return rules;
+}
+
+// Most newts a single spawn can bring (the run verifier's spawn limit)
+export function maxNewtsPerSpawn(rules) {
+    return rules.groupChance > 0 ? rules.maxGroupSize : 1;
+}
+
+// Newts in a new spawn: 1, or 2 to maxGroupSize for a migration group. Draws nothing from
+// the stream when groups are off, so levels without them keep their spawn sequence.
+export function migrationGroupSize(stream, rules) {
+    if (rules.groupChance <= 0 || rules.maxGroupSize < 2 || !stream.chance(rules.groupChance)) return 1;
+    return 2 + Math.floor(stream.next() * (rules.maxGroupSize - 1));
+}
+
+// Adds this tick to the newt's time in the beam (fading it out of the beam) and returns
+// true once it has been held there long enough to react; the exposure then starts over
+export function updateLightExposure(newt, isIlluminated, deltaTime, rules) {
+    if (rules.lightTolerance <= 0) return false;
+    newt.illuminationTime = isIlluminated
+        ? newt.illuminationTime + deltaTime
+        : Math.max(0, newt.illuminationTime - deltaTime * rules.lightRecovery);
+    if (newt.illuminationTime < rules.lightTolerance) return false;
+    newt.illuminationTime = 0;
+    return true;
+}
+
+// Whether any car (CarManager.getCars(): { mesh }) is within the rules' vibration radius
+export function isCarRumbling(position, cars, rules) {
+    const radius = rules.vibrationRadius;
+    if (radius <= 0) return false;
+    return cars.some(car => {
+        const dx = car.mesh.position.x - position.x;
+        const dz = car.mesh.position.z - position.z;
+        return dx * dx + dz * dz < radius * radius;
+    });
+}
+
+// Where a follower of the given rank (1 = right behind) should be: single file behind the
+// leader, along the way the leader is heading. Writes into and returns `out`.
+export function followPoint(out, leader, rank, rules) {
+    const position = leader.mesh.position;
+    const dx = leader.targetPosition.x - position.x;
+    const dz = leader.targetPosition.z - position.z;
+    const length = Math.hypot(dx, dz) || 1;
+    const gap = rules.followDistance * rank;
+    out.x = position.x - (dx / length) * gap;
+    out.y = position.y;
+    out.z = position.z - (dz / length) * gap;
+    return out;
+}
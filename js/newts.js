@@ -1,7 +1,36 @@
 import * as THREE from 'three';
+import { random } from './random.js';
+import { TransformInterpolator } from './interpolation.js';
+import { presetForLevel } from './quality.js';
+import {
+    followPoint, isCarRumbling, migrationGroupSize, resolveNewtBehaviour, updateLightExposure
+} from './newt-behaviour.js';
 
 const _moveDir = new THREE.Vector3();
 const _scaledDir = new THREE.Vector3();
+const _followPoint = new THREE.Vector3();
+
+// Spawning and wandering use the seeded newt stream. A newt's first blink delay is drawn
+// from it too, at spawn, so it takes part in the sequence replays depend on; later blinks
+// and particles stay cosmetic
+const newtRandom = random.stream('newts');
+
+// Gameplay limits, shared with the run verifier (run-verifier.js)
+export const NEWT_RULES = {
+    spawnInterval: 3, // seconds at the start of a run, shrinking as it goes on
+    rescueDistance: 1.5,
+    windDrift: 0.1, // share of the wind's push a walking newt is carried along by
+    minSpeed: 0.3,
+    maxSpeed: 0.7,
+    roadWidth: 12,
+    roadLength: 520,
+    carryLimit: 3,        // newts held at once in carry mode
+    wrongSidePenalty: 1   // points lost for letting one go on the side it came from
+};
+
+// 'instant': walking into a newt rescues it. 'carry': walking into it picks it up, and it
+// only counts once let go past the road edge on the side it was heading for.
+export const RESCUE_MODES = ['instant', 'carry'];
 
 let wartyBumpMap = null;
 function getWartyBumpMap() {
@@ -42,29 +71,48 @@ function getWartyBumpMap() {
     return wartyBumpMap;
 }
 
+// Spawns speed up over the run: 30% more per minute played
+export function newtSpawnInterval(baseInterval, elapsedTime) {
+    return baseInterval / (1 + (elapsedTime / 60) * 0.3);
+}
+
 export class NewtManager {
     constructor(scene, flashlight, roadCurve = null, isLowEnd = false) {
         this.scene = scene;
         this.flashlight = flashlight;
         this.roadCurve = roadCurve;
         this.isLowEnd = isLowEnd;
+        this.headless = false;
 
         this.newts = [];
+
+        // Newts walk in fixed simulation steps; meshes are blended between steps for rendering
+        this.transforms = new TransformInterpolator();
         this.rescuedCount = 0;
         this.levelNewtsRescued = 0;
 
         // Spawn settings
-        this.baseSpawnInterval = 3; // seconds
+        this.baseSpawnInterval = NEWT_RULES.spawnInterval;
         this.spawnTimer = 0;
-        this.roadWidth = 12;
-        this.roadLength = 520;
+        this.roadWidth = NEWT_RULES.roadWidth;
+        this.roadLength = NEWT_RULES.roadLength;
 
         // Rescue settings
-        this.rescueDistance = 1.5; // Auto-rescue distance
+        this.rescueDistance = NEWT_RULES.rescueDistance; // Auto-rescue (or pick-up) distance
+        this.rescueMode = 'instant';
+        this.carried = []; // carry mode: newts in the bucket, oldest first
+        this.onPickupCallback = null;
 
         // Speed multiplier (for endless mode)
         this.speedMultiplier = 1;
 
+        // Wind push this tick (see wind.js): a headwind slows newts, a crosswind drifts them
+        this.wind = new THREE.Vector3();
+
+        // Reactions to the flashlight, traffic and each other (see newt-behaviour.js)
+        this.behaviour = resolveNewtBehaviour();
+        this.cars = [];
+
         // Rescue celebration particles
         this.rescueEffects = [];
 
@@ -91,6 +139,15 @@ export class NewtManager {
         };
     }
 
+    // Simulation-only manager for tests and headless re-simulation (no DOM): newts are
+    // bare transforms in an unrendered scene, with no textures, particles or splats
+    static createHeadless(roadCurve, flashlight = { isPointIlluminated: () => false }) {
+        const manager = new NewtManager(new THREE.Scene(), flashlight);
+        manager.headless = true;
+        manager.setRoadCurve(roadCurve);
+        return manager;
+    }
+
     setRoadCurve(roadCurve) {
         this.roadCurve = roadCurve;
 
@@ -110,6 +167,7 @@ export class NewtManager {
 
     createNewtMesh() {
         const group = new THREE.Group();
+        if (this.headless) return group;
 
         const detail = this.qualityLevel <= 1 ? 6 : 8;
         const capsuleSegments = this.qualityLevel <= 1 ? 3 : 4;
@@ -301,6 +359,7 @@ export class NewtManager {
 
     resetNewtAppearance(mesh) {
         mesh.rotation.set(0, 0, 0);
+        if (this.headless) return;
 
         const isBonus = !!mesh.userData.isBonus;
         const eyes = mesh.userData.eyes;
@@ -363,6 +422,7 @@ export class NewtManager {
 
     releaseNewtMesh(mesh) {
         if (!mesh) return;
+        this.transforms.untrack(mesh);
         mesh.visible = false;
         this.scene.remove(mesh);
         this.newtPool.push(mesh);
@@ -380,24 +440,18 @@ export class NewtManager {
     }
 
     setQualityLevel(level) {
+        const preset = presetForLevel(level);
         this.qualityLevel = Math.max(0, Math.min(3, level | 0));
-        this.maxActiveNewts = this.qualityLevel <= 1 ? 8 : (this.qualityLevel === 2 ? 11 : 14);
-        this.illuminationCheckInterval = this.qualityLevel <= 1 ? 3 : (this.qualityLevel === 2 ? 2 : 1);
+        this.maxActiveNewts = preset.maxNewts;
+        this.illuminationCheckInterval = preset.newtIlluminationInterval;
     }
 
     spawnNewt() {
-        const mesh = this.getNewtFromPool();
-        if (!mesh.parent) {
-            this.scene.add(mesh);
-        } else {
-            mesh.visible = true;
-        }
-        mesh.userData.isBonus = Math.random() < 0.15; // 15% chance to be a bonus newt
-        this.resetNewtAppearance(mesh);
+        const isBonus = newtRandom.next() < 0.15; // 15% chance to be a bonus newt
 
         // Random spawn position at road edge along the curved road
-        const side = Math.random() > 0.5 ? 1 : -1;
-        const z = (Math.random() - 0.5) * (this.roadLength - 60);
+        const side = newtRandom.next() > 0.5 ? 1 : -1;
+        const z = (newtRandom.next() - 0.5) * (this.roadLength - 60);
 
         let startPosition, targetPosition, roadNormal;
 
@@ -417,6 +471,37 @@ export class NewtManager {
             roadNormal = new THREE.Vector3(1, 0, 0);
         }
 
+        const leader = this.addNewt(startPosition, targetPosition, roadNormal, -side, isBonus);
+
+        // Now and then a small group migrates together, single file behind the first
+        const groupSize = migrationGroupSize(newtRandom, this.behaviour);
+        const heading = targetPosition.clone().sub(startPosition).normalize();
+        for (let rank = 1; rank < groupSize && this.newts.length < this.maxActiveNewts; rank++) {
+            const offset = heading.clone().multiplyScalar(-this.behaviour.followDistance * rank);
+            const follower = this.addNewt(
+                startPosition.clone().add(offset),
+                targetPosition.clone().add(offset),
+                roadNormal,
+                -side,
+                false
+            );
+            follower.speed = leader.speed;
+            follower.leader = leader;
+            follower.rank = rank;
+        }
+    }
+
+    // targetSide: which side of the road (along roadNormal) the newt is heading for
+    addNewt(startPosition, targetPosition, roadNormal, targetSide, isBonus) {
+        const mesh = this.getNewtFromPool();
+        if (!mesh.parent) {
+            this.scene.add(mesh);
+        } else {
+            mesh.visible = true;
+        }
+        mesh.userData.isBonus = isBonus;
+        this.resetNewtAppearance(mesh);
+
         mesh.position.copy(startPosition);
 
         this._spawnDirection.subVectors(targetPosition, startPosition).normalize();
@@ -428,20 +513,26 @@ export class NewtManager {
             startPosition: startPosition.clone(),
             targetPosition: targetPosition.clone(),
             roadNormal: roadNormal.clone(),
-            speed: (0.3 + Math.random() * 0.4) * this.speedMultiplier,
+            speed: (NEWT_RULES.minSpeed + newtRandom.next() * (NEWT_RULES.maxSpeed - NEWT_RULES.minSpeed)) * this.speedMultiplier,
             isIlluminated: false,
             illuminationTime: 0,
-            walkCycle: Math.random() * Math.PI * 2,
+            walkCycle: newtRandom.next() * Math.PI * 2,
             pauseTimer: 0,
             isPaused: false,
             pauseDuration: 0,
-            nextPauseIn: 2 + Math.random() * 4,
-            blinkTimer: 1 + Math.random() * 3,
+            nextPauseIn: 2 + newtRandom.next() * 4,
+            blinkTimer: 1 + newtRandom.next() * 3, // seeded: removing it would shift every later draw
             blinkTime: 0,
-            isBonus: mesh.userData.isBonus
+            isBonus: isBonus,
+            targetSide,
+            leader: null, // migration groups: the newt this one follows, and its place in line
+            rank: 0,
+            justReleased: false // carry mode: let go, and the player has not stepped away yet
         };
 
+        this.transforms.track(mesh);
         this.newts.push(newt);
+        return newt;
     }
 
     precomputeRoadData() {
@@ -497,9 +588,13 @@ export class NewtManager {
             : data[high];
     }
 
+    // Render step: blend newts between simulation steps
+    interpolate(alpha) {
+        this.transforms.apply(alpha);
+    }
+
     update(deltaTime, elapsedTime, playerPosition) {
-        const elapsedMinutes = elapsedTime / 60;
-        const spawnInterval = this.baseSpawnInterval / (1 + elapsedMinutes * 0.3);
+        const spawnInterval = newtSpawnInterval(this.baseSpawnInterval, elapsedTime);
 
         this.spawnTimer += deltaTime;
         if (this.spawnTimer >= spawnInterval) {
@@ -514,37 +609,67 @@ export class NewtManager {
             this.illuminationCheckCounter % this.illuminationCheckInterval === 0;
 
         const rescuedNewts = [];
+        const rules = this.behaviour;
 
         for (let i = this.newts.length - 1; i >= 0; i--) {
             const newt = this.newts[i];
 
+            // Followers carry on alone once their leader is gone, and scatter home when it turns back
+            if (newt.leader && !this.newts.includes(newt.leader)) newt.leader = null;
+            if (newt.leader && newt.leader.targetSide !== newt.targetSide) {
+                newt.leader = null;
+                this.turnBack(newt);
+            }
+
+            // Passing traffic rattles newts into freezing where they stand
+            if (isCarRumbling(newt.mesh.position, this.cars, rules)) {
+                this.freeze(newt, rules.vibrationFreezeTime);
+            }
+
             if (newt.isPaused) {
                 newt.pauseTimer += deltaTime;
                 if (newt.pauseTimer >= newt.pauseDuration) {
                     newt.isPaused = false;
                     newt.pauseTimer = 0;
-                    newt.nextPauseIn = 3 + Math.random() * 5;
+                    newt.nextPauseIn = 3 + newtRandom.next() * 5;
                 }
-            } else {
+            } else if (!newt.leader) {
+                // Followers wait in line when their leader stops instead
                 newt.nextPauseIn -= deltaTime;
-                if (newt.nextPauseIn <= 0 && Math.random() < 0.3) {
+                if (newt.nextPauseIn <= 0 && newtRandom.next() < 0.3) {
                     newt.isPaused = true;
                     newt.pauseTimer = 0;
-                    newt.pauseDuration = 0.5 + Math.random() * 1.5;
+                    newt.pauseDuration = 0.5 + newtRandom.next() * 1.5;
                 } else if (newt.nextPauseIn <= 0) {
-                    newt.nextPauseIn = 2 + Math.random() * 3;
+                    newt.nextPauseIn = 2 + newtRandom.next() * 3;
                 }
             }
 
             if (!newt.isPaused) {
                 _moveDir.subVectors(newt.targetPosition, newt.mesh.position);
                 const distanceToTarget = _moveDir.length();
-                _moveDir.normalize();
 
-                const moveDistance = newt.speed * deltaTime;
+                // Followers head for their place in line, hurrying when they have fallen behind
+                let distanceToGoal = distanceToTarget;
+                if (newt.leader) {
+                    _moveDir.subVectors(followPoint(_followPoint, newt.leader, newt.rank, rules), newt.mesh.position);
+                    distanceToGoal = _moveDir.length();
+                }
+                if (distanceToGoal > 1e-3) {
+                    _moveDir.divideScalar(distanceToGoal);
+                } else {
+                    _moveDir.subVectors(newt.targetPosition, newt.mesh.position).normalize();
+                }
+
+                let speed = newt.speed;
+                if (newt.leader && distanceToGoal > speed * deltaTime) {
+                    speed = Math.min(speed * rules.catchUp, NEWT_RULES.maxSpeed * this.speedMultiplier);
+                }
+                const moveDistance = Math.min(speed * deltaTime, distanceToGoal);
                 _scaledDir.copy(_moveDir).multiplyScalar(moveDistance);
+                _scaledDir.addScaledVector(this.wind, NEWT_RULES.windDrift * deltaTime);
                 newt.mesh.position.add(_scaledDir);
-                newt.walkCycle += deltaTime * newt.speed * 12;
+                newt.walkCycle += moveDistance * 12;
 
                 if (distanceToTarget < 0.5 || newt.mesh.position.distanceTo(newt.startPosition) > newt.startPosition.distanceTo(newt.targetPosition)) {
                     this.releaseNewtMesh(newt.mesh);
@@ -652,14 +777,25 @@ export class NewtManager {
                 }
             }
 
-            if (newt.isIlluminated) {
-                newt.illuminationTime += deltaTime;
+            // Held in the beam too long, a newt freezes or turns back
+            if (updateLightExposure(newt, newt.isIlluminated, deltaTime, rules)) {
+                this.reactToLight(newt);
             }
 
             const dx = playerPosition.x - newt.mesh.position.x;
             const dz = playerPosition.z - newt.mesh.position.z;
             const distance = Math.sqrt(dx * dx + dz * dz);
 
+            // A newt just let go stays down until the player has stepped away from it
+            if (newt.justReleased && distance >= this.rescueDistance) newt.justReleased = false;
+
+            if (distance < this.rescueDistance && this.rescueMode === 'carry') {
+                if (!newt.justReleased && this.carried.length < NEWT_RULES.carryLimit) {
+                    this.pickUp(newt, i);
+                }
+                continue;
+            }
+
             if (distance < this.rescueDistance) {
                 if (newt.isBonus && this.flashlight && typeof this.flashlight.activateBonusBrightness === 'function') {
                     this.flashlight.activateBonusBrightness(5);
@@ -677,11 +813,119 @@ export class NewtManager {
         return rescuedNewts;
     }
 
+    // overrides: the level's newtBehaviour block, or null for the defaults
+    setBehaviour(overrides) {
+        this.behaviour = resolveNewtBehaviour(overrides);
+    }
+
+    // Traffic newts feel through the road (CarManager.getCars()); Game passes it every tick
+    setCars(cars) {
+        this.cars = cars;
+    }
+
+    // Stops the newt for at least `seconds`, lengthening a pause it is already in
+    freeze(newt, seconds) {
+        if (!newt.isPaused) {
+            newt.isPaused = true;
+            newt.pauseTimer = 0;
+            newt.pauseDuration = 0;
+        }
+        newt.pauseDuration = Math.max(newt.pauseDuration, newt.pauseTimer + seconds);
+    }
+
+    // Heads back for the side it came from
+    turnBack(newt) {
+        const start = newt.startPosition;
+        newt.startPosition = newt.targetPosition;
+        newt.targetPosition = start;
+        newt.targetSide = -newt.targetSide;
+    }
+
+    // A dazzled newt freezes, or now and then gives up and turns back (leaving its group)
+    reactToLight(newt) {
+        if (newtRandom.next() < this.behaviour.turnBackChance) {
+            newt.leader = null;
+            this.turnBack(newt);
+        } else {
+            this.freeze(newt, this.behaviour.lightFreezeTime);
+        }
+    }
+
+    setRescueMode(mode) {
+        if (!RESCUE_MODES.includes(mode)) {
+            throw new Error(`Unknown rescue mode: ${mode}`);
+        }
+        this.rescueMode = mode;
+    }
+
+    // callback(newt) when a newt is picked up in carry mode
+    onPickup(callback) {
+        this.onPickupCallback = callback;
+    }
+
+    getCarried() {
+        return this.carried;
+    }
+
+    // The newt leaves the road and rides along in the player's bucket until released
+    pickUp(newt, index) {
+        this.transforms.untrack(newt.mesh);
+        this.scene.remove(newt.mesh);
+        this.newts.splice(index, 1);
+        this.carried.push(newt);
+        if (this.onPickupCallback) this.onPickupCallback(newt);
+    }
+
+    // Lets one carried newt go at the player's feet. Past the road edge it goes to a newt
+    // heading for that side if there is one; on the road the oldest is set down to walk on.
+    // Returns null with nothing carried, else { newt, result }:
+    //   'rescued'    - past the edge on the newt's target side; scores like an instant rescue
+    //   'wrong-side' - past the edge on the side it came from; it sets off across again
+    //   'set-down'   - still on the road; it carries on walking
+    releaseNewt(position) {
+        if (this.carried.length === 0) return null;
+
+        const roadData = this.getRoadDataAtZ(position.z);
+        const lateral = (position.x - roadData.point.x) * roadData.normal.x +
+            (position.z - roadData.point.z) * roadData.normal.z;
+        const side = Math.sign(lateral);
+        const offRoad = Math.abs(lateral) > this.roadWidth / 2;
+
+        let index = offRoad ? this.carried.findIndex(newt => newt.targetSide === side) : -1;
+        const result = index >= 0 ? 'rescued' : offRoad ? 'wrong-side' : 'set-down';
+        if (index < 0) index = 0;
+
+        const [newt] = this.carried.splice(index, 1);
+        newt.mesh.position.set(position.x, 0.006, position.z);
+
+        if (result === 'rescued') {
+            if (newt.isBonus && this.flashlight && typeof this.flashlight.activateBonusBrightness === 'function') {
+                this.flashlight.activateBonusBrightness(5);
+            }
+            this.releaseNewtMesh(newt.mesh);
+            this.rescuedCount++;
+        } else {
+            // Back on the ground, walking on from here
+            newt.startPosition.copy(newt.mesh.position);
+            newt.isPaused = false;
+            newt.justReleased = true;
+            this.scene.add(newt.mesh);
+            this.transforms.track(newt.mesh);
+            this.newts.push(newt);
+        }
+        return { newt, result };
+    }
+
     setSpeedMultiplier(mult) {
         this.speedMultiplier = mult;
     }
 
+    setWind(force) {
+        this.wind.copy(force);
+    }
+
     createRescueEffect(position, isBonus = false) {
+        if (this.headless) return;
         if (this.rescueEffects.length >= 5) {
             const oldest = this.rescueEffects.shift();
             this.scene.remove(oldest.points);
@@ -778,6 +1022,7 @@ export class NewtManager {
     }
 
     createSplatEffect(position) {
+        if (this.headless) return;
         const splatGeometry = new THREE.CircleGeometry(0.4, 8);
         const splatMaterial = new THREE.MeshStandardMaterial({
             color: 0x442200,
@@ -803,8 +1048,13 @@ export class NewtManager {
             this.releaseNewtMesh(newt.mesh);
         });
         this.newts = [];
+        this.carried.forEach(newt => {
+            this.releaseNewtMesh(newt.mesh);
+        });
+        this.carried = [];
         this.rescuedCount = 0;
         this.spawnTimer = 0;
+        this.wind.set(0, 0, 0);
 
         this.rescueEffects.forEach(effect => {
             this.scene.remove(effect.points);
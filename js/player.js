@@ -1,7 +1,26 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import {
+    DEFAULT_KEYBOARD_BINDINGS, DEFAULT_GAMEPAD_BINDINGS,
+    readKeyboardAxis, readGamepadAxis, isGamepadButtonPressed
+} from './input-bindings.js';
 
 const GAMEPAD_DEAD_ZONE = 0.15;
+
+// Look speeds at sensitivity 1: radians per pixel (mouse, touch) and per second at full stick
+const MOUSE_LOOK_SPEED = 0.002;
+const TOUCH_LOOK_SPEED = 0.003;
+const GAMEPAD_LOOK_SPEED = 2.5;
+
+// Sprint: a full stamina pool lasts STAMINA_DRAIN_TIME seconds and refills in
+// STAMINA_RECOVERY_TIME. Emptying it leaves the player winded until it is back to
+// WINDED_RECOVERY_LEVEL, so sprint cannot be feathered on a nearly empty pool.
+export const SPRINT_SPEED_MULTIPLIER = 1.6;
+const STAMINA_DRAIN_TIME = 4;
+const STAMINA_RECOVERY_TIME = 7;
+const WINDED_RECOVERY_LEVEL = 0.35;
+const SPRINT_NEAR_MISS_RADIUS = 2.5;
+const JOYSTICK_DOUBLE_TAP_MS = 300;
 const _forward = new THREE.Vector3();
 const _right = new THREE.Vector3();
 const _up = new THREE.Vector3(0, 1, 0);
@@ -22,18 +41,20 @@ export class Player {
         // Mobile joystick state
         this.joystickInput = { x: 0, y: 0 };
 
-        this.velocity = new THREE.Vector3();
-        this.direction = new THREE.Vector3();
+        // Keyboard state read through the bindings (KeyboardEvent.code of every held key)
+        this.bindings = null;
+        this.keysDown = new Set();
+        this.keyLookX = 0;
+        this.keyLookY = 0;
+        this.keySprint = false;
+        this.joystickSprint = false;
 
-        // Player properties
-        this.speed = 5.0;
-        this.playerHeight = 1.7;
-        this.collisionRadius = 0.5;
-        this.nearMissRadius = 1.5;
+        this.initMovementState();
 
-        // Mobile look sensitivity
-        this.lookSensitivity = 0.003;
-        this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+        // Look sensitivity per device; invertY flips vertical look on all of them
+        this.mouseSensitivity = MOUSE_LOOK_SPEED;
+        this.lookSensitivity = TOUCH_LOOK_SPEED;
+        this.invertY = false;
 
         this.gamepadIndex = -1;
         this.gamepadLookX = 0;
@@ -41,21 +62,65 @@ export class Player {
         this.gamepadMoveX = 0;
         this.gamepadMoveY = 0;
         this.gamepadFlashlightPressed = false;
-        this.gamepadLookSensitivity = 2.5;
+        this.gamepadPausePressed = false;
+        this.gamepadSprint = false;
+        this.gamepadDropPressed = false;
+        this.gamepadLookSensitivity = GAMEPAD_LOOK_SPEED;
+
+        // Input for the current simulation tick (reused; see readInput)
+        this.liveInput = { moveX: 0, moveZ: 0, yaw: 0, pitch: 0, flashlight: false, sprint: false, drop: false };
+        this.flashlightToggleQueued = false;
+        this.dropQueued = false;
 
         // Pointer lock controls (desktop only)
         if (!isMobile) {
             this.controls = new PointerLockControls(camera, document.body);
+            // The controls only lock the pointer; onMouseMove turns the camera
+            this.controls.pointerSpeed = 0;
         }
 
         this.initGamepadListeners();
         this.init();
     }
 
+    // Movement-only player for headless re-simulation (no DOM, no input devices)
+    static createHeadless(camera, roadBounds) {
+        const player = Object.create(Player.prototype);
+        player.camera = camera;
+        player.roadBounds = roadBounds;
+        player.initMovementState();
+        player.reset();
+        return player;
+    }
+
+    initMovementState() {
+        this.velocity = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+
+        // Player properties
+        this.speed = 5.0;
+        this.playerHeight = 1.7;
+        this.collisionRadius = 0.5;
+        this.nearMissRadius = 1.5;
+
+        // Stamina (0-1) is simulated with movement so replays and the run verifier see it
+        this.stamina = 1;
+        this.winded = false;
+        this.isSprinting = false;
+
+        // Wind pushing the player this tick (m/s, world space; see wind.js)
+        this.windPush = new THREE.Vector3();
+
+        this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    }
+
     init() {
         // Keyboard controls
         document.addEventListener('keydown', (e) => this.onKeyDown(e));
         document.addEventListener('keyup', (e) => this.onKeyUp(e));
+        if (this.controls) {
+            document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        }
 
         // Set initial position
         this.camera.position.set(0, this.playerHeight, 0);
@@ -77,33 +142,50 @@ export class Player {
                 this.gamepadMoveY = 0;
                 this.gamepadLookX = 0;
                 this.gamepadLookY = 0;
+                this.gamepadSprint = false;
             }
         });
     }
 
+    // The keyboard and controller profiles come from an InputBindings (see main.js);
+    // without one the default layouts apply
+    setInputBindings(bindings) {
+        this.bindings = bindings;
+        this.updateKeyboardState();
+    }
+
+    getKeyboardBindings() {
+        return this.bindings ? this.bindings.getKeyboard() : DEFAULT_KEYBOARD_BINDINGS;
+    }
+
+    getGamepadBindings(gp) {
+        return this.bindings ? this.bindings.getGamepad(gp.id) : DEFAULT_GAMEPAD_BINDINGS;
+    }
+
     pollGamepad(deltaTime) {
         if (this.gamepadIndex < 0) return;
         const gamepads = navigator.getGamepads();
         const gp = gamepads[this.gamepadIndex];
         if (!gp) return;
 
-        const applyDeadZone = (v) => Math.abs(v) < GAMEPAD_DEAD_ZONE ? 0 : v;
-
-        this.gamepadLookX = applyDeadZone(gp.axes[0]);
-        this.gamepadLookY = applyDeadZone(gp.axes[1]);
-        this.gamepadMoveX = applyDeadZone(gp.axes[2]);
-        this.gamepadMoveY = applyDeadZone(gp.axes[3]);
+        // Actions count up and forward as positive; these fields keep the stick's sign
+        // (pushing up reads negative), which readInput() and the look code below expect
+        const bindings = this.getGamepadBindings(gp);
+        this.gamepadLookX = readGamepadAxis(bindings.lookX, gp, GAMEPAD_DEAD_ZONE);
+        this.gamepadLookY = -readGamepadAxis(bindings.lookY, gp, GAMEPAD_DEAD_ZONE);
+        this.gamepadMoveX = readGamepadAxis(bindings.moveX, gp, GAMEPAD_DEAD_ZONE);
+        this.gamepadMoveY = -readGamepadAxis(bindings.moveY, gp, GAMEPAD_DEAD_ZONE);
+        this.gamepadSprint = isGamepadButtonPressed(bindings.sprint, gp);
 
         if (this.gamepadLookX !== 0 || this.gamepadLookY !== 0) {
             this.euler.setFromQuaternion(this.camera.quaternion);
             this.euler.y -= this.gamepadLookX * this.gamepadLookSensitivity * deltaTime;
-            this.euler.x -= this.gamepadLookY * this.gamepadLookSensitivity * deltaTime;
+            this.euler.x -= this.gamepadLookY * this.gamepadLookSensitivity * deltaTime * this.getPitchDirection();
             this.euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.euler.x));
             this.camera.quaternion.setFromEuler(this.euler);
         }
 
-        const aButton = gp.buttons[0];
-        if (aButton && aButton.pressed) {
+        if (isGamepadButtonPressed(bindings.toggleFlashlight, gp)) {
             if (!this.gamepadFlashlightPressed) {
                 this.gamepadFlashlightPressed = true;
                 if (this.onFlashlightToggle) this.onFlashlightToggle();
@@ -111,6 +193,72 @@ export class Player {
         } else {
             this.gamepadFlashlightPressed = false;
         }
+
+        if (isGamepadButtonPressed(bindings.drop, gp)) {
+            if (!this.gamepadDropPressed) {
+                this.gamepadDropPressed = true;
+                if (this.onDrop) this.onDrop();
+            }
+        } else {
+            this.gamepadDropPressed = false;
+        }
+
+        this.checkGamepadPause(gp);
+    }
+
+    // The pause button (Start by default) toggles the pause menu
+    checkGamepadPause(gp) {
+        if (isGamepadButtonPressed(this.getGamepadBindings(gp).pause, gp)) {
+            if (!this.gamepadPausePressed) {
+                this.gamepadPausePressed = true;
+                if (this.onPauseToggle) this.onPauseToggle();
+            }
+        } else {
+            this.gamepadPausePressed = false;
+        }
+    }
+
+    // Only the pause button is polled while the game is paused
+    pollGamepadPause() {
+        if (this.gamepadIndex < 0) return;
+        const gp = navigator.getGamepads()[this.gamepadIndex];
+        if (gp) this.checkGamepadPause(gp);
+    }
+
+    // The connected controller, for rebinding it (null when there is none)
+    getGamepad() {
+        if (this.gamepadIndex < 0) return null;
+        return navigator.getGamepads()[this.gamepadIndex] || null;
+    }
+
+    // Shift, a stick click or a double-tap on the joystick (held)
+    isSprintHeld() {
+        return Boolean(this.keySprint || this.gamepadSprint || this.joystickSprint);
+    }
+
+    // Multipliers of each device's default look speed (1 = default)
+    setLookSensitivity({ mouse = 1, touch = 1, gamepad = 1 } = {}) {
+        this.mouseSensitivity = MOUSE_LOOK_SPEED * mouse;
+        this.lookSensitivity = TOUCH_LOOK_SPEED * touch;
+        this.gamepadLookSensitivity = GAMEPAD_LOOK_SPEED * gamepad;
+    }
+
+    setInvertY(invert) {
+        this.invertY = !!invert;
+    }
+
+    getPitchDirection() {
+        return this.invertY ? -1 : 1;
+    }
+
+    onMouseMove(event) {
+        if (!this.controls.isLocked) return;
+
+        this.euler.setFromQuaternion(this.camera.quaternion);
+        this.euler.y -= event.movementX * this.mouseSensitivity;
+        this.euler.x -= event.movementY * this.mouseSensitivity * this.getPitchDirection();
+        this.euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.euler.x));
+        this.camera.quaternion.setFromEuler(this.euler);
     }
 
     setupMobileControls() {
@@ -121,11 +269,19 @@ export class Player {
         if (joystick && joystickKnob) {
             let joystickActive = false;
             let joystickCenter = { x: 0, y: 0 };
+            let lastTapTime = -Infinity;
             const maxDistance = 35;
 
             const handleJoystickStart = (e) => {
                 e.preventDefault();
                 joystickActive = true;
+
+                // A second tap straight after the first sprints until the thumb lifts
+                const now = performance.now();
+                this.joystickSprint = now - lastTapTime < JOYSTICK_DOUBLE_TAP_MS;
+                joystick.classList.toggle('sprinting', this.joystickSprint);
+                lastTapTime = now;
+
                 const rect = joystick.getBoundingClientRect();
                 joystickCenter = {
                     x: rect.left + rect.width / 2,
@@ -158,6 +314,8 @@ export class Player {
                 joystickActive = false;
                 joystickKnob.style.transform = 'translate(0, 0)';
                 this.joystickInput = { x: 0, y: 0 };
+                this.joystickSprint = false;
+                joystick.classList.remove('sprinting');
             };
 
             joystick.addEventListener('touchstart', handleJoystickStart, { passive: false });
@@ -189,7 +347,7 @@ export class Player {
                 // Update camera rotation
                 this.euler.setFromQuaternion(this.camera.quaternion);
                 this.euler.y -= dx * this.lookSensitivity;
-                this.euler.x -= dy * this.lookSensitivity;
+                this.euler.x -= dy * this.lookSensitivity * this.getPitchDirection();
 
                 // Clamp vertical look
                 this.euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.euler.x));
@@ -206,55 +364,84 @@ export class Player {
     }
 
     onKeyDown(event) {
-        switch (event.code) {
-            case 'KeyW':
-            case 'ArrowUp':
-                this.moveForward = true;
-                break;
-            case 'KeyS':
-            case 'ArrowDown':
-                this.moveBackward = true;
-                break;
-            case 'KeyA':
-            case 'ArrowLeft':
-                this.moveLeft = true;
-                break;
-            case 'KeyD':
-            case 'ArrowRight':
-                this.moveRight = true;
-                break;
-            case 'KeyF':
-                // Flashlight toggle - will be handled by game
-                if (this.onFlashlightToggle) {
-                    this.onFlashlightToggle();
-                }
-                break;
+        // O opens the settings screen - handled by game (not while typing in one of its fields)
+        if (event.code === 'KeyO') {
+            if (this.onSettingsToggle && !event.target.closest?.('input, select, textarea')) {
+                this.onSettingsToggle();
+            }
+            return;
+        }
+
+        this.keysDown.add(event.code);
+        this.updateKeyboardState();
+        if (event.repeat) return;
+
+        // Flashlight and pause - handled by game
+        const bindings = this.getKeyboardBindings();
+        if (bindings.toggleFlashlight.includes(event.code) && this.onFlashlightToggle) {
+            this.onFlashlightToggle();
+        }
+        if (bindings.pause.includes(event.code) && this.onPauseToggle) {
+            this.onPauseToggle();
         }
+        if (bindings.drop.includes(event.code) && this.onDrop) {
+            this.onDrop();
+        }
+    }
+
+    // Flashlight presses take effect on the next simulation tick so recordings capture them
+    queueFlashlightToggle() {
+        this.flashlightToggleQueued = true;
+    }
+
+    // Releasing a carried newt works the same way
+    queueDrop() {
+        this.dropQueued = true;
+    }
+
+    setDropCallback(callback) {
+        this.onDrop = callback;
     }
 
     setFlashlightToggleCallback(callback) {
         this.onFlashlightToggle = callback;
     }
 
+    setPauseToggleCallback(callback) {
+        this.onPauseToggle = callback;
+    }
+
+    setSettingsToggleCallback(callback) {
+        this.onSettingsToggle = callback;
+    }
+
     onKeyUp(event) {
-        switch (event.code) {
-            case 'KeyW':
-            case 'ArrowUp':
-                this.moveForward = false;
-                break;
-            case 'KeyS':
-            case 'ArrowDown':
-                this.moveBackward = false;
-                break;
-            case 'KeyA':
-            case 'ArrowLeft':
-                this.moveLeft = false;
-                break;
-            case 'KeyD':
-            case 'ArrowRight':
-                this.moveRight = false;
-                break;
-        }
+        this.keysDown.delete(event.code);
+        this.updateKeyboardState();
+    }
+
+    // Movement, look and sprint from the held keys under the current keyboard bindings
+    updateKeyboardState() {
+        const bindings = this.getKeyboardBindings();
+        const moveX = readKeyboardAxis(bindings.moveX, this.keysDown);
+        const moveY = readKeyboardAxis(bindings.moveY, this.keysDown);
+        this.moveForward = moveY > 0;
+        this.moveBackward = moveY < 0;
+        this.moveLeft = moveX < 0;
+        this.moveRight = moveX > 0;
+        this.keyLookX = readKeyboardAxis(bindings.lookX, this.keysDown);
+        this.keyLookY = readKeyboardAxis(bindings.lookY, this.keysDown);
+        this.keySprint = bindings.sprint.some(code => this.keysDown.has(code));
+    }
+
+    // Look keys turn at full-stick gamepad speed
+    applyKeyboardLook(deltaTime) {
+        if (!this.keyLookX && !this.keyLookY) return;
+        this.euler.setFromQuaternion(this.camera.quaternion);
+        this.euler.y -= this.keyLookX * this.gamepadLookSensitivity * deltaTime;
+        this.euler.x += this.keyLookY * this.gamepadLookSensitivity * deltaTime * this.getPitchDirection();
+        this.euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.euler.x));
+        this.camera.quaternion.setFromEuler(this.euler);
     }
 
     lock() {
@@ -289,36 +476,70 @@ export class Player {
         };
     }
 
+    // Sprinting is loud and clumsy: cars count as near misses from further away
     getNearMissBox() {
         const pos = this.getPosition();
+        const radius = this.isSprinting ? SPRINT_NEAR_MISS_RADIUS : this.nearMissRadius;
         return {
-            minX: pos.x - this.nearMissRadius,
-            maxX: pos.x + this.nearMissRadius,
-            minZ: pos.z - this.nearMissRadius,
-            maxZ: pos.z + this.nearMissRadius
+            minX: pos.x - radius,
+            maxX: pos.x + radius,
+            minZ: pos.z - radius,
+            maxZ: pos.z + radius
         };
     }
 
-    update(deltaTime) {
+    // Top speed, sprinting included (the run verifier's reach limit)
+    getMaxSpeed() {
+        return this.speed * SPRINT_SPEED_MULTIPLIER;
+    }
+
+    // Samples keyboard, joystick, gamepad and look direction into one tick's input.
+    // Replays feed recorded frames of the same shape straight into update().
+    readInput(deltaTime) {
         this.pollGamepad(deltaTime);
+        this.applyKeyboardLook(deltaTime);
 
-        if (!this.isMobile && !this.controls.isLocked && this.gamepadIndex < 0) return false;
+        const input = this.liveInput;
+        input.moveX = 0;
+        input.moveZ = 0;
 
-        this.velocity.x -= this.velocity.x * 10.0 * deltaTime;
-        this.velocity.z -= this.velocity.z * 10.0 * deltaTime;
+        if (this.isMobile || this.controls.isLocked || this.gamepadIndex >= 0) {
+            input.moveZ = Number(this.moveForward) - Number(this.moveBackward);
+            input.moveX = Number(this.moveRight) - Number(this.moveLeft);
 
-        this.direction.z = Number(this.moveForward) - Number(this.moveBackward);
-        this.direction.x = Number(this.moveRight) - Number(this.moveLeft);
+            if (this.isMobile) {
+                if (this.joystickInput.x !== 0) input.moveX = this.joystickInput.x;
+                if (this.joystickInput.y !== 0) input.moveZ = this.joystickInput.y;
+            }
 
-        if (this.isMobile) {
-            if (this.joystickInput.x !== 0) this.direction.x = this.joystickInput.x;
-            if (this.joystickInput.y !== 0) this.direction.z = this.joystickInput.y;
+            if (this.gamepadIndex >= 0) {
+                if (this.gamepadMoveX !== 0) input.moveX = this.gamepadMoveX;
+                if (this.gamepadMoveY !== 0) input.moveZ = -this.gamepadMoveY;
+            }
         }
 
-        if (this.gamepadIndex >= 0) {
-            if (this.gamepadMoveX !== 0) this.direction.x = this.gamepadMoveX;
-            if (this.gamepadMoveY !== 0) this.direction.z = -this.gamepadMoveY;
-        }
+        this.euler.setFromQuaternion(this.camera.quaternion);
+        input.yaw = this.euler.y;
+        input.pitch = this.euler.x;
+
+        input.flashlight = this.flashlightToggleQueued;
+        this.flashlightToggleQueued = false;
+        input.sprint = this.isSprintHeld();
+        input.drop = this.dropQueued;
+        this.dropQueued = false;
+
+        return input;
+    }
+
+    update(deltaTime, input = this.readInput(deltaTime)) {
+        // Look direction comes from the input frame so replays aim exactly as recorded
+        this.euler.set(input.pitch, input.yaw, 0);
+        this.camera.quaternion.setFromEuler(this.euler);
+
+        this.velocity.x -= this.velocity.x * 10.0 * deltaTime;
+        this.velocity.z -= this.velocity.z * 10.0 * deltaTime;
+
+        this.direction.set(input.moveX, 0, input.moveZ);
 
         const directionLengthSq = this.direction.lengthSq();
         const isMoving = directionLengthSq > 0.01;
@@ -327,27 +548,27 @@ export class Player {
             this.direction.multiplyScalar(1 / Math.sqrt(directionLengthSq));
         }
 
+        this.updateStamina(deltaTime, !!input.sprint && isMoving);
+        const speed = this.isSprinting ? this.speed * SPRINT_SPEED_MULTIPLIER : this.speed;
+
         // Apply movement
         if (this.direction.z !== 0) {
-            this.velocity.z -= this.direction.z * this.speed * deltaTime * 10;
+            this.velocity.z -= this.direction.z * speed * deltaTime * 10;
         }
         if (this.direction.x !== 0) {
-            this.velocity.x -= this.direction.x * this.speed * deltaTime * 10;
+            this.velocity.x -= this.direction.x * speed * deltaTime * 10;
         }
 
-        if (this.isMobile || (this.gamepadIndex >= 0 && (!this.controls || !this.controls.isLocked))) {
-            this.camera.getWorldDirection(_forward);
-            _forward.y = 0;
-            _forward.normalize();
+        // Move relative to where the camera faces, flattened onto the ground
+        this.camera.getWorldDirection(_forward);
+        _forward.y = 0;
+        _forward.normalize();
 
-            _right.crossVectors(_forward, _up);
+        _right.crossVectors(_forward, _up);
 
-            this.camera.position.addScaledVector(_forward, -this.velocity.z * deltaTime);
-            this.camera.position.addScaledVector(_right, -this.velocity.x * deltaTime);
-        } else if (this.controls) {
-            this.controls.moveRight(-this.velocity.x * deltaTime);
-            this.controls.moveForward(-this.velocity.z * deltaTime);
-        }
+        this.camera.position.addScaledVector(_forward, -this.velocity.z * deltaTime);
+        this.camera.position.addScaledVector(_right, -this.velocity.x * deltaTime);
+        this.camera.position.addScaledVector(this.windPush, deltaTime);
 
         // Clamp to road bounds
         this.camera.position.x = Math.max(
@@ -365,6 +586,22 @@ export class Player {
         return isMoving;
     }
 
+    setWindPush(force) {
+        this.windPush.copy(force);
+    }
+
+    // Sprinting drains stamina; walking or standing refills it
+    updateStamina(deltaTime, wantsSprint) {
+        this.isSprinting = wantsSprint && !this.winded;
+        if (this.isSprinting) {
+            this.stamina = Math.max(0, this.stamina - deltaTime / STAMINA_DRAIN_TIME);
+            if (this.stamina === 0) this.winded = true;
+        } else {
+            this.stamina = Math.min(1, this.stamina + deltaTime / STAMINA_RECOVERY_TIME);
+            if (this.winded && this.stamina >= WINDED_RECOVERY_LEVEL) this.winded = false;
+        }
+    }
+
     reset() {
         this.camera.position.set(0, this.playerHeight, 0);
         this.camera.rotation.set(0, 0, 0);
@@ -373,5 +610,10 @@ export class Player {
         this.moveBackward = false;
         this.moveLeft = false;
         this.moveRight = false;
+        this.flashlightToggleQueued = false;
+        this.stamina = 1;
+        this.winded = false;
+        this.isSprinting = false;
+        this.windPush.set(0, 0, 0);
     }
 }
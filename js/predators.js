@@ -1,5 +1,8 @@
 // predators.js - Mountain lion and bear 3D models and attack animations
 import * as THREE from 'three';
+import { random } from './random.js';
+
+const danger = random.stream('danger');
 
 export class PredatorManager {
     constructor(scene, camera) {
@@ -278,7 +281,7 @@ export class PredatorManager {
         
         // Position predator in the forest, facing player
         const spawnDistance = 8;
-        const angle = Math.random() * Math.PI * 0.5 - Math.PI * 0.25; // Spread in front
+        const angle = danger.next() * Math.PI * 0.5 - Math.PI * 0.25; // Spread in front
         
         this.activePredator.position.set(
             playerPosition.x - spawnDistance,
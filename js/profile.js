@@ -0,0 +1,211 @@
+// profile.js - Local player profile: stable ID, display name and lifetime stats
+// The ID is generated once per browser and never shown on the leaderboard; backends store a
+// hash of it (see playerIdFromToken in leaderboard-backends.js), so a name anyone can type
+// no longer decides whose score gets replaced. The display name is free to change.
+
+const LEGACY_NAME_KEY = 'newtRescuePlayerName';
+
+export const DISPLAY_NAME_MIN_LENGTH = 2;
+export const DISPLAY_NAME_MAX_LENGTH = 20;
+
+// Matched against whole words of the name (plurals too), never parts of words, so names
+// that merely contain one ("Nazir", "Scunthorpe") are fine
+const BLOCKED_WORDS = [
+    'fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'whore', 'slut', 'wanker',
+    'twat', 'pussy', 'nigger', 'nigga', 'faggot', 'retard', 'rapist', 'nazi'
+];
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', '$': 's', '!': 'i' };
+
+const collapseRepeats = word => word.replace(/(.)\1+/g, '$1');
+
+const BLOCKED_TOKENS = new Set(BLOCKED_WORDS.flatMap(word => [word, `${word}s`, `${word}es`].map(collapseRepeats)));
+
+// Words of the name with look-alike digits mapped back to letters and repeated letters
+// collapsed; letters spelled out one at a time ("f u c k") join into one word
+function nameTokens(name) {
+    const words = Array.from(name.toLowerCase(), char => LOOKALIKES[char] || char)
+        .join('')
+        .split(/[^\p{L}]+/u)
+        .filter(Boolean);
+
+    const tokens = [];
+    let spelled = '';
+    for (const word of words) {
+        if (word.length === 1) {
+            spelled += word;
+            continue;
+        }
+        if (spelled) tokens.push(spelled);
+        spelled = '';
+        tokens.push(word);
+    }
+    if (spelled) tokens.push(spelled);
+    return tokens.map(collapseRepeats);
+}
+
+export function containsProfanity(name) {
+    return nameTokens(name).some(token => BLOCKED_TOKENS.has(token));
+}
+
+// { valid: true, name } with whitespace tidied, or { valid: false, error }
+export function validateDisplayName(input) {
+    const name = String(input ?? '').trim().replace(/\s+/g, ' ');
+
+    if (name.length < DISPLAY_NAME_MIN_LENGTH) {
+        return { valid: false, error: `Name must be at least ${DISPLAY_NAME_MIN_LENGTH} characters` };
+    }
+    if (name.length > DISPLAY_NAME_MAX_LENGTH) {
+        return { valid: false, error: `Name must be at most ${DISPLAY_NAME_MAX_LENGTH} characters` };
+    }
+    if (!/^[\p{L}\p{N}][\p{L}\p{N} _.'-]*$/u.test(name)) {
+        return { valid: false, error: 'Use letters, numbers, spaces and _ . \' - only' };
+    }
+    if (containsProfanity(name)) {
+        return { valid: false, error: 'Please choose a different name' };
+    }
+    return { valid: true, name };
+}
+
+export function generatePlayerId() {
+    if (globalThis.crypto && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function emptyStats() {
+    return { runs: 0, totalRescued: 0, deathsByCause: {}, bestWave: 0, bestScore: 0 };
+}
+
+export class PlayerProfile {
+    constructor({
+        storage = globalThis.localStorage,
+        storageKey = 'newtRescueProfile',
+        createId = generatePlayerId,
+        now = () => Date.now()
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.createId = createId;
+        this.now = now;
+        this.onChangeCallback = null;
+
+        this.data = this.load();
+    }
+
+    // Reads the saved profile, creating one (and adopting the old saved name) on first run
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(this.storageKey));
+        } catch {
+            saved = null;
+        }
+
+        if (saved && typeof saved.id === 'string' && saved.id) {
+            return {
+                id: saved.id,
+                displayName: typeof saved.displayName === 'string' ? saved.displayName : '',
+                createdAt: saved.createdAt || this.now(),
+                rejectedName: saved.rejectedName || null,
+                stats: { ...emptyStats(), ...saved.stats, deathsByCause: { ...saved.stats?.deathsByCause } }
+            };
+        }
+
+        // An old name that no longer passes the checks is kept aside until the player picks
+        // a new one, so they can be told why it is gone
+        const savedName = this.storage.getItem(LEGACY_NAME_KEY);
+        const legacyName = validateDisplayName(savedName);
+        const data = {
+            id: this.createId(),
+            displayName: legacyName.valid ? legacyName.name : '',
+            createdAt: this.now(),
+            rejectedName: !legacyName.valid && savedName && savedName.trim()
+                ? { name: savedName.trim(), error: legacyName.error }
+                : null,
+            stats: emptyStats()
+        };
+        this.write(data);
+        return data;
+    }
+
+    write(data) {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save player profile:', error);
+        }
+    }
+
+    save() {
+        this.write(this.data);
+        if (this.onChangeCallback) this.onChangeCallback(this.getSnapshot());
+    }
+
+    get id() {
+        return this.data.id;
+    }
+
+    get displayName() {
+        return this.data.displayName;
+    }
+
+    // { name, error } for an old saved name that failed validation, until a new name is set
+    get rejectedName() {
+        return this.data.rejectedName;
+    }
+
+    // Prefill for name boxes: the display name, or the rejected old name to fix
+    get editableName() {
+        return this.data.displayName || (this.data.rejectedName ? this.data.rejectedName.name : '');
+    }
+
+    // What the leaderboard needs to file a score under this profile
+    get player() {
+        return { id: this.data.id, name: this.data.displayName };
+    }
+
+    getSnapshot() {
+        return {
+            id: this.data.id,
+            displayName: this.data.displayName,
+            createdAt: this.data.createdAt,
+            rejectedName: this.data.rejectedName,
+            stats: { ...this.data.stats, deathsByCause: { ...this.data.stats.deathsByCause } }
+        };
+    }
+
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    // { success: true, name } or { success: false, error }; the name is unchanged on failure
+    setDisplayName(input) {
+        const result = validateDisplayName(input);
+        if (!result.valid) {
+            return { success: false, error: result.error };
+        }
+
+        if (result.name !== this.data.displayName || this.data.rejectedName) {
+            this.data.displayName = result.name;
+            this.data.rejectedName = null;
+            this.save();
+        }
+        return { success: true, name: result.name };
+    }
+
+    // run: { rescued, score, reason, wave } for a finished (not replayed) run
+    recordRun({ rescued = 0, score = 0, reason = null, wave = 0 }) {
+        const stats = this.data.stats;
+        stats.runs++;
+        stats.totalRescued += rescued;
+        stats.bestScore = Math.max(stats.bestScore, score);
+        stats.bestWave = Math.max(stats.bestWave, wave);
+        if (reason) {
+            stats.deathsByCause[reason] = (stats.deathsByCause[reason] || 0) + 1;
+        }
+        this.save();
+    }
+}
@@ -0,0 +1,69 @@
+// quality.js - Named rendering presets
+// The adaptive governor in main.js steps between these by level (1-3); the settings screen
+// can pin one instead. Replays record the level each tick, so a level must always mean the
+// same preset: maxNewts and maxCars decide how much can be on the road at once.
+
+export const QUALITY_PRESETS = {
+    low: {
+        level: 1,
+        label: 'Low',
+        pixelRatio: 1,               // cap before the governor's resolution scale
+        flashlightShadows: false,
+        shadowMapSize: 256,
+        flashlightCone: false,       // volumetric beam
+        flashlightGlow: 0,           // fill and outer glow strength (0 turns them off)
+        carHeadlights: false,        // dynamic lights on traffic
+        rainFraction: 0.45,          // share of raindrops drawn
+        rainUpdateInterval: 5,       // frames between rain position updates
+        density: 0.5,                // trees, underbrush, rocks and stars (getScaledCount)
+        maxNewts: 8,
+        newtIlluminationInterval: 3, // ticks between flashlight checks on newts
+        maxCars: 8,
+        lowEndMaxCars: 6
+    },
+    medium: {
+        level: 2,
+        label: 'Medium',
+        pixelRatio: 1.5,
+        flashlightShadows: true,
+        shadowMapSize: 512,
+        flashlightCone: true,
+        flashlightGlow: 0.75,
+        carHeadlights: true,
+        rainFraction: 0.7,
+        rainUpdateInterval: 4,
+        density: 0.7,
+        maxNewts: 11,
+        newtIlluminationInterval: 2,
+        maxCars: 11,
+        lowEndMaxCars: 8
+    },
+    high: {
+        level: 3,
+        label: 'High',
+        pixelRatio: 2,
+        flashlightShadows: true,
+        shadowMapSize: 512,
+        flashlightCone: true,
+        flashlightGlow: 1,
+        carHeadlights: true,
+        rainFraction: 1,
+        rainUpdateInterval: 3,
+        density: 1,
+        maxNewts: 14,
+        newtIlluminationInterval: 1,
+        maxCars: 14,
+        lowEndMaxCars: 9
+    }
+};
+
+const PRESETS_BY_LEVEL = Object.values(QUALITY_PRESETS).sort((a, b) => a.level - b.level);
+
+export const MIN_QUALITY_LEVEL = PRESETS_BY_LEVEL[0].level;
+export const MAX_QUALITY_LEVEL = PRESETS_BY_LEVEL[PRESETS_BY_LEVEL.length - 1].level;
+
+// Levels outside 1-3 (old replays may hold 0) use the nearest preset
+export function presetForLevel(level) {
+    const clamped = Math.max(MIN_QUALITY_LEVEL, Math.min(MAX_QUALITY_LEVEL, level | 0));
+    return PRESETS_BY_LEVEL.find(preset => preset.level === clamped);
+}
@@ -0,0 +1,85 @@
+// random.js - Seeded random number streams for reproducible runs
+// Every named stream (traffic, newts, scenery, danger) has its own sequence derived
+// from the run seed and level, so drawing numbers in one system never shifts another.
+
+// FNV-1a: folds a seed string into 32 bits
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export class RandomStream {
+    constructor(seed = 0) {
+        this.state = seed >>> 0;
+    }
+
+    reseed(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // mulberry32, uniform in [0, 1) like Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
+
+export class RandomService {
+    constructor(seed = randomSeed()) {
+        this.streams = new Map();
+        this.level = 0;
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.level = 0;
+        this.reseedStreams();
+    }
+
+    // Restart every stream from (seed, level) so each level replays identically
+    beginLevel(level) {
+        this.level = level;
+        this.reseedStreams();
+    }
+
+    // Streams are long-lived; modules keep a reference and reseeding happens in place
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new RandomStream(this.deriveSeed(name));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    deriveSeed(name) {
+        return hashString(`${this.seed}:${name}:${this.level}`);
+    }
+
+    reseedStreams() {
+        this.streams.forEach((stream, name) => stream.reseed(this.deriveSeed(name)));
+    }
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000).toString(36);
+}
+
+// Shared service used by every simulation system
+export const random = new RandomService();
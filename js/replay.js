@@ -0,0 +1,192 @@
+// replay.js - Per-tick input recording and playback
+// A replay stores the run seed, starting level, rescue mode and one input frame per
+// simulation tick. Frames are quantized before the live game applies them, so feeding the same
+// frames back through Player reproduces the run exactly. Identical consecutive
+// frames are run-length encoded into a flat integer array.
+import { RESCUE_MODES } from './newts.js';
+
+export const REPLAY_FORMAT = 'newt-rescue-replay';
+// 2: storm gusts push the player, so version 1 recordings would drift off course
+// 3: newts react to the flashlight, traffic and each other, so version 2 recordings would
+//    meet different newts
+// Older recordings cannot be migrated: their inputs only reproduce the run under the
+// simulation that recorded them.
+export const REPLAY_VERSION = 3;
+
+// Integers per run in `inputs`: repeat, moveX, moveZ, yaw, pitch, flags, quality
+const RUN_STRIDE = 7;
+
+const MOVE_SCALE = 100; // movement axes in hundredths
+const ANGLE_SCALE = 10000; // yaw/pitch in 0.1 milliradians
+
+const FLAG_FLASHLIGHT = 1;
+const FLAG_SPRINT = 2; // replays from before sprinting never set it
+const FLAG_DROP = 4; // only carry-mode runs set it
+
+function wrapAngle(angle) {
+    const turn = Math.PI * 2;
+    return angle - turn * Math.round(angle / turn);
+}
+
+// Snaps a live input frame to the precision replays store (in place)
+export function quantizeInput(input) {
+    input.moveX = Math.round(Math.max(-1, Math.min(1, input.moveX)) * MOVE_SCALE) / MOVE_SCALE;
+    input.moveZ = Math.round(Math.max(-1, Math.min(1, input.moveZ)) * MOVE_SCALE) / MOVE_SCALE;
+    input.yaw = Math.round(wrapAngle(input.yaw) * ANGLE_SCALE) / ANGLE_SCALE;
+    input.pitch = Math.round(input.pitch * ANGLE_SCALE) / ANGLE_SCALE;
+    input.flashlight = !!input.flashlight;
+    input.sprint = !!input.sprint;
+    input.drop = !!input.drop;
+    return input;
+}
+
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object' || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Not a Save the Newts replay file');
+    }
+    if (Number.isInteger(replay.version) && replay.version >= 1 && replay.version < REPLAY_VERSION) {
+        throw new Error('This replay was recorded by an older version of the game and can no longer be played back');
+    }
+    if (Number.isInteger(replay.version) && replay.version > REPLAY_VERSION) {
+        throw new Error('This replay was recorded by a newer version of the game; reload the page to update');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version}`);
+    }
+    if (typeof replay.seed !== 'string' || !Number.isInteger(replay.level) || replay.level < 1) {
+        throw new Error('Replay is missing its seed or starting level');
+    }
+    // Replays from before carry mode have no rescueMode and play as 'instant'
+    if (replay.rescueMode !== undefined && !RESCUE_MODES.includes(replay.rescueMode)) {
+        throw new Error(`Unknown rescue mode ${replay.rescueMode}`);
+    }
+    if (!Array.isArray(replay.inputs) || replay.inputs.length % RUN_STRIDE !== 0) {
+        throw new Error('Replay inputs are corrupt');
+    }
+
+    let ticks = 0;
+    for (let i = 0; i < replay.inputs.length; i += RUN_STRIDE) {
+        const repeat = replay.inputs[i];
+        if (!Number.isInteger(repeat) || repeat < 1) {
+            throw new Error(`Replay input run ${i / RUN_STRIDE + 1} has an invalid length`);
+        }
+        ticks += repeat;
+    }
+    if (ticks !== replay.ticks) {
+        throw new Error(`Replay has ${ticks} input ticks, expected ${replay.ticks}`);
+    }
+
+    return replay;
+}
+
+export class ReplayRecorder {
+    // header: { seed, level, totalScore, rescueMode } at the moment play starts
+    constructor(header) {
+        this.header = header;
+        this.inputs = [];
+        this.ticks = 0;
+        this.rescues = [];
+        this.penalties = [];
+    }
+
+    // Quantizes the frame in place, appends it and returns it for the live game to apply
+    record(input, quality) {
+        quantizeInput(input);
+
+        const moveX = Math.round(input.moveX * MOVE_SCALE);
+        const moveZ = Math.round(input.moveZ * MOVE_SCALE);
+        const yaw = Math.round(input.yaw * ANGLE_SCALE);
+        const pitch = Math.round(input.pitch * ANGLE_SCALE);
+        const flags = (input.flashlight ? FLAG_FLASHLIGHT : 0) | (input.sprint ? FLAG_SPRINT : 0) |
+            (input.drop ? FLAG_DROP : 0);
+
+        const inputs = this.inputs;
+        const last = inputs.length - RUN_STRIDE;
+        if (last >= 0 &&
+            inputs[last + 1] === moveX && inputs[last + 2] === moveZ &&
+            inputs[last + 3] === yaw && inputs[last + 4] === pitch &&
+            inputs[last + 5] === flags && inputs[last + 6] === quality) {
+            inputs[last]++;
+        } else {
+            inputs.push(1, moveX, moveZ, yaw, pitch, flags, quality);
+        }
+
+        this.ticks++;
+        return input;
+    }
+
+    // A newt rescued during the current tick: [tick, x, z], position rounded to centimetres
+    recordRescue(position) {
+        this.rescues.push([this.ticks, Math.round(position.x * 100) / 100, Math.round(position.z * 100) / 100]);
+    }
+
+    // Carry mode: a newt let go on the wrong side during the current tick, stored like a rescue
+    recordPenalty(position) {
+        this.penalties.push([this.ticks, Math.round(position.x * 100) / 100, Math.round(position.z * 100) / 100]);
+    }
+
+    // result: { reason, score, time, level } once the run is over
+    finish(result) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: this.header.seed,
+            level: this.header.level,
+            totalScore: this.header.totalScore,
+            rescueMode: this.header.rescueMode || 'instant',
+            ticks: this.ticks,
+            result,
+            rescues: this.rescues.map(rescue => rescue.slice()),
+            penalties: this.penalties.map(penalty => penalty.slice()),
+            inputs: this.inputs.slice()
+        };
+    }
+}
+
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = validateReplay(replay);
+        this.frame = { moveX: 0, moveZ: 0, yaw: 0, pitch: 0, flashlight: false, sprint: false, drop: false, quality: 3 };
+        this.rewind();
+    }
+
+    get length() {
+        return this.replay.ticks;
+    }
+
+    isFinished() {
+        return this.tick >= this.replay.ticks;
+    }
+
+    rewind() {
+        this.tick = 0;
+        this.runIndex = 0;
+        this.runOffset = 0;
+    }
+
+    // Next tick's input (a reused object), or null once the recording runs out
+    next() {
+        const inputs = this.replay.inputs;
+        if (this.runIndex >= inputs.length) return null;
+
+        const i = this.runIndex;
+        const frame = this.frame;
+        frame.moveX = inputs[i + 1] / MOVE_SCALE;
+        frame.moveZ = inputs[i + 2] / MOVE_SCALE;
+        frame.yaw = inputs[i + 3] / ANGLE_SCALE;
+        frame.pitch = inputs[i + 4] / ANGLE_SCALE;
+        frame.flashlight = (inputs[i + 5] & FLAG_FLASHLIGHT) !== 0;
+        frame.sprint = (inputs[i + 5] & FLAG_SPRINT) !== 0;
+        frame.drop = (inputs[i + 5] & FLAG_DROP) !== 0;
+        frame.quality = inputs[i + 6];
+
+        this.runOffset++;
+        if (this.runOffset >= inputs[i]) {
+            this.runIndex += RUN_STRIDE;
+            this.runOffset = 0;
+        }
+        this.tick++;
+        return frame;
+    }
+}
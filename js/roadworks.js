@@ -0,0 +1,376 @@
+// roadworks.js - Construction zone: an open trench, a working excavator and a lane closure
+// A level's optional "roadworks" block places the site by curve parameter (t, 0-1 along the
+// road) and lateral offset from the centre line, measured along the same road normal as
+// Game.checkDangerZones (positive is the cliff side). The excavator and the lane signal run
+// on simulation time, so replays meet them exactly where the run did.
+import * as THREE from 'three';
+
+export const ROADWORKS_RULES = {
+    green: 14,           // seconds each direction has the open lane; a semi must cross in one
+    clearance: 3,        // all-red seconds between greens while the last car clears
+    taper: 12,           // metres over which cars ease across to the open lane
+    stopGap: 6,          // metres short of the closure that held cars wait
+    queueGap: 8,         // metres between cars queued in the same direction
+    excavatorSpeed: 1,   // m/s the excavator crawls up and down the verge
+    swingSpeed: 0.8,     // radians of sweep phase per second
+    swingAngle: 0.9,     // radians either side of pointing across the road
+    armReach: 7.5,       // metres from the cab to the bucket
+    cabRadius: 2.2,      // being this close to the cab or the bucket is an accident
+    bucketRadius: 1.3
+};
+
+// Which direction may use the open lane at `time` (1, -1, or 0 while the lane clears)
+// and the seconds left on that green
+export function laneSignal(time, rules = ROADWORKS_RULES) {
+    const half = rules.green + rules.clearance;
+    const phase = time % (half * 2);
+    const direction = phase < half ? 1 : -1;
+    const intoGreen = phase % half;
+    if (intoGreen >= rules.green) return { direction: 0, remaining: 0 };
+    return { direction, remaining: rules.green - intoGreen };
+}
+
+// Cars only enter when they can reach the far end of the closure before their green ends
+export function canEnterClosure(direction, time, distanceToExit, speed, rules = ROADWORKS_RULES) {
+    const signal = laneSignal(time, rules);
+    return signal.direction === direction && distanceToExit / speed <= signal.remaining;
+}
+
+export function isInTrench(trench, t, lateral) {
+    return !!trench &&
+        t >= trench.t[0] && t <= trench.t[1] &&
+        lateral >= trench.lateral[0] && lateral <= trench.lateral[1];
+}
+
+const CONE_SPACING = 3;
+const BARRIER_SPACING = 2;
+
+export class RoadworksManager {
+    constructor(scene, rules = ROADWORKS_RULES) {
+        this.scene = scene;
+        this.rules = rules;
+        this.site = null;
+        this.roadCurve = null;
+        this.curveLength = 0;
+        this.objects = [];
+        this.excavator = null;
+        this.signalLamps = [];
+
+        this.time = 0;
+        this.cabPosition = new THREE.Vector3();
+        this.bucketPosition = new THREE.Vector3();
+
+        this._point = new THREE.Vector3();
+        this._tangent = new THREE.Vector3();
+        this._normal = new THREE.Vector3();
+        this._reach = new THREE.Vector3();
+    }
+
+    // site: the level's roadworks block, or null/undefined for a level without one
+    setSite(site, roadCurve) {
+        this.clear();
+        if (!site || !roadCurve) return;
+
+        this.site = site;
+        this.roadCurve = roadCurve;
+        this.curveLength = roadCurve.getLength();
+        this.buildSite();
+        this.reset();
+    }
+
+    // Closure for CarManager.setLaneClosure (null when this level has none)
+    getLaneClosure() {
+        if (!this.site || !this.site.closure) return null;
+        const closure = this.site.closure;
+        return {
+            start: closure.t[0],
+            end: closure.t[1],
+            closedLane: closure.closedLane,
+            taper: this.rules.taper / this.curveLength,
+            rules: this.rules
+        };
+    }
+
+    // Point, tangent and normal of the road at t, the way LevelManager precomputes them
+    frameAt(t) {
+        this.roadCurve.getPoint(t, this._point);
+        this.roadCurve.getTangent(t, this._tangent);
+        this._normal.set(-this._tangent.z, 0, this._tangent.x).normalize();
+        return { point: this._point, tangent: this._tangent, normal: this._normal };
+    }
+
+    positionAt(t, lateral, out = new THREE.Vector3()) {
+        const { point, normal } = this.frameAt(t);
+        return out.copy(point).addScaledVector(normal, lateral);
+    }
+
+    yawAt(t) {
+        const { tangent } = this.frameAt(t);
+        return Math.atan2(tangent.x, tangent.z);
+    }
+
+    // ==================== SITE CONSTRUCTION ====================
+    buildSite() {
+        const { closure, trench, excavator } = this.site;
+        if (closure) {
+            this.createCones(closure);
+            this.createSignals(closure);
+        }
+        if (trench) this.createTrench(trench);
+        if (excavator) {
+            this.excavator = this.createExcavator();
+            this.scene.add(this.excavator.root);
+            this.objects.push(this.excavator.root);
+        }
+    }
+
+    // Cones run from the road edge in to the centre line over the taper, down the closure
+    // and back out, fencing off the closed lane
+    createCones(closure) {
+        const side = Math.sign(closure.closedLane);
+        const [start, end] = closure.t;
+        const taper = this.rules.taper / this.curveLength;
+        const count = Math.max(2, Math.floor((end - start) * this.curveLength / CONE_SPACING) + 1);
+
+        const geo = new THREE.ConeGeometry(0.22, 0.75, 8);
+        geo.translate(0, 0.375, 0);
+        const mat = new THREE.MeshStandardMaterial({
+            color: 0xff5a10,
+            emissive: 0x401000,
+            roughness: 0.6
+        });
+        const cones = new THREE.InstancedMesh(geo, mat, count);
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+
+        for (let i = 0; i < count; i++) {
+            const t = start + (end - start) * (i / (count - 1));
+            const inward = Math.min(1, (t - start) / taper, (end - t) / taper);
+            const lateral = side * (6 - inward * 5.7);
+            this.positionAt(t, lateral, position);
+            matrix.makeTranslation(position.x, 0, position.z);
+            cones.setMatrixAt(i, matrix);
+        }
+        cones.instanceMatrix.needsUpdate = true;
+        this.scene.add(cones);
+        this.objects.push(cones);
+    }
+
+    // Temporary signals at each stop line, on the side of the lane they control
+    createSignals(closure) {
+        const stopGap = this.rules.stopGap / this.curveLength;
+        const postGeo = new THREE.CylinderGeometry(0.06, 0.06, 2.6, 6);
+        const postMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.8 });
+        const lampGeo = new THREE.SphereGeometry(0.18, 10, 8);
+
+        [1, -1].forEach(direction => {
+            const t = direction > 0 ? closure.t[0] - stopGap : closure.t[1] + stopGap;
+            // Cars heading +t drive the positive lane (CarManager.spawnCar)
+            const group = new THREE.Group();
+            this.positionAt(t, direction * 7.5, group.position);
+
+            const post = new THREE.Mesh(postGeo, postMat);
+            post.position.y = 1.3;
+            const lamp = new THREE.Mesh(lampGeo, new THREE.MeshBasicMaterial({ color: 0xff2010 }));
+            lamp.position.y = 2.7;
+            group.add(post, lamp);
+
+            this.scene.add(group);
+            this.objects.push(group);
+            this.signalLamps.push({ direction, lamp });
+        });
+    }
+
+    // A dark pit across the closed lane, ringed with red and white barriers
+    createTrench(trench) {
+        const [t0, t1] = trench.t;
+        const [inner, outer] = trench.lateral;
+        const midT = (t0 + t1) / 2;
+        const length = (t1 - t0) * this.curveLength;
+        const width = outer - inner;
+
+        const pit = new THREE.Mesh(
+            new THREE.BoxGeometry(width, 0.02, length),
+            new THREE.MeshBasicMaterial({ color: 0x050403 })
+        );
+        this.positionAt(midT, (inner + outer) / 2, pit.position);
+        pit.position.y = 0.02;
+        pit.rotation.y = this.yawAt(midT);
+        this.scene.add(pit);
+        this.objects.push(pit);
+
+        // Barriers along the road side of the pit and across both ends
+        const spots = [];
+        const alongCount = Math.max(2, Math.ceil(length / BARRIER_SPACING) + 1);
+        for (let i = 0; i < alongCount; i++) {
+            spots.push([t0 + (t1 - t0) * (i / (alongCount - 1)), inner - 0.4, 0]);
+        }
+        const acrossCount = Math.max(2, Math.ceil(width / BARRIER_SPACING) + 1);
+        for (let i = 1; i < acrossCount; i++) {
+            const lateral = inner - 0.4 + (width + 0.4) * (i / (acrossCount - 1));
+            spots.push([t0 - 0.4 / this.curveLength, lateral, Math.PI / 2]);
+            spots.push([t1 + 0.4 / this.curveLength, lateral, Math.PI / 2]);
+        }
+
+        const geo = new THREE.BoxGeometry(0.15, 0.9, 1.8);
+        geo.translate(0, 0.45, 0);
+        const mat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.7 });
+        const barriers = new THREE.InstancedMesh(geo, mat, spots.length);
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const euler = new THREE.Euler();
+        const scale = new THREE.Vector3(1, 1, 1);
+        const red = new THREE.Color(0xc8200c);
+        const white = new THREE.Color(0xdddddd);
+
+        spots.forEach(([t, lateral, turn], i) => {
+            this.positionAt(t, lateral, position);
+            position.y = 0;
+            euler.set(0, this.yawAt(t) + turn, 0);
+            quaternion.setFromEuler(euler);
+            matrix.compose(position, quaternion, scale);
+            barriers.setMatrixAt(i, matrix);
+            barriers.setColorAt(i, i % 2 ? white : red);
+        });
+        barriers.instanceMatrix.needsUpdate = true;
+        if (barriers.instanceColor) barriers.instanceColor.needsUpdate = true;
+        this.scene.add(barriers);
+        this.objects.push(barriers);
+    }
+
+    // Tracks follow the road; the house (cab, boom and bucket) swings on top of them
+    createExcavator() {
+        const yellow = new THREE.MeshStandardMaterial({ color: 0xd9a000, roughness: 0.6 });
+        const dark = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9 });
+        const glass = new THREE.MeshStandardMaterial({ color: 0x223344, roughness: 0.2, metalness: 0.4 });
+        const reach = this.rules.armReach;
+
+        const root = new THREE.Group();
+
+        const tracks = new THREE.Group();
+        [-1, 1].forEach(side => {
+            const track = new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.8, 4), dark);
+            track.position.set(side * 1.1, 0.4, 0);
+            tracks.add(track);
+        });
+        root.add(tracks);
+
+        const house = new THREE.Group();
+        house.position.y = 0.8;
+        const body = new THREE.Mesh(new THREE.BoxGeometry(2.6, 1.1, 3), yellow);
+        body.position.set(0, 0.55, -0.4);
+        const cab = new THREE.Mesh(new THREE.BoxGeometry(1.1, 1.3, 1.3), glass);
+        cab.position.set(-0.6, 1.75, 0.4);
+        house.add(body, cab);
+
+        // Boom rises from the house, the stick drops to the bucket at armReach
+        const boom = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.5, reach * 0.6), yellow);
+        boom.position.set(0.5, 1.9, reach * 0.3);
+        boom.rotation.x = -0.35;
+        const stick = new THREE.Mesh(new THREE.BoxGeometry(0.3, 2.8, 0.3), yellow);
+        stick.position.set(0.5, 1.4, reach * 0.62);
+        stick.rotation.x = 0.5;
+        const bucket = new THREE.Mesh(new THREE.BoxGeometry(1.1, 0.7, 0.8), dark);
+        bucket.position.set(0.5, 0.1, reach);
+        house.add(boom, stick, bucket);
+
+        // Amber beacon on the cab roof
+        const beacon = new THREE.Mesh(
+            new THREE.SphereGeometry(0.14, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0xffa000 })
+        );
+        beacon.position.set(-0.6, 2.5, 0.4);
+        house.add(beacon);
+
+        root.add(house);
+        return { root, tracks, house, beacon };
+    }
+
+    // ==================== SIMULATION ====================
+    // One simulation step: the excavator crawls and swings, the signals change
+    update(deltaTime) {
+        if (!this.site) return;
+        this.time += deltaTime;
+        this.updateExcavator();
+
+        if (this.signalLamps.length > 0) {
+            const signal = laneSignal(this.time, this.rules);
+            this.signalLamps.forEach(({ direction, lamp }) => {
+                lamp.material.color.setHex(signal.direction === direction ? 0x20ff40 : 0xff2010);
+            });
+        }
+    }
+
+    // The cab ping-pongs along the verge; the arm sweeps across the road from it
+    updateExcavator() {
+        const config = this.site.excavator;
+        if (!config) return;
+        const rules = this.rules;
+
+        const [t0, t1] = config.t;
+        const span = (t1 - t0) * this.curveLength;
+        const travel = (this.time * rules.excavatorSpeed) % (span * 2);
+        const t = t0 + (travel < span ? travel : span * 2 - travel) / this.curveLength;
+
+        const { normal, tangent } = this.frameAt(t);
+        const side = Math.sign(config.lateral) || 1;
+        this._reach.copy(normal).multiplyScalar(-side);
+        const yaw = Math.atan2(tangent.x, tangent.z);
+        this._reach.applyAxisAngle(THREE.Object3D.DEFAULT_UP, Math.sin(this.time * rules.swingSpeed) * rules.swingAngle);
+
+        this.positionAt(t, config.lateral, this.cabPosition);
+        this.bucketPosition.copy(this.cabPosition).addScaledVector(this._reach, rules.armReach);
+
+        if (this.excavator) {
+            const { root, tracks, house, beacon } = this.excavator;
+            root.position.copy(this.cabPosition);
+            tracks.rotation.y = yaw;
+            house.rotation.y = Math.atan2(this._reach.x, this._reach.z);
+            beacon.visible = Math.floor(this.time * 3) % 2 === 0;
+        }
+    }
+
+    // 'trench' or 'machinery' once the player has met the site, else null. t and lateral are
+    // the road position checkDangerZones measured for `position`.
+    checkPlayer(position, t, lateral) {
+        if (!this.site) return null;
+        if (isInTrench(this.site.trench, t, lateral)) return 'trench';
+
+        if (this.site.excavator) {
+            const rules = this.rules;
+            const cab = Math.hypot(position.x - this.cabPosition.x, position.z - this.cabPosition.z);
+            const bucket = Math.hypot(position.x - this.bucketPosition.x, position.z - this.bucketPosition.z);
+            if (cab < rules.cabRadius || bucket < rules.bucketRadius) return 'machinery';
+        }
+        return null;
+    }
+
+    reset() {
+        this.time = 0;
+        if (this.site) this.update(0);
+    }
+
+    clear() {
+        const seen = new Set();
+        this.objects.forEach(object => {
+            object.traverse(node => {
+                if (node.geometry && !seen.has(node.geometry)) {
+                    seen.add(node.geometry);
+                    node.geometry.dispose();
+                }
+                if (node.material && !seen.has(node.material)) {
+                    seen.add(node.material);
+                    node.material.dispose();
+                }
+            });
+            if (object.parent) object.parent.remove(object);
+        });
+        this.objects = [];
+        this.excavator = null;
+        this.signalLamps = [];
+        this.site = null;
+        this.roadCurve = null;
+        this.time = 0;
+    }
+}
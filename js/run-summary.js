@@ -0,0 +1,58 @@
+// run-summary.js - Run summaries sent with leaderboard submissions
+// A summary condenses a finished replay into what the verifier needs: seed, starting
+// level and score, rescue mode, tick count, a SHA-256 hash of the input log and the tick
+// and position of every rescue (and, in carry mode, of every wrong-side release). Anyone
+// can write a summary and its hash, so neither proves anything by itself: run-verifier.js
+// re-simulates the input log on the server and checks the summary against it.
+import { SIMULATION_STEP } from './timestep.js';
+
+export const RUN_SUMMARY_FORMAT = 'newt-rescue-run';
+export const RUN_SUMMARY_VERSION = 1;
+
+const encoder = new TextEncoder();
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// JSON with sorted object keys, so hashes survive storage that reorders keys (jsonb)
+export function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+export async function hashInputs(inputs) {
+    return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(canonicalJson(inputs))));
+}
+
+// { summary, inputs } for a finished replay; this is what a score submission carries
+export async function createRunProof(replay) {
+    const summary = {
+        format: RUN_SUMMARY_FORMAT,
+        version: RUN_SUMMARY_VERSION,
+        replayVersion: replay.version,
+        seed: replay.seed,
+        level: replay.level,
+        startScore: replay.totalScore,
+        rescueMode: replay.rescueMode,
+        score: replay.result.score,
+        timeSurvived: Math.round(replay.result.time * 1000) / 1000,
+        reason: replay.result.reason,
+        ticks: replay.ticks,
+        step: SIMULATION_STEP,
+        inputHash: await hashInputs(replay.inputs),
+        rescues: replay.rescues,
+        penalties: replay.penalties
+    };
+
+    return { summary, inputs: replay.inputs };
+}
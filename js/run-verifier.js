@@ -0,0 +1,346 @@
+// run-verifier.js - Checks a submitted run by re-simulating it headlessly (browser or Node)
+// The input log is replayed through Player's own movement code, pushed by the run's seeded
+// wind gusts, and the newt spawn schedule is re-run tick by tick alongside it. A run is
+// rejected when:
+//   - it does not start a new game (level 1, no points)
+//   - the input hash does not match the submitted input log
+//   - it claims more ticks than MAX_RUN_TICKS, or the tick count disagrees with the time
+//     survived (all checked before anything is simulated)
+//   - the score disagrees with the rescues
+//   - a level has more rescues than NewtManager could have spawned in it by that tick (a
+//     spawn may be a whole migration group where the level has them)
+//   - a rescue is out of reach of the re-simulated player, somewhere no newt walks, or
+//     further from the previous rescue than Player's sprint speed allows in the time between
+//   - in carry mode, a release (rescue or wrong-side penalty) is not where the player stood
+//     or is not past the road edge
+// Traffic, predators and the battery are not simulated, so a run that should have ended
+// sooner can still pass; every point of the score is checked.
+import * as THREE from 'three';
+import { Player } from './player.js';
+import { NEWT_RULES, RESCUE_MODES, newtSpawnInterval } from './newts.js';
+import { maxNewtsPerSpawn, resolveNewtBehaviour } from './newt-behaviour.js';
+import { REPLAY_FORMAT, ReplayPlayer } from './replay.js';
+import { RandomService } from './random.js';
+import { Wind, WIND_RULES } from './wind.js';
+import { RUN_SUMMARY_FORMAT, RUN_SUMMARY_VERSION, hashInputs } from './run-summary.js';
+import { SIMULATION_STEP } from './timestep.js';
+
+const POSITION_TOLERANCE = 0.05; // rescue positions are rounded to centimetres
+const ROAD_TOLERANCE = 0.5; // road samples are ~0.7 m apart
+const TIME_TOLERANCE = 0.5; // seconds
+const ROAD_SAMPLES = 400;
+// Longest run worth re-simulating (4 hours); a short input log can claim any tick count, and
+// the simulation costs about 0.7 s per million ticks
+export const MAX_RUN_TICKS = Math.round(4 * 60 * 60 / SIMULATION_STEP);
+
+// Road centre line for one level, sampled the way NewtManager looks it up (nearest z)
+function sampleRoad(definition) {
+    const curve = new THREE.CatmullRomCurve3(definition.road.controlPoints.map(([x, z]) => new THREE.Vector3(x, 0, z)));
+    curve.tension = definition.road.tension ?? 0.4;
+
+    return Array.from({ length: ROAD_SAMPLES + 1 }, (_, i) => {
+        const t = i / ROAD_SAMPLES;
+        const tangent = curve.getTangentAt(t);
+        return { point: curve.getPointAt(t), normal: new THREE.Vector3(tangent.z, 0, -tangent.x).normalize() };
+    });
+}
+
+function distanceFromRoad(samples, x, z) {
+    let nearest = samples[0];
+    for (const sample of samples) {
+        if (Math.abs(sample.point.z - z) < Math.abs(nearest.point.z - z)) nearest = sample;
+    }
+    return Math.abs((x - nearest.point.x) * nearest.normal.x + (z - nearest.point.z) * nearest.normal.z);
+}
+
+function checkSummary(summary, inputs, errors) {
+    if (!summary || summary.format !== RUN_SUMMARY_FORMAT) {
+        errors.push('Not a run summary');
+        return false;
+    }
+    if (summary.version !== RUN_SUMMARY_VERSION) {
+        errors.push(`Unsupported run summary version ${summary.version}`);
+        return false;
+    }
+    if (summary.step !== SIMULATION_STEP) {
+        errors.push(`Run used a ${summary.step} s step, expected ${SIMULATION_STEP}`);
+        return false;
+    }
+    // Every run is a new game; a later start would carry a score nothing can check
+    if (summary.level !== 1 || summary.startScore !== 0) {
+        errors.push(`Run starts on level ${summary.level} with ${summary.startScore} points, not a new game`);
+        return false;
+    }
+    if (!Array.isArray(inputs) || !Array.isArray(summary.rescues)) {
+        errors.push('Run is missing its input log or rescues');
+        return false;
+    }
+    // Summaries from before carry mode have neither field
+    if (!RESCUE_MODES.includes(summary.rescueMode ?? 'instant')) {
+        errors.push(`Unknown rescue mode ${summary.rescueMode}`);
+        return false;
+    }
+    if (summary.penalties !== undefined && !Array.isArray(summary.penalties)) {
+        errors.push('Run penalties are not a list');
+        return false;
+    }
+    return true;
+}
+
+// Rescues and penalties are [tick, x, z] in tick order
+function checkTickPositions(list, label, ticks, errors) {
+    for (let i = 0; i < list.length; i++) {
+        if (!Array.isArray(list[i]) || list[i].length !== 3) {
+            errors.push(`${label} ${i + 1} is not a [tick, x, z] entry`);
+            return false;
+        }
+        const [tick, x, z] = list[i];
+        if (!Number.isInteger(tick) || tick < 1 || tick > ticks || (i > 0 && tick < list[i - 1][0]) ||
+            !Number.isFinite(x) || !Number.isFinite(z)) {
+            errors.push(`${label} ${i + 1} has an invalid tick or position`);
+            return false;
+        }
+    }
+    return true;
+}
+
+const emptyStats = () => ({ ticks: 0, rescues: 0, spawnCapacity: 0, distanceWalked: 0 });
+
+// levels: level definitions from levels/ in play order (without them every run is refused)
+// Resolves to { valid, errors, stats } and never throws for a malformed run
+export async function verifyRun({ summary, inputs } = {}, { levels = [] } = {}) {
+    const errors = [];
+    const stats = emptyStats();
+    const result = () => ({ valid: errors.length === 0, errors, stats });
+
+    if (!Array.isArray(levels) || levels.length === 0) {
+        errors.push('No level definitions to verify the run against');
+        return result();
+    }
+    if (!checkSummary(summary, inputs, errors)) return result();
+
+    if ((await hashInputs(inputs)) !== summary.inputHash) {
+        errors.push('Input log does not match the hash in the summary');
+        return result();
+    }
+
+    const ticks = summary.ticks;
+    if (!Number.isInteger(ticks) || ticks < 0) {
+        errors.push(`Run tick count ${ticks} is not a whole number of ticks`);
+        return result();
+    }
+    if (ticks > MAX_RUN_TICKS) {
+        errors.push(`Run claims ${ticks} ticks, more than the ${MAX_RUN_TICKS} a run can last`);
+        return result();
+    }
+    if (Math.abs(ticks * SIMULATION_STEP - summary.timeSurvived) > TIME_TOLERANCE) {
+        errors.push(`${ticks} ticks is ${(ticks * SIMULATION_STEP).toFixed(1)} s, but the run claims ${summary.timeSurvived} s`);
+        return result();
+    }
+
+    let playback;
+    try {
+        playback = new ReplayPlayer({
+            format: REPLAY_FORMAT,
+            version: summary.replayVersion,
+            seed: summary.seed,
+            level: summary.level,
+            ticks: summary.ticks,
+            inputs
+        });
+    } catch (error) {
+        errors.push(error.message);
+        return result();
+    }
+
+    const rescues = summary.rescues;
+    const penalties = summary.penalties ?? [];
+    const carryMode = summary.rescueMode === 'carry';
+    stats.ticks = ticks;
+    stats.rescues = rescues.length;
+
+    // Without penalties every rescue is a point; with them the score is only known after the
+    // run, as a penalty never takes a level's score below zero
+    if (penalties.length === 0 && summary.score - summary.startScore !== rescues.length) {
+        errors.push(`Score ${summary.score} from ${summary.startScore} needs ${summary.score - summary.startScore} rescues, run lists ${rescues.length}`);
+    }
+    if (penalties.length > 0 && !carryMode) {
+        errors.push(`Run lists ${penalties.length} penalties, but only carry mode has them`);
+    }
+    if (!checkTickPositions(rescues, 'Rescue', ticks, errors) ||
+        !checkTickPositions(penalties, 'Penalty', ticks, errors)) {
+        return result();
+    }
+
+    const levelCount = levels.length;
+    const definitionFor = level => levels[Math.min(Math.max(level, 1), levelCount) - 1];
+    const roads = new Map();
+    const roadFor = level => {
+        const definition = definitionFor(level);
+        if (!roads.has(definition)) roads.set(definition, sampleRoad(definition));
+        return roads.get(definition);
+    };
+    const newtRulesFor = level => resolveNewtBehaviour(definitionFor(level).newtBehaviour);
+
+    // Mirrors Game.update/loadNextLevel for everything that feeds the score
+    let level = summary.level;
+    let wave = Math.max(0, level - levelCount);
+    let levelScore = 0;
+    let earned = 0;
+    let elapsedTime = 0;
+    let spawnTimer = 0;
+    let spawnedThisLevel = 0;
+    let rescuedThisLevel = 0;
+    let previousRescue = null;
+    const player = Player.createHeadless(new THREE.PerspectiveCamera(), { ...definitionFor(level).road.bounds });
+    // Gusts come from the run's own seeded wind stream, restarted with every level as in play
+    const randomService = new RandomService(summary.seed);
+    const wind = new Wind(randomService.stream('wind'));
+    const startWind = () => {
+        randomService.beginLevel(level);
+        wind.reset(definitionFor(level).weather.wind || 0);
+    };
+    startWind();
+    const position = player.getPosition();
+    const lastPosition = new THREE.Vector3().copy(position);
+    let rescueIndex = 0;
+    let penaltyIndex = 0;
+    let reportedInput = false;
+
+    // Carry mode lets newts go where the player stands, past the road edge
+    const checkRelease = (label, x, z) => {
+        const reach = Math.hypot(position.x - x, position.z - z);
+        if (reach > POSITION_TOLERANCE) {
+            errors.push(`${label}: released ${reach.toFixed(2)} m from the player`);
+        }
+        const offRoad = distanceFromRoad(roadFor(level), x, z);
+        if (offRoad < NEWT_RULES.roadWidth / 2 - ROAD_TOLERANCE) {
+            errors.push(`${label}: released on the road, ${offRoad.toFixed(1)} m from its centre`);
+        }
+    };
+
+    for (let tick = 1; tick <= ticks; tick++) {
+        const frame = playback.next();
+        if (!reportedInput && (Math.abs(frame.moveX) > 1 || Math.abs(frame.moveZ) > 1 ||
+            Math.abs(frame.pitch) > Math.PI / 2 + 1e-3 || frame.quality < 0 || frame.quality > 3)) {
+            errors.push(`Input at tick ${tick} is out of range`);
+            reportedInput = true;
+        }
+
+        elapsedTime += SIMULATION_STEP;
+        player.setWindPush(wind.update(SIMULATION_STEP));
+        player.update(SIMULATION_STEP, frame);
+        stats.distanceWalked += Math.hypot(position.x - lastPosition.x, position.z - lastPosition.z);
+        lastPosition.copy(position);
+
+        spawnTimer += SIMULATION_STEP;
+        if (spawnTimer >= newtSpawnInterval(NEWT_RULES.spawnInterval, elapsedTime)) {
+            const spawned = maxNewtsPerSpawn(newtRulesFor(level));
+            spawnedThisLevel += spawned;
+            stats.spawnCapacity += spawned;
+            spawnTimer = 0;
+        }
+
+        let rescuedThisTick = 0;
+        for (; rescueIndex < rescues.length && rescues[rescueIndex][0] === tick; rescueIndex++) {
+            const [, x, z] = rescues[rescueIndex];
+            const label = `Rescue ${rescueIndex + 1} (tick ${tick})`;
+            rescuedThisTick++;
+            rescuedThisLevel++;
+
+            if (rescuedThisLevel > spawnedThisLevel) {
+                errors.push(`${label}: only ${spawnedThisLevel} newts could have spawned on this level by then`);
+            }
+
+            if (carryMode) {
+                checkRelease(label, x, z);
+            } else {
+                const reach = Math.hypot(position.x - x, position.z - z);
+                if (reach > NEWT_RULES.rescueDistance + POSITION_TOLERANCE) {
+                    errors.push(`${label}: newt is ${reach.toFixed(2)} m from the player`);
+                }
+
+                // Migration group followers start in single file behind the road edge
+                const newtRules = newtRulesFor(level);
+                const trail = (maxNewtsPerSpawn(newtRules) - 1) * newtRules.followDistance;
+                const offRoad = distanceFromRoad(roadFor(level), x, z);
+                if (offRoad > NEWT_RULES.roadWidth / 2 + 2 + trail + ROAD_TOLERANCE) {
+                    errors.push(`${label}: no newt walks ${offRoad.toFixed(1)} m from the road`);
+                }
+            }
+
+            // Player and newt closing in on each other at full speed, each rescue reached from
+            // up to rescueDistance away
+            if (previousRescue) {
+                const seconds = (tick - previousRescue.tick) * SIMULATION_STEP;
+                const newtSpeed = NEWT_RULES.maxSpeed * (1 + wave * 0.1) +
+                    NEWT_RULES.windDrift * (WIND_RULES.breezePush + WIND_RULES.gustPush);
+                const limit = (player.getMaxSpeed() + newtSpeed) * seconds + NEWT_RULES.rescueDistance * 2 + POSITION_TOLERANCE;
+                const gap = Math.hypot(x - previousRescue.x, z - previousRescue.z);
+                if (gap > limit) {
+                    errors.push(`${label}: ${gap.toFixed(1)} m from the previous rescue in ${seconds.toFixed(2)} s`);
+                }
+            }
+            previousRescue = { tick, x, z };
+        }
+
+        let penalizedThisTick = 0;
+        for (; penaltyIndex < penalties.length && penalties[penaltyIndex][0] === tick; penaltyIndex++) {
+            const [, x, z] = penalties[penaltyIndex];
+            penalizedThisTick++;
+            checkRelease(`Penalty ${penaltyIndex + 1} (tick ${tick})`, x, z);
+        }
+
+        // Level complete: the next level (or endless wave) starts on the following tick
+        levelScore += rescuedThisTick;
+        levelScore = Math.max(0, levelScore - penalizedThisTick * NEWT_RULES.wrongSidePenalty);
+        if (rescuedThisTick > 0 && levelScore >= definitionFor(level).newtsToAdvance + wave * 3) {
+            earned += levelScore;
+            level++;
+            wave = Math.max(0, level - levelCount);
+            startWind();
+            levelScore = 0;
+            spawnTimer = 0;
+            spawnedThisLevel = 0;
+            rescuedThisLevel = 0;
+
+            if (wave === 0) {
+                player.roadBounds = { ...definitionFor(level).road.bounds };
+                player.reset();
+                lastPosition.copy(position);
+                previousRescue = null;
+            }
+        }
+    }
+
+    earned += levelScore;
+    if (penalties.length > 0 && summary.score - summary.startScore !== earned) {
+        errors.push(`Score ${summary.score} from ${summary.startScore} needs ${summary.score - summary.startScore} points, ` +
+            `run earns ${earned} from ${rescues.length} rescues and ${penalties.length} penalties`);
+    }
+
+    return result();
+}
+
+// A leaderboard entry and the proof sent with it: the run must verify and must be the run
+// the entry claims (same score, time and cause)
+export async function verifySubmission(entry, proof, options) {
+    if (!entry || typeof entry !== 'object') {
+        return { valid: false, errors: ['Submission has no leaderboard entry'], stats: emptyStats() };
+    }
+    const result = await verifyRun(proof ?? undefined, options);
+    const summary = proof && proof.summary;
+    if (!summary || typeof summary !== 'object') return result;
+
+    if (summary.score !== entry.score) {
+        result.errors.push(`Entry score ${entry.score} does not match the run's ${summary.score}`);
+    }
+    if (Math.floor(summary.timeSurvived) !== entry.time_survived) {
+        result.errors.push(`Entry time ${entry.time_survived} s does not match the run's ${summary.timeSurvived} s`);
+    }
+    if ((summary.reason ?? null) !== entry.death_reason) {
+        result.errors.push(`Entry cause "${entry.death_reason}" does not match the run's "${summary.reason}"`);
+    }
+    result.valid = result.errors.length === 0;
+    return result;
+}
@@ -0,0 +1,173 @@
+// score-queue.js - Persistent retry queue for leaderboard submissions
+// Scores that fail to submit are stored in localStorage with timestamps and retried
+// with exponential backoff, straight away when the browser comes back online, and on
+// the next launch. Resubmitting is safe: the backends keep each player's best score,
+// so a retry that races another tab (or a lost response) cannot lower or duplicate it.
+
+const BASE_RETRY_DELAY = 5000; // ms before the first retry, doubled after each failure
+const MAX_RETRY_DELAY = 10 * 60 * 1000;
+const MAX_SENT_HISTORY = 10;
+
+export function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY);
+}
+
+export class ScoreQueue {
+    // submit(item) resolves to a LeaderboardManager.submitScore result
+    constructor(submit, {
+        storage = globalThis.localStorage,
+        storageKey = 'newtRescueScoreQueue',
+        now = () => Date.now()
+    } = {}) {
+        this.submit = submit;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.now = now;
+
+        this.items = this.load();
+        this.flushing = null;
+        this.retryTimer = null;
+        this.target = null;
+        this.onChangeCallback = null;
+        this.handleOnline = () => this.flush({ force: true });
+    }
+
+    load() {
+        try {
+            const items = JSON.parse(this.storage.getItem(this.storageKey));
+            return Array.isArray(items) ? items : [];
+        } catch {
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('Could not save score queue:', error);
+        }
+        if (this.onChangeCallback) this.onChangeCallback(this.items);
+    }
+
+    get pending() {
+        return this.items.filter(item => item.status === 'pending');
+    }
+
+    get sent() {
+        return this.items.filter(item => item.status === 'sent');
+    }
+
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    // Listens for the browser coming back online and retries anything left from last time
+    start(target = globalThis.window) {
+        this.target = target;
+        if (target) target.addEventListener('online', this.handleOnline);
+        return this.flush({ force: true });
+    }
+
+    stop() {
+        if (this.target) this.target.removeEventListener('online', this.handleOnline);
+        this.target = null;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    // submission: { playerId, playerName, score, timeSurvived, deathReason, run } that just failed
+    enqueue(submission, error = null) {
+        const time = this.now();
+        const item = {
+            id: `${time.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            playerId: submission.playerId || null,
+            playerName: submission.playerName,
+            score: submission.score,
+            timeSurvived: submission.timeSurvived,
+            deathReason: submission.deathReason,
+            run: submission.run || {},
+            status: 'pending',
+            queuedAt: time,
+            attempts: 1,
+            nextAttemptAt: time + retryDelay(1),
+            lastError: error,
+            sentAt: null,
+            outcome: null
+        };
+
+        this.items.push(item);
+        this.save();
+        this.scheduleRetry();
+        return item;
+    }
+
+    // Retries pending items whose backoff has elapsed (all of them when forced)
+    flush({ force = false } = {}) {
+        if (!this.flushing) {
+            this.flushing = this.flushPending(force).finally(() => {
+                this.flushing = null;
+                this.scheduleRetry();
+            });
+        }
+        return this.flushing;
+    }
+
+    async flushPending(force) {
+        for (const item of this.pending) {
+            if (!force && item.nextAttemptAt > this.now()) continue;
+
+            let result;
+            try {
+                result = await this.submit(item);
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+
+            if (result.success) {
+                item.status = 'sent';
+                item.sentAt = this.now();
+                item.outcome = result.outcome || 'improved';
+                item.lastError = null;
+            } else if (result.outcome === 'rejected') {
+                // The leaderboard refused the run proof; it will refuse it every time
+                item.status = 'rejected';
+                item.outcome = 'rejected';
+                item.lastError = result.error || null;
+            } else {
+                item.attempts++;
+                item.nextAttemptAt = this.now() + retryDelay(item.attempts);
+                item.lastError = result.error || null;
+            }
+            this.save();
+        }
+
+        this.pruneSent();
+    }
+
+    // Keeps the last few finished (sent or rejected) items for the queue panel
+    pruneSent() {
+        const finished = this.items.filter(item => item.status !== 'pending');
+        if (finished.length <= MAX_SENT_HISTORY) return;
+
+        const dropped = new Set(finished.slice(0, finished.length - MAX_SENT_HISTORY));
+        this.items = this.items.filter(item => !dropped.has(item));
+        this.save();
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        // Offline: wait for the online event instead of burning attempts
+        const pending = this.pending;
+        if (!this.target || pending.length === 0 || !isOnline()) return;
+
+        const nextAttemptAt = Math.min(...pending.map(item => item.nextAttemptAt));
+        this.retryTimer = setTimeout(() => this.flush(), Math.max(0, nextAttemptAt - this.now()));
+    }
+}
+
+function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
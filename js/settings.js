@@ -0,0 +1,129 @@
+// settings.js - Player settings persisted in localStorage
+// Every setting is declared in SETTINGS_SCHEMA with its default and allowed range; stored or
+// submitted values outside it fall back to the default (numbers are clamped), so a stale or
+// hand-edited save can never hand the game a NaN volume or an unknown quality preset.
+
+import { QUALITY_PRESETS } from './quality.js';
+import { RESCUE_MODES } from './newts.js';
+
+// 'auto' lets the adaptive governor pick; the rest pin one preset
+export const QUALITY_CHOICES = ['auto', ...Object.keys(QUALITY_PRESETS)];
+
+export const SETTINGS_SCHEMA = {
+    // Audio (0-1)
+    masterVolume: { type: 'number', min: 0, max: 1, default: 0.5 },
+    musicVolume: { type: 'number', min: 0, max: 1, default: 1 },
+    sfxVolume: { type: 'number', min: 0, max: 1, default: 1 },
+    ambienceVolume: { type: 'number', min: 0, max: 1, default: 1 },
+
+    // Controls (multipliers of each device's default look speed)
+    mouseSensitivity: { type: 'number', min: 0.25, max: 2, default: 1 },
+    touchSensitivity: { type: 'number', min: 0.25, max: 2, default: 1 },
+    gamepadSensitivity: { type: 'number', min: 0.25, max: 2, default: 1 },
+    invertY: { type: 'boolean', default: false },
+
+    // Graphics
+    fov: { type: 'number', min: 60, max: 100, default: 75 },
+    quality: { type: 'choice', options: QUALITY_CHOICES, default: 'auto' },
+
+    // Gameplay; the rescue mode is fixed for a run when it starts
+    haptics: { type: 'boolean', default: true },
+    rescueMode: { type: 'choice', options: RESCUE_MODES, default: 'instant' }
+};
+
+export function defaultSettings(schema = SETTINGS_SCHEMA) {
+    return Object.fromEntries(Object.entries(schema).map(([key, field]) => [key, field.default]));
+}
+
+// The value as the setting stores it, or its default when it cannot be one
+export function sanitizeSetting(field, value) {
+    switch (field.type) {
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return field.default;
+            return Math.max(field.min, Math.min(field.max, number));
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? value : field.default;
+        case 'choice':
+            return field.options.includes(value) ? value : field.default;
+        default:
+            return field.default;
+    }
+}
+
+export class Settings {
+    constructor({
+        storage = globalThis.localStorage,
+        storageKey = 'newtRescueSettings',
+        schema = SETTINGS_SCHEMA
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.schema = schema;
+        this.onChangeCallback = null;
+
+        this.values = this.load();
+    }
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(this.storageKey));
+        } catch {
+            saved = null;
+        }
+
+        const values = defaultSettings(this.schema);
+        if (saved && typeof saved === 'object') {
+            for (const [key, field] of Object.entries(this.schema)) {
+                if (key in saved) values[key] = sanitizeSetting(field, saved[key]);
+            }
+        }
+        return values;
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    // callback(key, value) after a setting changes
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    // Returns the value actually stored (clamped or defaulted); unknown keys throw
+    set(key, value) {
+        const field = this.schema[key];
+        if (!field) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+
+        const next = sanitizeSetting(field, value);
+        if (next !== this.values[key]) {
+            this.values[key] = next;
+            this.save();
+            if (this.onChangeCallback) this.onChangeCallback(key, next);
+        }
+        return next;
+    }
+
+    reset() {
+        const defaults = defaultSettings(this.schema);
+        for (const key of Object.keys(this.schema)) {
+            this.set(key, defaults[key]);
+        }
+    }
+}
@@ -0,0 +1,131 @@
+// state-machine.js - Game states with validated transitions
+// Each state lists the states it may move to. Timers and animation frames started through
+// the machine belong to the state that was current when they were started and are cancelled
+// when it is left, so a death animation or a level load cannot finish into a state that has
+// since moved on (quitting to the title mid-fall, seeking a replay during a level load).
+
+// from -> allowed next states; a state listed under itself may be re-entered (restarted)
+export const GAME_STATE_TRANSITIONS = {
+    menu: ['playing'],
+    playing: ['playing', 'paused', 'loading', 'falling', 'attacked', 'gameover', 'menu'],
+    paused: ['playing', 'loading', 'menu'],
+    loading: ['playing', 'menu'],
+    falling: ['playing', 'gameover', 'menu'],
+    attacked: ['playing', 'gameover', 'menu'],
+    gameover: ['playing', 'menu']
+};
+
+const browserTimers = {
+    setTimeout: (callback, delay) => globalThis.setTimeout(callback, delay),
+    clearTimeout: id => globalThis.clearTimeout(id),
+    requestAnimationFrame: callback => globalThis.requestAnimationFrame(callback),
+    cancelAnimationFrame: id => globalThis.cancelAnimationFrame(id)
+};
+
+export class StateMachine {
+    constructor({ transitions = GAME_STATE_TRANSITIONS, initial = 'menu', timers = browserTimers } = {}) {
+        if (!Object.hasOwn(transitions, initial)) {
+            throw new Error(`Unknown initial state: ${initial}`);
+        }
+        this.transitions = transitions;
+        this.timers = timers;
+        this.enterHooks = new Map(); // state -> handlers
+        this.exitHooks = new Map();
+        this.onChangeCallback = null;
+        this.entry = this.createEntry(initial);
+    }
+
+    // One visit to a state; async work keeps it and checks `active` after every await
+    createEntry(state) {
+        return { state, active: true, pending: new Set() };
+    }
+
+    get state() {
+        return this.entry.state;
+    }
+
+    is(...states) {
+        return states.includes(this.entry.state);
+    }
+
+    can(next) {
+        const allowed = this.transitions[this.entry.state];
+        return Object.hasOwn(this.transitions, next) && allowed.includes(next);
+    }
+
+    onEnter(state, handler) {
+        this.addHook(this.enterHooks, state, handler);
+    }
+
+    onExit(state, handler) {
+        this.addHook(this.exitHooks, state, handler);
+    }
+
+    addHook(hooks, state, handler) {
+        if (!Object.hasOwn(this.transitions, state)) {
+            throw new Error(`Unknown state: ${state}`);
+        }
+        if (!hooks.has(state)) hooks.set(state, []);
+        hooks.get(state).push(handler);
+    }
+
+    // callback(to, from) after every transition
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    // Returns false, changing nothing, when the current state does not allow `next`
+    transition(next) {
+        const from = this.entry.state;
+        if (!this.can(next)) {
+            console.warn(`Ignored state change ${from} -> ${next}`);
+            return false;
+        }
+
+        // Leave: cancel everything the old state started, then run its exit hooks
+        const previous = this.entry;
+        previous.active = false;
+        previous.pending.forEach(cancel => cancel());
+        previous.pending.clear();
+        this.runHooks(this.exitHooks, from, next, from);
+
+        this.entry = this.createEntry(next);
+        this.runHooks(this.enterHooks, next, next, from);
+        if (this.onChangeCallback) this.onChangeCallback(next, from);
+        return true;
+    }
+
+    runHooks(hooks, state, to, from) {
+        const handlers = hooks.get(state);
+        if (handlers) handlers.forEach(handler => handler(to, from));
+    }
+
+    // setTimeout that is cancelled if the current state is left first
+    setTimeout(callback, delay) {
+        const entry = this.entry;
+        const cancel = () => this.timers.clearTimeout(id);
+        const id = this.timers.setTimeout(() => {
+            entry.pending.delete(cancel);
+            callback();
+        }, delay);
+        entry.pending.add(cancel);
+        return id;
+    }
+
+    // requestAnimationFrame that is cancelled if the current state is left first
+    requestAnimationFrame(callback) {
+        const entry = this.entry;
+        const cancel = () => this.timers.cancelAnimationFrame(id);
+        const id = this.timers.requestAnimationFrame(time => {
+            entry.pending.delete(cancel);
+            callback(time);
+        });
+        entry.pending.add(cancel);
+        return id;
+    }
+
+    // Resolves after `delay` ms while the current state lasts; never resolves if it is left
+    wait(delay) {
+        return new Promise(resolve => this.setTimeout(resolve, delay));
+    }
+}
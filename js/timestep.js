@@ -0,0 +1,38 @@
+// timestep.js - Fixed-rate simulation clock
+// Frames of any length are cut into equal simulation steps so gameplay advances
+// identically at 30, 60 or 144 fps; the leftover fraction drives render interpolation.
+
+export const SIMULATION_STEP = 1 / 60;
+
+// Longest frame the simulation will catch up on (tab switches, hitches)
+const MAX_FRAME_TIME = 0.1;
+
+// Absorbs float drift so e.g. two 1/120 s frames still make one full step
+const STEP_EPSILON = 1e-9;
+
+export class FixedTimestep {
+    constructor(step = SIMULATION_STEP, maxFrameTime = MAX_FRAME_TIME) {
+        this.step = step;
+        this.maxFrameTime = maxFrameTime;
+        this.accumulator = 0;
+        this.stepCount = 0;
+    }
+
+    // Runs stepFn(step) as many times as the frame covers and returns the
+    // interpolation factor (0-1) between the last two simulated states
+    advance(frameTime, stepFn) {
+        this.accumulator += Math.min(Math.max(frameTime, 0), this.maxFrameTime);
+
+        while (this.accumulator >= this.step - STEP_EPSILON) {
+            this.accumulator = Math.max(0, this.accumulator - this.step);
+            this.stepCount++;
+            stepFn(this.step);
+        }
+
+        return this.accumulator / this.step;
+    }
+
+    reset() {
+        this.accumulator = 0;
+    }
+}
@@ -1,4 +1,18 @@
 // ui.js - HUD and UI management
+import { INPUT_ACTIONS, keyLabel, gamepadBindingLabel } from './input-bindings.js';
+
+// Leaderboard "cause of death" column
+const DEATH_REASON_LABELS = {
+    battery: 'Battery died',
+    car: 'Hit by vehicle',
+    'stealth-car': 'Stealth vehicle',
+    cliff: 'Fell off cliff',
+    'mountain-lion': 'Mountain lion',
+    bear: 'Bear attack',
+    trench: 'Fell into trench',
+    machinery: 'Machinery accident'
+};
+
 export class UIManager {
     constructor() {
         // Get DOM elements
@@ -11,15 +25,28 @@ export class UIManager {
         // HUD elements
         this.batteryFill = document.getElementById('battery-fill');
         this.batteryPercent = document.getElementById('battery-percent');
+        this.staminaBar = document.getElementById('stamina-bar');
+        this.staminaFill = document.getElementById('stamina-fill');
         this.scoreElement = document.getElementById('score');
+        this.carryContainer = document.getElementById('carry-container');
+        this.carryCount = document.getElementById('carry-count');
+        this.carryLimit = 0;
+        this.carriedShown = -1;
         this.timeElement = document.getElementById('time');
+        this.qualityIndicator = document.getElementById('quality-indicator');
+        this.qualityIndicatorTimer = null;
 
         // Game over elements
         this.gameoverTitle = document.getElementById('gameover-title');
         this.gameoverReason = document.getElementById('gameover-reason');
+        this.runSeedLabel = document.getElementById('run-seed');
         this.finalScore = document.getElementById('final-score');
         this.finalTime = document.getElementById('final-time');
         this.highScoreElement = document.getElementById('high-score');
+        this.globalStanding = document.getElementById('global-standing');
+        this.standingBadges = document.getElementById('standing-badges');
+        this.standingRank = document.getElementById('standing-rank');
+        this.standingNeighbours = document.getElementById('standing-neighbours');
 
         // Leaderboard elements
         this.leaderboardModal = document.getElementById('leaderboard-modal');
@@ -30,11 +57,73 @@ export class UIManager {
         this.leaderboardBtn = document.getElementById('leaderboard-btn');
         this.viewLeaderboardBtn = document.getElementById('view-leaderboard-btn');
         this.closeLeaderboardBtn = document.getElementById('close-leaderboard-btn');
+        this.leaderboardTabs = document.querySelectorAll('.leaderboard-tab');
+        this.leaderboardBoard = { mode: 'all', period: 'all' };
+        this.scoreQueuePanel = document.getElementById('score-queue');
+        this.scoreQueueList = document.getElementById('score-queue-list');
+        this.retryScoresBtn = document.getElementById('retry-scores-btn');
+
+        // Profile elements
+        this.profileModal = document.getElementById('profile-modal');
+        this.profileBtn = document.getElementById('profile-btn');
+        this.profileNameInput = document.getElementById('profile-name');
+        this.saveProfileBtn = document.getElementById('save-profile-btn');
+        this.profileStatus = document.getElementById('profile-status');
+        this.profileStats = document.getElementById('profile-stats');
+        this.profileDeaths = document.getElementById('profile-deaths');
+        this.profileIdLabel = document.getElementById('profile-id');
+        this.closeProfileBtn = document.getElementById('close-profile-btn');
+
+        // Achievement elements
+        this.achievementsModal = document.getElementById('achievements-modal');
+        this.achievementsBtn = document.getElementById('achievements-btn');
+        this.achievementList = document.getElementById('achievement-list');
+        this.achievementSummary = document.getElementById('achievement-summary');
+        this.closeAchievementsBtn = document.getElementById('close-achievements-btn');
+        this.achievementToasts = document.getElementById('achievement-toasts');
+
+        // Pause menu elements
+        this.pauseScreen = document.getElementById('pause-screen');
+        this.pauseMenu = document.getElementById('pause-menu');
+        this.resumeButton = document.getElementById('resume-button');
+        this.pauseRestartButton = document.getElementById('pause-restart-button');
+        this.pauseSettingsButton = document.getElementById('pause-settings-button');
+        this.quitButton = document.getElementById('quit-button');
+        this.pauseToggleBtn = document.getElementById('pause-toggle-btn');
+
+        // Settings elements; inputs name their setting in data-setting
+        this.settingsScreen = document.getElementById('settings-screen');
+        this.settingsBtn = document.getElementById('settings-btn');
+        this.settingsBackButton = document.getElementById('settings-back-button');
+        this.resetSettingsButton = document.getElementById('reset-settings-button');
+        this.settingInputs = Array.from(document.querySelectorAll('[data-setting]'));
+        this.runSeedInput = document.getElementById('run-seed-input');
+
+        // Key binding lists; their buttons name the action in data-action (and data-direction)
+        this.keyboardBindingList = document.getElementById('keyboard-bindings');
+        this.gamepadBindingList = document.getElementById('gamepad-bindings');
+        this.gamepadBindingName = document.getElementById('gamepad-binding-name');
+        this.gamepadBindingPresets = document.getElementById('gamepad-binding-presets');
+
+        // Replay elements
+        this.saveReplayBtn = document.getElementById('save-replay-btn');
+        this.watchReplayBtn = document.getElementById('watch-replay-btn');
+        this.replayFileInput = document.getElementById('replay-file-input');
+        this.replayLoadError = document.getElementById('replay-load-error');
+        this.replayControls = document.getElementById('replay-controls');
+        this.replayPlayBtn = document.getElementById('replay-play-btn');
+        this.replaySeekInput = document.getElementById('replay-seek');
+        this.replayTime = document.getElementById('replay-time');
+        this.replaySpeedSelect = document.getElementById('replay-speed');
+        this.replayStatus = document.getElementById('replay-status');
+        this.replayExitBtn = document.getElementById('replay-exit-btn');
+        this.isReplaySeeking = false;
 
         // Buttons
         this.startButton = document.getElementById('start-button');
         this.restartButton = document.getElementById('restart-button');
         this.flashlightToggleBtn = document.getElementById('flashlight-toggle-btn');
+        this.dropBtn = document.getElementById('drop-btn');
 
         // Mobile detection
         this.isMobile = this.detectMobile();
@@ -52,8 +141,28 @@ export class UIManager {
             });
         }
 
-        // Haptic support detection
+        // Carry mode's release button for mobile
+        this.onDropCallback = null;
+        if (this.dropBtn) {
+            this.dropBtn.addEventListener('click', () => {
+                if (this.onDropCallback) this.onDropCallback();
+            });
+        }
+
+        // Settings open over the title screen or in place of the pause buttons
+        if (this.pauseSettingsButton) {
+            this.pauseSettingsButton.addEventListener('click', () => this.showSettings());
+        }
+        if (this.settingsBtn) {
+            this.settingsBtn.addEventListener('click', () => this.showSettings());
+        }
+        if (this.settingsBackButton) {
+            this.settingsBackButton.addEventListener('click', () => this.hideSettings());
+        }
+
+        // Haptic support detection; the Vibration setting can turn it off
         this.hasHaptics = 'vibrate' in navigator;
+        this.hapticsEnabled = true;
 
         // First time player check for onboarding
         this.isFirstPlay = !localStorage.getItem('newtRescuePlayed');
@@ -76,12 +185,6 @@ export class UIManager {
         // Create click to start screen
         this.createClickToStartScreen();
 
-        // Load saved player name
-        const savedName = localStorage.getItem('newtRescuePlayerName');
-        if (savedName && this.playerNameInput) {
-            this.playerNameInput.value = savedName;
-        }
-
         // Setup fullscreen buttons (both start screen and floating bottom-right E2E button)
         this.fullscreenStartBtn = document.getElementById('fullscreen-start-btn');
         this.fullscreenBtn = document.getElementById('fullscreen-btn');
@@ -146,6 +249,12 @@ export class UIManager {
         feedback.innerHTML = '<i class="fas fa-frog"></i> Newt Rescued!';
         document.body.appendChild(feedback);
         this.rescueFeedback = feedback;
+
+        const misdrop = document.createElement('div');
+        misdrop.id = 'misdrop-feedback';
+        misdrop.innerHTML = '<i class="fas fa-undo"></i> Wrong Side!';
+        document.body.appendChild(misdrop);
+        this.misdropFeedback = misdrop;
     }
 
     createLevelIndicator() {
@@ -290,46 +399,38 @@ export class UIManager {
         this.showGameScreen();
     }
 
-    updateLevel(level) {
+    // wave > 0 means endless mode past the last defined level
+    updateLevel(level, wave) {
         if (this.levelNumberElement) {
-            if (level > 3) {
-                this.levelNumberElement.textContent = `Wave ${level - 3}`;
+            if (wave > 0) {
+                this.levelNumberElement.textContent = `Wave ${wave}`;
             } else {
                 this.levelNumberElement.textContent = level;
             }
         }
     }
 
-    showLevelStartMessage(level) {
+    // details: the level definition ({ name, description }) or { wave } in endless mode
+    showLevelStartMessage(level, details) {
         const message = document.createElement('div');
         message.id = 'level-start-message';
 
-        let levelName = '';
-        let levelDescription = '';
-        let badge = '';
-        let levelClass = '';
-
-        if (level === 1) {
-            levelName = 'Clear Night';
-            levelDescription = 'Guide newts across Alma Bridge Road under the stars.';
-            badge = 'Level 01';
-            levelClass = 'level-1';
-        } else if (level === 2) {
-            levelName = 'Twilight Road';
-            levelDescription = 'Dusk falls on the reservoir — owls are watching.';
-            badge = 'Level 02';
-            levelClass = 'level-2';
-        } else if (level === 3) {
-            levelName = 'Storm Road';
-            levelDescription = 'Rain and wind batter the road — visibility is low!';
-            badge = 'Level 03';
-            levelClass = 'level-3';
-        } else {
-            const wave = level - 3;
+        let levelName;
+        let levelDescription;
+        let badge;
+        let levelClass;
+        const wave = details.wave || 0;
+
+        if (wave > 0) {
             levelName = 'Endless Mode';
             levelDescription = `Wave ${wave} - Survival is the only goal.`;
             badge = `Wave ${wave.toString().padStart(2, '0')}`;
             levelClass = 'wave';
+        } else {
+            levelName = this.escapeHtml(details.name || `Level ${level}`);
+            levelDescription = this.escapeHtml(details.description || '');
+            badge = `Level ${level.toString().padStart(2, '0')}`;
+            levelClass = `level-${level}`;
         }
 
         message.className = levelClass;
@@ -360,6 +461,15 @@ export class UIManager {
         }
     }
 
+    // Carry mode: a newt let go on the side it came from
+    showMisdropFeedback() {
+        if (this.misdropFeedback) {
+            this.misdropFeedback.classList.remove('show');
+            void this.misdropFeedback.offsetWidth;
+            this.misdropFeedback.classList.add('show');
+        }
+    }
+
     showStartScreen() {
         this.startScreen.classList.remove('hidden');
         this.gameoverScreen.classList.add('hidden');
@@ -391,7 +501,41 @@ export class UIManager {
         }
     }
 
-    showGameOver(reason, score, time, highScore, level = 1) {
+    showPauseScreen() {
+        this.hideSettings();
+        this.pauseScreen.classList.remove('hidden');
+        if (this.mobileControls) {
+            this.mobileControls.classList.add('hidden');
+        }
+    }
+
+    hidePauseScreen() {
+        this.hideSettings();
+        this.pauseScreen.classList.add('hidden');
+        if (this.isMobile && !this.hud.classList.contains('hidden')) {
+            this.mobileControls.classList.remove('hidden');
+        }
+    }
+
+    isPauseScreenVisible() {
+        return !this.pauseScreen.classList.contains('hidden');
+    }
+
+    showSettings() {
+        this.pauseMenu.classList.add('hidden');
+        this.settingsScreen.classList.remove('hidden');
+    }
+
+    hideSettings() {
+        this.settingsScreen.classList.add('hidden');
+        this.pauseMenu.classList.remove('hidden');
+    }
+
+    isSettingsVisible() {
+        return !this.settingsScreen.classList.contains('hidden');
+    }
+
+    showGameOver(reason, score, time, highScore, level = 1, wave = 0) {
         this.gameoverScreen.classList.remove('hidden');
         this.hud.classList.add('hidden');
 
@@ -401,7 +545,7 @@ export class UIManager {
         }
 
         // Store game data for leaderboard submission
-        this.lastGameData = { score, time, reason };
+        this.lastGameData = { score, time, reason, level, wave };
 
         // Reset submission UI
         if (this.submitScoreBtn) {
@@ -432,6 +576,12 @@ export class UIManager {
         } else if (reason === 'bear') {
             this.gameoverTitle.innerHTML = '<i class="fas fa-paw"></i> Bear Attack!';
             this.gameoverReason.textContent = 'A bear attacked you in the dense woods.';
+        } else if (reason === 'trench') {
+            this.gameoverTitle.innerHTML = '<i class="fas fa-person-falling"></i> Fell Into the Trench!';
+            this.gameoverReason.textContent = 'You stepped past the barriers and into the open roadworks trench.';
+        } else if (reason === 'machinery') {
+            this.gameoverTitle.innerHTML = '<i class="fas fa-triangle-exclamation"></i> Machinery Accident!';
+            this.gameoverReason.textContent = 'You wandered into the swing of the excavator.';
         }
 
         // Set stats
@@ -440,6 +590,51 @@ export class UIManager {
         this.highScoreElement.textContent = highScore;
     }
 
+    // Global rank panel: state is { loading } | { error } | { rank, above, below }
+    showStanding(score, state, isPersonalBest) {
+        if (!this.globalStanding) return;
+        this.globalStanding.classList.remove('hidden');
+
+        const badges = [];
+        if (isPersonalBest) {
+            badges.push('<span class="standing-badge"><i class="fas fa-star"></i> New personal best!</span>');
+        }
+        if (state.rank && state.rank <= 10) {
+            badges.push('<span class="standing-badge top-ten"><i class="fas fa-crown"></i> Entered the top 10!</span>');
+        }
+        this.standingBadges.innerHTML = badges.join('');
+
+        this.standingNeighbours.innerHTML = '';
+        if (state.loading) {
+            this.standingRank.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Checking global rank...';
+            return;
+        }
+        if (!state.rank) {
+            this.standingRank.textContent = 'Global rank unavailable right now.';
+            return;
+        }
+
+        this.standingRank.innerHTML = `You would place <strong>#${state.rank}</strong>`;
+
+        const row = (entry, className = '') => `
+            <li class="${className}">
+                <span>${className === 'you' ? 'You' : this.escapeHtml(entry.player_name)}</span>
+                <span>${entry.score}</span>
+            </li>
+        `;
+        this.standingNeighbours.innerHTML = [
+            state.above ? row(state.above) : '',
+            row({ score }, 'you'),
+            state.below ? row(state.below) : ''
+        ].join('');
+    }
+
+    hideStanding() {
+        if (this.globalStanding) {
+            this.globalStanding.classList.add('hidden');
+        }
+    }
+
     hideGameOver() {
         this.gameoverScreen.classList.add('hidden');
     }
@@ -460,10 +655,36 @@ export class UIManager {
         }
     }
 
-    updateScore(score) {
+    // stamina: 0-1; winded while the player must recover before sprinting again
+    updateStamina(stamina, winded) {
+        if (!this.staminaFill) return;
+        this.staminaFill.style.width = `${stamina * 100}%`;
+        this.staminaBar.classList.toggle('active', stamina < 1);
+        this.staminaBar.classList.toggle('winded', winded);
+    }
+
+        updateScore(score) {
         this.scoreElement.textContent = score;
     }
 
+    // The carried-newt counter and mobile release button only show in carry mode
+    setCarryMode(enabled, limit) {
+        this.carryLimit = limit;
+        this.carriedShown = -1;
+        if (this.carryContainer) this.carryContainer.classList.toggle('hidden', !enabled);
+        if (this.dropBtn) this.dropBtn.classList.toggle('hidden', !enabled);
+        this.updateCarried(0);
+    }
+
+    // Called every tick in carry mode; only touches the DOM when the count changes
+    updateCarried(count) {
+        if (count === this.carriedShown || !this.carryCount) return;
+        this.carriedShown = count;
+        this.carryCount.textContent = `${count}/${this.carryLimit}`;
+        this.carryContainer.classList.toggle('full', count >= this.carryLimit);
+        if (this.dropBtn) this.dropBtn.disabled = count === 0;
+    }
+
     updateTime(seconds) {
         this.timeElement.textContent = this.formatTime(seconds);
     }
@@ -492,6 +713,19 @@ export class UIManager {
         }
     }
 
+    // Brief note when Auto quality steps up or down
+    showQualityIndicator(label, resolutionScale = 1) {
+        if (!this.qualityIndicator) return;
+
+        let text = `Auto quality: ${label}`;
+        if (resolutionScale < 1) text += ` · ${Math.round(resolutionScale * 100)}% resolution`;
+        this.qualityIndicator.innerHTML = `<i class="fas fa-tachometer-alt"></i> ${this.escapeHtml(text)}`;
+        this.qualityIndicator.classList.add('show');
+
+        clearTimeout(this.qualityIndicatorTimer);
+        this.qualityIndicatorTimer = setTimeout(() => this.qualityIndicator.classList.remove('show'), 2500);
+    }
+
     triggerPredatorAttack(predatorType) {
         // Create predator attack overlay
         const overlay = document.createElement('div');
@@ -583,7 +817,7 @@ export class UIManager {
                     <div class="leaderboard-info">
                         <div class="leaderboard-name">${this.escapeHtml(entry.player_name)}</div>
                         <div class="leaderboard-details">
-                            ${this.formatTime(entry.time_survived)} survived
+                            ${this.formatLeaderboardDetails(entry)}
                         </div>
                     </div>
                     <div class="leaderboard-score">${entry.score}</div>
@@ -594,6 +828,43 @@ export class UIManager {
         this.leaderboardList.innerHTML = html;
     }
 
+    // "2:05 survived · Wave 2 · Hit by vehicle"; older rows lack the level and mode columns
+    formatLeaderboardDetails(entry) {
+        const details = [`${this.formatTime(entry.time_survived)} survived`];
+        if (entry.wave_reached > 0) {
+            details.push(`Wave ${entry.wave_reached}`);
+        } else if (entry.level_reached) {
+            details.push(`Level ${entry.level_reached}`);
+        }
+        if (entry.death_reason) {
+            details.push(this.escapeHtml(DEATH_REASON_LABELS[entry.death_reason] || entry.death_reason));
+        }
+        return details.join(' · ');
+    }
+
+    getLeaderboardBoard() {
+        return { ...this.leaderboardBoard };
+    }
+
+    // Mode and period tabs; callback receives the selected { mode, period }
+    onLeaderboardBoardChange(callback) {
+        this.leaderboardTabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                const key = tab.dataset.mode ? 'mode' : 'period';
+                const value = tab.dataset[key];
+                if (this.leaderboardBoard[key] === value) return;
+
+                this.leaderboardBoard[key] = value;
+                this.leaderboardTabs.forEach(other => {
+                    if (other.dataset[key] !== undefined) {
+                        other.classList.toggle('active', other.dataset[key] === value);
+                    }
+                });
+                callback(this.getLeaderboardBoard());
+            });
+        });
+    }
+
     showLeaderboardLoading() {
         this.leaderboardList.innerHTML = '<p class="loading"><i class="fas fa-spinner fa-spin"></i> Loading...</p>';
     }
@@ -628,12 +899,183 @@ export class UIManager {
         }
     }
 
+    markScoreQueued() {
+        if (this.submitScoreBtn) {
+            this.submitScoreBtn.disabled = true;
+            this.submitScoreBtn.innerHTML = '<i class="fas fa-clock"></i> Queued';
+        }
+    }
+
+    // Pending and sent submissions from the offline queue; hidden while it is empty
+    renderScoreQueue(items) {
+        if (!this.scoreQueuePanel) return;
+
+        this.scoreQueuePanel.classList.toggle('hidden', items.length === 0);
+        this.retryScoresBtn.classList.toggle('hidden', !items.some(item => item.status === 'pending'));
+
+        const formatClock = time => new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        this.scoreQueueList.innerHTML = items.slice().reverse().map(item => {
+            let status = `Pending since ${formatClock(item.queuedAt)}, retry ${formatClock(item.nextAttemptAt)}`;
+            if (item.status === 'sent') status = `Sent ${formatClock(item.sentAt)}`;
+            if (item.status === 'sent' && item.outcome === 'pending') status += ', awaiting verification';
+            if (item.status === 'rejected') status = 'Refused: the run could not be verified';
+            return `
+                <li class="score-queue-item ${item.status}">
+                    <span>${this.escapeHtml(item.playerName)} · ${item.score} newts</span>
+                    <span class="score-queue-status">${status}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    onRetryScores(callback) {
+        if (this.retryScoresBtn) {
+            this.retryScoresBtn.addEventListener('click', callback);
+        }
+    }
+
     getPlayerName() {
         return this.playerNameInput ? this.playerNameInput.value.trim() : '';
     }
 
-    savePlayerName(name) {
-        localStorage.setItem('newtRescuePlayerName', name);
+    // Prefills the game over name box from the profile
+    setPlayerName(name) {
+        if (this.playerNameInput) {
+            this.playerNameInput.value = name;
+        }
+    }
+
+    // Profile screen (snapshot: PlayerProfile.getSnapshot())
+    showProfile(snapshot) {
+        this.renderProfile(snapshot);
+        const rejected = snapshot.rejectedName;
+        this.setProfileStatus(rejected
+            ? `Your saved name "${rejected.name}" can no longer be used (${rejected.error}). Please choose a new one.`
+            : '', !!rejected);
+        if (this.profileNameInput) this.profileNameInput.value = snapshot.displayName || (rejected ? rejected.name : '');
+        this.profileModal.classList.remove('hidden');
+    }
+
+    hideProfile() {
+        this.profileModal.classList.add('hidden');
+    }
+
+    renderProfile(snapshot) {
+        if (!this.profileStats) return;
+
+        const { stats } = snapshot;
+        const rows = [
+            ['Runs', stats.runs],
+            ['Newts rescued', stats.totalRescued],
+            ['Best score', stats.bestScore],
+            ['Best wave', stats.bestWave > 0 ? stats.bestWave : '-']
+        ];
+        this.profileStats.innerHTML = rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
+
+        const deaths = Object.entries(stats.deathsByCause).sort((a, b) => b[1] - a[1]);
+        this.profileDeaths.innerHTML = deaths.length === 0
+            ? '<li>None yet</li>'
+            : deaths.map(([reason, count]) => `
+                <li><span>${this.escapeHtml(DEATH_REASON_LABELS[reason] || reason)}</span><span>${count}</span></li>
+            `).join('');
+
+        // Only the start is shown; the full ID is what keeps scores yours on this device
+        this.profileIdLabel.textContent = `Player ID ${snapshot.id.slice(0, 8)}… (kept on this device)`;
+    }
+
+    getProfileName() {
+        return this.profileNameInput ? this.profileNameInput.value : '';
+    }
+
+    setProfileStatus(message, isError = false) {
+        if (this.profileStatus) {
+            this.profileStatus.textContent = message;
+            this.profileStatus.classList.toggle('error', isError);
+        }
+    }
+
+    onOpenProfile(callback) {
+        if (this.profileBtn) {
+            this.profileBtn.addEventListener('click', callback);
+        }
+    }
+
+    onSaveProfile(callback) {
+        if (this.saveProfileBtn) {
+            this.saveProfileBtn.addEventListener('click', callback);
+        }
+        if (this.profileNameInput) {
+            this.profileNameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') callback();
+            });
+        }
+    }
+
+    onCloseProfile(callback) {
+        if (this.closeProfileBtn) {
+            this.closeProfileBtn.addEventListener('click', callback);
+        }
+    }
+
+    // Slides in an unlock notice; several unlocks at once stack
+    showAchievementToast(achievement) {
+        if (!this.achievementToasts) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <i class="fas ${achievement.icon}"></i>
+            <div>
+                <small>Achievement unlocked</small>
+                <strong>${this.escapeHtml(achievement.title)}</strong>
+            </div>
+        `;
+        this.achievementToasts.appendChild(toast);
+
+        setTimeout(() => toast.classList.add('show'), 50);
+        setTimeout(() => {
+            toast.classList.remove('show');
+            setTimeout(() => toast.remove(), 400);
+        }, 4000);
+    }
+
+    // Trophy room (achievements: AchievementManager.getAll())
+    showAchievements(achievements) {
+        const unlocked = achievements.filter(achievement => achievement.unlocked).length;
+        this.achievementSummary.textContent = `${unlocked} of ${achievements.length} unlocked`;
+
+        this.achievementList.innerHTML = achievements.map(achievement => {
+            let status = achievement.target > 1 ? `${achievement.progress} / ${achievement.target}` : 'Locked';
+            if (achievement.unlocked) status = new Date(achievement.unlockedAt).toLocaleDateString();
+            return `
+                <li class="achievement-item ${achievement.unlocked ? 'unlocked' : 'locked'}" data-id="${achievement.id}">
+                    <span class="achievement-icon"><i class="fas ${achievement.icon}"></i></span>
+                    <span class="achievement-text">
+                        <span class="achievement-title">${this.escapeHtml(achievement.title)}</span>
+                        <span class="achievement-description">${this.escapeHtml(achievement.description)}</span>
+                    </span>
+                    <span class="achievement-progress">${status}</span>
+                </li>
+            `;
+        }).join('');
+
+        this.achievementsModal.classList.remove('hidden');
+    }
+
+    hideAchievements() {
+        this.achievementsModal.classList.add('hidden');
+    }
+
+    onOpenAchievements(callback) {
+        if (this.achievementsBtn) {
+            this.achievementsBtn.addEventListener('click', callback);
+        }
+    }
+
+    onCloseAchievements(callback) {
+        if (this.closeAchievementsBtn) {
+            this.closeAchievementsBtn.addEventListener('click', callback);
+        }
     }
 
     getLastGameData() {
@@ -667,43 +1109,309 @@ export class UIManager {
         }
     }
 
+    onPauseClick(callback) {
+        if (this.pauseToggleBtn) {
+            this.pauseToggleBtn.addEventListener('click', () => {
+                this.hapticLight();
+                callback();
+            });
+        }
+    }
+
+    onResumeClick(callback) {
+        if (this.resumeButton) {
+            this.resumeButton.addEventListener('click', callback);
+        }
+    }
+
+    onPauseRestartClick(callback) {
+        if (this.pauseRestartButton) {
+            this.pauseRestartButton.addEventListener('click', callback);
+        }
+    }
+
+    onQuitClick(callback) {
+        if (this.quitButton) {
+            this.quitButton.addEventListener('click', callback);
+        }
+    }
+
+    // callback(key, value) as a control moves; sliders report value / data-scale
+    onSettingChange(callback) {
+        this.settingInputs.forEach(input => {
+            const event = input.type === 'range' ? 'input' : 'change';
+            input.addEventListener(event, () => callback(input.dataset.setting, this.readSettingInput(input)));
+        });
+    }
+
+    readSettingInput(input) {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'range') return Number(input.value) / Number(input.dataset.scale || 1);
+        return input.value;
+    }
+
+    // values: Settings.getAll()
+    setSettingsValues(values) {
+        this.settingInputs.forEach(input => {
+            const value = values[input.dataset.setting];
+            if (value === undefined) return;
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else if (input.type === 'range') {
+                input.value = Math.round(value * Number(input.dataset.scale || 1));
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    onResetSettings(callback) {
+        if (this.resetSettingsButton) {
+            this.resetSettingsButton.addEventListener('click', callback);
+        }
+    }
+
+    // keyboard / gamepad: binding profiles (see input-bindings.js); gamepad is null when no
+    // controller is connected. layout: the browser's keyboard layout map, for key names.
+    showBindings(keyboard, gamepad, { layout = null, gamepadName = '', standard = true } = {}) {
+        if (!this.keyboardBindingList) return;
+
+        const row = (label, device, action, direction, value) => `
+            <li class="binding-row">
+                <span>${label}</span>
+                <button data-device="${device}" data-action="${action}" data-direction="${direction}">${this.escapeHtml(value)}</button>
+            </li>
+        `;
+        const keys = codes => codes.map(code => keyLabel(code, layout)).join(' / ') || '—';
+
+        this.keyboardBindingList.innerHTML = Object.entries(INPUT_ACTIONS).map(([action, info]) => {
+            if (info.type !== 'axis') return row(info.label, 'keyboard', action, '', keys(keyboard[action]));
+            return row(`${info.label} ${info.negativeLabel}`, 'keyboard', action, 'negative', keys(keyboard[action].negative)) +
+                row(`${info.label} ${info.positiveLabel}`, 'keyboard', action, 'positive', keys(keyboard[action].positive));
+        }).join('');
+
+        this.gamepadBindingName.textContent = gamepad ? gamepadName : 'No controller connected';
+        this.gamepadBindingPresets.classList.toggle('hidden', !gamepad);
+        this.gamepadBindingList.innerHTML = !gamepad ? '' : Object.entries(INPUT_ACTIONS).map(([action, info]) => {
+            const label = info.type === 'axis' ? `${info.label} ${info.negativeLabel} / ${info.positiveLabel}` : info.label;
+            return row(label, 'gamepad', action, info.type === 'axis' ? 'positive' : '', gamepadBindingLabel(gamepad[action], standard));
+        }).join('');
+    }
+
+    // callback({ device, action, direction }) when a binding is clicked; the button shows what
+    // to press until showBindings() redraws the list
+    onRebind(callback) {
+        [this.keyboardBindingList, this.gamepadBindingList].forEach(list => {
+            if (!list) return;
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                const { device, action } = button.dataset;
+                const direction = button.dataset.direction || null;
+                const info = INPUT_ACTIONS[action];
+
+                this.settingsScreen.querySelectorAll('.binding-row button.listening').forEach(other => {
+                    other.classList.remove('listening');
+                });
+                button.classList.add('listening');
+                if (device === 'keyboard') {
+                    button.textContent = 'Press a key';
+                } else {
+                    button.textContent = info.type === 'axis' ? `Push ${info.positiveLabel.toLowerCase()}` : 'Press a button';
+                }
+                callback({ device, action, direction });
+            });
+        });
+    }
+
+    // callback(device, preset) from the preset buttons under each binding list
+    onBindingPreset(callback) {
+        this.settingsScreen.querySelectorAll('[data-binding-preset]').forEach(button => {
+            button.addEventListener('click', () => callback(button.dataset.bindingDevice, button.dataset.bindingPreset));
+        });
+    }
+
+    setHapticsEnabled(enabled) {
+        this.hapticsEnabled = enabled;
+    }
+
+    // Empty seed field means a fresh random seed every run
+    onSeedChange(callback) {
+        if (this.runSeedInput) {
+            this.runSeedInput.addEventListener('change', () => {
+                callback(this.runSeedInput.value.trim());
+            });
+        }
+    }
+
+    setSeedSetting(seed) {
+        if (this.runSeedInput) {
+            this.runSeedInput.value = seed;
+        }
+    }
+
+    // Shown on the game over screen so a run can be shared and replayed
+    updateRunSeed(seed) {
+        if (this.runSeedLabel) {
+            this.runSeedLabel.textContent = `Seed: ${seed}`;
+        }
+    }
+
+    // ─── REPLAYS ───────────────────────────────────────────────────
+
+    setReplayAvailable(available) {
+        if (this.saveReplayBtn) {
+            this.saveReplayBtn.disabled = !available;
+        }
+    }
+
+    onSaveReplay(callback) {
+        if (this.saveReplayBtn) {
+            this.saveReplayBtn.addEventListener('click', callback);
+        }
+    }
+
+    downloadReplay(replay) {
+        const seed = String(replay.seed).replace(/[^a-z0-9_-]/gi, '');
+        const score = replay.result ? replay.result.score : 0;
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `newt-rescue-replay-${seed}-${score}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Callback receives the chosen file's text
+    onReplayFileSelected(callback) {
+        if (!this.watchReplayBtn || !this.replayFileInput) return;
+
+        this.watchReplayBtn.addEventListener('click', () => {
+            this.setReplayLoadError('');
+            this.replayFileInput.click();
+        });
+        this.replayFileInput.addEventListener('change', async () => {
+            const file = this.replayFileInput.files[0];
+            this.replayFileInput.value = '';
+            if (file) {
+                callback(await file.text());
+            }
+        });
+    }
+
+    setReplayLoadError(message) {
+        if (this.replayLoadError) {
+            this.replayLoadError.textContent = message ? `Could not load replay: ${message}` : '';
+            this.replayLoadError.classList.toggle('hidden', !message);
+        }
+    }
+
+    showReplayControls(totalTicks) {
+        this.replaySeekInput.max = totalTicks;
+        this.replaySeekInput.value = 0;
+        this.replaySpeedSelect.value = '1';
+        this.setReplayPaused(false);
+        this.setReplayStatus('');
+        this.replayControls.classList.remove('hidden');
+        if (this.mobileControls) {
+            this.mobileControls.classList.add('hidden');
+        }
+    }
+
+    hideReplayControls() {
+        this.replayControls.classList.add('hidden');
+    }
+
+    updateReplayProgress(tick, totalTicks, step) {
+        if (!this.isReplaySeeking) {
+            this.replaySeekInput.value = tick;
+        }
+        this.replayTime.textContent = `${this.formatTime(tick * step)} / ${this.formatTime(totalTicks * step)}`;
+    }
+
+    setReplayPaused(paused) {
+        this.replayPlayBtn.innerHTML = paused ? '<i class="fas fa-play"></i>' : '<i class="fas fa-pause"></i>';
+        this.replayPlayBtn.setAttribute('aria-label', paused ? 'Play replay' : 'Pause replay');
+    }
+
+    setReplayStatus(text) {
+        this.replayStatus.textContent = text;
+    }
+
+    onReplayPlayPause(callback) {
+        if (this.replayPlayBtn) {
+            this.replayPlayBtn.addEventListener('click', callback);
+        }
+    }
+
+    // Fires once the slider is released, with the target tick
+    onReplaySeek(callback) {
+        if (!this.replaySeekInput) return;
+
+        this.replaySeekInput.addEventListener('input', () => {
+            this.isReplaySeeking = true;
+        });
+        this.replaySeekInput.addEventListener('change', () => {
+            this.isReplaySeeking = false;
+            callback(Number(this.replaySeekInput.value));
+        });
+    }
+
+    onReplaySpeedChange(callback) {
+        if (this.replaySpeedSelect) {
+            this.replaySpeedSelect.addEventListener('change', () => {
+                callback(Number(this.replaySpeedSelect.value));
+            });
+        }
+    }
+
+    onReplayExit(callback) {
+        if (this.replayExitBtn) {
+            this.replayExitBtn.addEventListener('click', callback);
+        }
+    }
+
     getIsMobile() {
         return this.isMobile;
     }
 
     // Haptic feedback methods
     hapticLight() {
-        if (this.hasHaptics && this.isMobile) {
+        if (this.hasHaptics && this.hapticsEnabled && this.isMobile) {
             navigator.vibrate(10);
         }
     }
 
     hapticMedium() {
-        if (this.hasHaptics && this.isMobile) {
+        if (this.hasHaptics && this.hapticsEnabled && this.isMobile) {
             navigator.vibrate(25);
         }
     }
 
     hapticHeavy() {
-        if (this.hasHaptics && this.isMobile) {
+        if (this.hasHaptics && this.hapticsEnabled && this.isMobile) {
             navigator.vibrate(50);
         }
     }
 
     hapticSuccess() {
-        if (this.hasHaptics && this.isMobile) {
+        if (this.hasHaptics && this.hapticsEnabled && this.isMobile) {
             navigator.vibrate([20, 50, 30]); // Short-pause-longer pattern
         }
     }
 
     hapticWarning() {
-        if (this.hasHaptics && this.isMobile) {
+        if (this.hasHaptics && this.hapticsEnabled && this.isMobile) {
             navigator.vibrate([50, 30, 50]); // Two quick pulses
         }
     }
 
     hapticError() {
-        if (this.hasHaptics && this.isMobile) {
+        if (this.hasHaptics && this.hapticsEnabled && this.isMobile) {
             navigator.vibrate([100, 50, 100, 50, 100]); // Three strong pulses
         }
     }
@@ -780,6 +1488,10 @@ export class UIManager {
         this.onFlashlightToggleCallback = callback;
     }
 
+    onDrop(callback) {
+        this.onDropCallback = callback;
+    }
+
     // Update flashlight button appearance
     updateFlashlightButton(isOn) {
         if (this.flashlightToggleBtn) {
@@ -0,0 +1,102 @@
+// wind.js - Seeded wind gusts for windy levels
+// A level's weather.wind (0-1) sets a steady breeze across the road; gusts come on top of it
+// on a schedule drawn from the run's 'wind' random stream, so a seed and level always bring
+// the same gusts on the same ticks. Game pushes the player and newts with the force each tick
+// and the run verifier re-creates it, so recorded runs re-simulate exactly.
+import * as THREE from 'three';
+
+export const WIND_RULES = {
+    breezePush: 0.15,    // m/s of push from the steady breeze at full wind
+    gustPush: 3.2,       // m/s more at the peak of a full-strength gust
+    fadeIn: 3,           // seconds for the breeze to build after a level starts
+    minGap: 6,           // seconds from the end of one gust to the start of the next
+    maxGap: 14,
+    minDuration: 1.5,
+    maxDuration: 3,
+    minStrength: 0.4,
+    maxStrength: 1,
+    ramp: 0.5,           // seconds for a gust to rise to its peak and to die away
+    strongGust: 0.7,     // gusts at least this strong are announced...
+    warningTime: 1       // ...this many seconds before they hit
+};
+
+// Mostly across the road (+X), a little along it
+const BREEZE_DIRECTION = new THREE.Vector3(1, 0, 0.3).normalize();
+
+export class Wind {
+    // stream: random.stream('wind'), or any RandomStream in tests
+    constructor(stream, rules = WIND_RULES) {
+        this.stream = stream;
+        this.rules = rules;
+        this.force = new THREE.Vector3();
+        this.onGustWarningCallback = null;
+        this.reset(0);
+    }
+
+    // level: the new level's weather.wind (0 = still air). Call after the stream is reseeded;
+    // gusts are drawn from it on the first update.
+    reset(level) {
+        this.level = level;
+        this.time = 0;
+        this.gust = null;
+        this.gustAmount = 0;
+        this.force.set(0, 0, 0);
+    }
+
+    // callback(gust) warningTime before each strong gust: { start, end, strength, sign }
+    onGustWarning(callback) {
+        this.onGustWarningCallback = callback;
+    }
+
+    scheduleGust(after) {
+        const rules = this.rules;
+        const start = after + this.stream.range(rules.minGap, rules.maxGap);
+        const duration = this.stream.range(rules.minDuration, rules.maxDuration);
+        return {
+            start,
+            end: start + duration,
+            strength: this.stream.range(rules.minStrength, rules.maxStrength),
+            // Against the breeze as often as with it, so gusts push either way across the road
+            sign: this.stream.chance(0.5) ? 1 : -1,
+            warned: false
+        };
+    }
+
+    // Advances one tick; returns the push (m/s, world space) for this tick
+    update(deltaTime) {
+        this.force.set(0, 0, 0);
+        this.gustAmount = 0;
+        if (this.level <= 0) return this.force;
+
+        const rules = this.rules;
+        this.time += deltaTime;
+        if (!this.gust) this.gust = this.scheduleGust(0);
+        if (this.time >= this.gust.end) this.gust = this.scheduleGust(this.gust.end);
+
+        const gust = this.gust;
+        if (!gust.warned && gust.strength >= rules.strongGust && this.time >= gust.start - rules.warningTime) {
+            gust.warned = true;
+            if (this.onGustWarningCallback) this.onGustWarningCallback(gust);
+        }
+
+        // Gusts rise and fall over `ramp` seconds at each end
+        if (this.time >= gust.start) {
+            const envelope = Math.min(1, (this.time - gust.start) / rules.ramp, (gust.end - this.time) / rules.ramp);
+            this.gustAmount = Math.max(0, envelope) * gust.strength;
+        }
+
+        const breeze = Math.min(1, this.time / rules.fadeIn) * rules.breezePush;
+        const push = (breeze + this.gustAmount * gust.sign * rules.gustPush) * this.level;
+        this.force.copy(BREEZE_DIRECTION).multiplyScalar(push);
+        return this.force;
+    }
+
+    // 0-1 strength of the gust blowing now (0 between gusts), for rain, trees and the flashlight
+    getGustAmount() {
+        return this.gustAmount * this.level;
+    }
+
+    getForce() {
+        return this.force;
+    }
+}
@@ -13,6 +13,13 @@ module.exports = defineConfig({
     actionTimeout: 5000,
     ignoreHTTPSErrors: true
   },
+  // Local leaderboard so specs using ?leaderboard=rest never touch production
+  webServer: {
+    command: 'node server/leaderboard-server.mjs',
+    url: 'http://localhost:8787/health',
+    reuseExistingServer: true,
+    timeout: 10_000
+  },
   projects: [
     { name: 'chromium', use: { browserName: 'chromium' } }
   ]
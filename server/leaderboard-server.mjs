@@ -0,0 +1,206 @@
+// leaderboard-server.mjs - Local stand-in for the leaderboard REST contract
+// Implements the API RestBackend talks to, so development and Playwright runs never
+// touch the production table:
+//   GET  /scores?limit=N&mode=M&since=ISO        -> best entry per player on the board, highest first
+//   POST /scores                                 -> { stored, entry } (stored: beat the player's best for its mode)
+//   GET  /rank?score=S&player=ID&mode=M          -> { rank } (player, optional, is left out)
+//   GET  /neighbours?score=S&player=ID&mode=M    -> { above, below }
+//   GET  /health                                 -> { ok: true }
+// mode is all, campaign or endless (default all); since limits the board to recent runs.
+// Submissions name their player with player_token; only its hash is stored, as player_id.
+// Runs live in memory unless LEADERBOARD_FILE names a JSON file to persist them in.
+// A submission carrying a run_proof ({ summary, inputs }, see js/run-summary.js) is
+// re-simulated by js/run-verifier.js and refused with 422 if it does not hold up; the
+// stored entry records verified: true. LEADERBOARD_REQUIRE_PROOF=1 refuses unproven scores.
+//
+//   npm run leaderboard:local            (port 8787, or LEADERBOARD_PORT)
+//   open http://localhost:3000/?leaderboard=rest
+import { createServer } from 'node:http';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import {
+    addRun,
+    bestScorePerPlayer,
+    matchesBoard,
+    neighboursOfScore,
+    playerIdFromToken,
+    rankForScore
+} from '../js/leaderboard-backends.js';
+import { verifySubmission } from '../js/run-verifier.js';
+import { readLevelDefinitions } from './verify-run.mjs';
+
+const MAX_BODY_BYTES = 2 * 1024 * 1024; // input logs of long runs
+const MAX_LIMIT = 100;
+const MODES = ['all', 'campaign', 'endless'];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+// Same checks the production table enforces through its column types
+async function parseEntry(entry) {
+    const name = typeof entry.player_name === 'string' ? entry.player_name.trim().substring(0, 20) : '';
+    if (!name) throw new Error('player_name is required');
+    if (!Number.isFinite(entry.score)) throw new Error('score must be a number');
+    const token = typeof entry.player_token === 'string' && entry.player_token ? entry.player_token : null;
+
+    return {
+        player_id: await playerIdFromToken(token, name),
+        player_name: name,
+        score: Math.floor(entry.score),
+        time_survived: Number.isFinite(entry.time_survived) ? Math.floor(entry.time_survived) : 0,
+        death_reason: typeof entry.death_reason === 'string' ? entry.death_reason : null,
+        mode: entry.mode === 'endless' ? 'endless' : 'campaign',
+        level_reached: Number.isInteger(entry.level_reached) ? entry.level_reached : null,
+        wave_reached: Number.isInteger(entry.wave_reached) ? entry.wave_reached : 0,
+        created_at: typeof entry.created_at === 'string' ? entry.created_at : new Date().toISOString()
+    };
+}
+
+function loadEntries(file) {
+    if (!file || !existsSync(file)) return [];
+    const entries = JSON.parse(readFileSync(file, 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+}
+
+function parseBoard(params) {
+    const mode = params.get('mode') || 'all';
+    if (!MODES.includes(mode)) throw new Error(`mode must be one of ${MODES.join(', ')}`);
+
+    const since = params.get('since');
+    if (since && Number.isNaN(Date.parse(since))) throw new Error('since must be an ISO timestamp');
+    return { mode, since: since || null };
+}
+
+// options: { file } to persist runs as JSON, { entries } to start from a fixed table,
+// { requireProof } to refuse scores without a run proof
+export function createLeaderboardServer({
+    file = null,
+    entries = loadEntries(file),
+    requireProof = false,
+    levels = readLevelDefinitions()
+} = {}) {
+    let runs = entries.slice();
+
+    function save() {
+        if (file) writeFileSync(file, JSON.stringify(runs, null, 2));
+    }
+
+    async function handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, CORS_HEADERS);
+            response.end();
+            return;
+        }
+
+        if (request.method === 'GET' && url.pathname === '/health') {
+            sendJson(response, 200, { ok: true, players: bestScorePerPlayer(runs).length });
+            return;
+        }
+
+        let board;
+        try {
+            board = parseBoard(url.searchParams);
+        } catch (error) {
+            sendJson(response, 400, { error: error.message });
+            return;
+        }
+
+        if (request.method === 'GET' && url.pathname === '/scores') {
+            const limit = Number.parseInt(url.searchParams.get('limit') ?? '5', 10);
+            const count = Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : 5;
+            sendJson(response, 200, bestScorePerPlayer(runs.filter(run => matchesBoard(run, board))).slice(0, count));
+            return;
+        }
+
+        if (request.method === 'POST' && url.pathname === '/scores') {
+            let body;
+            let entry;
+            try {
+                body = JSON.parse(await readBody(request));
+                entry = await parseEntry(body);
+            } catch (error) {
+                sendJson(response, 400, { error: error.message });
+                return;
+            }
+
+            if (body.run_proof) {
+                const verification = await verifySubmission(entry, body.run_proof, { levels });
+                if (!verification.valid) {
+                    sendJson(response, 422, { error: 'Run could not be verified', errors: verification.errors });
+                    return;
+                }
+                entry.verified = true;
+            } else if (requireProof) {
+                sendJson(response, 422, { error: 'Run proof is required' });
+                return;
+            }
+
+            const result = addRun(runs, entry);
+            runs = result.entries;
+            save();
+            sendJson(response, result.stored ? 201 : 200, { stored: result.stored, entry: result.entry });
+            return;
+        }
+
+        if (request.method === 'GET' && (url.pathname === '/rank' || url.pathname === '/neighbours')) {
+            const score = Number(url.searchParams.get('score'));
+            if (!Number.isFinite(score)) {
+                sendJson(response, 400, { error: 'score must be a number' });
+                return;
+            }
+
+            // Ranks compare against all-time bests, so only the mode applies
+            const player = url.searchParams.get('player');
+            const allTime = { mode: board.mode, since: null };
+            sendJson(response, 200, url.pathname === '/rank'
+                ? { rank: rankForScore(runs, score, player, allTime) }
+                : neighboursOfScore(runs, score, player, allTime));
+            return;
+        }
+
+        sendJson(response, 404, { error: `No route for ${request.method} ${url.pathname}` });
+    }
+
+    return createServer((request, response) => {
+        handle(request, response).catch(error => {
+            console.error('Leaderboard server error:', error);
+            if (!response.headersSent) sendJson(response, 500, { error: error.message });
+        });
+    });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number.parseInt(process.env.LEADERBOARD_PORT ?? '8787', 10);
+    const file = process.env.LEADERBOARD_FILE || null;
+    const requireProof = process.env.LEADERBOARD_REQUIRE_PROOF === '1';
+
+    createLeaderboardServer({ file, requireProof }).listen(port, () => {
+        console.log(`Leaderboard server listening on http://localhost:${port}${file ? ` (saving to ${file})` : ''}`);
+    });
+}
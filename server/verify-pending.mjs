@@ -0,0 +1,81 @@
+// verify-pending.mjs - Publishes queued Supabase submissions whose run proofs hold up
+// submit_best_score only queues a run with its proof; nothing reaches the boards until this
+// re-simulates the proof with js/run-verifier.js and records the outcome through the
+// record_run_verification function, which needs the service role key (never shipped to
+// players). Run it on a schedule, e.g. every minute from cron. Exits 1 if a request fails.
+//
+//   SUPABASE_URL=https://... SUPABASE_SERVICE_ROLE_KEY=... npm run verify-pending
+import { pathToFileURL } from 'node:url';
+import { verifySubmission } from '../js/run-verifier.js';
+import { readLevelDefinitions } from './verify-run.mjs';
+
+const BATCH_SIZE = 20; // input logs of long runs are large
+
+async function readJson(response, action) {
+    if (!response.ok) {
+        throw new Error(`${action} failed: HTTP ${response.status} ${await response.text()}`);
+    }
+    return response.json();
+}
+
+// Verifies up to BATCH_SIZE queued runs, oldest first. Resolves to [{ runId, valid, errors }].
+export async function verifyPendingRuns({ url, serviceKey, table = '3d_newt_leaderboard', levels, fetchImpl = fetch }) {
+    const request = (path, options = {}) => fetchImpl(`${url}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': serviceKey,
+            'Authorization': `Bearer ${serviceKey}`,
+            'Content-Type': 'application/json',
+            ...options.headers
+        }
+    });
+
+    const queued = await readJson(await request(
+        `${table}_run_proofs?verified=is.null&select=run_id,summary,inputs,` +
+        `run:${table}_runs(score,time_survived,death_reason)&order=run_id.asc&limit=${BATCH_SIZE}`
+    ), 'Fetching queued runs');
+
+    const outcomes = [];
+    for (const { run_id: runId, summary, inputs, run } of queued) {
+        // A row the verifier cannot even read is refused, not left to stop every later batch
+        let valid, errors;
+        try {
+            ({ valid, errors } = await verifySubmission(run, { summary, inputs }, { levels }));
+        } catch (error) {
+            valid = false;
+            errors = [`Verification failed: ${error.message}`];
+        }
+        await readJson(await request('rpc/record_run_verification', {
+            method: 'POST',
+            body: JSON.stringify({ p_run_id: runId, p_verified: valid })
+        }), `Recording run ${runId}`);
+        outcomes.push({ runId, valid, errors });
+    }
+    return outcomes;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const url = process.env.SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!url || !serviceKey) {
+        console.error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+        process.exit(2);
+    }
+
+    try {
+        const outcomes = await verifyPendingRuns({
+            url,
+            serviceKey,
+            table: process.env.SUPABASE_TABLE || undefined,
+            levels: readLevelDefinitions()
+        });
+        for (const { runId, valid, errors } of outcomes) {
+            console.log(`Run ${runId}: ${valid ? 'verified' : 'refused'}`);
+            errors.forEach(error => console.log(`  - ${error}`));
+        }
+        console.log(`${outcomes.length} queued runs checked`);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
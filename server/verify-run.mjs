@@ -0,0 +1,38 @@
+// verify-run.mjs - Checks a run proof (or a saved replay) from the command line
+// Re-simulates the run against the shipped level files and prints every problem found.
+// Exits 0 when the run is valid, 1 when it is not.
+//
+//   npm run verify-run -- proof.json       ({ summary, inputs } as sent with a score)
+//   npm run verify-run -- replay.json      (a replay downloaded from the game over screen)
+import { readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { validateLevelDefinition } from '../js/level-data.js';
+import { REPLAY_FORMAT } from '../js/replay.js';
+import { createRunProof } from '../js/run-summary.js';
+import { verifyRun } from '../js/run-verifier.js';
+
+const LEVELS_DIR = new URL('../levels/', import.meta.url);
+
+// Level definitions in play order, read from levels/ the way the game fetches them
+export function readLevelDefinitions(dir = LEVELS_DIR) {
+    const readJson = file => JSON.parse(readFileSync(new URL(file, dir), 'utf8'));
+    return readJson('index.json').levels.map(file => validateLevelDefinition(readJson(file), file));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node server/verify-run.mjs <proof-or-replay.json>');
+        process.exit(2);
+    }
+
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const proof = data.format === REPLAY_FORMAT ? await createRunProof(data) : data;
+    const result = await verifyRun(proof, { levels: readLevelDefinitions() });
+
+    const { ticks, rescues, spawnCapacity, distanceWalked } = result.stats;
+    console.log(`${ticks} ticks, ${rescues} rescues, ${spawnCapacity} newts spawnable, ${distanceWalked.toFixed(1)} m walked`);
+    result.errors.forEach(error => console.log(`  - ${error}`));
+    console.log(result.valid ? 'Run is valid' : 'Run is NOT valid');
+    process.exit(result.valid ? 0 : 1);
+}
@@ -0,0 +1,52 @@
+-- Atomic "keep the best score" submission for 3d_newt_leaderboard.
+-- Replaces the client's read / delete / insert sequence, which could lose a player's
+-- score when two tabs submitted at once or the network dropped between DELETE and POST.
+
+-- One row per player: keep each player's highest (then earliest) row before adding the constraint
+delete from public."3d_newt_leaderboard" a
+using public."3d_newt_leaderboard" b
+where a.player_name = b.player_name
+  and (a.score < b.score or (a.score = b.score and a.created_at > b.created_at)
+       or (a.score = b.score and a.created_at = b.created_at and a.ctid > b.ctid));
+
+alter table public."3d_newt_leaderboard"
+    add constraint "3d_newt_leaderboard_player_name_key" unique (player_name);
+
+-- Returns { "stored": true|false, "entry": row }. stored is false when the existing
+-- best is at least as high; entry is then the row that was kept.
+create or replace function public.submit_best_score(
+    p_player_name text,
+    p_score integer,
+    p_time_survived integer,
+    p_death_reason text
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    kept public."3d_newt_leaderboard";
+begin
+    insert into public."3d_newt_leaderboard" (player_name, score, time_survived, death_reason, created_at)
+    values (left(btrim(p_player_name), 20), p_score, p_time_survived, p_death_reason, now())
+    on conflict (player_name) do update
+        set score = excluded.score,
+            time_survived = excluded.time_survived,
+            death_reason = excluded.death_reason,
+            created_at = excluded.created_at
+        where "3d_newt_leaderboard".score < excluded.score
+    returning * into kept;
+
+    if found then
+        return jsonb_build_object('stored', true, 'entry', to_jsonb(kept));
+    end if;
+
+    select * into kept from public."3d_newt_leaderboard" where player_name = left(btrim(p_player_name), 20);
+    return jsonb_build_object('stored', false, 'entry', to_jsonb(kept));
+end;
+$$;
+
+grant execute on function public.submit_best_score(text, integer, integer, text) to anon;
+
+-- Clients no longer need to rewrite rows directly
+revoke insert, update, delete on public."3d_newt_leaderboard" from anon;
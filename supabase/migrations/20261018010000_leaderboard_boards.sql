@@ -0,0 +1,88 @@
+-- Leaderboard boards: per game mode (campaign / endless waves) and per time window.
+-- The best table now keeps one row per player per mode, and every submission is also
+-- logged in 3d_newt_leaderboard_runs so "today" and "this week" boards can list players
+-- whose all-time best is older.
+
+alter table public."3d_newt_leaderboard"
+    add column mode text not null default 'campaign' check (mode in ('campaign', 'endless')),
+    add column level_reached integer,
+    add column wave_reached integer not null default 0;
+
+alter table public."3d_newt_leaderboard"
+    drop constraint "3d_newt_leaderboard_player_name_key",
+    add constraint "3d_newt_leaderboard_player_name_mode_key" unique (player_name, mode);
+
+create table public."3d_newt_leaderboard_runs" (
+    id bigint generated always as identity primary key,
+    player_name text not null,
+    score integer not null,
+    time_survived integer,
+    death_reason text,
+    mode text not null check (mode in ('campaign', 'endless')),
+    level_reached integer,
+    wave_reached integer not null default 0,
+    created_at timestamptz not null default now()
+);
+
+create index "3d_newt_leaderboard_runs_board_idx"
+    on public."3d_newt_leaderboard_runs" (mode, created_at, score desc);
+create index "3d_newt_leaderboard_runs_recent_idx"
+    on public."3d_newt_leaderboard_runs" (created_at, score desc);
+
+insert into public."3d_newt_leaderboard_runs"
+    (player_name, score, time_survived, death_reason, mode, level_reached, wave_reached, created_at)
+select player_name, score, time_survived, death_reason, mode, level_reached, wave_reached, created_at
+from public."3d_newt_leaderboard";
+
+alter table public."3d_newt_leaderboard_runs" enable row level security;
+create policy "Runs are public" on public."3d_newt_leaderboard_runs" for select to anon using (true);
+grant select on public."3d_newt_leaderboard_runs" to anon;
+
+drop function public.submit_best_score(text, integer, integer, text);
+
+-- Logs the run, then keeps the player's best for its mode. Returns { "stored", "entry" }
+-- as before; stored is false when the existing best for the mode is at least as high.
+create or replace function public.submit_best_score(
+    p_player_name text,
+    p_score integer,
+    p_time_survived integer,
+    p_death_reason text,
+    p_mode text default 'campaign',
+    p_level_reached integer default null,
+    p_wave_reached integer default 0
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    name text := left(btrim(p_player_name), 20);
+    kept public."3d_newt_leaderboard";
+begin
+    insert into public."3d_newt_leaderboard_runs"
+        (player_name, score, time_survived, death_reason, mode, level_reached, wave_reached)
+    values (name, p_score, p_time_survived, p_death_reason, p_mode, p_level_reached, coalesce(p_wave_reached, 0));
+
+    insert into public."3d_newt_leaderboard"
+        (player_name, score, time_survived, death_reason, mode, level_reached, wave_reached, created_at)
+    values (name, p_score, p_time_survived, p_death_reason, p_mode, p_level_reached, coalesce(p_wave_reached, 0), now())
+    on conflict (player_name, mode) do update
+        set score = excluded.score,
+            time_survived = excluded.time_survived,
+            death_reason = excluded.death_reason,
+            level_reached = excluded.level_reached,
+            wave_reached = excluded.wave_reached,
+            created_at = excluded.created_at
+        where "3d_newt_leaderboard".score < excluded.score
+    returning * into kept;
+
+    if found then
+        return jsonb_build_object('stored', true, 'entry', to_jsonb(kept));
+    end if;
+
+    select * into kept from public."3d_newt_leaderboard" where player_name = name and mode = p_mode;
+    return jsonb_build_object('stored', false, 'entry', to_jsonb(kept));
+end;
+$$;
+
+grant execute on function public.submit_best_score(text, integer, integer, text, text, integer, integer) to anon;
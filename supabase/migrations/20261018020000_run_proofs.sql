@@ -0,0 +1,80 @@
+-- Run proofs: the run summary and input log sent with each submission
+-- (js/run-summary.js). They are kept apart from the public runs table so board queries
+-- never download input logs, and are audited offline with `npm run verify-run`, which
+-- re-simulates them; verified records the outcome once a run has been checked.
+
+create table public."3d_newt_leaderboard_run_proofs" (
+    run_id bigint primary key references public."3d_newt_leaderboard_runs" (id) on delete cascade,
+    summary jsonb not null,
+    inputs jsonb not null,
+    verified boolean,
+    created_at timestamptz not null default now()
+);
+
+alter table public."3d_newt_leaderboard_run_proofs" enable row level security;
+
+drop function public.submit_best_score(text, integer, integer, text, text, integer, integer);
+
+-- As before, plus the run proof when the client sent one. A summary that disagrees with
+-- the submitted score or time is refused outright (HTTP 422 through PostgREST's PT codes).
+create or replace function public.submit_best_score(
+    p_player_name text,
+    p_score integer,
+    p_time_survived integer,
+    p_death_reason text,
+    p_mode text default 'campaign',
+    p_level_reached integer default null,
+    p_wave_reached integer default 0,
+    p_run_summary jsonb default null,
+    p_run_inputs jsonb default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    name text := left(btrim(p_player_name), 20);
+    kept public."3d_newt_leaderboard";
+    run_id bigint;
+begin
+    if p_run_summary is not null and (
+        p_run_inputs is null
+        or (p_run_summary->>'score')::integer is distinct from p_score
+        or floor((p_run_summary->>'timeSurvived')::numeric)::integer is distinct from p_time_survived
+    ) then
+        raise exception 'Run summary does not match the submitted score' using errcode = 'PT422';
+    end if;
+
+    insert into public."3d_newt_leaderboard_runs"
+        (player_name, score, time_survived, death_reason, mode, level_reached, wave_reached)
+    values (name, p_score, p_time_survived, p_death_reason, p_mode, p_level_reached, coalesce(p_wave_reached, 0))
+    returning id into run_id;
+
+    if p_run_summary is not null then
+        insert into public."3d_newt_leaderboard_run_proofs" (run_id, summary, inputs)
+        values (run_id, p_run_summary, p_run_inputs);
+    end if;
+
+    insert into public."3d_newt_leaderboard"
+        (player_name, score, time_survived, death_reason, mode, level_reached, wave_reached, created_at)
+    values (name, p_score, p_time_survived, p_death_reason, p_mode, p_level_reached, coalesce(p_wave_reached, 0), now())
+    on conflict (player_name, mode) do update
+        set score = excluded.score,
+            time_survived = excluded.time_survived,
+            death_reason = excluded.death_reason,
+            level_reached = excluded.level_reached,
+            wave_reached = excluded.wave_reached,
+            created_at = excluded.created_at
+        where "3d_newt_leaderboard".score < excluded.score
+    returning * into kept;
+
+    if found then
+        return jsonb_build_object('stored', true, 'entry', to_jsonb(kept));
+    end if;
+
+    select * into kept from public."3d_newt_leaderboard" where player_name = name and mode = p_mode;
+    return jsonb_build_object('stored', false, 'entry', to_jsonb(kept));
+end;
+$$;
+
+grant execute on function public.submit_best_score(text, integer, integer, text, text, integer, integer, jsonb, jsonb) to anon;
@@ -0,0 +1,87 @@
+-- Player IDs: scores belong to a locally generated profile instead of a typed name.
+-- Clients send their secret profile token; only its SHA-256 (player_id) is stored and
+-- public, so reading the board does not let anyone submit as another player. Rows from
+-- before profiles, and clients that send no token, use 'legacy:' || player_name.
+
+alter table public."3d_newt_leaderboard" add column player_id text;
+update public."3d_newt_leaderboard" set player_id = 'legacy:' || player_name;
+alter table public."3d_newt_leaderboard" alter column player_id set not null;
+
+alter table public."3d_newt_leaderboard"
+    drop constraint "3d_newt_leaderboard_player_name_mode_key",
+    add constraint "3d_newt_leaderboard_player_id_mode_key" unique (player_id, mode);
+
+alter table public."3d_newt_leaderboard_runs" add column player_id text;
+update public."3d_newt_leaderboard_runs" set player_id = 'legacy:' || player_name;
+alter table public."3d_newt_leaderboard_runs" alter column player_id set not null;
+
+drop function public.submit_best_score(text, integer, integer, text, text, integer, integer, jsonb, jsonb);
+
+-- As before, keyed on the player ID. A higher score also brings the player's current name.
+create or replace function public.submit_best_score(
+    p_player_name text,
+    p_score integer,
+    p_time_survived integer,
+    p_death_reason text,
+    p_mode text default 'campaign',
+    p_level_reached integer default null,
+    p_wave_reached integer default 0,
+    p_run_summary jsonb default null,
+    p_run_inputs jsonb default null,
+    p_player_token text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    name text := left(btrim(p_player_name), 20);
+    player text := case
+        when coalesce(p_player_token, '') = '' then 'legacy:' || left(btrim(p_player_name), 20)
+        else encode(sha256(convert_to(p_player_token, 'UTF8')), 'hex')
+    end;
+    kept public."3d_newt_leaderboard";
+    run_id bigint;
+begin
+    if p_run_summary is not null and (
+        p_run_inputs is null
+        or (p_run_summary->>'score')::integer is distinct from p_score
+        or floor((p_run_summary->>'timeSurvived')::numeric)::integer is distinct from p_time_survived
+    ) then
+        raise exception 'Run summary does not match the submitted score' using errcode = 'PT422';
+    end if;
+
+    insert into public."3d_newt_leaderboard_runs"
+        (player_id, player_name, score, time_survived, death_reason, mode, level_reached, wave_reached)
+    values (player, name, p_score, p_time_survived, p_death_reason, p_mode, p_level_reached, coalesce(p_wave_reached, 0))
+    returning id into run_id;
+
+    if p_run_summary is not null then
+        insert into public."3d_newt_leaderboard_run_proofs" (run_id, summary, inputs)
+        values (run_id, p_run_summary, p_run_inputs);
+    end if;
+
+    insert into public."3d_newt_leaderboard"
+        (player_id, player_name, score, time_survived, death_reason, mode, level_reached, wave_reached, created_at)
+    values (player, name, p_score, p_time_survived, p_death_reason, p_mode, p_level_reached, coalesce(p_wave_reached, 0), now())
+    on conflict (player_id, mode) do update
+        set player_name = excluded.player_name,
+            score = excluded.score,
+            time_survived = excluded.time_survived,
+            death_reason = excluded.death_reason,
+            level_reached = excluded.level_reached,
+            wave_reached = excluded.wave_reached,
+            created_at = excluded.created_at
+        where "3d_newt_leaderboard".score < excluded.score
+    returning * into kept;
+
+    if found then
+        return jsonb_build_object('stored', true, 'entry', to_jsonb(kept));
+    end if;
+
+    select * into kept from public."3d_newt_leaderboard" where player_id = player and mode = p_mode;
+    return jsonb_build_object('stored', false, 'entry', to_jsonb(kept));
+end;
+$$;
+
+grant execute on function public.submit_best_score(text, integer, integer, text, text, integer, integer, jsonb, jsonb, text) to anon;
@@ -0,0 +1,126 @@
+-- Verified scores: only runs whose proof has been re-simulated reach the public boards.
+-- submit_best_score now requires a run proof and only queues the run (verified is null).
+-- server/verify-pending.mjs re-simulates queued proofs with js/run-verifier.js and records
+-- the outcome through record_run_verification, which only the service role may call; a
+-- verified run is then logged publicly and, when it beats the player's best, upserted.
+-- Rows from before verification were never checked; they are kept on the boards, marked
+-- predates_verification, and a player's kept best only gives way to a higher verified run.
+
+alter table public."3d_newt_leaderboard_runs" add column verified boolean;
+alter table public."3d_newt_leaderboard" add column verified boolean not null default false;
+
+-- Adding the column with a true default marks every existing row; new rows get false
+alter table public."3d_newt_leaderboard_runs" add column predates_verification boolean not null default true;
+alter table public."3d_newt_leaderboard_runs" alter column predates_verification set default false;
+alter table public."3d_newt_leaderboard" add column predates_verification boolean not null default true;
+alter table public."3d_newt_leaderboard" alter column predates_verification set default false;
+
+-- Period boards read the run log, the all-time boards and rank counts the best table
+drop policy "Runs are public" on public."3d_newt_leaderboard_runs";
+create policy "Verified runs are public" on public."3d_newt_leaderboard_runs"
+    for select to anon using (verified is true or predates_verification);
+
+alter table public."3d_newt_leaderboard" enable row level security;
+create policy "Verified bests are public" on public."3d_newt_leaderboard"
+    for select to anon using (verified or predates_verification);
+grant select on public."3d_newt_leaderboard" to anon;
+
+drop function public.submit_best_score(text, integer, integer, text, text, integer, integer, jsonb, jsonb, text);
+
+-- Same arguments as before, but the proof is required and nothing is published yet.
+-- Returns { "stored": false, "pending": true, "entry": the player's public best or null }.
+create or replace function public.submit_best_score(
+    p_player_name text,
+    p_score integer,
+    p_time_survived integer,
+    p_death_reason text,
+    p_mode text default 'campaign',
+    p_level_reached integer default null,
+    p_wave_reached integer default 0,
+    p_run_summary jsonb default null,
+    p_run_inputs jsonb default null,
+    p_player_token text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    name text := left(btrim(p_player_name), 20);
+    player text := case
+        when coalesce(p_player_token, '') = '' then 'legacy:' || left(btrim(p_player_name), 20)
+        else encode(sha256(convert_to(p_player_token, 'UTF8')), 'hex')
+    end;
+    kept public."3d_newt_leaderboard";
+    run_id bigint;
+begin
+    if p_run_summary is null or p_run_inputs is null then
+        raise exception 'Run proof is required' using errcode = 'PT422';
+    end if;
+    if (p_run_summary->>'score')::integer is distinct from p_score
+        or floor((p_run_summary->>'timeSurvived')::numeric)::integer is distinct from p_time_survived then
+        raise exception 'Run summary does not match the submitted score' using errcode = 'PT422';
+    end if;
+
+    insert into public."3d_newt_leaderboard_runs"
+        (player_id, player_name, score, time_survived, death_reason, mode, level_reached, wave_reached)
+    values (player, name, p_score, p_time_survived, p_death_reason, p_mode, p_level_reached, coalesce(p_wave_reached, 0))
+    returning id into run_id;
+
+    insert into public."3d_newt_leaderboard_run_proofs" (run_id, summary, inputs)
+    values (run_id, p_run_summary, p_run_inputs);
+
+    select * into kept from public."3d_newt_leaderboard"
+    where player_id = player and mode = p_mode and (verified or predates_verification);
+    return jsonb_build_object('stored', false, 'pending', true, 'entry', case when found then to_jsonb(kept) end);
+end;
+$$;
+
+grant execute on function public.submit_best_score(text, integer, integer, text, text, integer, integer, jsonb, jsonb, text) to anon;
+
+-- Records the verifier's outcome for a queued run. A verified run becomes public and
+-- replaces the player's best for its mode when higher (or when the kept best was neither
+-- verified nor from before verification). Returns { "stored": true|false } (stored: the best row changed).
+create or replace function public.record_run_verification(p_run_id bigint, p_verified boolean)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    run public."3d_newt_leaderboard_runs";
+begin
+    update public."3d_newt_leaderboard_run_proofs" set verified = p_verified where run_id = p_run_id;
+    update public."3d_newt_leaderboard_runs" set verified = p_verified where id = p_run_id
+    returning * into run;
+
+    if not found then
+        raise exception 'Unknown run %', p_run_id using errcode = 'PT404';
+    end if;
+    if not p_verified then
+        return jsonb_build_object('stored', false);
+    end if;
+
+    insert into public."3d_newt_leaderboard"
+        (player_id, player_name, score, time_survived, death_reason, mode, level_reached, wave_reached, created_at, verified)
+    values (run.player_id, run.player_name, run.score, run.time_survived, run.death_reason, run.mode,
+            run.level_reached, run.wave_reached, now(), true)
+    on conflict (player_id, mode) do update
+        set player_name = excluded.player_name,
+            score = excluded.score,
+            time_survived = excluded.time_survived,
+            death_reason = excluded.death_reason,
+            level_reached = excluded.level_reached,
+            wave_reached = excluded.wave_reached,
+            created_at = excluded.created_at,
+            verified = true,
+            predates_verification = false
+        where "3d_newt_leaderboard".score < excluded.score
+            or not ("3d_newt_leaderboard".verified or "3d_newt_leaderboard".predates_verification);
+
+    return jsonb_build_object('stored', found);
+end;
+$$;
+
+revoke execute on function public.record_run_verification(bigint, boolean) from public, anon;
+grant execute on function public.record_run_verification(bigint, boolean) to service_role;
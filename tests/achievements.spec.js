@@ -0,0 +1,23 @@
+import { test, expect } from '@playwright/test';
+
+const BASE_URL = 'http://localhost:3000';
+
+test.describe('Achievements', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto(`${BASE_URL}/?leaderboard=local`, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+    });
+
+    test('an unlock shows a toast and is listed in the trophy room', async ({ page }) => {
+        await page.evaluate(() => window.__game.events.emit('newt:rescued', { position: null, bonus: true }));
+        await expect(page.locator('.achievement-toast')).toContainText('Golden Glow');
+
+        await page.click('#achievements-btn');
+        await expect(page.locator('#achievements-modal')).toBeVisible();
+        await expect(page.locator('.achievement-item[data-id="golden-glow"]')).toHaveClass(/unlocked/);
+        await expect(page.locator('.achievement-item[data-id="newt-guardian"]')).toContainText('1 / 100');
+
+        await page.click('#close-achievements-btn');
+        await expect(page.locator('#achievements-modal')).toBeHidden();
+    });
+});
@@ -60,7 +60,7 @@ test.describe('Gamepad controller support', () => {
         expect(result.gamepadIndex).toBe(-1);
     });
 
-    test('Right thumbstick (axes 2,3) drives movement direction', async ({ page }) => {
+    test('Left thumbstick (axes 0,1) drives movement by default', async ({ page }) => {
         await page.goto('http://localhost:3000', { waitUntil: 'load' });
 
         const result = await page.evaluate(async () => {
@@ -73,30 +73,32 @@ test.describe('Gamepad controller support', () => {
             const roadBounds = { minX: -20, maxX: 20, minZ: -150, maxZ: 150 };
             const player = new Player(camera, scene, roadBounds, true);
 
+            // Standard mapping pad with only the left stick pushed
+            const pad = { id: 'Test pad', axes: [0.5, -0.8, 0, 0], buttons: [] };
+            Object.defineProperty(navigator, 'getGamepads', { value: () => [pad], configurable: true });
             player.gamepadIndex = 0;
-            player.gamepadMoveX = 0;
-            player.gamepadMoveY = 0;
             player.joystickInput = { x: 0, y: 0 };
-            player.update(0.016);
-            const zeroDirX = player.direction.x;
 
-            player.gamepadMoveX = 0.5;
-            player.gamepadMoveY = 0.8;
+            const qBefore = camera.quaternion.clone();
             player.update(0.016);
 
             return {
-                zeroDirX,
+                moveX: player.gamepadMoveX,
+                lookX: player.gamepadLookX,
                 activeDirX: player.direction.x,
-                activeDirZ: player.direction.z
+                activeDirZ: player.direction.z,
+                rotationChanged: !qBefore.equals(camera.quaternion)
             };
         });
 
-        expect(result.zeroDirX).toBe(0);
+        expect(result.moveX).toBe(0.5);
+        expect(result.lookX).toBe(0);
         expect(result.activeDirX).not.toBe(0);
         expect(result.activeDirZ).not.toBe(0);
+        expect(result.rotationChanged).toBeFalsy();
     });
 
-    test('Left thumbstick (axes 0,1) drives camera look rotation', async ({ page }) => {
+    test('Right thumbstick (axes 2,3) drives camera look by default', async ({ page }) => {
         await page.goto('http://localhost:3000', { waitUntil: 'load' });
 
         const result = await page.evaluate(async () => {
@@ -109,32 +111,24 @@ test.describe('Gamepad controller support', () => {
             const roadBounds = { minX: -20, maxX: 20, minZ: -150, maxZ: 150 };
             const player = new Player(camera, scene, roadBounds, true);
 
+            // Standard mapping pad with only the right stick pushed
+            const pad = { id: 'Test pad', axes: [0, 0, 0.8, 0], buttons: [] };
+            Object.defineProperty(navigator, 'getGamepads', { value: () => [pad], configurable: true });
             player.gamepadIndex = 0;
-            player.gamepadLookX = 0;
-            player.gamepadLookY = 0;
             player.joystickInput = { x: 0, y: 0 };
 
             const qBefore = camera.quaternion.clone();
-
-            player.gamepadLookX = 0.8;
-            player.pollGamepad = function (dt) {
-                if (this.gamepadLookX !== 0 || this.gamepadLookY !== 0) {
-                    this.euler.setFromQuaternion(this.camera.quaternion);
-                    this.euler.y -= this.gamepadLookX * this.gamepadLookSensitivity * dt;
-                    this.euler.x -= this.gamepadLookY * this.gamepadLookSensitivity * dt;
-                    this.euler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.euler.x));
-                    this.camera.quaternion.setFromEuler(this.euler);
-                }
-            };
             player.update(0.016);
 
-            const qAfter = camera.quaternion.clone();
-
             return {
-                rotationChanged: !qBefore.equals(qAfter)
+                moveX: player.gamepadMoveX,
+                lookX: player.gamepadLookX,
+                rotationChanged: !qBefore.equals(camera.quaternion)
             };
         });
 
+        expect(result.lookX).toBe(0.8);
+        expect(result.moveX).toBe(0);
         expect(result.rotationChanged).toBeTruthy();
     });
 });
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+
+const BASE_URL = 'http://localhost:3000';
+const LEADERBOARD_URL = 'http://localhost:8787';
+
+// Runs against server/leaderboard-server.mjs (started by playwright.config.js), never production
+test.describe('Leaderboard on the local server', () => {
+    test('the title screen leaderboard lists scores from the REST backend', async ({ page, request }) => {
+        const player = `pw-${Date.now().toString(36)}`;
+        const submitted = await request.post(`${LEADERBOARD_URL}/scores`, {
+            data: { player_name: player, score: 999999, time_survived: 125, death_reason: 'car' }
+        });
+        expect(submitted.ok()).toBe(true);
+
+        await page.goto(`${BASE_URL}/?leaderboard=rest`, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+
+        await page.click('#view-leaderboard-btn');
+        const first = page.locator('#leaderboard-list .leaderboard-entry').first();
+        await expect(first.locator('.leaderboard-name')).toHaveText(player);
+        await expect(first.locator('.leaderboard-details')).toContainText('2:05');
+    });
+
+    test('scores submitted from the game reach the local server', async ({ page, request }) => {
+        const player = `pw-${Date.now().toString(36)}`;
+
+        await page.goto(`${BASE_URL}/?leaderboard=rest`, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+        const result = await page.evaluate(async name => {
+            const leaderboard = window.__game.leaderboard;
+            const first = await leaderboard.submitScore(name, 40, 30, 'car');
+            const lower = await leaderboard.submitScore(name, 10, 30, 'car');
+            return { first: first.success, lower: lower.message };
+        }, player);
+
+        expect(result).toEqual({ first: true, lower: 'Existing score is higher' });
+        const scores = await (await request.get(`${LEADERBOARD_URL}/scores?limit=100`)).json();
+        expect(scores.filter(entry => entry.player_name === player).map(entry => entry.score)).toEqual([40]);
+    });
+
+    test('the game over screen shows where the run would place', async ({ page }) => {
+        await page.goto(`${BASE_URL}/?leaderboard=rest`, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+
+        await page.evaluate(() => {
+            const game = window.__game;
+            game.beginPlay();
+            game.gameOver('car');
+        });
+
+        await expect(page.locator('#standing-rank')).toContainText(/You would place #\d+/);
+        await expect(page.locator('#standing-neighbours li.you')).toHaveCount(1);
+    });
+
+    test('tabs switch between mode and period boards', async ({ page, request }) => {
+        const player = `pw-${Date.now().toString(36)}`;
+        await request.post(`${LEADERBOARD_URL}/scores`, {
+            data: { player_name: player, score: 888888, time_survived: 300, death_reason: 'bear', mode: 'endless', level_reached: 5, wave_reached: 2 }
+        });
+
+        await page.goto(`${BASE_URL}/?leaderboard=rest`, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+        await page.click('#view-leaderboard-btn');
+
+        await page.click('#leaderboard-mode-tabs [data-mode="endless"]');
+        await page.click('#leaderboard-period-tabs [data-period="today"]');
+        await expect(page.locator('#leaderboard-period-tabs [data-period="today"]')).toHaveClass(/active/);
+
+        const first = page.locator('#leaderboard-list .leaderboard-entry').first();
+        await expect(first.locator('.leaderboard-name')).toHaveText(player);
+        await expect(first.locator('.leaderboard-details')).toContainText('Wave 2');
+        await expect(first.locator('.leaderboard-details')).toContainText('Bear attack');
+
+        await page.click('#leaderboard-mode-tabs [data-mode="campaign"]');
+        await expect(page.locator('#leaderboard-list')).not.toContainText(player);
+    });
+});
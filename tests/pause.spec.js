@@ -0,0 +1,67 @@
+import { test, expect } from '@playwright/test';
+
+const BASE_URL = 'http://localhost:3000';
+
+test.describe('Pause menu', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto(BASE_URL, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+    });
+
+    test('pausing freezes the simulation and shows the overlay', async ({ page }) => {
+        const result = await page.evaluate(() => {
+            const game = window.__game;
+            game.state = 'playing';
+            game.pauseGame();
+
+            const before = game.elapsedTime;
+            game.update(0.1);
+
+            return {
+                state: game.state,
+                frozen: game.elapsedTime === before,
+                suspended: game.audioManager.isSuspended
+            };
+        });
+
+        expect(result).toEqual({ state: 'paused', frozen: true, suspended: true });
+        await expect(page.locator('#pause-screen')).toBeVisible();
+        await expect(page.locator('#resume-button')).toBeVisible();
+        await expect(page.locator('#pause-restart-button')).toBeVisible();
+        await expect(page.locator('#quit-button')).toBeVisible();
+    });
+
+    test('settings panel swaps with the pause buttons', async ({ page }) => {
+        await page.evaluate(() => {
+            window.__game.state = 'playing';
+            window.__game.pauseGame();
+        });
+
+        await page.locator('#pause-settings-button').click();
+        await expect(page.locator('#settings-screen')).toBeVisible();
+        await expect(page.locator('#pause-menu')).toBeHidden();
+
+        await page.locator('#settings-back-button').click();
+        await expect(page.locator('#settings-screen')).toBeHidden();
+        await expect(page.locator('#pause-menu')).toBeVisible();
+    });
+
+    test('quit returns to the title screen on level 1', async ({ page }) => {
+        await page.evaluate(() => {
+            const game = window.__game;
+            game.state = 'playing';
+            game.currentLevel = 2;
+            game.pauseGame();
+        });
+
+        await page.locator('#quit-button').click();
+
+        const state = await page.evaluate(() => ({
+            state: window.__game.state,
+            level: window.__game.currentLevel
+        }));
+        expect(state).toEqual({ state: 'menu', level: 1 });
+        await expect(page.locator('#pause-screen')).toBeHidden();
+        await expect(page.locator('#start-screen')).toBeVisible();
+    });
+});
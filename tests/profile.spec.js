@@ -0,0 +1,40 @@
+import { test, expect } from '@playwright/test';
+
+const BASE_URL = 'http://localhost:3000';
+
+test.describe('Player profile', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto(`${BASE_URL}/?leaderboard=local`, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+    });
+
+    test('the profile screen opens from the start screen and validates names', async ({ page }) => {
+        await page.click('#profile-btn');
+        await expect(page.locator('#profile-modal')).toBeVisible();
+        await expect(page.locator('#profile-id')).toContainText('Player ID');
+
+        await page.fill('#profile-name', 'x');
+        await page.click('#save-profile-btn');
+        await expect(page.locator('#profile-status')).toHaveClass(/error/);
+
+        await page.fill('#profile-name', '  Night   Walker ');
+        await page.click('#save-profile-btn');
+        await expect(page.locator('#profile-status')).toHaveText('Name saved');
+
+        await page.reload({ waitUntil: 'networkidle' });
+        await page.click('#profile-btn');
+        await expect(page.locator('#profile-name')).toHaveValue('Night Walker');
+    });
+
+    test('finished runs add to the lifetime stats', async ({ page }) => {
+        await page.evaluate(() => {
+            const game = window.__game;
+            game.beginPlay();
+            game.gameOver('car');
+        });
+
+        const stats = await page.evaluate(() => window.__game.profile.getSnapshot().stats);
+        expect(stats.runs).toBe(1);
+        expect(stats.deathsByCause).toEqual({ car: 1 });
+    });
+});
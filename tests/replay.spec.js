@@ -0,0 +1,50 @@
+import { test, expect } from '@playwright/test';
+
+const BASE_URL = 'http://localhost:3000';
+
+test.describe('Replays', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto(BASE_URL, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+    });
+
+    test('a recorded run can be saved and watched back', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const { ReplayRecorder } = await import('/js/replay.js');
+            const game = window.__game;
+
+            game.recorder = new ReplayRecorder({ seed: game.runSeed, level: 1, totalScore: 0 });
+            game.beginPlay();
+            for (let i = 0; i < 90; i++) game.fixedUpdate(game.timestep.step);
+            game.gameOver('car');
+
+            const replay = game.lastReplay;
+            game.startReplay(JSON.parse(JSON.stringify(replay)));
+            for (let i = 0; i < 90; i++) game.fixedUpdate(game.timestep.step);
+
+            return {
+                ticks: replay.ticks,
+                seed: replay.seed === game.runSeed,
+                playedTicks: game.replayPlayer.tick,
+                state: game.state
+            };
+        });
+
+        expect(result.ticks).toBe(90);
+        expect(result.seed).toBe(true);
+        expect(result.playedTicks).toBe(90);
+        expect(result.state).toBe('playing');
+        await expect(page.locator('#replay-controls')).toBeVisible();
+
+        await page.locator('#replay-exit-btn').click();
+        await expect(page.locator('#replay-controls')).toBeHidden();
+        await expect(page.locator('#start-screen')).toBeVisible();
+    });
+
+    test('invalid replay files report an error on the title screen', async ({ page }) => {
+        await page.evaluate(() => window.__game.loadReplayFile('{"format":"nope"}'));
+
+        await expect(page.locator('#replay-load-error')).toBeVisible();
+        expect(await page.evaluate(() => window.__game.state)).toBe('menu');
+    });
+});
@@ -0,0 +1,57 @@
+import { test, expect } from '@playwright/test';
+
+const BASE_URL = 'http://localhost:3000';
+
+test.describe('Settings', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto(BASE_URL, { waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+    });
+
+    test('opens from the title screen and applies changes live', async ({ page }) => {
+        await page.click('#settings-btn');
+        await expect(page.locator('#settings-screen')).toBeVisible();
+
+        await page.locator('#fov').fill('90');
+        await page.locator('#invert-y').check();
+        await page.selectOption('#quality-preset', 'low');
+
+        const applied = await page.evaluate(() => {
+            const game = window.__game;
+            return {
+                fov: game.camera.fov,
+                invertY: game.player.invertY,
+                quality: game.qualityLevel
+            };
+        });
+        expect(applied).toEqual({ fov: 90, invertY: true, quality: 1 });
+
+        await page.click('#settings-back-button');
+        await expect(page.locator('#settings-screen')).toBeHidden();
+    });
+
+    test('settings survive a reload', async ({ page }) => {
+        await page.click('#settings-btn');
+        await page.locator('#music-volume').fill('30');
+        await page.reload({ waitUntil: 'networkidle' });
+        await page.waitForFunction(() => window.__game !== undefined);
+
+        const music = await page.evaluate(() => window.__game.audioManager.musicVolume);
+        expect(music).toBeCloseTo(0.3);
+        await expect(page.locator('#music-volume')).toHaveValue('30');
+    });
+
+    test('the O key pauses a run and opens settings', async ({ page }) => {
+        await page.evaluate(() => {
+            window.__game.state = 'playing';
+        });
+        await page.keyboard.press('KeyO');
+
+        await expect(page.locator('#settings-screen')).toBeVisible();
+        expect(await page.evaluate(() => window.__game.state)).toBe('paused');
+
+        await page.keyboard.press('KeyO');
+        await expect(page.locator('#settings-screen')).toBeHidden();
+        await expect(page.locator('#pause-menu')).toBeVisible();
+    });
+});
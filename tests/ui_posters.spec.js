@@ -6,8 +6,10 @@ test.describe('Level Start Posters', () => {
 
         await page.evaluate(async () => {
             const { UIManager } = await import('/js/ui.js');
+            const { loadLevelDefinitions } = await import('/js/level-data.js');
+            const [level1] = await loadLevelDefinitions();
             const ui = new UIManager();
-            ui.showLevelStartMessage(1);
+            ui.showLevelStartMessage(1, level1);
         });
 
         const poster = page.locator('#level-start-message');
@@ -22,8 +24,10 @@ test.describe('Level Start Posters', () => {
 
         await page.evaluate(async () => {
             const { UIManager } = await import('/js/ui.js');
+            const { loadLevelDefinitions } = await import('/js/level-data.js');
+            const [level1] = await loadLevelDefinitions();
             const ui = new UIManager();
-            ui.showLevelStartMessage(1);
+            ui.showLevelStartMessage(1, level1);
         });
 
         const poster = page.locator('#level-start-message');
@@ -0,0 +1,89 @@
+import { describe, expect, test } from 'vitest';
+import { ACHIEVEMENTS, AchievementManager } from '../../js/achievements.js';
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+function unlockedIds(unlocks) {
+    return unlocks.map(achievement => achievement.id);
+}
+
+describe('Achievements', () => {
+    test('definitions have unique ids and the fields the trophy room shows', () => {
+        const ids = ACHIEVEMENTS.map(achievement => achievement.id);
+        expect(new Set(ids).size).toBe(ids.length);
+        for (const achievement of ACHIEVEMENTS) {
+            expect(achievement.title && achievement.description && achievement.icon && achievement.on).toBeTruthy();
+        }
+    });
+
+    test('when filters decide which events count', () => {
+        const achievements = new AchievementManager({ storage: memoryStorage() });
+
+        expect(unlockedIds(achievements.handle('rescue', { bonus: false }))).toEqual([]);
+        expect(unlockedIds(achievements.handle('rescue', { bonus: true }))).toEqual(['golden-glow']);
+        expect(unlockedIds(achievements.handle('wave-start', { wave: 4 }))).toEqual([]);
+        expect(unlockedIds(achievements.handle('wave-start', { wave: 5 }))).toEqual(['wave-five']);
+        expect(unlockedIds(achievements.handle('level-complete', { level: 3, flashlightTurnedOff: true }))).toEqual([]);
+        expect(unlockedIds(achievements.handle('level-complete', { level: 2, flashlightTurnedOff: false }))).toEqual([]);
+        expect(unlockedIds(achievements.handle('level-complete', { level: 3, flashlightTurnedOff: false }))).toEqual(['steady-beam']);
+        expect(unlockedIds(achievements.handle('near-miss', { stealth: true }))).toEqual(['ghost-rider']);
+    });
+
+    test('run counts start over each run', () => {
+        const achievements = new AchievementManager({ storage: memoryStorage() });
+
+        achievements.startRun();
+        for (let i = 0; i < 9; i++) achievements.handle('near-miss', { stealth: false });
+        achievements.startRun();
+        for (let i = 0; i < 9; i++) achievements.handle('near-miss', { stealth: false });
+        expect(achievements.isUnlocked('close-shaves')).toBe(false);
+
+        expect(unlockedIds(achievements.handle('near-miss', { stealth: false }))).toEqual(['close-shaves']);
+    });
+
+    test('lifetime counts carry over between runs and sessions', () => {
+        const storage = memoryStorage();
+        const first = new AchievementManager({ storage });
+        for (let i = 0; i < 60; i++) first.handle('rescue', { bonus: false });
+
+        const second = new AchievementManager({ storage });
+        second.startRun();
+        expect(second.getAll().find(achievement => achievement.id === 'newt-guardian')).toMatchObject({
+            unlocked: false,
+            progress: 60,
+            target: 100
+        });
+        for (let i = 0; i < 39; i++) second.handle('rescue', { bonus: false });
+        expect(unlockedIds(second.handle('rescue', { bonus: false }))).toEqual(['newt-guardian']);
+    });
+
+    test('unlocks once, persists the time and tells the callback', () => {
+        const storage = memoryStorage();
+        const achievements = new AchievementManager({ storage, now: () => 1234 });
+        const toasts = [];
+        achievements.onUnlock(achievement => toasts.push(achievement.id));
+
+        achievements.handle('rescue', { bonus: true });
+        achievements.handle('rescue', { bonus: true });
+        expect(toasts).toEqual(['golden-glow']);
+
+        const reloaded = new AchievementManager({ storage });
+        expect(reloaded.isUnlocked('golden-glow')).toBe(true);
+        expect(reloaded.getAll().find(achievement => achievement.id === 'golden-glow')).toMatchObject({
+            unlocked: true,
+            unlockedAt: 1234,
+            progress: 1
+        });
+    });
+
+    test('corrupt saved data starts a fresh record', () => {
+        const achievements = new AchievementManager({ storage: memoryStorage({ newtRescueAchievements: '{nope' }) });
+        expect(achievements.getAll().every(achievement => !achievement.unlocked)).toBe(true);
+    });
+});
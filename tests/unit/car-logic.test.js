@@ -1,6 +1,7 @@
 import { describe, expect, test } from 'vitest';
 import * as THREE from 'three';
 import { CarManager } from '../../js/cars.js';
+import { random } from '../../js/random.js';
 
 describe('CarManager logic', () => {
     test('setQualityLevel updates maxCars for low-end devices', () => {
@@ -31,6 +32,16 @@ describe('CarManager logic', () => {
         expect(manager.maxCars).toBe(14);
     });
 
+    test('setTrafficMix only spawns the vehicle types a level allows', () => {
+        const manager = Object.create(CarManager.prototype);
+        manager.setTrafficMix({ semi: 1, motorcycle: 1, bus: 5 });
+
+        const types = new Set();
+        for (let i = 0; i < 200; i++) types.add(manager.getRandomVehicleType());
+
+        expect([...types].sort()).toEqual(['motorcycle', 'semi']);
+    });
+
     test('boxesIntersect returns true for overlap and edge-touching', () => {
         const manager = Object.create(CarManager.prototype);
         const a = { minX: 0, maxX: 2, minZ: 0, maxZ: 2 };
@@ -57,6 +68,53 @@ describe('CarManager logic', () => {
         expect(semi.maxZ - semi.minZ).toBeGreaterThan(motorcycle.maxZ - motorcycle.minZ);
     });
 
+    test('angled semi collides along its real footprint, not its axis-aligned bounds', () => {
+        const manager = Object.create(CarManager.prototype);
+        manager.cars = [{
+            vehicleType: 'semi',
+            isStealth: false,
+            mesh: { position: { x: 0, z: 0 }, rotation: { y: Math.PI / 6 } }
+        }];
+
+        // Near the trailer end along the rotated forward axis (sin 30°, cos 30°)
+        const onTrailer = { minX: 2.5, maxX: 3.5, minZ: 4.7, maxZ: 5.7 };
+        expect(manager.checkCollision(onTrailer)).toEqual({ collision: true, isStealth: false });
+
+        // Inside the enclosing axis-aligned bounds but well clear of the rotated body
+        const besideTrailer = { minX: -4, maxX: -3, minZ: 5, maxZ: 6 };
+        const bounds = manager.getCarBoundingBox(manager.cars[0]);
+        expect(manager.boxesIntersect(besideTrailer, bounds)).toBe(true);
+        expect(manager.checkCollision(besideTrailer)).toEqual({ collision: false });
+    });
+
+    test('car rotated 90 degrees swaps its width and length extents', () => {
+        const manager = Object.create(CarManager.prototype);
+        const box = manager.getCarBoundingBox({
+            vehicleType: 'car',
+            mesh: { position: { x: 0, z: 0 }, rotation: { y: Math.PI / 2 } }
+        });
+
+        expect(box.maxX).toBeCloseTo(2);
+        expect(box.maxZ).toBeCloseTo(1);
+        expect(manager.boxIntersectsCar({ minX: 1.5, maxX: 1.9, minZ: -0.2, maxZ: 0.2 }, box)).toBe(true);
+        expect(manager.boxIntersectsCar({ minX: -0.2, maxX: 0.2, minZ: 1.5, maxZ: 1.9 }, box)).toBe(false);
+    });
+
+    test('checkNewtCollisions only crushes newts under an angled vehicle', () => {
+        const manager = Object.create(CarManager.prototype);
+        manager._carBox = manager.getCarBoundingBox({ vehicleType: 'car', mesh: { position: { x: 0, z: 0 } } });
+        manager._newtBox = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
+        manager.cars = [{
+            vehicleType: 'truck',
+            mesh: { position: { x: 0, z: 0 }, rotation: { y: -Math.PI / 4 } }
+        }];
+
+        const underTruck = { mesh: { position: { x: -1.5, z: 1.5 } } };
+        const inBoundsCorner = { mesh: { position: { x: 2, z: 2 } } };
+
+        expect(manager.checkNewtCollisions([underTruck, inBoundsCorner])).toEqual([underTruck]);
+    });
+
     test('checkNearMiss triggers once when near miss occurs without collision', () => {
         const manager = Object.create(CarManager.prototype);
         manager.nearMissCooldown = 0.5;
@@ -161,4 +219,17 @@ describe('CarManager logic', () => {
         expect(positions[4]).toBeCloseTo(0.7);
         expect(positions[5]).toBeCloseTo(19.38);
     });
+
+    test('vehicle picks repeat for the same run seed', () => {
+        const manager = Object.create(CarManager.prototype);
+        manager.setTrafficMix({ car: 1, truck: 1, semi: 1, motorcycle: 1 });
+        const pick = () => Array.from({ length: 12 }, () => manager.getRandomVehicleType());
+
+        random.setSeed('replay');
+        random.beginLevel(2);
+        const first = pick();
+
+        random.beginLevel(2);
+        expect(pick()).toEqual(first);
+    });
 });
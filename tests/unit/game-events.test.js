@@ -0,0 +1,82 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { EventBus, GAME_EVENTS } from '../../js/game-events.js';
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('Game event bus', () => {
+    test('declares the gameplay events with their payload fields', () => {
+        expect(Object.keys(GAME_EVENTS)).toEqual(expect.arrayContaining([
+            'newt:rescued', 'newt:crushed', 'car:nearMiss', 'player:died', 'level:started', 'battery:low'
+        ]));
+        expect(GAME_EVENTS['newt:rescued']).toEqual(['position', 'bonus']);
+    });
+
+    test('delivers payloads to every subscriber in subscription order', () => {
+        const bus = new EventBus();
+        const calls = [];
+        bus.on('newt:rescued', payload => calls.push(['sound', payload.bonus]));
+        bus.on('newt:rescued', payload => calls.push(['haptic', payload.bonus]));
+        bus.on('newt:crushed', () => calls.push(['crush']));
+
+        bus.emit('newt:rescued', { position: null, bonus: true });
+        expect(calls).toEqual([['sound', true], ['haptic', true]]);
+    });
+
+    test('unsubscribes through the returned function, off and once', () => {
+        const bus = new EventBus();
+        const onNearMiss = vi.fn();
+        const onBatteryLow = vi.fn();
+        const onStart = vi.fn();
+
+        const unsubscribe = bus.on('car:nearMiss', onNearMiss);
+        bus.on('battery:low', onBatteryLow);
+        bus.once('level:started', onStart);
+
+        bus.emit('car:nearMiss', { stealth: false });
+        unsubscribe();
+        bus.emit('car:nearMiss', { stealth: true });
+        expect(onNearMiss).toHaveBeenCalledTimes(1);
+
+        bus.off('battery:low', onBatteryLow);
+        bus.emit('battery:low', { battery: 12 });
+        expect(onBatteryLow).not.toHaveBeenCalled();
+
+        bus.emit('level:started', { level: 1, wave: 0 });
+        bus.emit('level:started', { level: 2, wave: 0 });
+        expect(onStart).toHaveBeenCalledTimes(1);
+        expect(onStart).toHaveBeenCalledWith({ level: 1, wave: 0 });
+    });
+
+    test('rejects undeclared events and payloads missing declared fields', () => {
+        const bus = new EventBus();
+        expect(() => bus.on('newt:rescue', () => {})).toThrow('Unknown game event: newt:rescue');
+        expect(() => bus.emit('player:dead', {})).toThrow('Unknown game event');
+        expect(() => bus.emit('player:died', { reason: 'car', score: 3 }))
+            .toThrow('Game event player:died is missing rescued, time, level, wave');
+    });
+
+    test('a failing handler is logged without stopping the others', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const bus = new EventBus();
+        const after = vi.fn();
+        bus.on('newt:crushed', () => {
+            throw new Error('boom');
+        });
+        bus.on('newt:crushed', after);
+
+        expect(() => bus.emit('newt:crushed', { position: null })).not.toThrow();
+        expect(after).toHaveBeenCalledTimes(1);
+        expect(console.error).toHaveBeenCalled();
+    });
+
+    test('accepts a custom event catalogue', () => {
+        const bus = new EventBus({ 'test:ping': ['count'] });
+        const handler = vi.fn();
+        bus.on('test:ping', handler);
+        bus.emit('test:ping', { count: 2 });
+        expect(handler).toHaveBeenCalledWith({ count: 2 });
+        expect(() => bus.on('newt:rescued', handler)).toThrow();
+    });
+});
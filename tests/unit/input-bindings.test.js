@@ -0,0 +1,188 @@
+import { describe, expect, test } from 'vitest';
+import * as THREE from 'three';
+import { Player } from '../../js/player.js';
+import {
+    DEFAULT_GAMEPAD_BINDINGS, DEFAULT_KEYBOARD_BINDINGS, InputBindings,
+    detectGamepadInput, gamepadBindingLabel, keyLabel, readGamepadAxis, readKeyboardAxis,
+    sanitizeGamepadBindings, sanitizeKeyboardBindings, snapshotGamepad
+} from '../../js/input-bindings.js';
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+function fakeGamepad(axes = [0, 0, 0, 0], pressed = []) {
+    return {
+        id: 'Test Pad',
+        axes,
+        buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) }))
+    };
+}
+
+// Keyboard-only player without DOM listeners
+function createPlayer(bindings) {
+    const player = Object.create(Player.prototype);
+    Object.assign(player, { bindings, keysDown: new Set() });
+    player.onFlashlightToggle = null;
+    player.onPauseToggle = null;
+    player.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    return player;
+}
+
+const keyEvent = (code, repeat = false) => ({ code, repeat, target: {} });
+
+describe('Input bindings', () => {
+    test('default keyboard keeps WASD, arrows and F', () => {
+        const keysDown = new Set(['KeyW', 'ArrowLeft']);
+        expect(readKeyboardAxis(DEFAULT_KEYBOARD_BINDINGS.moveY, keysDown)).toBe(1);
+        expect(readKeyboardAxis(DEFAULT_KEYBOARD_BINDINGS.moveX, keysDown)).toBe(-1);
+        expect(readKeyboardAxis(DEFAULT_KEYBOARD_BINDINGS.moveX, new Set(['KeyA', 'KeyD']))).toBe(0);
+        expect(DEFAULT_KEYBOARD_BINDINGS.toggleFlashlight).toEqual(['KeyF']);
+    });
+
+    test('default gamepad moves on the left stick and looks with the right', () => {
+        // Standard mapping: stick up reads -1
+        const gamepad = fakeGamepad([0.5, -1, 0.1, 0.8]);
+        expect(readGamepadAxis(DEFAULT_GAMEPAD_BINDINGS.moveX, gamepad, 0.15)).toBe(0.5);
+        expect(readGamepadAxis(DEFAULT_GAMEPAD_BINDINGS.moveY, gamepad, 0.15)).toBe(1);
+        expect(readGamepadAxis(DEFAULT_GAMEPAD_BINDINGS.lookX, gamepad, 0.15)).toBe(0);
+        expect(readGamepadAxis(DEFAULT_GAMEPAD_BINDINGS.lookY, gamepad, 0.15)).toBe(-0.8);
+        expect(readGamepadAxis(null, gamepad)).toBe(0);
+    });
+
+    test('saved profiles keep valid bindings and default the rest', () => {
+        const keyboard = sanitizeKeyboardBindings({
+            moveY: { negative: ['KeyS'], positive: ['KeyZ'] },
+            toggleFlashlight: 'KeyF',
+            pause: ['Escape']
+        });
+        expect(keyboard.moveY).toEqual({ negative: ['KeyS'], positive: ['KeyZ'] });
+        expect(keyboard.toggleFlashlight).toEqual(['KeyF']);
+        expect(keyboard.pause).toEqual(DEFAULT_KEYBOARD_BINDINGS.pause);
+
+        const gamepad = sanitizeGamepadBindings({ moveX: { axis: 4, invert: false }, sprint: null, pause: -1 });
+        expect(gamepad.moveX).toEqual({ axis: 4, invert: false });
+        expect(gamepad.sprint).toBeNull();
+        expect(gamepad.pause).toBe(9);
+    });
+
+    test('rebinding a key moves it off its old action and keeps alternates', () => {
+        const storage = memoryStorage();
+        const bindings = new InputBindings({ storage });
+
+        bindings.bindKey('moveY', 'KeyZ', 'positive');
+        bindings.bindKey('moveX', 'KeyQ', 'negative');
+        bindings.bindKey('toggleFlashlight', 'KeyA');
+        expect(bindings.getKeyboard().moveY.positive).toEqual(['KeyZ', 'ArrowUp']);
+        expect(bindings.getKeyboard().moveX.negative).toEqual(['KeyQ', 'ArrowLeft']);
+        expect(bindings.getKeyboard().toggleFlashlight).toEqual(['KeyA']);
+
+        bindings.bindKey('sprint', 'KeyZ');
+        expect(bindings.getKeyboard().moveY.positive).toEqual(['ArrowUp']);
+
+        expect(() => bindings.bindKey('pause', 'Escape')).toThrow('Reserved key');
+        expect(() => bindings.bindKey('moveX', 'KeyJ')).toThrow('needs a direction');
+        expect(() => bindings.bindKey('jump', 'Space')).toThrow('Unknown input action');
+
+        expect(new InputBindings({ storage }).getKeyboard()).toEqual(bindings.getKeyboard());
+    });
+
+    test('each controller keeps its own profile', () => {
+        const storage = memoryStorage();
+        const bindings = new InputBindings({ storage });
+        let changes = 0;
+        bindings.onChange(() => changes++);
+
+        // This pad reports its left stick on axes 2/3: moving there frees the look binding
+        bindings.bindGamepad('Odd Pad', 'moveX', { axis: 2, invert: false });
+        bindings.bindGamepad('Odd Pad', 'toggleFlashlight', 9);
+        expect(bindings.getGamepad('Odd Pad').moveX).toEqual({ axis: 2, invert: false });
+        expect(bindings.getGamepad('Odd Pad').lookX).toBeNull();
+        expect(bindings.getGamepad('Odd Pad').pause).toBeNull();
+        expect(bindings.getGamepad('Other Pad')).toEqual(DEFAULT_GAMEPAD_BINDINGS);
+        expect(changes).toBe(2);
+
+        expect(() => bindings.bindGamepad('Odd Pad', 'moveX', 3)).toThrow('Invalid gamepad binding');
+
+        const reloaded = new InputBindings({ storage });
+        expect(reloaded.getGamepad('Odd Pad')).toEqual(bindings.getGamepad('Odd Pad'));
+        reloaded.reset();
+        expect(reloaded.getGamepad('Odd Pad')).toEqual(DEFAULT_GAMEPAD_BINDINGS);
+    });
+
+    test('presets cover left-handed keyboards and swapped sticks', () => {
+        const bindings = new InputBindings({ storage: memoryStorage() });
+        bindings.useKeyboardPreset('leftHanded');
+        bindings.useGamepadPreset('Pad', 'leftHanded');
+
+        expect(bindings.getKeyboard().moveY.positive).toContain('KeyI');
+        expect(bindings.getGamepad('Pad').moveX.axis).toBe(2);
+        expect(bindings.getGamepad('Pad').lookX.axis).toBe(0);
+    });
+
+    test('corrupt storage falls back to the defaults', () => {
+        const bindings = new InputBindings({ storage: memoryStorage({ newtRescueBindings: '{oops' }) });
+        expect(bindings.getKeyboard()).toEqual(DEFAULT_KEYBOARD_BINDINGS);
+    });
+
+    test('capturing a controller binding ignores how sticks and triggers rest', () => {
+        // Some pads report an untouched trigger as axis 4 at -1
+        const baseline = snapshotGamepad(fakeGamepad([0, 0, 0, 0, -1], [3]));
+
+        expect(detectGamepadInput('axis', baseline, fakeGamepad([0.1, 0, 0, 0, -1], [3]))).toBeNull();
+        expect(detectGamepadInput('axis', baseline, fakeGamepad([0, -0.9, 0, 0, -1]))).toEqual({ axis: 1, invert: true });
+        expect(detectGamepadInput('axis', baseline, fakeGamepad([0, 0, 0.7, 0, -1]))).toEqual({ axis: 2, invert: false });
+        expect(detectGamepadInput('button', baseline, fakeGamepad([0, 0, 0, 0, -1], [3]))).toBeNull();
+        expect(detectGamepadInput('button', baseline, fakeGamepad([0, 0, 0, 0, -1], [3, 5]))).toBe(5);
+    });
+
+    test('labels follow the keyboard layout and the controller mapping', () => {
+        const azerty = new Map([['KeyW', 'z'], ['KeyA', 'q']]);
+        expect(keyLabel('KeyW', azerty)).toBe('Z');
+        expect(keyLabel('KeyW')).toBe('W');
+        expect(keyLabel('ArrowUp')).toBe('↑');
+        expect(keyLabel('ShiftLeft')).toBe('Left Shift');
+
+        expect(gamepadBindingLabel(0)).toBe('A');
+        expect(gamepadBindingLabel(0, false)).toBe('Button 0');
+        expect(gamepadBindingLabel({ axis: 1, invert: true })).toBe('Left Stick Y (inverted)');
+        expect(gamepadBindingLabel(null)).toBe('Unbound');
+    });
+});
+
+describe('Player keyboard input', () => {
+    test('moves and toggles with rebound keys only', () => {
+        const bindings = new InputBindings({ storage: memoryStorage() });
+        bindings.bindKey('moveY', 'KeyZ', 'positive');
+        bindings.bindKey('toggleFlashlight', 'KeyE');
+        const player = createPlayer(bindings);
+        let toggles = 0;
+        player.onFlashlightToggle = () => toggles++;
+
+        player.onKeyDown(keyEvent('KeyW'));
+        expect(player.moveForward).toBe(false);
+        player.onKeyDown(keyEvent('KeyZ'));
+        expect(player.moveForward).toBe(true);
+        player.onKeyUp(keyEvent('KeyZ'));
+        expect(player.moveForward).toBe(false);
+
+        player.onKeyDown(keyEvent('KeyF'));
+        player.onKeyDown(keyEvent('KeyE'));
+        player.onKeyDown(keyEvent('KeyE', true));
+        expect(toggles).toBe(1);
+    });
+
+    test('sprint is held while its key is', () => {
+        const player = createPlayer(new InputBindings({ storage: memoryStorage() }));
+        player.gamepadSprint = false;
+
+        player.onKeyDown(keyEvent('ShiftLeft'));
+        expect(player.isSprintHeld()).toBe(true);
+        player.onKeyUp(keyEvent('ShiftLeft'));
+        expect(player.isSprintHeld()).toBe(false);
+    });
+});
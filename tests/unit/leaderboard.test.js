@@ -0,0 +1,540 @@
+import { afterAll, afterEach, beforeAll, describe, expect, test, vi } from 'vitest';
+import { LeaderboardManager, periodStart, resolveLeaderboardConfig } from '../../js/leaderboard.js';
+import {
+    LocalBackend,
+    RestBackend,
+    SupabaseBackend,
+    bestScorePerPlayer,
+    createLeaderboardBackend,
+    legacyPlayerId,
+    neighboursOfScore,
+    playerIdFromToken,
+    playerKey,
+    rankForScore
+} from '../../js/leaderboard-backends.js';
+import { createLeaderboardServer } from '../../server/leaderboard-server.mjs';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Minimal PostgREST stand-in: a one-row-per-player table (keyed by player_id, hashed from
+// the submitted token like the SQL function does) and submit_best_score run as a
+// transaction (changes go to a draft that is only committed at the end).
+// failNext: 'before-commit' aborts the transaction, 'after-commit' loses the response.
+// queued: answer like the verified-scores migration, which only queues the run until its
+// proof is verified and leaves the table alone.
+function mockSupabase(rows = [], { queued = false } = {}) {
+    const mock = {
+        table: new Map(rows.map(row => [playerKey(row), row])),
+        pending: [],
+        failNext: null,
+        methods: [],
+        queries: []
+    };
+
+    mock.fetch = async (url, options = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        mock.methods.push(options.method || 'GET');
+        mock.queries.push(searchParams);
+
+        // Yield so concurrent submissions all arrive before any is handled
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        if (pathname === '/rest/v1/rpc/submit_best_score') {
+            const args = JSON.parse(options.body);
+            const playerId = await playerIdFromToken(args.p_player_token, args.p_player_name);
+            const draft = new Map(mock.table);
+            const existing = draft.get(playerId);
+            let result;
+            if (queued) {
+                mock.pending.push(args);
+                return jsonResponse(200, { stored: false, pending: true, entry: existing || null });
+            }
+            if (existing && existing.score >= args.p_score) {
+                result = { stored: false, entry: existing };
+            } else {
+                const row = {
+                    player_id: playerId,
+                    player_name: args.p_player_name,
+                    score: args.p_score,
+                    time_survived: args.p_time_survived,
+                    death_reason: args.p_death_reason,
+                    created_at: new Date().toISOString()
+                };
+                draft.set(playerId, row);
+                result = { stored: true, entry: row };
+            }
+
+            const failure = mock.failNext;
+            mock.failNext = null;
+            if (failure === 'before-commit') {
+                return jsonResponse(500, { message: 'canceling statement due to statement timeout' });
+            }
+            mock.table = draft;
+            if (failure === 'after-commit') {
+                throw new TypeError('Failed to fetch');
+            }
+            return jsonResponse(200, result);
+        }
+
+        if (pathname === '/rest/v1/3d_newt_leaderboard' && (!options.method || options.method === 'HEAD')) {
+            let rows = Array.from(mock.table.values());
+            const [operator, value] = (searchParams.get('score') || '').split('.');
+            if (operator === 'gt') rows = rows.filter(row => row.score > Number(value));
+            if (operator === 'lte') rows = rows.filter(row => row.score <= Number(value));
+            const excluded = (searchParams.get('player_id') || '').replace(/^neq\./, '');
+            if (excluded) rows = rows.filter(row => playerKey(row) !== excluded);
+
+            if (options.method === 'HEAD') {
+                return new Response(null, { status: 200, headers: { 'Content-Range': `*/${rows.length}` } });
+            }
+
+            const ascending = searchParams.get('order') === 'score.asc';
+            rows.sort((a, b) => (ascending ? a.score - b.score : b.score - a.score));
+            return jsonResponse(200, rows.slice(0, Number(searchParams.get('limit')) || rows.length));
+        }
+
+        return jsonResponse(405, { message: `${options.method} ${pathname} is not allowed` });
+    };
+
+    return mock;
+}
+
+function supabaseLeaderboard() {
+    const config = resolveLeaderboardConfig('');
+    return new LeaderboardManager({ ...config, supabase: { ...config.supabase, url: 'https://mock.supabase.test' } });
+}
+
+function entry(player_name, score) {
+    return { player_name, score, time_survived: 60, death_reason: 'car', created_at: '2026-01-01T00:00:00.000Z' };
+}
+
+describe('Leaderboard scoring helpers', () => {
+    test('keeps only the best score per player, highest first', () => {
+        const best = bestScorePerPlayer([entry('ana', 10), entry('ben', 30), entry('ana', 50), entry('ben', 5)]);
+
+        expect(best.map(e => [e.player_name, e.score])).toEqual([['ana', 50], ['ben', 30]]);
+    });
+
+    test('ranks a score against players strictly ahead of it', () => {
+        const entries = [entry('ana', 50), entry('ben', 30), entry('ana', 40)];
+
+        expect(rankForScore(entries, 60)).toBe(1);
+        expect(rankForScore(entries, 30)).toBe(2);
+        expect(rankForScore(entries, 10)).toBe(3);
+        expect(rankForScore(entries, 10, legacyPlayerId('ana'))).toBe(2);
+    });
+
+    test('finds the players just above and below a score', () => {
+        const entries = [entry('ana', 50), entry('ben', 30), entry('cy', 30), entry('dee', 10)];
+        const names = ({ above, below }) => [above && above.player_name, below && below.player_name];
+
+        expect(names(neighboursOfScore(entries, 40))).toEqual(['ana', 'ben']);
+        expect(names(neighboursOfScore(entries, 30))).toEqual(['ana', 'ben']);
+        expect(names(neighboursOfScore(entries, 99))).toEqual([null, 'ana']);
+        expect(names(neighboursOfScore(entries, 5))).toEqual(['dee', null]);
+        expect(names(neighboursOfScore(entries, 40, legacyPlayerId('ben')))).toEqual(['ana', 'cy']);
+    });
+
+    test('players sharing a name are told apart by player_id', () => {
+        const entries = [
+            { ...entry('ana', 50), player_id: 'a1' },
+            { ...entry('ana', 30), player_id: 'a2' },
+            { ...entry('ana', 20), player_id: 'a1' }
+        ];
+
+        expect(bestScorePerPlayer(entries).map(e => [e.player_id, e.score])).toEqual([['a1', 50], ['a2', 30]]);
+        expect(rankForScore(entries, 40, 'a1')).toBe(1);
+    });
+});
+
+describe('Leaderboard configuration', () => {
+    test('defaults to the production Supabase table', () => {
+        const config = resolveLeaderboardConfig('');
+
+        expect(config.backend).toBe('supabase');
+        expect(createLeaderboardBackend(config)).toBeInstanceOf(SupabaseBackend);
+    });
+
+    test('query parameters pick the backend and REST url', () => {
+        const config = resolveLeaderboardConfig('?leaderboard=rest&leaderboardUrl=http://127.0.0.1:9000/');
+        const backend = createLeaderboardBackend(config);
+
+        expect(backend).toBeInstanceOf(RestBackend);
+        expect(backend.baseUrl).toBe('http://127.0.0.1:9000');
+        expect(resolveLeaderboardConfig('').rest.baseUrl).toBe('http://localhost:8787');
+    });
+
+    test('unknown backends are rejected', () => {
+        expect(() => createLeaderboardBackend({ backend: 'carrier-pigeon' })).toThrow(/carrier-pigeon/);
+    });
+});
+
+describe('LocalBackend', () => {
+    test('lists each player once with their highest score', async () => {
+        const leaderboard = new LeaderboardManager({
+            backend: 'local',
+            local: { storage: memoryStorage() }
+        });
+
+        expect((await leaderboard.submitScore('  ana  ', 40, 61.8, 'car')).data.player_name).toBe('ana');
+        expect(await leaderboard.submitScore('ana', 20, 30, 'car')).toMatchObject({
+            success: true,
+            message: 'Existing score is higher'
+        });
+        await leaderboard.submitScore('ben', 90, 120, 'owl');
+
+        const result = await leaderboard.fetchTopScores(5);
+        expect(result.scores.map(e => [e.player_name, e.score, e.time_survived])).toEqual([['ben', 90, 120], ['ana', 40, 61]]);
+        expect(await leaderboard.getPlayerRank(50)).toBe(2);
+    });
+
+    test('ignores a corrupt stored table', async () => {
+        const storage = memoryStorage();
+        storage.setItem('newtRescueLocalLeaderboard', '{not json');
+
+        expect(await new LocalBackend({ storage }).fetchTopScores(5)).toEqual([]);
+    });
+});
+
+describe('Leaderboard boards', () => {
+    function run(player_name, score, mode, created_at) {
+        return { ...entry(player_name, score), mode, created_at };
+    }
+
+    const now = new Date(2026, 4, 7, 15, 30); // a Thursday afternoon
+    const runs = [
+        run('ana', 90, 'campaign', new Date(2026, 3, 2).toISOString()),
+        run('ana', 20, 'campaign', new Date(2026, 4, 7, 9).toISOString()),
+        run('ben', 40, 'campaign', new Date(2026, 4, 5, 9).toISOString()),
+        run('cy', 70, 'endless', new Date(2026, 4, 7, 10).toISOString())
+    ];
+
+    test('periods start at local midnight, weeks on Monday', () => {
+        expect(periodStart('today', now)).toBe(new Date(2026, 4, 7).toISOString());
+        expect(periodStart('week', now)).toBe(new Date(2026, 4, 4).toISOString());
+        expect(periodStart('all', now)).toBeNull();
+    });
+
+    test('period boards list players whose all-time best is older', async () => {
+        const storage = memoryStorage();
+        storage.setItem('newtRescueLocalLeaderboard', JSON.stringify(runs));
+        const backend = new LocalBackend({ storage });
+        const board = async (mode, period) =>
+            (await backend.fetchTopScores(5, { mode, since: periodStart(period, now) }))
+                .map(e => `${e.player_name}:${e.score}`);
+
+        expect(await board('campaign', 'today')).toEqual(['ana:20']);
+        expect(await board('campaign', 'week')).toEqual(['ben:40', 'ana:20']);
+        expect(await board('campaign', 'all')).toEqual(['ana:90', 'ben:40']);
+        expect(await board('endless', 'all')).toEqual(['cy:70']);
+        expect(await board('all', 'today')).toEqual(['cy:70', 'ana:20']);
+    });
+
+    test('a run that is not a new best still joins the run log', async () => {
+        const storage = memoryStorage();
+        const backend = new LocalBackend({ storage });
+        await backend.submitScore({ ...entry('ana', 50), mode: 'endless' });
+
+        const result = await backend.submitScore({ ...entry('ana', 30), mode: 'endless' });
+        expect(result).toMatchObject({ stored: false, entry: { score: 50 } });
+        expect(backend.readEntries()).toHaveLength(2);
+        expect((await backend.submitScore({ ...entry('ana', 30), mode: 'campaign' })).stored).toBe(true);
+    });
+
+    test('trimming old runs never drops a player\'s best', async () => {
+        const backend = new LocalBackend({ storage: memoryStorage(), maxRuns: 3 });
+        await backend.submitScore({ ...entry('ana', 99), mode: 'campaign' });
+        for (let i = 1; i <= 4; i++) await backend.submitScore({ ...entry('ana', i), mode: 'campaign' });
+
+        expect(backend.readEntries().map(e => e.score)).toEqual([99, 3, 4]);
+    });
+
+    test('each board is cached separately and concurrent requests share a fetch', async () => {
+        const leaderboard = new LeaderboardManager({ backend: 'local', local: { storage: memoryStorage() } });
+        const fetchTopScores = vi.spyOn(leaderboard.backend, 'fetchTopScores');
+
+        await Promise.all([
+            leaderboard.fetchTopScores(5, { mode: 'endless', period: 'week' }),
+            leaderboard.fetchTopScores(5, { mode: 'endless', period: 'week' }),
+            leaderboard.fetchTopScores(5, { mode: 'campaign', period: 'week' })
+        ]);
+        await leaderboard.fetchTopScores(5, { mode: 'endless', period: 'week' });
+        expect(fetchTopScores).toHaveBeenCalledTimes(2);
+        expect(leaderboard.isLoading).toBe(false);
+
+        // Any submission can change a period board
+        await leaderboard.submitScore('ana', 1, 1, 'car', { mode: 'endless', levelReached: 4, waveReached: 1 });
+        await leaderboard.fetchTopScores(5, { mode: 'endless', period: 'week' });
+        expect(fetchTopScores).toHaveBeenCalledTimes(3);
+    });
+
+    test('Supabase reads period boards from the run log', async () => {
+        const urls = [];
+        vi.stubGlobal('fetch', async url => {
+            urls.push(decodeURIComponent(url));
+            return jsonResponse(200, []);
+        });
+
+        const backend = supabaseLeaderboard().backend;
+        await backend.fetchTopScores(5, { mode: 'endless', since: '2026-05-04T00:00:00.000Z' });
+        await backend.fetchTopScores(5, { mode: 'all', since: null });
+        vi.unstubAllGlobals();
+
+        expect(urls[0]).toContain('/3d_newt_leaderboard_runs?');
+        expect(urls[0]).toContain('mode=eq.endless&created_at=gte.2026-05-04T00:00:00.000Z');
+        expect(urls[1]).toContain('/3d_newt_leaderboard?select=*&order=score.desc');
+    });
+});
+
+describe('SupabaseBackend best-score upsert', () => {
+    let mock;
+
+    beforeAll(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        vi.restoreAllMocks();
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    function useMock(rows) {
+        mock = mockSupabase(rows);
+        vi.stubGlobal('fetch', mock.fetch);
+    }
+
+    test('reports improved and not-improved submissions in a single request each', async () => {
+        useMock([entry('ana', 50)]);
+        const leaderboard = supabaseLeaderboard();
+
+        expect(await leaderboard.submitScore('ana', 20, 10, 'car')).toMatchObject({
+            success: true,
+            outcome: 'not-improved',
+            data: { score: 50 }
+        });
+        expect(await leaderboard.submitScore('ana', 70, 10, 'car')).toMatchObject({
+            success: true,
+            outcome: 'improved',
+            data: { score: 70 }
+        });
+        expect(mock.methods).toEqual(['POST', 'POST']);
+    });
+
+    test('profiles keep their own entry whatever name they submit under', async () => {
+        useMock([entry('ana', 50)]);
+        const leaderboard = supabaseLeaderboard();
+        const owner = { id: 'token-owner', name: 'ana' };
+
+        // Same name, different profile: a new entry, the legacy row is untouched
+        expect((await leaderboard.submitScore({ id: 'token-other', name: 'ana' }, 30, 10, 'car')).outcome).toBe('improved');
+        expect((await leaderboard.submitScore(owner, 40, 10, 'car')).outcome).toBe('improved');
+        // Renamed: still the owner's entry, and only a higher score replaces it
+        expect((await leaderboard.submitScore({ ...owner, name: 'ana2' }, 35, 10, 'car')).outcome).toBe('not-improved');
+
+        const ownerId = await playerIdFromToken('token-owner');
+        expect(mock.table.get(ownerId)).toMatchObject({ player_name: 'ana', score: 40 });
+        expect(mock.table.get(legacyPlayerId('ana')).score).toBe(50);
+        expect(mock.table.size).toBe(3);
+        expect(JSON.stringify(Array.from(mock.table.values()))).not.toContain('token-owner');
+
+        const standing = await leaderboard.getStanding(45, owner);
+        expect(standing.rank).toBe(2);
+    });
+
+    test('a queued run is reported as pending until its proof is verified', async () => {
+        const mock = mockSupabase([entry('ana', 50)], { queued: true });
+        vi.stubGlobal('fetch', mock.fetch);
+        const leaderboard = supabaseLeaderboard();
+
+        expect(await leaderboard.submitScore('ana', 70, 10, 'car')).toMatchObject({
+            success: true,
+            outcome: 'pending',
+            data: { score: 50 }
+        });
+        expect((await leaderboard.submitScore('ben', 10, 10, 'car')).data).toBeNull();
+        expect(mock.pending.map(args => args.p_score)).toEqual([70, 10]);
+        expect(mock.table.get(legacyPlayerId('ana')).score).toBe(50);
+    });
+
+    test('concurrent submissions from two tabs keep the highest score', async () => {
+        useMock([entry('ana', 20)]);
+        const tabA = supabaseLeaderboard();
+        const tabB = supabaseLeaderboard();
+
+        const results = await Promise.all([
+            tabA.submitScore('ana', 30, 10, 'car'),
+            tabB.submitScore('ana', 80, 10, 'owl'),
+            tabA.submitScore('ana', 50, 10, 'car')
+        ]);
+
+        expect(results.map(result => result.outcome)).toEqual(['improved', 'improved', 'not-improved']);
+        expect(Array.from(mock.table.values())).toEqual([expect.objectContaining({ player_name: 'ana', score: 80 })]);
+        expect(mock.methods).not.toContain('DELETE');
+    });
+
+    test('a failure partway through leaves the previous best in place', async () => {
+        useMock([entry('ana', 50)]);
+        const leaderboard = supabaseLeaderboard();
+
+        mock.failNext = 'before-commit';
+        const failed = await leaderboard.submitScore('ana', 90, 10, 'car');
+
+        expect(failed).toMatchObject({ success: false, outcome: 'failed' });
+        expect(failed.error).toMatch(/HTTP 500/);
+        expect(mock.table.get(legacyPlayerId('ana')).score).toBe(50);
+
+        expect((await leaderboard.submitScore('ana', 90, 10, 'car')).outcome).toBe('improved');
+        expect(mock.table.get(legacyPlayerId('ana')).score).toBe(90);
+    });
+
+    test('retrying after a lost response is harmless', async () => {
+        useMock([]);
+        const leaderboard = supabaseLeaderboard();
+
+        mock.failNext = 'after-commit';
+        expect((await leaderboard.submitScore('ben', 40, 10, 'car')).outcome).toBe('failed');
+
+        expect(await leaderboard.submitScore('ben', 40, 10, 'car')).toMatchObject({
+            outcome: 'not-improved',
+            data: { score: 40 }
+        });
+        expect(mock.table.size).toBe(1);
+    });
+});
+
+describe('SupabaseBackend standing', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    test('counts players ahead instead of downloading every row', async () => {
+        const mock = mockSupabase([entry('ana', 90), entry('ben', 60), entry('cy', 40), entry('dee', 20), entry('me', 70)]);
+        vi.stubGlobal('fetch', mock.fetch);
+
+        const standing = await supabaseLeaderboard().getStanding(50, 'me');
+
+        expect(standing).toMatchObject({
+            success: true,
+            rank: 3,
+            above: { player_name: 'ben', score: 60 },
+            below: { player_name: 'cy', score: 40 }
+        });
+        expect(mock.methods).toEqual(['HEAD', 'GET', 'GET']);
+        expect(mock.queries.slice(1).map(query => query.get('limit'))).toEqual(['1', '1']);
+    });
+
+    test('reports a failed lookup instead of a rank', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.stubGlobal('fetch', async () => new Response(null, { status: 503 }));
+
+        expect(await supabaseLeaderboard().getStanding(50)).toMatchObject({ success: false, error: expect.stringMatching(/503/) });
+        vi.restoreAllMocks();
+    });
+
+    test('does not rank across modes, where players with both would count twice', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const mock = mockSupabase([entry('ana', 90)]);
+        vi.stubGlobal('fetch', mock.fetch);
+
+        expect(await supabaseLeaderboard().getStanding(50, 'me', 'all')).toMatchObject({
+            success: false,
+            error: expect.stringMatching(/single mode/)
+        });
+        expect(mock.methods).toEqual([]);
+        expect(mock.queries).toEqual([]);
+        vi.restoreAllMocks();
+    });
+});
+
+describe('RestBackend against the local server', () => {
+    let server;
+    let leaderboard;
+
+    beforeAll(async () => {
+        server = createLeaderboardServer({ entries: [entry('ana', 50), entry('ana', 70), entry('ben', 30)] });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        leaderboard = new LeaderboardManager(
+            resolveLeaderboardConfig(`?leaderboard=rest&leaderboardUrl=http://127.0.0.1:${server.address().port}`)
+        );
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('serves the best score per player', async () => {
+        const result = await leaderboard.fetchTopScores(5);
+
+        expect(result.success).toBe(true);
+        expect(result.scores.map(e => [e.player_name, e.score])).toEqual([['ana', 70], ['ben', 30]]);
+    });
+
+    test('only replaces a score with a higher one', async () => {
+        expect((await leaderboard.submitScore('ben', 10, 5, 'car')).message).toBe('Existing score is higher');
+        expect((await leaderboard.submitScore('ben', 80, 5, 'car')).success).toBe(true);
+        expect(await leaderboard.getPlayerRank(75)).toBe(2);
+
+        const result = await leaderboard.fetchTopScores(1);
+        expect(result.scores).toEqual([expect.objectContaining({ player_name: 'ben', score: 80 })]);
+    });
+
+    test('concurrent submissions keep the highest score', async () => {
+        await Promise.all([40, 95, 60].map(score => leaderboard.submitScore('cy', score, 5, 'car')));
+
+        const scores = await leaderboard.backend.fetchTopScores(10);
+        expect(scores.filter(e => e.player_name === 'cy').map(e => e.score)).toEqual([95]);
+    });
+
+    test('reports rank and neighbours without counting the player twice', async () => {
+        await leaderboard.submitScore('dot', 300, 5, 'car');
+
+        // cy (95) and ben (80) are ahead; dot's own 300 is left out
+        expect(await leaderboard.getStanding(75, 'dot')).toMatchObject({
+            success: true,
+            rank: 3,
+            above: { player_name: 'ben', score: 80 },
+            below: { player_name: 'ana', score: 70 }
+        });
+    });
+
+    test('stores a hash of the profile token, never the token itself', async () => {
+        const result = await leaderboard.submitScore({ id: 'secret-token', name: 'ben' }, 20, 5, 'car');
+
+        expect(result.data.player_id).toBe(await playerIdFromToken('secret-token'));
+        expect(result.data).not.toHaveProperty('player_token');
+        // A different player called ben, so the legacy ben's 80 still stands
+        expect(result.outcome).toBe('improved');
+    });
+
+    test('filters boards by mode and period', async () => {
+        await leaderboard.submitScore('eve', 500, 60, 'bear', { mode: 'endless', levelReached: 5, waveReached: 2 });
+
+        const endless = await leaderboard.fetchTopScores(5, { mode: 'endless', period: 'today' });
+        expect(endless.scores).toEqual([expect.objectContaining({ player_name: 'eve', wave_reached: 2, death_reason: 'bear' })]);
+
+        const campaign = await leaderboard.fetchTopScores(5, { mode: 'campaign', period: 'all' });
+        expect(campaign.scores.map(e => e.player_name)).not.toContain('eve');
+
+        const response = await fetch(`${leaderboard.backend.baseUrl}/scores?mode=arcade`);
+        expect(response.status).toBe(400);
+    });
+
+    test('surfaces server rejections as failed submissions', async () => {
+        const backend = leaderboard.backend;
+        const response = await fetch(`${backend.baseUrl}/scores`, { method: 'POST', body: '{"score": 5}' });
+
+        expect(response.status).toBe(400);
+        await expect(backend.submitScore({ player_name: 'cy' })).rejects.toThrow(/HTTP 400/);
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, expect, test } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { validateLevelDefinition } from '../../js/level-data.js';
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../../levels/${file}`, import.meta.url), 'utf8'));
+
+describe('Level definitions', () => {
+    test('every level listed in the manifest is a valid definition', () => {
+        const manifest = readJson('index.json');
+        expect(manifest.levels.length).toBeGreaterThanOrEqual(3);
+
+        manifest.levels.forEach((file, index) => {
+            const definition = validateLevelDefinition(readJson(file), file);
+            expect(definition.id).toBe(index + 1);
+        });
+    });
+
+    test('shipped quotas and weather match the original three levels', () => {
+        const [level1, level2, level3] = ['level1.json', 'level2.json', 'level3.json'].map(readJson);
+
+        expect([level1, level2, level3].map(level => level.newtsToAdvance)).toEqual([3, 5, 8]);
+        expect(level1.weather).toEqual({ rain: false, wind: 0 });
+        expect(level3.weather).toEqual({ rain: true, wind: 1 });
+        expect(level2.audio.owls).toBe(true);
+    });
+
+    test('validateLevelDefinition reports the missing field and source', () => {
+        const definition = readJson('level1.json');
+        delete definition.sky.fog;
+
+        expect(() => validateLevelDefinition(definition, 'broken.json'))
+            .toThrow('broken.json: missing "sky.fog.color"');
+    });
+
+    test('validateLevelDefinition rejects malformed control points', () => {
+        const definition = readJson('level1.json');
+        definition.road.controlPoints = [[0, 0, 0], [1, 1]];
+
+        expect(() => validateLevelDefinition(definition)).toThrow('road.controlPoints');
+    });
+
+    test('validateLevelDefinition checks the optional newt behaviour block', () => {
+        const definition = readJson('level2.json');
+        expect(definition.newtBehaviour.groupChance).toBeGreaterThan(0);
+
+        definition.newtBehaviour = { groupChance: 1.5 };
+        expect(() => validateLevelDefinition(definition, 'level2.json'))
+            .toThrow('level2.json: "newtBehaviour" chances must be between 0 and 1');
+
+        delete definition.newtBehaviour;
+        expect(() => validateLevelDefinition(definition)).not.toThrow();
+    });
+});
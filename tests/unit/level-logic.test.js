@@ -1,4 +1,5 @@
 import { describe, expect, test } from 'vitest';
+import * as THREE from 'three';
 import { LevelManager } from '../../js/levels.js';
 
 describe('LevelManager logic', () => {
@@ -41,17 +42,27 @@ describe('LevelManager logic', () => {
         expect(data.tangent.z).toBe(1);
     });
 
-    test('getWindStrength only returns wind in level 3', () => {
+    test('getWindStrength only returns wind on levels whose weather has wind', () => {
         const manager = Object.create(LevelManager.prototype);
         manager.windStrength = 0.9;
 
-        manager.currentLevel = 2;
+        manager.levelDefinition = { weather: { rain: false, wind: 0 } };
         expect(manager.getWindStrength()).toBe(0);
 
-        manager.currentLevel = 3;
+        manager.levelDefinition = { weather: { rain: true, wind: 1 } };
         expect(manager.getWindStrength()).toBe(0.9);
     });
 
+    test('getLevelDefinition reuses the last definition for endless waves', () => {
+        const manager = Object.create(LevelManager.prototype);
+        const definitions = [{ id: 1 }, { id: 2 }, { id: 3 }];
+        manager.setLevelDefinitions(definitions);
+
+        expect(manager.getLevelCount()).toBe(3);
+        expect(manager.getLevelDefinition(2)).toBe(definitions[1]);
+        expect(manager.getLevelDefinition(5)).toBe(definitions[2]);
+    });
+
     test('createWesternToads creates toad objects in levelObjects and scene', () => {
         const manager = Object.create(LevelManager.prototype);
         manager.scene = { add: () => {} };
@@ -82,4 +93,49 @@ describe('LevelManager logic', () => {
         expect(group.position.z).toBeGreaterThan(0);
         expect(group.position.y).toBeGreaterThan(0);
     });
-});
\ No newline at end of file
+
+    test('clearLevel removes and disposes everything the level added', () => {
+        const scene = new THREE.Scene();
+        const manager = Object.create(LevelManager.prototype);
+        manager.scene = scene;
+        manager.levelObjects = [];
+        manager._levelTextures = [];
+        manager.westernToads = [];
+        manager.splashParticles = [];
+        manager.moths = [];
+        manager.currentLevel = 3;
+        manager.isMobile = false;
+        manager.qualityLevel = 3;
+        manager.rainActiveFraction = 1;
+        manager.windForce = new THREE.Vector3();
+
+        const texture = new THREE.Texture();
+        manager._levelTextures.push(texture);
+        const cliff = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshStandardMaterial({ map: texture }));
+        scene.add(cliff);
+        manager.levelObjects.push(cliff);
+
+        manager.createWesternToads(2);
+        manager.createRain();
+        manager.createSplashParticle(0, 0);
+
+        const disposed = new Set();
+        scene.traverse(node => {
+            if (node.geometry) node.geometry.addEventListener('dispose', (e) => disposed.add(e.target));
+        });
+
+        const stats = manager.clearLevel();
+        expect(scene.children.length).toBe(0);
+        expect(stats.objects).toBe(5);
+        expect(stats.textures).toBe(1);
+        expect(stats.geometries).toBe(disposed.size);
+        expect(manager.lastTeardown).toBe(stats);
+        expect(manager.rain).toBeNull();
+        expect(manager.rainGeometry).toBeNull();
+        expect(manager.westernToads).toHaveLength(0);
+        expect(manager.splashParticles).toHaveLength(0);
+
+        // A second teardown has nothing left to free
+        expect(manager.clearLevel()).toEqual({ objects: 0, geometries: 0, materials: 0, textures: 0 });
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, expect, test } from 'vitest';
+import * as THREE from 'three';
+import {
+    NEWT_BEHAVIOUR,
+    followPoint,
+    isCarRumbling,
+    maxNewtsPerSpawn,
+    migrationGroupSize,
+    resolveNewtBehaviour,
+    updateLightExposure,
+    validateNewtBehaviour
+} from '../../js/newt-behaviour.js';
+import { RandomService } from '../../js/random.js';
+
+const STEP = 1 / 8; // sums exactly, so exposure lands on the tolerance
+
+// Only what the helpers read: positions, nothing rendered
+const at = (x, z) => ({ position: new THREE.Vector3(x, 0, z) });
+const car = (x, z) => ({ mesh: at(x, z) });
+
+describe('Newt behaviour', () => {
+    test('level overrides sit on top of the defaults and are validated', () => {
+        const rules = resolveNewtBehaviour({ groupChance: 0.3 });
+        expect(rules.groupChance).toBe(0.3);
+        expect(rules.lightTolerance).toBe(NEWT_BEHAVIOUR.lightTolerance);
+        expect(resolveNewtBehaviour(null)).toEqual(NEWT_BEHAVIOUR);
+
+        expect(() => validateNewtBehaviour({ groupChance: 0.3, maxGroupSize: 3 })).not.toThrow();
+        expect(() => validateNewtBehaviour({ shyness: 1 })).toThrow('Unknown newt behaviour: shyness');
+        expect(() => validateNewtBehaviour({ vibrationRadius: -1 })).toThrow('newtBehaviour.vibrationRadius');
+        expect(() => validateNewtBehaviour({ turnBackChance: 2 })).toThrow('between 0 and 1');
+        expect(() => validateNewtBehaviour({ maxGroupSize: 2.5 })).toThrow('positive integer');
+        expect(() => validateNewtBehaviour([])).toThrow('must be an object');
+    });
+
+    test('a newt reacts after lightTolerance seconds in the beam, and recovers out of it', () => {
+        const rules = resolveNewtBehaviour();
+        const newt = { illuminationTime: 0 };
+        const ticksToReact = Math.ceil(rules.lightTolerance / STEP);
+
+        for (let i = 1; i < ticksToReact; i++) {
+            expect(updateLightExposure(newt, true, STEP, rules)).toBe(false);
+        }
+        expect(updateLightExposure(newt, true, STEP, rules)).toBe(true);
+        expect(newt.illuminationTime).toBe(0);
+
+        // Flicking the beam away lets the exposure fade instead of adding up
+        for (let i = 0; i < 8; i++) updateLightExposure(newt, true, STEP, rules);
+        for (let i = 0; i < 8; i++) updateLightExposure(newt, false, STEP, rules);
+        expect(newt.illuminationTime).toBe(0);
+
+        const blind = { illuminationTime: 0 };
+        const off = resolveNewtBehaviour({ lightTolerance: 0 });
+        for (let i = 0; i < 80; i++) expect(updateLightExposure(blind, true, STEP, off)).toBe(false);
+    });
+
+    test('only a car within the vibration radius rattles a newt', () => {
+        const rules = resolveNewtBehaviour();
+        const position = new THREE.Vector3(0, 0, 0);
+
+        expect(isCarRumbling(position, [], rules)).toBe(false);
+        expect(isCarRumbling(position, [car(0, 20), car(-6, 0)], rules)).toBe(false);
+        expect(isCarRumbling(position, [car(0, 20), car(3, 3)], rules)).toBe(true);
+        expect(isCarRumbling(position, [car(3, 3)], resolveNewtBehaviour({ vibrationRadius: 0 }))).toBe(false);
+    });
+
+    test('followers line up behind the leader along its heading', () => {
+        const rules = resolveNewtBehaviour();
+        const leader = { mesh: at(2, 10), targetPosition: new THREE.Vector3(8, 0, 10) };
+
+        expect(followPoint(new THREE.Vector3(), leader, 1, rules).toArray()).toEqual([2 - rules.followDistance, 0, 10]);
+        const second = followPoint(new THREE.Vector3(), leader, 2, rules);
+        expect(second.x).toBeCloseTo(2 - rules.followDistance * 2);
+        expect(second.z).toBe(10);
+    });
+
+    test('group sizes stay within the level limit and draw nothing while groups are off', () => {
+        const grouped = resolveNewtBehaviour({ groupChance: 0.5, maxGroupSize: 3 });
+        const stream = new RandomService('migration').stream('newts');
+        const sizes = new Set();
+        for (let i = 0; i < 200; i++) sizes.add(migrationGroupSize(stream, grouped));
+        expect([...sizes].sort()).toEqual([1, 2, 3]);
+        expect(maxNewtsPerSpawn(grouped)).toBe(3);
+
+        const solo = resolveNewtBehaviour();
+        const untouched = new RandomService('migration').stream('newts');
+        const reference = new RandomService('migration').stream('newts');
+        expect(migrationGroupSize(untouched, solo)).toBe(1);
+        expect(untouched.next()).toBe(reference.next());
+        expect(maxNewtsPerSpawn(solo)).toBe(1);
+    });
+});
@@ -1,5 +1,43 @@
 import { describe, expect, test } from 'vitest';
-import { NewtManager } from '../../js/newts.js';
+import * as THREE from 'three';
+import { NEWT_RULES, NewtManager } from '../../js/newts.js';
+
+// Carry-mode manager on a straight road along Z (no curve: the road normal is +X) that
+// spawns nothing, so each test sees only its own newts
+function carryManager() {
+    const manager = NewtManager.createHeadless(null, {
+        isPointIlluminated: () => false,
+        activateBonusBrightness: () => { }
+    });
+    manager.setRescueMode('carry');
+    manager.maxActiveNewts = 0;
+    return manager;
+}
+
+// A newt resting at (x, z), crossing towards targetSide (+1 = +X)
+function restingNewt(x, z, targetSide, isBonus = false) {
+    const mesh = new THREE.Object3D();
+    mesh.position.set(x, 0, z);
+    return {
+        mesh,
+        startPosition: new THREE.Vector3(-targetSide * 8, 0, z),
+        targetPosition: new THREE.Vector3(targetSide * 8, 0, z),
+        speed: 0,
+        isPaused: true,
+        pauseTimer: 0,
+        pauseDuration: 100,
+        walkCycle: 0,
+        isIlluminated: false,
+        illuminationTime: 0,
+        isBonus,
+        targetSide
+    };
+}
+
+// The same newt walking at speed, its next random pause far off
+function walkingNewt(x, z, targetSide, speed = 0.5) {
+    return { ...restingNewt(x, z, targetSide), speed, isPaused: false, pauseDuration: 0, nextPauseIn: 100 };
+}
 
 describe('NewtManager logic', () => {
     test('setQualityLevel updates max active newts and illumination interval', () => {
@@ -52,40 +90,161 @@ describe('NewtManager logic', () => {
 
     test('rescuing bonus newt calls activateBonusBrightness', () => {
         let brightnessActivated = false;
-        const manager = Object.create(NewtManager.prototype);
-        manager.rescueDistance = 2;
-        manager.flashlight = {
+        const manager = NewtManager.createHeadless(null, {
             activateBonusBrightness: () => { brightnessActivated = true; },
             isPointIlluminated: () => false
-        };
-        manager.releaseNewtMesh = () => { };
-        manager.newts = [{
-            mesh: {
-                position: { x: 0, y: 0, z: 0, distanceTo: () => 0, add: () => { } },
-                rotation: { x: 0, y: 0, z: 0 },
-                userData: {}
-            },
-            isBonus: true,
-            isPaused: false,
-            speed: 0,
-            startPosition: { distanceTo: () => 0 },
-            targetPosition: { distanceTo: () => 1 },
-            pauseTimer: 0,
-            pauseDuration: 0,
-            nextPauseIn: 10
-        }];
-        manager.rescuedCount = 0;
-        manager.illuminationCheckCounter = 0;
-        manager.illuminationCheckInterval = 1;
-        manager.updateRescueEffects = () => { };
-        manager.spawnTimer = 0;
-        manager.baseSpawnInterval = 10;
+        });
+        manager.maxActiveNewts = 0;
+        manager.newts = [restingNewt(0, 0, 1, true)];
 
-        const rescued = manager.update(0.1, 0, { x: 0, z: 0 });
+        const rescued = manager.update(0.1, 0, new THREE.Vector3(0, 1.7, 0));
 
         expect(brightnessActivated).toBe(true);
         expect(manager.newts.length).toBe(0);
         expect(manager.rescuedCount).toBe(1);
         expect(rescued.length).toBe(1);
     });
-});
\ No newline at end of file
+
+    test('carry mode picks newts up instead of rescuing them, up to the carry limit', () => {
+        const manager = carryManager();
+        const pickedUp = [];
+        manager.onPickup(newt => pickedUp.push(newt));
+        manager.newts = [0, 1, 2, 3].map(i => restingNewt(i * 0.2, 0, 1));
+
+        const rescued = manager.update(0.1, 0, new THREE.Vector3(0.3, 1.7, 0));
+
+        expect(rescued).toEqual([]);
+        expect(manager.rescuedCount).toBe(0);
+        expect(manager.getCarried().length).toBe(NEWT_RULES.carryLimit);
+        expect(manager.newts.length).toBe(4 - NEWT_RULES.carryLimit);
+        expect(pickedUp).toEqual(manager.getCarried());
+    });
+
+    test('a carried newt only counts once let go past the edge it was heading for', () => {
+        const manager = carryManager();
+        const east = restingNewt(0, 0, 1);
+        const west = restingNewt(0, 0, -1, true);
+        manager.carried = [east, west];
+
+        // On the road the oldest is set down and walks on from there
+        expect(manager.releaseNewt(new THREE.Vector3(2, 1.7, 10))).toEqual({ newt: east, result: 'set-down' });
+        expect(manager.newts).toEqual([east]);
+        expect(east.startPosition.toArray()).toEqual([2, 0.006, 10]);
+
+        // Past the west edge, the newt heading west is rescued
+        let brightness = false;
+        manager.flashlight.activateBonusBrightness = () => { brightness = true; };
+        expect(manager.releaseNewt(new THREE.Vector3(-7, 1.7, 10))).toEqual({ newt: west, result: 'rescued' });
+        expect(manager.rescuedCount).toBe(1);
+        expect(brightness).toBe(true);
+
+        // An east-bound newt let go in the west is back where it started
+        manager.carried = [manager.newts.pop()];
+        expect(manager.releaseNewt(new THREE.Vector3(-7, 1.7, 10))).toEqual({ newt: east, result: 'wrong-side' });
+        expect(manager.rescuedCount).toBe(1);
+        expect(manager.newts).toEqual([east]);
+
+        expect(manager.releaseNewt(new THREE.Vector3(-7, 1.7, 10))).toBeNull();
+        expect(() => manager.setRescueMode('juggle')).toThrow('Unknown rescue mode');
+    });
+
+    test('a released newt is not picked straight back up while the player stands over it', () => {
+        const manager = carryManager();
+        const east = restingNewt(0, 0, 1);
+        const west = restingNewt(0, 0, -1);
+        manager.carried = [east, west];
+        const here = new THREE.Vector3(2, 1.7, 10);
+
+        // Set down on the road, it stays down however long the player waits there
+        expect(manager.releaseNewt(here).result).toBe('set-down');
+        for (let i = 0; i < 10; i++) manager.update(0.1, 0, here);
+        expect(manager.getCarried()).toEqual([west]);
+        expect(manager.newts).toEqual([east]);
+
+        // Step away and come back, and it can be picked up again
+        manager.update(0.1, 0, new THREE.Vector3(2, 1.7, 20));
+        manager.update(0.1, 0, east.mesh.position.clone());
+        expect(manager.getCarried()).toEqual([west, east]);
+
+        // A wrong-side drop costs once: the newt stays out of the bucket
+        manager.carried = [west];
+        const wrongSide = new THREE.Vector3(7, 1.7, 10);
+        expect(manager.releaseNewt(wrongSide)).toEqual({ newt: west, result: 'wrong-side' });
+        manager.update(0.1, 0, wrongSide);
+        expect(manager.getCarried()).toEqual([]);
+        expect(manager.newts).toEqual([west]);
+    });
+
+    test('a car passing close freezes newts near it until it has gone', () => {
+        const manager = carryManager();
+        const near = walkingNewt(0, 0, 1);
+        const far = walkingNewt(0, 40, 1);
+        manager.newts = [near, far];
+        manager.setCars([{ mesh: { position: new THREE.Vector3(-3, 0, 2) } }]);
+        const player = new THREE.Vector3(0, 1.7, 100);
+
+        manager.update(0.1, 0, player);
+        expect(near.isPaused).toBe(true);
+        expect(near.mesh.position.x).toBe(0);
+        expect(far.isPaused).toBe(false);
+        expect(far.mesh.position.x).toBeGreaterThan(0);
+
+        manager.setCars([]);
+        for (let i = 0; i < 20; i++) manager.update(0.1, 0, player);
+        expect(near.isPaused).toBe(false);
+        expect(near.mesh.position.x).toBeGreaterThan(0);
+    });
+
+    test('a newt held in the beam too long freezes, or turns back for home', () => {
+        const manager = carryManager();
+        manager.flashlight.isPointIlluminated = () => true;
+        const player = new THREE.Vector3(0, 1.7, 100);
+
+        manager.setBehaviour({ turnBackChance: 0, lightTolerance: 1 });
+        const dazzled = walkingNewt(0, 0, 1);
+        manager.newts = [dazzled];
+        for (let i = 0; i < 7; i++) manager.update(0.125, 0, player);
+        expect(dazzled.isPaused).toBe(false);
+        manager.update(0.125, 0, player);
+        expect(dazzled.isPaused).toBe(true);
+        expect(dazzled.pauseDuration).toBe(manager.behaviour.lightFreezeTime);
+
+        manager.setBehaviour({ turnBackChance: 1, lightTolerance: 1 });
+        const homesick = walkingNewt(0, 0, 1);
+        manager.newts = [homesick];
+        for (let i = 0; i < 8; i++) manager.update(0.125, 0, player);
+        expect(homesick.targetSide).toBe(-1);
+        expect(homesick.targetPosition.x).toBe(-8);
+        const x = homesick.mesh.position.x;
+        manager.update(0.1, 0, player);
+        expect(homesick.mesh.position.x).toBeLessThan(x);
+    });
+
+    test('followers keep their place behind the leader and scatter home when it turns back', () => {
+        const manager = carryManager();
+        const player = new THREE.Vector3(0, 1.7, 100);
+        const leader = walkingNewt(0, 0, 1);
+        const follower = { ...walkingNewt(-1, 0, 1), leader, rank: 1 };
+        manager.newts = [leader, follower];
+
+        // Hurrying to close the gap, then walking in step (a tick's stride behind its place)
+        for (let i = 0; i < 60; i++) manager.update(0.1, 0, player);
+        const gap = leader.mesh.position.x - follower.mesh.position.x;
+        expect(gap).toBeGreaterThanOrEqual(manager.behaviour.followDistance);
+        expect(gap).toBeLessThanOrEqual(manager.behaviour.followDistance + leader.speed * 0.1 + 1e-9);
+        expect(follower.mesh.position.z).toBe(0);
+        expect(follower.isPaused).toBe(false);
+
+        manager.turnBack(leader);
+        manager.update(0.1, 0, player);
+        expect(follower.leader).toBeNull();
+        expect(follower.targetSide).toBe(-1);
+
+        // A follower whose leader is picked up carries on alone
+        const lost = { ...walkingNewt(0, 5, 1), leader: walkingNewt(1, 5, 1), rank: 1 };
+        manager.newts = [lost];
+        manager.update(0.1, 0, player);
+        expect(lost.leader).toBeNull();
+        expect(lost.targetSide).toBe(1);
+    });
+});
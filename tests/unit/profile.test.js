@@ -0,0 +1,96 @@
+import { describe, expect, test } from 'vitest';
+import { PlayerProfile, containsProfanity, validateDisplayName } from '../../js/profile.js';
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+describe('Display name validation', () => {
+    test('tidies whitespace and enforces length and characters', () => {
+        expect(validateDisplayName('  Newt   Friend ')).toEqual({ valid: true, name: 'Newt Friend' });
+        expect(validateDisplayName('Zoë_O\'Brien-2')).toEqual({ valid: true, name: 'Zoë_O\'Brien-2' });
+        expect(validateDisplayName('a').valid).toBe(false);
+        expect(validateDisplayName('x'.repeat(21)).valid).toBe(false);
+        expect(validateDisplayName('<script>').valid).toBe(false);
+        expect(validateDisplayName(null).valid).toBe(false);
+    });
+
+    test('filters profanity through spacing, repeats and look-alike digits', () => {
+        expect(containsProfanity('sh1t')).toBe(true);
+        expect(containsProfanity('F u c k')).toBe(true);
+        expect(containsProfanity('shiiit')).toBe(true);
+        expect(containsProfanity('Cassie')).toBe(false);
+        expect(containsProfanity('Newt Wrangler')).toBe(false);
+        expect(validateDisplayName('b1tch').error).toBe('Please choose a different name');
+    });
+
+    test('only whole words are blocked, so names that contain one are fine', () => {
+        for (const name of ['Nazir', 'Nazia', 'Yoshita', 'Kishita', 'Marc Unter', 'Scunthorpe']) {
+            expect(validateDisplayName(name)).toEqual({ valid: true, name });
+        }
+        expect(containsProfanity('Big Nazis')).toBe(true);
+        expect(containsProfanity('N4z1_fan')).toBe(true);
+    });
+});
+
+describe('Player profile', () => {
+    test('creates a stable ID once and adopts the old saved name', () => {
+        const storage = memoryStorage({ newtRescuePlayerName: 'ana' });
+        const profile = new PlayerProfile({ storage, createId: () => 'id-1' });
+
+        expect(profile.player).toEqual({ id: 'id-1', name: 'ana' });
+        expect(new PlayerProfile({ storage, createId: () => 'id-2' }).id).toBe('id-1');
+    });
+
+    test('an old saved name that fails the checks is kept aside until renamed', () => {
+        const storage = memoryStorage({ newtRescuePlayerName: 'x' });
+        const profile = new PlayerProfile({ storage, createId: () => 'id-1' });
+
+        expect(profile.displayName).toBe('');
+        expect(profile.rejectedName).toEqual({ name: 'x', error: 'Name must be at least 2 characters' });
+        expect(profile.editableName).toBe('x');
+        expect(new PlayerProfile({ storage }).getSnapshot().rejectedName).toMatchObject({ name: 'x' });
+
+        profile.setDisplayName('xena');
+        expect(profile.rejectedName).toBeNull();
+        expect(new PlayerProfile({ storage }).rejectedName).toBeNull();
+    });
+
+    test('renaming keeps the ID and rejects invalid names', () => {
+        const storage = memoryStorage();
+        const profile = new PlayerProfile({ storage, createId: () => 'id-1' });
+
+        expect(profile.setDisplayName(' Newt Fan ')).toEqual({ success: true, name: 'Newt Fan' });
+        expect(profile.setDisplayName('x')).toMatchObject({ success: false });
+        expect(new PlayerProfile({ storage }).player).toEqual({ id: 'id-1', name: 'Newt Fan' });
+    });
+
+    test('accumulates lifetime stats across runs', () => {
+        const storage = memoryStorage();
+        const profile = new PlayerProfile({ storage, createId: () => 'id-1' });
+        const changes = [];
+        profile.onChange(snapshot => changes.push(snapshot));
+
+        profile.recordRun({ rescued: 4, score: 4, reason: 'car', wave: 0 });
+        profile.recordRun({ rescued: 9, score: 13, reason: 'owl', wave: 2 });
+        profile.recordRun({ rescued: 1, score: 1, reason: 'car', wave: 0 });
+
+        expect(new PlayerProfile({ storage }).getSnapshot().stats).toEqual({
+            runs: 3,
+            totalRescued: 14,
+            bestScore: 13,
+            bestWave: 2,
+            deathsByCause: { car: 2, owl: 1 }
+        });
+        expect(changes).toHaveLength(3);
+    });
+
+    test('starts over from a corrupt saved profile', () => {
+        const storage = memoryStorage({ newtRescueProfile: '{not json' });
+        expect(new PlayerProfile({ storage, createId: () => 'fresh' }).id).toBe('fresh');
+    });
+});
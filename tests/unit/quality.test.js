@@ -0,0 +1,36 @@
+import { describe, expect, test } from 'vitest';
+import { MAX_QUALITY_LEVEL, MIN_QUALITY_LEVEL, QUALITY_PRESETS, presetForLevel } from '../../js/quality.js';
+import { QUALITY_CHOICES, SETTINGS_SCHEMA, sanitizeSetting } from '../../js/settings.js';
+
+describe('Quality presets', () => {
+    test('levels run 1-3 from low to high', () => {
+        expect([QUALITY_PRESETS.low.level, QUALITY_PRESETS.medium.level, QUALITY_PRESETS.high.level]).toEqual([1, 2, 3]);
+        expect(MIN_QUALITY_LEVEL).toBe(1);
+        expect(MAX_QUALITY_LEVEL).toBe(3);
+    });
+
+    test('higher presets never draw less', () => {
+        const { low, medium, high } = QUALITY_PRESETS;
+        for (const field of ['pixelRatio', 'shadowMapSize', 'flashlightGlow', 'rainFraction', 'density', 'maxNewts', 'maxCars', 'lowEndMaxCars']) {
+            expect(low[field]).toBeLessThanOrEqual(medium[field]);
+            expect(medium[field]).toBeLessThanOrEqual(high[field]);
+        }
+    });
+
+    test('keeps the caps the per-level tables had before presets', () => {
+        expect([1, 2, 3].map(level => presetForLevel(level).maxNewts)).toEqual([8, 11, 14]);
+        expect([1, 2, 3].map(level => presetForLevel(level).maxCars)).toEqual([8, 11, 14]);
+        expect([1, 2, 3].map(level => presetForLevel(level).density)).toEqual([0.5, 0.7, 1]);
+    });
+
+    test('levels outside the range use the nearest preset', () => {
+        expect(presetForLevel(0)).toBe(QUALITY_PRESETS.low);
+        expect(presetForLevel(7)).toBe(QUALITY_PRESETS.high);
+        expect(presetForLevel(2.9)).toBe(QUALITY_PRESETS.medium);
+    });
+
+    test('the quality setting offers auto and every preset', () => {
+        expect(QUALITY_CHOICES).toEqual(['auto', 'low', 'medium', 'high']);
+        expect(sanitizeSetting(SETTINGS_SCHEMA.quality, 'medium')).toBe('medium');
+    });
+});
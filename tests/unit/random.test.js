@@ -0,0 +1,61 @@
+import { describe, expect, test } from 'vitest';
+import { RandomService, RandomStream } from '../../js/random.js';
+
+function draw(stream, count) {
+    return Array.from({ length: count }, () => stream.next());
+}
+
+describe('Seeded random streams', () => {
+    test('the same seed produces the same sequence', () => {
+        const a = new RandomService('alma-bridge');
+        const b = new RandomService('alma-bridge');
+
+        expect(draw(a.stream('traffic'), 20)).toEqual(draw(b.stream('traffic'), 20));
+    });
+
+    test('different seeds produce different sequences', () => {
+        const a = new RandomService('alma-bridge');
+        const b = new RandomService('lexington');
+
+        expect(draw(a.stream('traffic'), 5)).not.toEqual(draw(b.stream('traffic'), 5));
+    });
+
+    test('values stay within [0, 1)', () => {
+        const values = draw(new RandomStream(12345), 1000);
+
+        expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+        expect(Math.max(...values)).toBeLessThan(1);
+    });
+
+    test('drawing from one stream does not shift another', () => {
+        const a = new RandomService('seed');
+        const b = new RandomService('seed');
+
+        draw(a.stream('traffic'), 50);
+        draw(b.stream('traffic'), 3);
+
+        expect(draw(a.stream('newts'), 10)).toEqual(draw(b.stream('newts'), 10));
+    });
+
+    test('beginLevel replays the level sequence in place', () => {
+        const service = new RandomService('seed');
+        const newts = service.stream('newts');
+
+        service.beginLevel(2);
+        const first = draw(newts, 10);
+        service.beginLevel(2);
+        expect(draw(newts, 10)).toEqual(first);
+
+        service.beginLevel(3);
+        expect(draw(newts, 10)).not.toEqual(first);
+    });
+
+    test('setSeed reseeds streams that modules already hold', () => {
+        const service = new RandomService('first');
+        const scenery = service.stream('scenery');
+        const expected = draw(new RandomService('second').stream('scenery'), 5);
+
+        service.setSeed('second');
+        expect(draw(scenery, 5)).toEqual(expected);
+    });
+});
@@ -0,0 +1,166 @@
+import { describe, expect, test } from 'vitest';
+import * as THREE from 'three';
+import { Player } from '../../js/player.js';
+import { REPLAY_VERSION, ReplayRecorder, ReplayPlayer, quantizeInput, validateReplay } from '../../js/replay.js';
+
+function createPlayer() {
+    const player = Object.create(Player.prototype);
+    Object.assign(player, {
+        camera: new THREE.PerspectiveCamera(),
+        roadBounds: { minX: -40, maxX: 35, minZ: -140, maxZ: 140 },
+        isMobile: true,
+        moveForward: false,
+        moveBackward: false,
+        moveLeft: false,
+        moveRight: false,
+        joystickInput: { x: 0, y: 0 },
+        velocity: new THREE.Vector3(),
+        direction: new THREE.Vector3(),
+        speed: 5,
+        playerHeight: 1.7,
+        euler: new THREE.Euler(0, 0, 0, 'YXZ'),
+        windPush: new THREE.Vector3(),
+        gamepadIndex: -1,
+        liveInput: { moveX: 0, moveZ: 0, yaw: 0, pitch: 0, flashlight: false },
+        flashlightToggleQueued: false
+    });
+    player.camera.position.set(0, 1.7, 0);
+    return player;
+}
+
+function input(overrides = {}) {
+    return { moveX: 0, moveZ: 0, yaw: 0, pitch: 0, flashlight: false, ...overrides };
+}
+
+describe('Replay recording', () => {
+    test('identical ticks collapse into one run', () => {
+        const recorder = new ReplayRecorder({ seed: 'abc', level: 1, totalScore: 0 });
+        for (let i = 0; i < 50; i++) recorder.record(input({ moveZ: 1 }), 3);
+        recorder.record(input({ moveZ: 1, flashlight: true }), 3);
+
+        const replay = recorder.finish({ reason: 'car', score: 2, time: 0.85, level: 1 });
+        expect(replay.ticks).toBe(51);
+        expect(replay.inputs).toEqual([
+            50, 0, 100, 0, 0, 0, 3,
+            1, 0, 100, 0, 0, 1, 3
+        ]);
+    });
+
+    test('live frames are quantized to what the replay stores', () => {
+        const frame = quantizeInput(input({ moveX: 0.123456, yaw: Math.PI * 2 + 0.5, pitch: -0.33333 }));
+
+        expect(frame.moveX).toBe(0.12);
+        expect(frame.yaw).toBe(0.5);
+        expect(frame.pitch).toBe(-0.3333);
+    });
+
+    test('playback returns every recorded frame after a JSON round trip', () => {
+        const recorder = new ReplayRecorder({ seed: 'abc', level: 2, totalScore: 4 });
+        const recorded = [];
+        for (let i = 0; i < 120; i++) {
+            const frame = recorder.record(input({
+                moveX: Math.sin(i * 0.1),
+                moveZ: i % 40 < 20 ? 1 : 0,
+                yaw: i * 0.013,
+                pitch: -0.1,
+                flashlight: i === 60
+            }), i < 90 ? 3 : 2);
+            recorded.push({ ...frame, quality: i < 90 ? 3 : 2 });
+        }
+
+        const playback = new ReplayPlayer(JSON.parse(JSON.stringify(recorder.finish(null))));
+        const played = [];
+        let frame;
+        while ((frame = playback.next())) played.push({ ...frame });
+
+        expect(played).toEqual(recorded);
+        expect(playback.isFinished()).toBe(true);
+
+        playback.rewind();
+        expect({ ...playback.next() }).toEqual(recorded[0]);
+    });
+
+    test('replayed inputs move the player exactly as the live run did', () => {
+        const live = createPlayer();
+        const recorder = new ReplayRecorder({ seed: 'abc', level: 1, totalScore: 0 });
+        const step = 1 / 60;
+
+        for (let i = 0; i < 600; i++) {
+            // Joystick sweeps while the view turns, as a touch player would
+            live.joystickInput = { x: Math.sin(i * 0.05) * 0.7, y: i % 200 < 150 ? 0.9 : -0.4 };
+            live.camera.rotation.y = i * 0.004;
+            const frame = recorder.record(live.readInput(step), 3);
+            live.update(step, frame);
+        }
+
+        const replayed = createPlayer();
+        const playback = new ReplayPlayer(recorder.finish(null));
+        let frame;
+        while ((frame = playback.next())) replayed.update(step, frame);
+
+        expect(replayed.camera.position.toArray()).toEqual(live.camera.position.toArray());
+        expect(replayed.camera.quaternion.toArray()).toEqual(live.camera.quaternion.toArray());
+    });
+
+    test('sprint is stored as a flag next to the flashlight', () => {
+        const recorder = new ReplayRecorder({ seed: 'abc', level: 1, totalScore: 0 });
+        recorder.record(input({ moveZ: 1, sprint: true }), 3);
+        recorder.record(input({ moveZ: 1, sprint: true, flashlight: true }), 3);
+
+        const replay = recorder.finish(null);
+        expect(replay.inputs).toEqual([
+            1, 0, 100, 0, 0, 2, 3,
+            1, 0, 100, 0, 0, 3, 3
+        ]);
+
+        const playback = new ReplayPlayer(replay);
+        expect(playback.next()).toMatchObject({ sprint: true, flashlight: false });
+        expect(playback.next()).toMatchObject({ sprint: true, flashlight: true });
+    });
+
+    test('replays recorded before sprinting play back walking', () => {
+        const replay = new ReplayRecorder({ seed: 'abc', level: 1, totalScore: 0 }).finish(null);
+        const playback = new ReplayPlayer({ ...replay, ticks: 2, inputs: [2, 0, 100, 0, 0, 1, 3] });
+
+        expect(playback.next()).toMatchObject({ sprint: false, flashlight: true });
+    });
+
+    test('carry mode keeps its releases, penalties and rescue mode', () => {
+        const recorder = new ReplayRecorder({ seed: 'abc', level: 1, totalScore: 0, rescueMode: 'carry' });
+        recorder.record(input({ moveX: 1 }), 3);
+        recorder.record(input({ moveX: 1, drop: true }), 3);
+        recorder.recordPenalty({ x: 7.123, z: -2 });
+
+        const replay = recorder.finish(null);
+        expect(replay.rescueMode).toBe('carry');
+        expect(replay.penalties).toEqual([[2, 7.12, -2]]);
+        expect(replay.inputs[12]).toBe(4);
+
+        const playback = new ReplayPlayer(replay);
+        expect(playback.next().drop).toBe(false);
+        expect(playback.next().drop).toBe(true);
+
+        // Runs default to instant rescues; replays from before carry mode have no mode at all
+        const instant = new ReplayRecorder({ seed: 'abc', level: 1, totalScore: 0 }).finish(null);
+        expect(instant.rescueMode).toBe('instant');
+        expect(() => validateReplay({ ...instant, rescueMode: undefined })).not.toThrow();
+        expect(() => validateReplay({ ...instant, rescueMode: 'juggle' })).toThrow('Unknown rescue mode');
+    });
+
+    test('rejects files that are not replays', () => {
+        expect(() => validateReplay({ format: 'something-else' })).toThrow('Not a Save the Newts replay file');
+
+        const replay = new ReplayRecorder({ seed: 'abc', level: 1, totalScore: 0 }).finish(null);
+        expect(() => validateReplay({ ...replay, ticks: 5 })).toThrow('expected 5');
+        expect(() => validateReplay({ ...replay, inputs: [1, 2, 3] })).toThrow('corrupt');
+        expect(() => validateReplay({ ...replay, inputs: [-1, 0, 0, 0, 0, 0, 3, 1, 0, 0, 0, 0, 0, 3], ticks: 0 })).toThrow('invalid length');
+    });
+
+    test('tells the player which version of the game recorded an unplayable replay', () => {
+        const replay = new ReplayRecorder({ seed: 'abc', level: 1, totalScore: 0 }).finish(null);
+        expect(() => validateReplay({ ...replay, version: 1 })).toThrow('recorded by an older version of the game');
+        expect(() => validateReplay({ ...replay, version: REPLAY_VERSION - 1 })).toThrow('older version');
+        expect(() => validateReplay({ ...replay, version: REPLAY_VERSION + 1 })).toThrow('recorded by a newer version of the game');
+        expect(() => validateReplay({ ...replay, version: 'two' })).toThrow('Unsupported replay version two');
+    });
+});
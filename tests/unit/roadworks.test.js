@@ -0,0 +1,164 @@
+import { describe, expect, test } from 'vitest';
+import * as THREE from 'three';
+import { CarManager } from '../../js/cars.js';
+import { validateLevelDefinition } from '../../js/level-data.js';
+import { ROADWORKS_RULES, RoadworksManager, canEnterClosure, laneSignal } from '../../js/roadworks.js';
+import { SIMULATION_STEP } from '../../js/timestep.js';
+
+// Straight road along +z: t = 0.5 is the origin and the positive lateral side is -x
+const roadCurve = new THREE.CatmullRomCurve3([new THREE.Vector3(0, 0, -100), new THREE.Vector3(0, 0, 100)]);
+
+const SITE = {
+    closure: { t: [0.4, 0.6], closedLane: 3 },
+    trench: { t: [0.47, 0.53], lateral: [1.2, 9] },
+    excavator: { t: [0.44, 0.56], lateral: 12.5 }
+};
+
+function createSite(site = SITE) {
+    const roadworks = new RoadworksManager(new THREE.Scene());
+    roadworks.setSite(site, roadCurve);
+    return roadworks;
+}
+
+// Traffic with spawning turned off; cars are placed by hand
+function createTraffic(closure) {
+    const manager = CarManager.createHeadless(roadCurve);
+    manager.maxCars = 0;
+    manager.setLaneClosure(closure);
+    return manager;
+}
+
+function addCar(manager, lane, curveT, speed = 10) {
+    const car = {
+        mesh: new THREE.Object3D(),
+        lane,
+        direction: lane > 0 ? 1 : -1,
+        speed,
+        curveT,
+        limitT: null,
+        closureGranted: false
+    };
+    manager.cars.push(car);
+    return car;
+}
+
+function drive(manager, seconds) {
+    for (let i = 0; i < Math.round(seconds / SIMULATION_STEP); i++) manager.update(SIMULATION_STEP, 0);
+}
+
+describe('Roadworks lane signal', () => {
+    test('directions take turns with an all-red gap between them', () => {
+        const { green, clearance } = ROADWORKS_RULES;
+
+        expect(laneSignal(1)).toEqual({ direction: 1, remaining: green - 1 });
+        expect(laneSignal(green + 1).direction).toBe(0);
+        expect(laneSignal(green + clearance + 2)).toEqual({ direction: -1, remaining: green - 2 });
+        expect(laneSignal(2 * green + clearance + 1).direction).toBe(0);
+        expect(laneSignal(2 * (green + clearance)).direction).toBe(1);
+    });
+
+    test('a car only enters when it can clear the closure on its green', () => {
+        expect(canEnterClosure(1, 0, 60, 10)).toBe(true);
+        expect(canEnterClosure(1, ROADWORKS_RULES.green - 3, 60, 10)).toBe(false);
+        expect(canEnterClosure(-1, 0, 10, 10)).toBe(false);
+    });
+});
+
+describe('Roadworks site', () => {
+    test('stepping into the trench is a fall; the closed lane beside it is not', () => {
+        const roadworks = createSite();
+        const position = new THREE.Vector3(0, 1.6, 0);
+
+        expect(roadworks.checkPlayer(position, 0.5, 3)).toBe('trench');
+        expect(roadworks.checkPlayer(position, 0.5, 0.5)).toBeNull();
+        expect(roadworks.checkPlayer(position, 0.45, 3)).toBeNull();
+    });
+
+    test('the excavator and its bucket are deadly, and move the same way every run', () => {
+        const roadworks = createSite();
+        for (let i = 0; i < 600; i++) roadworks.update(SIMULATION_STEP);
+        const cab = roadworks.cabPosition.clone();
+        const bucket = roadworks.bucketPosition.clone();
+
+        expect(cab.distanceTo(bucket)).toBeCloseTo(ROADWORKS_RULES.armReach, 5);
+        expect(roadworks.checkPlayer(cab, 0.5, 12.5)).toBe('machinery');
+        expect(roadworks.checkPlayer(bucket, 0.5, 0)).toBe('machinery');
+
+        const again = createSite();
+        for (let i = 0; i < 600; i++) again.update(SIMULATION_STEP);
+        expect(again.bucketPosition.equals(bucket)).toBe(true);
+
+        roadworks.reset();
+        expect(roadworks.cabPosition.equals(cab)).toBe(false);
+    });
+
+    test('levels without roadworks have no hazards and no closure', () => {
+        const roadworks = createSite(null);
+
+        expect(roadworks.checkPlayer(new THREE.Vector3(), 0.5, 3)).toBeNull();
+        expect(roadworks.getLaneClosure()).toBeNull();
+    });
+
+    test('clearing the site removes everything it built', () => {
+        const scene = new THREE.Scene();
+        const roadworks = new RoadworksManager(scene);
+        roadworks.setSite(SITE, roadCurve);
+        expect(scene.children.length).toBeGreaterThan(0);
+
+        roadworks.setSite(null, roadCurve);
+        expect(scene.children).toHaveLength(0);
+    });
+
+    test('level files reject a malformed site', () => {
+        const level = JSON.parse(JSON.stringify(SITE));
+        const definition = {
+            id: 1,
+            road: { controlPoints: [[0, 0], [0, 1]], width: 12, bounds: {}, dangerZones: {} },
+            sky: { background: '#000', fog: { color: '#000', density: 0 } },
+            lighting: { ambient: {}, hemisphere: {} },
+            terrain: { grass: '#000' },
+            props: { trees: {} },
+            weather: {},
+            audio: {},
+            newtsToAdvance: 1,
+            traffic: {},
+            roadworks: level
+        };
+        expect(() => validateLevelDefinition(definition)).not.toThrow();
+
+        level.closure.closedLane = 2;
+        expect(() => validateLevelDefinition(definition, 'works.json')).toThrow('works.json: "roadworks.closure"');
+    });
+});
+
+describe('Traffic through the lane closure', () => {
+    test('cars wait at the stop line on red and queue behind each other', () => {
+        const roadworks = createSite();
+        const traffic = createTraffic(roadworks.getLaneClosure());
+        // Heading -t while +t has the green
+        const first = addCar(traffic, -3, 0.75);
+        const second = addCar(traffic, -3, 0.8);
+
+        drive(traffic, 8);
+        const stopLine = 0.6 + ROADWORKS_RULES.stopGap / traffic._curveLength;
+        expect(first.curveT).toBeCloseTo(stopLine, 5);
+        expect(second.curveT - first.curveT).toBeCloseTo(ROADWORKS_RULES.queueGap / traffic._curveLength, 5);
+
+        // Their green comes after the all-red gap
+        drive(traffic, ROADWORKS_RULES.green + ROADWORKS_RULES.clearance);
+        expect(first.curveT).toBeLessThan(0.4);
+    });
+
+    test('the closed lane moves across to the open one inside the closure', () => {
+        const roadworks = createSite();
+        const traffic = createTraffic(roadworks.getLaneClosure());
+        const car = addCar(traffic, 3, 0.3);
+
+        expect(traffic.getLaneOffset(car)).toBe(3);
+        drive(traffic, 4.5);
+        expect(car.curveT).toBeGreaterThan(0.5);
+        expect(car.curveT).toBeLessThan(0.55);
+        expect(traffic.getLaneOffset(car)).toBe(-3);
+        expect(car.mesh.position.x).toBeCloseTo(3, 1);
+    });
+});
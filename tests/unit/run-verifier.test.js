@@ -0,0 +1,335 @@
+import { afterAll, beforeAll, describe, expect, test } from 'vitest';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { Player } from '../../js/player.js';
+import { RandomService } from '../../js/random.js';
+import { LeaderboardManager, resolveLeaderboardConfig } from '../../js/leaderboard.js';
+import { ReplayRecorder } from '../../js/replay.js';
+import { createRunProof, hashInputs } from '../../js/run-summary.js';
+import { MAX_RUN_TICKS, verifyRun, verifySubmission } from '../../js/run-verifier.js';
+import { SIMULATION_STEP } from '../../js/timestep.js';
+import { Wind } from '../../js/wind.js';
+import { createLeaderboardServer } from '../../server/leaderboard-server.mjs';
+import { verifyPendingRuns } from '../../server/verify-pending.mjs';
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../../levels/${file}`, import.meta.url), 'utf8'));
+const levels = readJson('index.json').levels.map(readJson);
+
+// Records a run the way Game does: each tick's input and wind, then the rescues made on
+// that tick (placed right where the player stands) and, in carry mode, wrong-side releases.
+// Runs start on the first of `definitions`, as every run starts a new game.
+function recordRun({ ticks, rescueTicks, penaltyTicks = [], move = () => ({ moveZ: 1 }), definitions = levels, rescueMode = 'instant' }) {
+    const level = 1;
+    const recorder = new ReplayRecorder({ seed: 'verify-seed', level, totalScore: 0, rescueMode });
+    const player = Player.createHeadless(new THREE.PerspectiveCamera(), { ...definitions[0].road.bounds });
+    const random = new RandomService('verify-seed');
+    const wind = new Wind(random.stream('wind'));
+    random.beginLevel(level);
+    wind.reset(definitions[0].weather.wind || 0);
+
+    for (let tick = 1; tick <= ticks; tick++) {
+        const input = recorder.record({ moveX: 0, moveZ: 0, yaw: 0, pitch: 0, flashlight: false, ...move(tick) }, 3);
+        player.setWindPush(wind.update(SIMULATION_STEP));
+        player.update(SIMULATION_STEP, input);
+        if (rescueTicks.includes(tick)) recorder.recordRescue(player.getPosition());
+        if (penaltyTicks.includes(tick)) recorder.recordPenalty(player.getPosition());
+    }
+
+    // A penalty never takes the score below zero
+    let score = 0;
+    for (let tick = 1; tick <= ticks; tick++) {
+        if (rescueTicks.includes(tick)) score++;
+        if (penaltyTicks.includes(tick)) score = Math.max(0, score - 1);
+    }
+
+    return recorder.finish({
+        reason: 'car',
+        score,
+        time: ticks * SIMULATION_STEP,
+        level
+    });
+}
+
+// Rewrites the summary, as anyone sending a proof can
+function tamper(proof, changes) {
+    return { ...proof, summary: { ...proof.summary, ...changes } };
+}
+
+describe('Run verification', () => {
+    test('a recorded run with reachable rescues passes', async () => {
+        const proof = await createRunProof(recordRun({
+            ticks: 720,
+            rescueTicks: [300, 480, 700],
+            move: tick => (tick <= 360 ? { moveZ: 1 } : {})
+        }));
+        const result = await verifyRun(proof, { levels });
+
+        expect(result.errors).toEqual([]);
+        expect(result.valid).toBe(true);
+        expect(result.stats.rescues).toBe(3);
+        expect(result.stats.distanceWalked).toBeGreaterThan(25);
+    });
+
+    test('rescues a sprint apart pass although walking could not cover the gap', async () => {
+        // 3 s of sprinting covers more ground than walking and the newt closing in together
+        const proof = await createRunProof(recordRun({
+            ticks: 600,
+            rescueTicks: [370, 550],
+            move: tick => (tick <= 370 ? {} : { moveZ: 1, sprint: true })
+        }));
+        const [[, , z1], [, , z2]] = proof.summary.rescues;
+        const result = await verifyRun(proof, { levels });
+
+        expect(Math.abs(z2 - z1)).toBeGreaterThan((5 + 0.7) * 3 + 3.05);
+        expect(result.errors).toEqual([]);
+    });
+
+    test('on a windy level the verifier blows the player where the gusts did', async () => {
+        // The storm level played first, so a new game starts in the wind
+        const stormFirst = [levels[2], levels[0], levels[1], levels[3]];
+        const proof = await createRunProof(recordRun({ definitions: stormFirst, ticks: 1800, rescueTicks: [1790], move: () => ({}) }));
+        const [[, x, z]] = proof.summary.rescues;
+        const result = await verifyRun(proof, { levels: stormFirst });
+
+        // Standing still the whole time, yet well away from where the run started
+        expect(Math.hypot(x, z)).toBeGreaterThan(3);
+        expect(result.errors).toEqual([]);
+    });
+
+    test('carry-mode releases past the road edge pass, less their penalties', async () => {
+        const proof = await createRunProof(recordRun({
+            rescueMode: 'carry',
+            ticks: 700,
+            rescueTicks: [400, 600],
+            penaltyTicks: [100, 500],
+            move: tick => (tick <= 100 ? { moveX: 1 } : {})
+        }));
+        const result = await verifyRun(proof, { levels });
+
+        expect(proof.summary.score).toBe(1);
+        expect(result.errors).toEqual([]);
+
+        // Leaving the penalties out leaves a score the rescues do not add up to
+        const hidden = await verifyRun(await tamper(proof, { penalties: [] }), { levels });
+        expect(hidden.errors[0]).toMatch(/needs 1 rescues, run lists 2/);
+    });
+
+    test('a carry-mode release on the road or away from the player is rejected', async () => {
+        const proof = await createRunProof(recordRun({ rescueMode: 'carry', ticks: 400, rescueTicks: [390], move: () => ({}) }));
+        const result = await verifyRun(proof, { levels });
+        expect(result.errors.some(error => /released on the road/.test(error))).toBe(true);
+
+        const moved = await tamper(proof, { rescues: [[390, proof.summary.rescues[0][1] + 1, proof.summary.rescues[0][2]]] });
+        expect((await verifyRun(moved, { levels })).errors.some(error => /released 1\.00 m from the player/.test(error))).toBe(true);
+
+        const instant = await createRunProof(recordRun({ ticks: 300, rescueTicks: [250], penaltyTicks: [200] }));
+        expect((await verifyRun(instant, { levels })).errors).toContain('Run lists 1 penalties, but only carry mode has them');
+    });
+
+    test('proofs survive a JSON round trip with reordered keys', async () => {
+        const proof = await createRunProof(recordRun({ ticks: 300, rescueTicks: [250] }));
+        const reordered = Object.fromEntries(Object.entries(proof.summary).reverse());
+
+        const result = await verifyRun(JSON.parse(JSON.stringify({ summary: reordered, inputs: proof.inputs })), { levels });
+        expect(result.valid).toBe(true);
+    });
+
+    test('swapping in a different input log breaks the hash', async () => {
+        const proof = await createRunProof(recordRun({ ticks: 300, rescueTicks: [250] }));
+        const other = recordRun({ ticks: 300, rescueTicks: [250], move: () => ({ moveX: 1 }) });
+
+        const result = await verifyRun({ ...proof, inputs: other.inputs }, { levels });
+        expect(result.errors).toEqual(['Input log does not match the hash in the summary']);
+        expect(result.stats.ticks).toBe(0);
+    });
+
+    test('a score the rescues do not add up to is rejected', async () => {
+        const proof = await createRunProof(recordRun({ ticks: 300, rescueTicks: [250] }));
+        const result = await verifyRun(await tamper(proof, { score: 40 }), { levels });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors[0]).toMatch(/needs 40 rescues, run lists 1/);
+    });
+
+    test('a run that does not start a new game is rejected', async () => {
+        const proof = await createRunProof(recordRun({ ticks: 60, rescueTicks: [] }));
+        const banked = await verifyRun(await tamper(proof, { startScore: 99999, score: 99999 }), { levels });
+        expect(banked.valid).toBe(false);
+        expect(banked.errors).toEqual(['Run starts on level 1 with 99999 points, not a new game']);
+
+        const skipped = await verifyRun(await tamper(proof, { level: 4 }), { levels });
+        expect(skipped.errors).toEqual(['Run starts on level 4 with 0 points, not a new game']);
+    });
+
+    test('a claimed time the tick count does not cover is rejected', async () => {
+        const proof = await createRunProof(recordRun({ ticks: 300, rescueTicks: [250] }));
+        const result = await verifyRun(await tamper(proof, { timeSurvived: 600 }), { levels });
+
+        expect(result.errors).toEqual([expect.stringMatching(/but the run claims 600 s/)]);
+        expect(result.stats.ticks).toBe(0);
+    });
+
+    test('a tick count longer than any run is refused before anything is simulated', async () => {
+        // One input run can claim any number of ticks
+        const proof = await createRunProof(recordRun({ ticks: 60, rescueTicks: [] }));
+        const ticks = MAX_RUN_TICKS + 1;
+        const inputs = [ticks, 0, 0, 0, 0, 0, 3];
+        const endless = await tamper({ ...proof, inputs }, {
+            inputHash: await hashInputs(inputs),
+            ticks,
+            timeSurvived: ticks * SIMULATION_STEP
+        });
+
+        const result = await verifyRun(endless, { levels });
+        expect(result.errors).toEqual([`Run claims ${ticks} ticks, more than the ${MAX_RUN_TICKS} a run can last`]);
+
+        const fractional = await verifyRun(await tamper(proof, { ticks: 60.5 }), { levels });
+        expect(fractional.errors).toEqual(['Run tick count 60.5 is not a whole number of ticks']);
+    });
+
+    test('more rescues than newts could have spawned are rejected', async () => {
+        // The first newt spawns three seconds in; five rescues by then are impossible
+        const proof = await createRunProof(recordRun({ ticks: 240, rescueTicks: [200, 205, 210, 215, 220] }));
+        const result = await verifyRun(proof, { levels });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors.some(error => /only \d newts could have spawned/.test(error))).toBe(true);
+    });
+
+    test('a rescue out of the player\'s reach is rejected', async () => {
+        const proof = await createRunProof(recordRun({ ticks: 400, rescueTicks: [300] }));
+        const [[tick, x, z]] = proof.summary.rescues;
+        const result = await verifyRun(await tamper(proof, { rescues: [[tick, x, z - 6]] }), { levels });
+
+        expect(result.errors).toEqual([expect.stringMatching(/newt is 6\.00 m from the player/)]);
+    });
+
+    test('rescues further apart than the player can walk are rejected', async () => {
+        // Standing still the whole run, with the second rescue moved 30 m down the road
+        const proof = await createRunProof(recordRun({ ticks: 700, rescueTicks: [300, 360], move: () => ({}) }));
+        const rescues = [proof.summary.rescues[0], [360, 0, -30]];
+        const result = await verifyRun(await tamper(proof, { rescues }), { levels });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors.some(error => /from the previous rescue in 1\.00 s/.test(error))).toBe(true);
+        expect(result.errors.some(error => /from the player/.test(error))).toBe(true);
+    });
+
+    test('malformed proofs are reported, not thrown', async () => {
+        expect((await verifyRun({}, { levels })).errors).toEqual(['Not a run summary']);
+
+        const proof = await createRunProof(recordRun({ ticks: 60, rescueTicks: [] }));
+        const inputs = proof.inputs.slice(0, -1);
+        const broken = await tamper({ ...proof, inputs }, { inputHash: await hashInputs(inputs) });
+        expect((await verifyRun(broken, { levels })).errors).toEqual(['Replay inputs are corrupt']);
+
+        const notEntries = await verifyRun(await tamper(proof, { rescues: [5] }), { levels });
+        expect(notEntries.errors).toContain('Rescue 1 is not a [tick, x, z] entry');
+        const shortPenalty = await verifyRun(await tamper(proof, { rescueMode: 'carry', penalties: [[1, 2]] }), { levels });
+        expect(shortPenalty.errors).toContain('Penalty 1 is not a [tick, x, z] entry');
+
+        const zeroRun = [0, 0, 0, 0, 0, 0, 3, ...proof.inputs];
+        const padded = await tamper({ ...proof, inputs: zeroRun }, { inputHash: await hashInputs(zeroRun) });
+        expect((await verifyRun(padded, { levels })).errors).toEqual(['Replay input run 1 has an invalid length']);
+
+        expect((await verifyRun(proof)).errors).toEqual(['No level definitions to verify the run against']);
+        const entryless = await verifySubmission(null, proof, { levels });
+        expect(entryless).toMatchObject({ valid: false, errors: ['Submission has no leaderboard entry'] });
+        expect((await verifySubmission({ score: 0 }, null, { levels })).errors).toContain('Not a run summary');
+    });
+});
+
+describe('Leaderboard server proof checks', () => {
+    let server;
+    let leaderboard;
+    let proof;
+
+    beforeAll(async () => {
+        server = createLeaderboardServer({ requireProof: true });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        leaderboard = new LeaderboardManager(
+            resolveLeaderboardConfig(`?leaderboard=rest&leaderboardUrl=http://127.0.0.1:${server.address().port}`)
+        );
+        proof = await createRunProof(recordRun({ ticks: 300, rescueTicks: [250] }));
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('accepts a verified run and marks it', async () => {
+        const result = await leaderboard.submitScore('ana', 1, 5, 'car', { proof });
+
+        expect(result.outcome).toBe('improved');
+        expect(result.data).toMatchObject({ player_name: 'ana', score: 1, verified: true });
+        expect(result.data).not.toHaveProperty('run_proof');
+    });
+
+    test('refuses a score its proof does not back up', async () => {
+        const result = await leaderboard.submitScore('ben', 30, 5, 'car', { proof });
+
+        expect(result).toMatchObject({ success: false, outcome: 'rejected' });
+        expect(result.error).toMatch(/HTTP 422.*Entry score 30 does not match the run's 1/);
+    });
+
+    test('refuses a malformed proof as unverifiable rather than failing', async () => {
+        const broken = await tamper(proof, { rescues: [5] });
+        const result = await leaderboard.submitScore('di', 1, 5, 'car', { proof: broken });
+
+        expect(result).toMatchObject({ success: false, outcome: 'rejected' });
+        expect(result.error).toMatch(/HTTP 422/);
+    });
+
+    test('refuses unproven scores when proofs are required', async () => {
+        expect(await leaderboard.submitScore('cy', 1, 5, 'car')).toMatchObject({ outcome: 'rejected' });
+    });
+});
+
+describe('Queued Supabase runs', () => {
+    test('each queued proof is re-simulated and its outcome recorded', async () => {
+        const proof = await createRunProof(recordRun({ ticks: 300, rescueTicks: [250] }));
+        const run = { score: 1, time_survived: 5, death_reason: 'car' };
+        const queued = [
+            { run_id: 7, ...proof, run },
+            { run_id: 8, ...proof, run: { ...run, score: 40 } }
+        ];
+        const requests = [];
+        const fetchImpl = async (url, options = {}) => {
+            requests.push({ url, options });
+            return new Response(JSON.stringify(url.includes('/rpc/') ? { stored: true } : queued), { status: 200 });
+        };
+
+        const outcomes = await verifyPendingRuns({ url: 'https://mock.supabase.test', serviceKey: 'service', levels, fetchImpl });
+
+        expect(outcomes.map(({ runId, valid }) => ({ runId, valid }))).toEqual([
+            { runId: 7, valid: true },
+            { runId: 8, valid: false }
+        ]);
+        expect(requests[0].url).toContain('/rest/v1/3d_newt_leaderboard_run_proofs?verified=is.null');
+        expect(requests.slice(1).map(request => JSON.parse(request.options.body))).toEqual([
+            { p_run_id: 7, p_verified: true },
+            { p_run_id: 8, p_verified: false }
+        ]);
+        expect(requests[1].options.headers.Authorization).toBe('Bearer service');
+    });
+
+    test('a row the verifier cannot read is refused without stopping the batch', async () => {
+        const proof = await createRunProof(recordRun({ ticks: 300, rescueTicks: [250] }));
+        const queued = [
+            { run_id: 3, summary: null, inputs: null, run: null },
+            { run_id: 4, summary: proof.summary, inputs: proof.inputs, run: null },
+            { run_id: 5, ...proof, run: { score: 1, time_survived: 5, death_reason: 'car' } }
+        ];
+        const recorded = [];
+        const fetchImpl = async (url, options = {}) => {
+            if (url.includes('/rpc/')) recorded.push(JSON.parse(options.body));
+            return new Response(JSON.stringify(url.includes('/rpc/') ? { stored: false } : queued), { status: 200 });
+        };
+
+        await verifyPendingRuns({ url: 'https://mock.supabase.test', serviceKey: 'service', levels, fetchImpl });
+
+        expect(recorded).toEqual([
+            { p_run_id: 3, p_verified: false },
+            { p_run_id: 4, p_verified: false },
+            { p_run_id: 5, p_verified: true }
+        ]);
+    });
+});
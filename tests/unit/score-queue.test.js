@@ -0,0 +1,142 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { ScoreQueue, retryDelay } from '../../js/score-queue.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+// Stands in for window: only the online event matters
+function fakeWindow() {
+    const listeners = new Set();
+    return {
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        goOnline: () => listeners.forEach(listener => listener()),
+        listenerCount: () => listeners.size
+    };
+}
+
+const RUN = { playerName: 'ana', score: 12, timeSurvived: 95, deathReason: 'car' };
+
+describe('Score submission queue', () => {
+    let storage;
+    let online;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-05-01T20:00:00Z'));
+        storage = memoryStorage();
+        online = false;
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    // Leaderboard stub that fails while offline
+    const submit = vi.fn(async () => (online
+        ? { success: true, outcome: 'improved' }
+        : { success: false, outcome: 'failed', error: 'Failed to fetch' }));
+
+    test('backoff doubles per attempt up to a cap', () => {
+        expect([1, 2, 3, 4].map(retryDelay)).toEqual([5000, 10000, 20000, 40000]);
+        expect(retryDelay(30)).toBe(10 * 60 * 1000);
+    });
+
+    test('queued scores survive a reload with their timestamps', () => {
+        const queue = new ScoreQueue(submit, { storage });
+        queue.enqueue(RUN, 'Failed to fetch');
+
+        const reloaded = new ScoreQueue(submit, { storage });
+        expect(reloaded.pending).toEqual([expect.objectContaining({
+            ...RUN,
+            status: 'pending',
+            queuedAt: Date.parse('2026-05-01T20:00:00Z'),
+            nextAttemptAt: Date.parse('2026-05-01T20:00:05Z'),
+            lastError: 'Failed to fetch'
+        })]);
+    });
+
+    test('retries with backoff and marks the score sent once it goes through', async () => {
+        const queue = new ScoreQueue(submit, { storage });
+        queue.start(fakeWindow());
+        await vi.runOnlyPendingTimersAsync();
+        queue.enqueue(RUN);
+        submit.mockClear();
+
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(submit).toHaveBeenCalledTimes(1);
+        expect(queue.pending[0].attempts).toBe(2);
+
+        // Second failure waits 10 s, not 5
+        online = true;
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(submit).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(submit).toHaveBeenCalledTimes(2);
+
+        expect(queue.pending).toEqual([]);
+        expect(queue.sent).toEqual([expect.objectContaining({ playerName: 'ana', outcome: 'improved' })]);
+        queue.stop();
+    });
+
+    test('coming back online retries immediately', async () => {
+        const target = fakeWindow();
+        const queue = new ScoreQueue(submit, { storage });
+        queue.enqueue(RUN);
+        queue.start(target);
+        await vi.runOnlyPendingTimersAsync();
+        submit.mockClear();
+
+        online = true;
+        target.goOnline();
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(submit).toHaveBeenCalledTimes(1);
+        expect(queue.sent).toHaveLength(1);
+
+        queue.stop();
+        expect(target.listenerCount()).toBe(0);
+    });
+
+    test('the next launch sends scores left over from last time', async () => {
+        new ScoreQueue(submit, { storage }).enqueue(RUN);
+        online = true;
+
+        const queue = new ScoreQueue(submit, { storage });
+        const changes = vi.fn();
+        queue.onChange(changes);
+        await queue.start(fakeWindow());
+
+        expect(queue.sent).toHaveLength(1);
+        expect(changes).toHaveBeenLastCalledWith(queue.items);
+        queue.stop();
+    });
+
+    test('keeps only the most recent sent scores', async () => {
+        online = true;
+        const queue = new ScoreQueue(submit, { storage });
+        for (let i = 0; i < 14; i++) queue.enqueue({ ...RUN, score: i });
+
+        await queue.flush({ force: true });
+
+        expect(queue.sent.map(item => item.score)).toEqual([4, 5, 6, 7, 8, 9, 10, 11, 12, 13]);
+    });
+
+    test('a run the leaderboard refuses to verify is not retried', async () => {
+        const refuse = vi.fn(async () => ({ success: false, outcome: 'rejected', error: 'HTTP 422' }));
+        const queue = new ScoreQueue(refuse, { storage });
+        queue.enqueue(RUN, 'Failed to fetch');
+
+        await queue.flush({ force: true });
+        await queue.flush({ force: true });
+
+        expect(refuse).toHaveBeenCalledTimes(1);
+        expect(queue.pending).toHaveLength(0);
+        expect(queue.items).toEqual([expect.objectContaining({ status: 'rejected', lastError: 'HTTP 422' })]);
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, expect, test } from 'vitest';
+import { SETTINGS_SCHEMA, Settings, defaultSettings, sanitizeSetting } from '../../js/settings.js';
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+describe('Settings', () => {
+    test('defaults match the values the game used before settings existed', () => {
+        expect(defaultSettings()).toMatchObject({
+            masterVolume: 0.5,
+            mouseSensitivity: 1,
+            invertY: false,
+            fov: 75,
+            quality: 'auto',
+            haptics: true
+        });
+    });
+
+    test('sanitizes values by type, clamping numbers and defaulting the rest', () => {
+        expect(sanitizeSetting(SETTINGS_SCHEMA.masterVolume, 1.4)).toBe(1);
+        expect(sanitizeSetting(SETTINGS_SCHEMA.masterVolume, '0.25')).toBe(0.25);
+        expect(sanitizeSetting(SETTINGS_SCHEMA.masterVolume, 'loud')).toBe(0.5);
+        expect(sanitizeSetting(SETTINGS_SCHEMA.fov, 10)).toBe(60);
+        expect(sanitizeSetting(SETTINGS_SCHEMA.invertY, 'yes')).toBe(false);
+        expect(sanitizeSetting(SETTINGS_SCHEMA.quality, 'ultra')).toBe('auto');
+        expect(sanitizeSetting(SETTINGS_SCHEMA.quality, 'low')).toBe('low');
+    });
+
+    test('persists changes and reports each one once', () => {
+        const storage = memoryStorage();
+        const settings = new Settings({ storage });
+        const changes = [];
+        settings.onChange((key, value) => changes.push([key, value]));
+
+        expect(settings.set('sfxVolume', 0.3)).toBe(0.3);
+        settings.set('sfxVolume', 0.3);
+        settings.set('quality', 'high');
+        expect(changes).toEqual([['sfxVolume', 0.3], ['quality', 'high']]);
+
+        const reloaded = new Settings({ storage });
+        expect(reloaded.get('sfxVolume')).toBe(0.3);
+        expect(reloaded.get('quality')).toBe('high');
+        expect(() => reloaded.set('volume', 1)).toThrow('Unknown setting: volume');
+    });
+
+    test('repairs a damaged save and ignores unknown keys', () => {
+        const storage = memoryStorage({
+            newtRescueSettings: JSON.stringify({ fov: 'wide', haptics: false, turbo: true })
+        });
+        const settings = new Settings({ storage });
+        expect(settings.get('fov')).toBe(75);
+        expect(settings.get('haptics')).toBe(false);
+        expect(settings.getAll()).not.toHaveProperty('turbo');
+
+        expect(new Settings({ storage: memoryStorage({ newtRescueSettings: '{' }) }).getAll()).toEqual(defaultSettings());
+    });
+
+    test('reset restores every default', () => {
+        const settings = new Settings({ storage: memoryStorage() });
+        settings.set('invertY', true);
+        settings.set('mouseSensitivity', 1.8);
+        settings.reset();
+        expect(settings.getAll()).toEqual(defaultSettings());
+    });
+});
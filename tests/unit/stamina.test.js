@@ -0,0 +1,72 @@
+import { describe, expect, test } from 'vitest';
+import * as THREE from 'three';
+import { Player, SPRINT_SPEED_MULTIPLIER } from '../../js/player.js';
+
+const STEP = 1 / 60;
+const ROAD_BOUNDS = { minX: -40, maxX: 35, minZ: -500, maxZ: 500 };
+
+function createPlayer() {
+    return Player.createHeadless(new THREE.PerspectiveCamera(), { ...ROAD_BOUNDS });
+}
+
+function run(player, seconds, input) {
+    const frame = { moveX: 0, moveZ: 0, yaw: 0, pitch: 0, flashlight: false, sprint: false, ...input };
+    for (let i = 0; i < Math.round(seconds / STEP); i++) player.update(STEP, frame);
+}
+
+describe('Sprint and stamina', () => {
+    test('sprinting is faster than walking and drains stamina', () => {
+        const walker = createPlayer();
+        const sprinter = createPlayer();
+        run(walker, 2, { moveZ: 1 });
+        run(sprinter, 2, { moveZ: 1, sprint: true });
+
+        const walked = -walker.getPosition().z;
+        const sprinted = -sprinter.getPosition().z;
+        expect(sprinted / walked).toBeGreaterThan(SPRINT_SPEED_MULTIPLIER * 0.95);
+        expect(sprinter.isSprinting).toBe(true);
+        expect(sprinter.stamina).toBeCloseTo(0.5, 2);
+        expect(walker.stamina).toBe(1);
+    });
+
+    test('holding sprint while standing still costs nothing', () => {
+        const player = createPlayer();
+        run(player, 2, { sprint: true });
+
+        expect(player.isSprinting).toBe(false);
+        expect(player.stamina).toBe(1);
+    });
+
+    test('an empty pool leaves the player winded until it partly refills', () => {
+        const player = createPlayer();
+        run(player, 4.1, { moveZ: 1, sprint: true });
+        expect(player.stamina).toBeLessThan(0.05);
+        expect(player.winded).toBe(true);
+
+        // Still holding sprint: walking pace while the pool refills
+        run(player, 1, { moveZ: 1, sprint: true });
+        expect(player.isSprinting).toBe(false);
+        expect(player.winded).toBe(true);
+
+        run(player, 1.5, { moveZ: 1, sprint: true });
+        expect(player.winded).toBe(false);
+        expect(player.isSprinting).toBe(true);
+
+        player.reset();
+        expect(player.stamina).toBe(1);
+        expect(player.winded).toBe(false);
+    });
+
+    test('sprinting widens the near-miss box but not the collision box', () => {
+        const player = createPlayer();
+        const walkingBox = player.getNearMissBox();
+        const collisionBox = player.getCollisionBox();
+
+        run(player, 0.1, { moveZ: 1, sprint: true });
+        const position = player.getPosition();
+        const sprintBox = player.getNearMissBox();
+        expect(sprintBox.maxX - sprintBox.minX).toBeGreaterThan(walkingBox.maxX - walkingBox.minX);
+        expect(sprintBox.minX).toBeCloseTo(position.x - 2.5);
+        expect(player.getCollisionBox().maxX - player.getCollisionBox().minX).toBeCloseTo(collisionBox.maxX - collisionBox.minX);
+    });
+});
@@ -0,0 +1,157 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { GAME_STATE_TRANSITIONS, StateMachine } from '../../js/state-machine.js';
+
+// Timers and animation frames that only run when the test says so
+function manualTimers() {
+    let nextId = 1;
+    const timeouts = new Map();
+    const frames = new Map();
+    return {
+        setTimeout: (callback, delay) => {
+            timeouts.set(nextId, { callback, delay });
+            return nextId++;
+        },
+        clearTimeout: id => timeouts.delete(id),
+        requestAnimationFrame: callback => {
+            frames.set(nextId, callback);
+            return nextId++;
+        },
+        cancelAnimationFrame: id => frames.delete(id),
+        runTimeouts() {
+            const due = [...timeouts.values()];
+            timeouts.clear();
+            due.forEach(({ callback }) => callback());
+        },
+        runFrame(time = 16) {
+            const due = [...frames.values()];
+            frames.clear();
+            due.forEach(callback => callback(time));
+        },
+        get pendingCount() {
+            return timeouts.size + frames.size;
+        }
+    };
+}
+
+function createMachine(initial = 'menu') {
+    const timers = manualTimers();
+    return { machine: new StateMachine({ initial, timers }), timers };
+}
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('Game state machine', () => {
+    test('every listed target is a known state and the game starts in the menu', () => {
+        const states = Object.keys(GAME_STATE_TRANSITIONS);
+        for (const targets of Object.values(GAME_STATE_TRANSITIONS)) {
+            targets.forEach(target => expect(states).toContain(target));
+        }
+        expect(new StateMachine({ timers: manualTimers() }).state).toBe('menu');
+        expect(() => new StateMachine({ initial: 'dancing' })).toThrow('Unknown initial state');
+    });
+
+    test('follows allowed transitions and refuses the rest without changing state', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const { machine } = createMachine();
+
+        expect(machine.transition('paused')).toBe(false);
+        expect(machine.transition('playing')).toBe(true);
+        expect(machine.transition('paused')).toBe(true);
+        expect(machine.is('paused', 'loading')).toBe(true);
+        expect(machine.transition('gameover')).toBe(false);
+        expect(machine.transition('nowhere')).toBe(false);
+        expect(machine.state).toBe('paused');
+        expect(console.warn).toHaveBeenCalledWith('Ignored state change paused -> gameover');
+    });
+
+    test('a rescue cannot start a level load while a predator attack finishes', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const { machine } = createMachine('playing');
+
+        machine.transition('attacked');
+        expect(machine.can('loading')).toBe(false);
+        expect(machine.transition('loading')).toBe(false);
+        expect(machine.transition('gameover')).toBe(true);
+    });
+
+    test('runs exit hooks before enter hooks, then the change callback', () => {
+        const { machine } = createMachine();
+        const calls = [];
+        machine.onExit('menu', (to, from) => calls.push(['exit menu', from, to]));
+        machine.onEnter('playing', (to, from) => calls.push(['enter playing', from, to]));
+        machine.onChange((to, from) => calls.push(['change', from, to]));
+
+        machine.transition('playing');
+        expect(calls).toEqual([
+            ['exit menu', 'menu', 'playing'],
+            ['enter playing', 'menu', 'playing'],
+            ['change', 'menu', 'playing']
+        ]);
+        expect(() => machine.onEnter('flying', () => {})).toThrow('Unknown state: flying');
+    });
+
+    test('quitting mid-fall cancels the fall animation and its game over', () => {
+        const { machine, timers } = createMachine('playing');
+        const gameOver = vi.fn();
+
+        machine.transition('falling');
+        machine.requestAnimationFrame(() => machine.setTimeout(gameOver, 300));
+        timers.runFrame();
+        expect(timers.pendingCount).toBe(1);
+
+        machine.transition('menu');
+        expect(timers.pendingCount).toBe(0);
+        timers.runTimeouts();
+        expect(gameOver).not.toHaveBeenCalled();
+    });
+
+    test('timers run normally while their state lasts', () => {
+        const { machine, timers } = createMachine('attacked');
+        const gameOver = vi.fn(() => machine.transition('gameover'));
+
+        machine.setTimeout(gameOver, 500);
+        timers.runTimeouts();
+        expect(gameOver).toHaveBeenCalledTimes(1);
+        expect(machine.state).toBe('gameover');
+    });
+
+    test('re-entering a state (restarting a replay) cancels what the old visit started', () => {
+        const { machine, timers } = createMachine('playing');
+        const stale = vi.fn();
+
+        machine.setTimeout(stale, 100);
+        machine.transition('playing');
+        timers.runTimeouts();
+        expect(stale).not.toHaveBeenCalled();
+    });
+
+    test('an async level load sees that its visit to loading has ended', async () => {
+        const { machine, timers } = createMachine('playing');
+        const finished = vi.fn();
+
+        machine.transition('loading');
+        const loading = machine.entry;
+        machine.wait(100).then(finished);
+
+        // A replay seek restarts play before the load's delay is over
+        machine.transition('playing');
+        timers.runTimeouts();
+        await Promise.resolve();
+
+        expect(loading.active).toBe(false);
+        expect(machine.entry.active).toBe(true);
+        expect(finished).not.toHaveBeenCalled();
+    });
+
+    test('wait resolves while the state lasts', async () => {
+        const { machine, timers } = createMachine('loading');
+        const finished = vi.fn();
+
+        machine.wait(100).then(finished);
+        timers.runTimeouts();
+        await Promise.resolve();
+        expect(finished).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, expect, test } from 'vitest';
+import * as THREE from 'three';
+import { FixedTimestep, SIMULATION_STEP } from '../../js/timestep.js';
+import { TransformInterpolator } from '../../js/interpolation.js';
+import { CarManager } from '../../js/cars.js';
+import { NewtManager } from '../../js/newts.js';
+import { random } from '../../js/random.js';
+
+const roadCurve = new THREE.CatmullRomCurve3([
+    new THREE.Vector3(0, 0, -140),
+    new THREE.Vector3(6, 0, -50),
+    new THREE.Vector3(-4, 0, 40),
+    new THREE.Vector3(0, 0, 140)
+]);
+
+// Mirrors Game.animate: restore, fixed steps, then blend for the "render"
+function runAt(fps, seconds) {
+    random.setSeed('timestep');
+    random.beginLevel(1);
+
+    const cars = CarManager.createHeadless(roadCurve);
+    const newts = NewtManager.createHeadless(roadCurve);
+    const timestep = new FixedTimestep();
+    const playerPosition = new THREE.Vector3(2, 1.7, -20);
+    let elapsedTime = 0;
+    let crushed = 0;
+    let rescued = 0;
+
+    const frames = Math.round(seconds * fps);
+    for (let frame = 0; frame < frames; frame++) {
+        cars.transforms.restore();
+        newts.transforms.restore();
+
+        const alpha = timestep.advance(1 / fps, (step) => {
+            cars.transforms.storePrevious();
+            newts.transforms.storePrevious();
+            elapsedTime += step;
+
+            rescued += newts.update(step, elapsedTime, playerPosition).length;
+            cars.update(step, elapsedTime);
+            cars.checkNewtCollisions(newts.getNewts()).forEach((newt) => {
+                if (newts.crushNewt(newt)) crushed++;
+            });
+        });
+
+        cars.interpolate(alpha);
+        newts.interpolate(alpha);
+    }
+
+    cars.transforms.restore();
+    newts.transforms.restore();
+
+    return {
+        steps: timestep.stepCount,
+        elapsedTime,
+        crushed,
+        rescued,
+        cars: cars.cars.map(car => [car.vehicleType, car.curveT, car.mesh.position.x, car.mesh.position.z, car.mesh.rotation.y]),
+        newts: newts.newts.map(newt => [newt.mesh.position.x, newt.mesh.position.z, newt.isPaused])
+    };
+}
+
+describe('Fixed timestep simulation', () => {
+    test('frames of any length add up to the same number of steps', () => {
+        for (const fps of [30, 60, 144]) {
+            const timestep = new FixedTimestep();
+            for (let i = 0; i < fps * 2; i++) timestep.advance(1 / fps, () => { });
+            expect(timestep.stepCount).toBe(120);
+        }
+    });
+
+    test('long frames are capped so the simulation cannot spiral', () => {
+        const timestep = new FixedTimestep();
+        let steps = 0;
+        timestep.advance(5, () => steps++);
+
+        expect(steps).toBe(Math.round(0.1 / SIMULATION_STEP));
+    });
+
+    test('returns how far the frame got into the next step', () => {
+        const timestep = new FixedTimestep();
+        const alpha = timestep.advance(SIMULATION_STEP * 1.25, () => { });
+
+        expect(alpha).toBeCloseTo(0.25);
+    });
+
+    test('gameplay outcomes are identical at 30, 60 and 144 fps', () => {
+        const at60 = runAt(60, 40);
+
+        expect(at60.steps).toBe(2400);
+        expect(at60.cars.length).toBeGreaterThan(0);
+        expect(at60.newts.length).toBeGreaterThan(0);
+        expect(runAt(30, 40)).toEqual(at60);
+        expect(runAt(144, 40)).toEqual(at60);
+    });
+});
+
+describe('TransformInterpolator', () => {
+    test('blends between steps and restores the simulated transform', () => {
+        const transforms = new TransformInterpolator();
+        const mesh = new THREE.Object3D();
+        transforms.track(mesh);
+
+        transforms.storePrevious();
+        mesh.position.set(10, 0, 0);
+        mesh.rotation.y = 1;
+
+        transforms.apply(0.5);
+        expect(mesh.position.x).toBe(5);
+        expect(mesh.rotation.y).toBe(0.5);
+
+        transforms.restore();
+        expect(mesh.position.x).toBe(10);
+        expect(mesh.rotation.y).toBe(1);
+    });
+
+    test('keeps positions set outside the simulation between frames', () => {
+        const transforms = new TransformInterpolator();
+        const camera = new THREE.Object3D();
+        transforms.track(camera, { rotation: false });
+
+        transforms.storePrevious();
+        camera.position.set(4, 0, 0);
+        transforms.apply(0.5);
+
+        // e.g. Player.reset() teleporting the camera
+        camera.position.set(0, 1.7, 0);
+        transforms.restore();
+        expect(camera.position.toArray()).toEqual([0, 1.7, 0]);
+
+        transforms.apply(0.3);
+        expect(camera.position.toArray()).toEqual([0, 1.7, 0]);
+    });
+});
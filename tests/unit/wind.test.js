@@ -0,0 +1,78 @@
+import { describe, expect, test } from 'vitest';
+import * as THREE from 'three';
+import { Player } from '../../js/player.js';
+import { RandomService } from '../../js/random.js';
+import { Wind, WIND_RULES } from '../../js/wind.js';
+
+const STEP = 1 / 60;
+const ROAD_BOUNDS = { minX: -40, maxX: 35, minZ: -500, maxZ: 500 };
+
+// A level's wind the way Game starts it: streams restarted, then the wind reset
+function startWind(seed, level = 1, windLevel = 1) {
+    const random = new RandomService(seed);
+    const wind = new Wind(random.stream('wind'));
+    random.beginLevel(level);
+    wind.reset(windLevel);
+    return wind;
+}
+
+// Per-tick push along X and the ticks warnings fired on
+function blow(wind, seconds) {
+    const pushes = [];
+    const warnings = [];
+    wind.onGustWarning(gust => warnings.push({ tick: pushes.length + 1, gust }));
+    for (let i = 0; i < Math.round(seconds / STEP); i++) pushes.push(wind.update(STEP).x);
+    return { pushes, warnings };
+}
+
+describe('Wind gusts', () => {
+    test('the same seed and level bring the same gusts', () => {
+        const first = blow(startWind('storm'), 60);
+        const again = blow(startWind('storm'), 60);
+        const otherSeed = blow(startWind('calm'), 60);
+        const nextLevel = blow(startWind('storm', 2), 60);
+
+        expect(again.pushes).toEqual(first.pushes);
+        expect(otherSeed.pushes).not.toEqual(first.pushes);
+        expect(nextLevel.pushes).not.toEqual(first.pushes);
+    });
+
+    test('strong gusts are announced a second before they hit', () => {
+        const { warnings } = blow(startWind('storm'), 120);
+
+        expect(warnings.length).toBeGreaterThan(0);
+        for (const { tick, gust } of warnings) {
+            expect(gust.strength).toBeGreaterThanOrEqual(WIND_RULES.strongGust);
+            expect(tick * STEP).toBeCloseTo(gust.start - WIND_RULES.warningTime, 1);
+        }
+    });
+
+    test('gusts blow well past the breeze, either way across the road', () => {
+        const { pushes } = blow(startWind('storm'), 120);
+        const breeze = WIND_RULES.breezePush;
+
+        expect(Math.max(...pushes)).toBeGreaterThan(breeze * 2);
+        expect(Math.min(...pushes)).toBeLessThan(-breeze);
+    });
+
+    test('still air never pushes', () => {
+        const { pushes, warnings } = blow(startWind('storm', 1, 0), 60);
+
+        expect(pushes.every(push => push === 0)).toBe(true);
+        expect(warnings).toEqual([]);
+    });
+
+    test('the push moves a player standing still', () => {
+        const sheltered = Player.createHeadless(new THREE.PerspectiveCamera(), { ...ROAD_BOUNDS });
+        const exposed = Player.createHeadless(new THREE.PerspectiveCamera(), { ...ROAD_BOUNDS });
+        const wind = startWind('storm');
+        const still = { moveX: 0, moveZ: 0, yaw: 0, pitch: 0, flashlight: false, sprint: false };
+        for (let i = 0; i < 30 * 60; i++) {
+            exposed.setWindPush(wind.update(STEP));
+            exposed.update(STEP, still);
+            sheltered.update(STEP, still);
+        }
+
+        expect(exposed.getPosition().distanceTo(sheltered.getPosition())).toBeGreaterThan(1);
+    });
+});